@@ -15,6 +15,12 @@ module.exports = {
         "semi": ["error", "always"],
         "quotes": ["error", "single"]
     },
+    overrides: [
+        {
+            files: ["tests/**/*.js"],
+            env: { jest: true }
+        }
+    ],
     ignorePatterns: [
         "node_modules/",
         "dist/",
@@ -0,0 +1,16 @@
+// Attendance marks lock this many hours after a lecture ends; after that only
+// an admin unlock allows changes. Classes can override it; 0 turns locking off.
+const parseHours = (value, fallback) => {
+    const hours = parseInt(value, 10);
+    return isNaN(hours) || hours < 0 ? fallback : hours;
+};
+
+const ATTENDANCE_LOCK_HOURS = parseHours(process.env.ATTENDANCE_LOCK_HOURS, 48);
+
+// How long a session stays editable once an admin unlocks it
+const ATTENDANCE_UNLOCK_HOURS = parseHours(process.env.ATTENDANCE_UNLOCK_HOURS, 24) || 24;
+
+module.exports = {
+    ATTENDANCE_LOCK_HOURS,
+    ATTENDANCE_UNLOCK_HOURS
+};
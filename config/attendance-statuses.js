@@ -0,0 +1,73 @@
+// Attendance statuses a mark can take and how much each one counts towards
+// a student's percentage (1 = full lecture attended, 0 = missed). The code is
+// the short form printed in register exports.
+const DEFAULT_STATUSES = [
+    { key: 'present', label: 'Present', code: 'P', weight: 1, color: 'success' },
+    { key: 'late', label: 'Late', code: 'L', weight: 0.5, color: 'warning' },
+    { key: 'on-duty', label: 'On Duty', code: 'OD', weight: 1, color: 'info' },
+    { key: 'excused', label: 'Excused', code: 'E', weight: 1, color: 'secondary' },
+    { key: 'absent', label: 'Absent', code: 'A', weight: 0, color: 'danger' }
+];
+
+// Percentage bands used by every summary and the defaulter list
+const ATTENDANCE_THRESHOLDS = {
+    good: 75,
+    warning: 60
+};
+
+// ATTENDANCE_STATUSES may override weights/labels of the defaults or add new
+// statuses, e.g. [{"key":"late","weight":0.25},{"key":"medical","label":"Medical","weight":1}]
+const loadStatuses = () => {
+    const statuses = DEFAULT_STATUSES.map(status => ({ ...status }));
+
+    if (!process.env.ATTENDANCE_STATUSES) {
+        return statuses;
+    }
+
+    try {
+        const overrides = JSON.parse(process.env.ATTENDANCE_STATUSES);
+        overrides.forEach(override => {
+            if (!override.key) return;
+
+            const weight = Number(override.weight);
+            const existing = statuses.find(status => status.key === override.key);
+            if (existing) {
+                if (override.label) existing.label = override.label;
+                if (override.code) existing.code = override.code;
+                if (override.color) existing.color = override.color;
+                if (!isNaN(weight)) existing.weight = weight;
+            } else {
+                statuses.push({
+                    key: override.key,
+                    label: override.label || override.key,
+                    code: override.code || (override.label || override.key).charAt(0).toUpperCase(),
+                    weight: isNaN(weight) ? 0 : weight,
+                    color: override.color || 'secondary'
+                });
+            }
+        });
+    } catch (error) {
+        console.warn('⚠️  Invalid ATTENDANCE_STATUSES, using default statuses:', error.message);
+    }
+
+    return statuses;
+};
+
+const ATTENDANCE_STATUSES = loadStatuses();
+const ATTENDANCE_STATUS_KEYS = ATTENDANCE_STATUSES.map(status => status.key);
+
+// Status metadata for a key; unknown keys are shown as-is and count as absent
+const getAttendanceStatus = (key) => {
+    return ATTENDANCE_STATUSES.find(status => status.key === key) ||
+        { key, label: key, code: key, weight: 0, color: 'secondary' };
+};
+
+const getStatusWeight = (key) => getAttendanceStatus(key).weight;
+
+module.exports = {
+    ATTENDANCE_STATUSES,
+    ATTENDANCE_STATUS_KEYS,
+    ATTENDANCE_THRESHOLDS,
+    getAttendanceStatus,
+    getStatusWeight
+};
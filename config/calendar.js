@@ -0,0 +1,21 @@
+// Kinds of day on the institution calendar. `teaching` days count towards the
+// lectures a student is expected to attend; `marking` is what happens when a
+// teacher records attendance that day: 'block' refuses it, 'warn' asks them
+// to make sure. `classOnly` kinds can only be set as a class override.
+const CALENDAR_KINDS = {
+    holiday: { label: 'Holiday', color: 'danger', teaching: false, marking: 'block' },
+    cancelled: { label: 'No classes', color: 'secondary', teaching: false, marking: 'block' },
+    exam: { label: 'Exams', color: 'warning', teaching: false, marking: 'warn' },
+    teaching: { label: 'Teaching day', color: 'success', teaching: true, marking: 'allow', classOnly: true }
+};
+
+const CALENDAR_KIND_KEYS = Object.keys(CALENDAR_KINDS);
+
+// Kinds an admin can put on the institution calendar
+const INSTITUTION_KIND_KEYS = CALENDAR_KIND_KEYS.filter(kind => !CALENDAR_KINDS[kind].classOnly);
+
+module.exports = {
+    CALENDAR_KINDS,
+    CALENDAR_KIND_KEYS,
+    INSTITUTION_KIND_KEYS
+};
@@ -228,7 +228,23 @@ const createOptimizedIndexes = async () => {
             attendanceCollection.createIndex({ classId: 1, date: -1 }, { background: true }),
             attendanceCollection.createIndex({ date: -1 }, { background: true }),
             attendanceCollection.createIndex({ studentId: 1, classId: 1, date: -1 }, { background: true }),
-            attendanceCollection.createIndex({ status: 1 }, { background: true })
+            attendanceCollection.createIndex({ status: 1 }, { background: true }),
+            attendanceCollection.createIndex({ sessionId: 1, studentId: 1 }, { unique: true, background: true })
+        ]);
+
+        // Attendance session indexes
+        const sessionCollection = mongoose.connection.collection('attendancesessions');
+        await Promise.all([
+            sessionCollection.createIndex({ classId: 1, date: 1, startTime: 1 }, { unique: true, background: true }),
+            sessionCollection.createIndex({ timetableSlot: 1 }, { background: true })
+        ]);
+
+        // Password reset tokens expire on their own
+        const resetTokenCollection = mongoose.connection.collection('passwordresettokens');
+        await Promise.all([
+            resetTokenCollection.createIndex({ tokenHash: 1 }, { unique: true, background: true }),
+            resetTokenCollection.createIndex({ userId: 1 }, { background: true }),
+            resetTokenCollection.createIndex({ expiresAt: 1 }, { expireAfterSeconds: 0, background: true })
         ]);
 
         // Timetable indexes (if collection exists)
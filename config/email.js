@@ -0,0 +1,40 @@
+// Outgoing email. Nothing is queued unless ENABLE_EMAIL_NOTIFICATIONS is true
+// and SMTP_HOST is set; for local testing point SMTP_HOST/SMTP_PORT at a sink
+// such as MailHog or Mailpit (localhost:1025, no SMTP_USER).
+const parsePositive = (value, fallback) => {
+    const number = parseInt(value, 10);
+    return isNaN(number) || number < 0 ? fallback : number;
+};
+
+const SMTP_PORT = parseInt(process.env.SMTP_PORT) || 587;
+
+const EMAIL_SETTINGS = {
+    enabled: process.env.ENABLE_EMAIL_NOTIFICATIONS === 'true' && Boolean(process.env.SMTP_HOST),
+    smtp: {
+        host: process.env.SMTP_HOST,
+        port: SMTP_PORT,
+        // Implicit TLS on 465; other ports upgrade with STARTTLS when the server offers it
+        secure: process.env.SMTP_SECURE ? process.env.SMTP_SECURE === 'true' : SMTP_PORT === 465,
+        auth: process.env.SMTP_USER ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS } : undefined
+    },
+    from: process.env.EMAIL_FROM || 'AttendPro <noreply@localhost>',
+    // Links in emails point here
+    baseUrl: process.env.BASE_URL || `http://localhost:${process.env.PORT || 3000}`
+};
+
+const EMAIL_MAX_ATTEMPTS = parsePositive(process.env.EMAIL_MAX_ATTEMPTS, 5) || 5;
+
+// Weekly digest: day of the week (0 = Sunday) and hour (server time) it goes out
+const EMAIL_DIGEST_DAY = parsePositive(process.env.EMAIL_DIGEST_DAY, 1) % 7;
+const EMAIL_DIGEST_HOUR = parsePositive(process.env.EMAIL_DIGEST_HOUR, 7) % 24;
+
+// Sent emails are removed by MongoDB after this many days
+const EMAIL_LOG_RETENTION_DAYS = parsePositive(process.env.EMAIL_LOG_RETENTION_DAYS, 30) || 30;
+
+module.exports = {
+    EMAIL_SETTINGS,
+    EMAIL_MAX_ATTEMPTS,
+    EMAIL_DIGEST_DAY,
+    EMAIL_DIGEST_HOUR,
+    EMAIL_LOG_RETENTION_DAYS
+};
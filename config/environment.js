@@ -68,6 +68,10 @@ const validateEnvironment = () => {
     config.MAX_FILE_SIZE = parseInt(process.env.MAX_FILE_SIZE) || 5242880; // 5MB
     config.UPLOAD_DIR = process.env.UPLOAD_DIR || path.join(__dirname, '../uploads');
 
+    // Institution details printed on PDF registers and notices
+    config.INSTITUTION_NAME = process.env.INSTITUTION_NAME || 'AttendPro';
+    config.INSTITUTION_ADDRESS = process.env.INSTITUTION_ADDRESS || '';
+
     // Email configuration (optional)
     config.SMTP_HOST = process.env.SMTP_HOST;
     config.SMTP_PORT = parseInt(process.env.SMTP_PORT) || 587;
@@ -94,6 +98,9 @@ const validateEnvironment = () => {
     config.ENABLE_QR_CODE_GENERATION = process.env.ENABLE_QR_CODE_GENERATION !== 'false';
     config.ENABLE_BULK_OPERATIONS = process.env.ENABLE_BULK_OPERATIONS !== 'false';
 
+    // Live QR check-in
+    config.CHECKIN_ROTATION_SECONDS = parseInt(process.env.CHECKIN_ROTATION_SECONDS) || 10;
+
     // Database maintenance
     config.DB_MAINTENANCE_ENABLED = process.env.DB_MAINTENANCE_ENABLED !== 'false';
     config.DB_MAINTENANCE_INTERVAL = parseInt(process.env.DB_MAINTENANCE_INTERVAL) || 86400000; // 24 hours
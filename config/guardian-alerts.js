@@ -0,0 +1,10 @@
+// Automatic guardian alerts: after this many absences in a row, and when a
+// student drops below the defaulter threshold. GUARDIAN_ALERTS=false turns both off.
+const GUARDIAN_ALERTS_ENABLED = process.env.GUARDIAN_ALERTS !== 'false';
+
+const GUARDIAN_ABSENCE_STREAK = Math.max(parseInt(process.env.GUARDIAN_ABSENCE_STREAK) || 3, 1);
+
+module.exports = {
+    GUARDIAN_ALERTS_ENABLED,
+    GUARDIAN_ABSENCE_STREAK
+};
@@ -0,0 +1,97 @@
+// Named permissions. Routes check these (requirePermission in middleware/auth.js)
+// instead of comparing role names, so a role can be changed in one place.
+const PERMISSIONS = {
+    'admin.access': 'Open the admin panel, system-wide logs and integrations',
+    'user.manage': 'Assign roles and activate or deactivate accounts',
+    'class.create': 'Create classes',
+    'class.manage': 'Manage students, roster, guardians and timetable of their classes',
+    'class.manage.any': 'Manage every class in their scope, not only the ones they teach',
+    'class.view.any': 'View every class in their scope, its reports and leave requests',
+    'attendance.mark': 'Take attendance by form or live QR check-in',
+    'attendance.edit': 'Change marks that were already recorded and ask for locked sessions to be unlocked',
+    'attendance.unlock': 'Unlock locked attendance sessions',
+    'leave.review': 'Approve or reject leave requests',
+    'api.token': 'Create personal API tokens',
+    'organization.manage': 'Create departments and move users and classes between them',
+    'term.manage': 'Create academic terms, roll classes over to the next term and archive old ones',
+    'calendar.manage': 'Put holidays, exam weeks and days without classes on the institution calendar',
+    'room.manage': 'Register rooms and review timetable clashes across classes'
+};
+
+// Roles in order of seniority. `staff` roles use the teacher side of the app;
+// students only see the student portal. `scope` is how far a user assigned to
+// an organization and department sees (see utils/tenancy.js).
+const ROLES = {
+    admin: {
+        label: 'Administrator',
+        staff: true,
+        scope: 'organization',
+        permissions: Object.keys(PERMISSIONS)
+    },
+    hod: {
+        label: 'Head of Department',
+        staff: true,
+        scope: 'department',
+        permissions: [
+            'class.create',
+            'class.manage',
+            'class.view.any',
+            'attendance.mark',
+            'attendance.edit',
+            'attendance.unlock',
+            'leave.review',
+            'api.token'
+        ]
+    },
+    teacher: {
+        label: 'Teacher',
+        staff: true,
+        scope: 'department',
+        permissions: [
+            'class.create',
+            'class.manage',
+            'attendance.mark',
+            'attendance.edit',
+            'leave.review',
+            'api.token'
+        ]
+    },
+    ta: {
+        label: 'Teaching Assistant',
+        staff: true,
+        scope: 'department',
+        permissions: [
+            'attendance.mark'
+        ]
+    },
+    student: {
+        label: 'Student',
+        staff: false,
+        scope: 'department',
+        permissions: []
+    }
+};
+
+const ROLE_KEYS = Object.keys(ROLES);
+const STAFF_ROLES = ROLE_KEYS.filter(role => ROLES[role].staff);
+
+const isKnownRole = (role) => Object.prototype.hasOwnProperty.call(ROLES, role);
+
+const isStaffRole = (role) => isKnownRole(role) && ROLES[role].staff;
+
+const getRoleLabel = (role) => (isKnownRole(role) ? ROLES[role].label : role);
+
+const hasPermission = (user, permission) => {
+    return Boolean(user) && isKnownRole(user.ROLE) && ROLES[user.ROLE].permissions.includes(permission);
+};
+
+module.exports = {
+    PERMISSIONS,
+    ROLES,
+    ROLE_KEYS,
+    STAFF_ROLES,
+    isKnownRole,
+    isStaffRole,
+    getRoleLabel,
+    hasPermission
+};
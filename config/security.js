@@ -96,7 +96,6 @@ const setupSecurity = (app) => {
     app.use('/register', authLimiter);
     
     // Admin specific rate limiting
-    app.use('/admin-panel9920867077@AdilAbullahaUroojFatir', adminLimiter);
     app.use('/admin', strictLimiter);
     
     // API endpoints rate limiting
@@ -0,0 +1,25 @@
+const path = require('path');
+
+// SMS gateway. SMS_DRIVER picks how messages leave the app:
+//   console - print to the server log (development default)
+//   file    - append JSON lines to SMS_FILE_PATH
+//   http    - POST { from, to, body } as JSON to SMS_HTTP_URL (any gateway or relay)
+//   twilio  - Twilio's Messages API (TWILIO_ACCOUNT_SID / TWILIO_AUTH_TOKEN)
+const SMS_SETTINGS = {
+    driver: process.env.SMS_DRIVER || 'console',
+    from: process.env.SMS_FROM || 'AttendPro',
+    filePath: process.env.SMS_FILE_PATH || path.join(__dirname, '../logs/sms-outbox.log'),
+    http: {
+        url: process.env.SMS_HTTP_URL,
+        token: process.env.SMS_HTTP_TOKEN
+    },
+    twilio: {
+        accountSid: process.env.TWILIO_ACCOUNT_SID,
+        authToken: process.env.TWILIO_AUTH_TOKEN
+    },
+    timeoutMs: parseInt(process.env.SMS_TIMEOUT_MS) || 10000
+};
+
+module.exports = {
+    SMS_SETTINGS
+};
@@ -0,0 +1,27 @@
+// IANA time zone of the institution (e.g. Asia/Kolkata). Timetable and
+// session times (HH:MM) are wall-clock times in this zone, and "today" is
+// today there. Defaults to the server's own zone.
+const isValidTimeZone = (zone) => {
+    try {
+        new Intl.DateTimeFormat('en-US', { timeZone: zone });
+        return true;
+    } catch (error) {
+        return false;
+    }
+};
+
+const parseTimeZone = (value, fallback) => {
+    if (!value) return fallback;
+    if (isValidTimeZone(value)) return value;
+    console.warn(`⚠️  Unknown INSTITUTION_TIMEZONE "${value}", using ${fallback}`);
+    return fallback;
+};
+
+const INSTITUTION_TIMEZONE = parseTimeZone(
+    process.env.INSTITUTION_TIMEZONE,
+    Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC'
+);
+
+module.exports = {
+    INSTITUTION_TIMEZONE
+};
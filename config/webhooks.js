@@ -0,0 +1,21 @@
+// Outgoing webhook delivery settings. A failed delivery is retried with
+// exponential backoff (base, 2x base, 4x base, ...) until it has been tried
+// WEBHOOK_MAX_ATTEMPTS times.
+const parsePositive = (value, fallback) => {
+    const number = parseInt(value, 10);
+    return isNaN(number) || number < 1 ? fallback : number;
+};
+
+const WEBHOOK_MAX_ATTEMPTS = parsePositive(process.env.WEBHOOK_MAX_ATTEMPTS, 6);
+const WEBHOOK_RETRY_BASE_SECONDS = parsePositive(process.env.WEBHOOK_RETRY_BASE_SECONDS, 30);
+const WEBHOOK_TIMEOUT_MS = parsePositive(process.env.WEBHOOK_TIMEOUT_MS, 10000);
+
+// Delivery log entries are removed by MongoDB after this many days
+const WEBHOOK_LOG_RETENTION_DAYS = parsePositive(process.env.WEBHOOK_LOG_RETENTION_DAYS, 30);
+
+module.exports = {
+    WEBHOOK_MAX_ATTEMPTS,
+    WEBHOOK_RETRY_BASE_SECONDS,
+    WEBHOOK_TIMEOUT_MS,
+    WEBHOOK_LOG_RETENTION_DAYS
+};
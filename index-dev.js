@@ -2,6 +2,7 @@
 const express = require('express');
 const mongoose = require('mongoose');
 const path = require('path');
+const fs = require('fs');
 const bodyParser = require('body-parser');
 const session = require('express-session');
 
@@ -21,14 +22,108 @@ app.use(express.json());
 const Class = require('./models/class');
 const Student = require('./models/student');
 const Attendance = require('./models/attendance');
+const AttendanceSession = require('./models/attendance-session');
 const User = require('./models/user');
 const Timetable = require('./models/timetable');
+const LeaveRequest = require('./models/leave-request');
+const StudentInvite = require('./models/student-invite');
+const AttendanceAudit = require('./models/attendance-audit');
+const ApiToken = require('./models/api-token');
+const Webhook = require('./models/webhook');
+const WebhookDelivery = require('./models/webhook-delivery');
+const EmailMessage = require('./models/email-message');
+const PasswordResetToken = require('./models/password-reset-token');
+const SecurityPolicy = require('./models/security-policy');
+const GuardianMessage = require('./models/guardian-message');
+const Organization = require('./models/organization');
+const Department = require('./models/department');
+const Term = require('./models/term');
+const CalendarEntry = require('./models/calendar-entry');
+const Room = require('./models/room');
+
+// Import attendance statistics helpers
+const { calculatePercentage, summarizeMarks, getAttendanceStanding, isDefaulter, getStudentAttendanceStats, buildClassReport } = require('./utils/attendance-stats');
+const { ATTENDANCE_STATUSES, ATTENDANCE_STATUS_KEYS, getAttendanceStatus } = require('./config/attendance-statuses');
+const { attachLegacyAttendance } = require('./utils/attendance-migration');
+
+// Import student account helpers
+const { INVITE_TTL_DAYS, createStudentInvite, getLinkedStudents } = require('./utils/student-accounts');
+
+// Import roster import helpers
+const { MAX_IMPORT_ROWS, ROSTER_FIELDS, readRosterFile, guessMapping, validateRoster, commitRoster } = require('./utils/roster-import');
+const { parseDateRange, getRegisterFileName, buildRegisterCsv, buildRegisterWorkbook } = require('./utils/attendance-export');
+const { buildRegisterPdf, buildDefaulterNoticesPdf } = require('./utils/attendance-pdf');
+const { AUDIT_SOURCE_LABELS, setAttendanceStatuses, setAttendanceStatus, getAttendanceHistory } = require('./utils/attendance-audit');
+const { getLockHours, getSessionEnd, getLockStatus, findLockedSessions } = require('./utils/attendance-lock');
+const { getZonedToday } = require('./utils/timezone');
+const { ATTENDANCE_LOCK_HOURS, ATTENDANCE_UNLOCK_HOURS } = require('./config/attendance-lock');
+const { AttendanceLockedError } = require('./middleware/error-handler');
+const { logAdminAction } = require('./utils/logger');
+
+// Import leave request helpers
+const { applyApprovedLeave, getStudentsOnLeave } = require('./utils/leave-requests');
+
+// Import JSON API router and token helpers
+const apiV1Router = require('./routes/api-v1');
+const { API_SCOPES, API_TOKEN_EXPIRY_DAYS, createApiToken, getApiTokenState } = require('./utils/api-tokens');
+
+// Import outgoing webhook helpers
+const { WEBHOOK_EVENTS, WEBHOOK_TEST_EVENT, generateWebhookSecret, isWebhookUrl, queueWebhookDelivery, redeliverWebhookDelivery, startWebhookWorker } = require('./utils/webhooks');
+const { notifyStudentRegistered, notifyTeacherJoined } = require('./utils/webhook-events');
+const { WEBHOOK_MAX_ATTEMPTS } = require('./config/webhooks');
+
+// Import email notification helpers
+const { EMAIL_PREFERENCES, isEmailEnabled, verifyUnsubscribeToken, wantsEmail, startEmailWorker } = require('./utils/email');
+const { queueAccountCreatedEmail, startWeeklyDigestSchedule } = require('./utils/email-notifications');
+
+// Import password reset routes
+const passwordResetRouter = require('./routes/password-reset');
+
+// Import student account claim routes
+const studentAccountsRouter = require('./routes/student-accounts');
+
+// Import two-factor authentication helpers
+const twoFactorRouter = require('./routes/two-factor');
+const { startTwoFactorChallenge, isTwoFactorRequired } = require('./utils/two-factor');
+
+// Import guardian helpers
+const { parseGuardianInput, getGuardianMessages } = require('./utils/guardians');
+const { getSmsDriverName } = require('./utils/sms');
+const { GUARDIAN_ALERTS_ENABLED, GUARDIAN_ABSENCE_STREAK } = require('./config/guardian-alerts');
 
 // Import QR Code library
 const QRCode = require('qrcode');
 
-// Import authentication middleware
-const { requireAuth, requireAdmin, requireTeacher, requireStudent, requireStudentOrTeacher, preventStudentAccess, hasClassAccess, hasClassManagementAccess, userToViews } = require('./middleware/auth');
+// Multipart uploads (leave request attachments, roster files)
+const multer = require('multer');
+
+// Import rotating check-in token helpers
+const { generateCheckInSecret, generateCheckInToken, getSecondsUntilRotation, verifyCheckInToken } = require('./utils/checkin-token');
+
+// Import request validation and the OpenAPI document helpers
+const { validateStudent, validateBulkStudents, validateObjectId, validateReportQuery } = require('./middleware/validation');
+const { OBJECT_ID, LEGACY_ERROR, objectSchema, arraySchema, modelProperties, describeRoute, buildOpenApiSpec } = require('./utils/openapi');
+const { checkApiContract } = require('./middleware/api-contract');
+
+// Import organization and department (tenant) helpers
+const { getTenantFilter, isServerWide, isWithinTenant, hasTenantPermission, isClassTeacher, getAccessibleClassFilter, canViewClass, getTenantClassFilter } = require('./utils/tenancy');
+
+// Import academic term helpers
+const { getTermFilter, findTermForUser, parseTermDates, assignUnassignedClasses, archiveTerm, rollOverTerm, selectEnrolmentTerm } = require('./utils/terms');
+
+// Import calendar helpers
+const { CALENDAR_KINDS, CALENDAR_KIND_KEYS, INSTITUTION_KIND_KEYS } = require('./config/calendar');
+const { toDayKey, parseCalendarDates, getInstitutionCalendarFilter, getCalendarEntries, listCalendarDays, checkMarkingDay, getUpcomingCalendar } = require('./utils/calendar');
+const { PENDING_LOOKBACK_DAYS, getSessionCompliance, getPendingSessions, summarizeCompliance, combineCompliance } = require('./utils/expected-sessions');
+
+// Import room and timetable clash helpers
+const { TIMETABLE_DAYS, getRoomFilter, findRoomByName, getClassRooms, resolveSlotEntities, findSlotConflicts, describeConflict, findTimetableConflicts, checkSlotTimes, moveSlotTimes, copyTimetableDay, linkRoomSlots } = require('./utils/timetable');
+const { MAX_TIMETABLE_ROWS, TIMETABLE_COLUMNS, readTimetableFile, validateTimetableImport, commitTimetableImport, buildTimetableCsv } = require('./utils/timetable-import');
+const { FEED_TIMEZONE, getFeedToken, findFeedUser, getFeedClasses, buildTimetableCalendar, buildUserFeed } = require('./utils/timetable-feed');
+
+// Import authentication middleware and the role/permission map
+const { ROLES, PERMISSIONS, isKnownRole, isStaffRole, getRoleLabel, hasPermission } = require('./config/permissions');
+const { requireAuth, requirePermission, requireAdmin, requireServerAdmin, requireTeacher, requireStudent, requireStudentOrTeacher, preventStudentAccess, hasClassAccess, hasClassManagementAccess, requireOwnStudentRecord, userToViews } = require('./middleware/auth');
 
 // Session configuration
 app.use(session({
@@ -44,6 +139,33 @@ app.use(session({
 // Make user available to all views
 app.use(userToViews);
 
+// OpenAPI document, built on first use (once every route is registered)
+let openApiSpec = null;
+const getOpenApiSpec = () => {
+    if (!openApiSpec) {
+        openApiSpec = buildOpenApiSpec(app, {
+            title: 'AttendPro API',
+            version: require('./package.json').version,
+            description: 'JSON endpoints of AttendPro. Generated from the routes and their validators.'
+        });
+    }
+    return openApiSpec;
+};
+
+// Flag JSON responses that no longer match the document
+app.use(checkApiContract(getOpenApiSpec));
+
+// Attendance statuses (labels, colours, weights) for every view
+app.locals.attendanceStatuses = ATTENDANCE_STATUSES;
+app.locals.getAttendanceStatus = getAttendanceStatus;
+app.locals.auditSourceLabels = AUDIT_SOURCE_LABELS;
+app.locals.calendarKinds = CALENDAR_KINDS;
+
+// Role labels and permission checks for every view
+app.locals.roles = ROLES;
+app.locals.getRoleLabel = getRoleLabel;
+app.locals.can = hasPermission;
+
 // MongoDB connection
 const MONGO_URL = process.env.MONGODB_URI || 'mongodb://127.0.0.1:27017/CLASS';
 
@@ -127,6 +249,31 @@ async function main() {
                 console.log('✅ Fixed students without CLASSES array');
             }
             
+            // Attach day-level attendance records to attendance sessions
+            const attachedAttendance = await attachLegacyAttendance();
+            if (attachedAttendance > 0) {
+                console.log(`✅ Attached ${attachedAttendance} legacy attendance records to sessions`);
+            }
+            
+            // Turn the legacy parent phone into a guardian contact
+            const studentsWithParentPhoneOnly = await Student.find({
+                PARENTPHONE: { $nin: [null, ''] },
+                $or: [{ guardians: { $exists: false } }, { guardians: { $size: 0 } }]
+            }).select('PARENTPHONE');
+            
+            if (studentsWithParentPhoneOnly.length > 0) {
+                console.log(`🔧 Found ${studentsWithParentPhoneOnly.length} students with a parent phone but no guardians. Fixing...`);
+                
+                for (const student of studentsWithParentPhoneOnly) {
+                    await Student.updateOne(
+                        { _id: student._id },
+                        { $set: { guardians: [{ relationship: 'Parent', phone: student.PARENTPHONE }] } }
+                    );
+                }
+                
+                console.log('✅ Copied parent phones into guardian contacts');
+            }
+            
         } catch (migrationError) {
             console.log('⚠️ Migration warning:', migrationError.message);
         }
@@ -136,6 +283,23 @@ async function main() {
             await Class.createIndexes();
             await Student.createIndexes();
             await User.createIndexes();
+            await AttendanceSession.createIndexes();
+            await Attendance.createIndexes();
+            await LeaveRequest.createIndexes();
+            await StudentInvite.createIndexes();
+            await AttendanceAudit.createIndexes();
+            await ApiToken.createIndexes();
+            await Webhook.createIndexes();
+            await WebhookDelivery.createIndexes();
+            await EmailMessage.createIndexes();
+            await GuardianMessage.createIndexes();
+            await PasswordResetToken.createIndexes();
+            await SecurityPolicy.createIndexes();
+            await Organization.createIndexes();
+            await Department.createIndexes();
+            await Term.createIndexes();
+            await CalendarEntry.createIndexes();
+            await Room.createIndexes();
             console.log('📋 Database indexes created successfully');
         } catch (indexError) {
             console.log('⚠️ Index creation warning:', indexError.message);
@@ -153,7 +317,10 @@ app.get('/login', (req, res) => {
     if (req.session.userId) {
         return res.redirect('/dashboard');
     }
-    res.render('login', { message: null, messageType: null });
+    res.render('login', {
+        message: req.query.message || null,
+        messageType: req.query.message ? 'success' : null
+    });
 });
 
 // Handle login
@@ -194,6 +361,15 @@ app.post('/login', async (req, res) => {
             });
         }
         
+        // Return to the page that asked for a login, if any
+        const returnTo = req.session.returnTo;
+        delete req.session.returnTo;
+        
+        // With 2FA on, the session only starts once /login/2fa accepts a code
+        if (startTwoFactorChallenge(req, user, returnTo)) {
+            return res.redirect('/login/2fa');
+        }
+        
         // Update last login
         user.LASTLOGIN = new Date();
         await user.save();
@@ -201,10 +377,12 @@ app.post('/login', async (req, res) => {
         // Set session
         req.session.userId = user._id;
         req.session.userRole = user.ROLE;
+        req.session.sessionVersion = user.sessionVersion;
+        req.session.twoFactorSetupRequired = await isTwoFactorRequired(user);
         
         console.log(`✅ User logged in: ${user.USERNAME} (${user.ROLE})`);
         
-        res.redirect('/dashboard');
+        res.redirect(returnTo && returnTo.startsWith('/') && !returnTo.startsWith('//') ? returnTo : '/dashboard');
     } catch (err) {
         console.error('❌ Login error:', err.message);
         res.render('login', { 
@@ -214,6 +392,12 @@ app.post('/login', async (req, res) => {
     }
 });
 
+// Forgot password and reset links
+app.use(passwordResetRouter);
+
+// Second sign-in step, 2FA enrolment and the admin 2FA policy
+app.use(twoFactorRouter);
+
 // Register page
 app.get('/register', (req, res) => {
     if (req.session.userId) {
@@ -275,6 +459,7 @@ app.post('/register', async (req, res) => {
         });
         
         await newUser.save();
+        queueAccountCreatedEmail(newUser);
         
         res.render('login', { 
             message: 'Registration successful! Please login.', 
@@ -298,16 +483,17 @@ app.get('/logout', (req, res) => {
 // Dashboard (protected route)
 app.get('/dashboard', requireAuth, async (req, res) => {
     try {
-        let dashboardData = { user: req.user };
-
-        if (req.user.ROLE === 'admin') {
-            // Admin sees all data
-            dashboardData.totalUsers = await User.countDocuments();
-            dashboardData.totalClasses = await Class.countDocuments();
-            dashboardData.totalStudents = await Student.countDocuments();
-            dashboardData.totalAttendance = await Attendance.countDocuments();
-        } else if (req.user.ROLE === 'teacher') {
-            // Teachers see only their data
+        let dashboardData = { user: req.user, message: req.query.message || null };
+
+        if (hasPermission(req.user, 'admin.access')) {
+            // Admin sees all data of their organization
+            const classFilter = await getTenantClassFilter(req.user);
+            dashboardData.totalUsers = await User.countDocuments(getTenantFilter(req.user));
+            dashboardData.totalClasses = await Class.countDocuments(getTenantFilter(req.user));
+            dashboardData.totalStudents = await Student.countDocuments(classFilter);
+            dashboardData.totalAttendance = await Attendance.countDocuments(classFilter);
+        } else if (isStaffRole(req.user.ROLE)) {
+            // Other staff see only their classes
             const userClasses = await Class.find({
                 $or: [
                     { CREATEDBY: req.user._id },
@@ -329,6 +515,27 @@ app.get('/dashboard', requireAuth, async (req, res) => {
                 classId: { $in: classIds },
                 date: { $gte: today, $lt: tomorrow }
             });
+
+            // Leave requests waiting on this teacher
+            if (hasPermission(req.user, 'leave.review')) {
+                const classStudentIds = await Student.find({ classId: { $in: classIds } }).distinct('_id');
+                dashboardData.pendingLeaveRequests = await LeaveRequest.find({
+                    status: 'pending',
+                    students: { $in: classStudentIds }
+                }).populate({ path: 'students', select: 'classId', populate: { path: 'classId', select: 'CLASSNAME' } })
+                    .sort({ fromDate: 1 })
+                    .limit(10);
+            }
+        }
+
+        // Timetabled lectures of the last two weeks nobody took attendance for
+        if (hasPermission(req.user, 'attendance.mark')) {
+            const teachingClasses = await Class.find({
+                $or: [{ CREATEDBY: req.user._id }, { TEACHERS: req.user._id }],
+                archivedAt: null
+            });
+            dashboardData.pendingSessions = await getPendingSessions(teachingClasses);
+            dashboardData.pendingLookbackDays = PENDING_LOOKBACK_DAYS;
         }
 
         res.render('dashboard', dashboardData);
@@ -349,7 +556,7 @@ app.get('/', (req, res) => {
 });
 
 // Render Create Class Form
-app.get('/createclass', requireAuth, requireTeacher, async (req, res) => {
+app.get('/createclass', requireAuth, requirePermission('class.create'), async (req, res) => {
     try {
         res.render('createclass.ejs', { user: req.user });
     } catch (err) {
@@ -359,7 +566,7 @@ app.get('/createclass', requireAuth, requireTeacher, async (req, res) => {
 });
 
 // Handle Create Class Form Submission
-app.post('/createclass', requireAuth, requireTeacher, async (req, res) => {
+app.post('/createclass', requireAuth, requirePermission('class.create'), async (req, res) => {
     try {
         const { CLASSNAME, ROOMNO, SUBJECT, DESCRIPTION } = req.body;
         
@@ -398,8 +605,10 @@ app.get('/classlist', requireAuth, preventStudentAccess, async (req, res) => {
         if (ROOMNO) query.ROOMNO = ROOMNO;
         if (SUBJECT) query.SUBJECT = SUBJECT;
 
-        // If user is not admin, only show classes where they are a teacher
-        if (req.user.ROLE !== 'admin') {
+        // Unless they can see every class of their tenant, only show classes where they are a teacher
+        if (hasPermission(req.user, 'class.view.any')) {
+            Object.assign(query, getTenantFilter(req.user));
+        } else {
             query.TEACHERS = req.user._id;
         }
 
@@ -435,8 +644,10 @@ app.post('/classlist', requireAuth, preventStudentAccess, async (req, res) => {
         if (ROOMNO) query.ROOMNO = ROOMNO;
         if (SUBJECT) query.SUBJECT = SUBJECT;
 
-        // If user is not admin, only show classes where they are a teacher
-        if (req.user.ROLE !== 'admin') {
+        // Unless they can see every class of their tenant, only show classes where they are a teacher
+        if (hasPermission(req.user, 'class.view.any')) {
+            Object.assign(query, getTenantFilter(req.user));
+        } else {
             query.TEACHERS = req.user._id;
         }
 
@@ -459,7 +670,7 @@ app.post('/classlist', requireAuth, preventStudentAccess, async (req, res) => {
 });
 
 // Handle Class Deletion
-app.post('/deleteclass', requireAuth, requireTeacher, async (req, res) => {
+app.post('/deleteclass', requireAuth, requirePermission('class.manage'), async (req, res) => {
     try {
         const { classId } = req.body;
         
@@ -469,7 +680,7 @@ app.post('/deleteclass', requireAuth, requireTeacher, async (req, res) => {
             return res.status(404).send('Class not found');
         }
         
-        if (req.user.ROLE !== 'admin' && classToDelete.CREATEDBY.toString() !== req.user._id.toString()) {
+        if (!hasTenantPermission(req.user, 'class.manage.any', classToDelete) && classToDelete.CREATEDBY.toString() !== req.user._id.toString()) {
             return res.status(403).send('Access denied');
         }
         
@@ -528,6 +739,7 @@ app.post('/join-class', requireAuth, requireTeacher, async (req, res) => {
         // Add user to teachers array
         classDoc.TEACHERS.push(req.user._id);
         await classDoc.save();
+        notifyTeacherJoined(classDoc, req.user);
         
         res.redirect(`/classdetail/${classDoc._id}?joined=true`);
         
@@ -571,8 +783,28 @@ app.get('/classdetail/:id', requireAuth, hasClassAccess, async (req,res)=>{
     }
 });
 
+// Student as saved by the AJAX roster routes
+const STUDENT_DOCUMENT_SCHEMA = objectSchema({
+    _id: OBJECT_ID,
+    ...modelProperties(Student, ['NAME', 'EMAIL', 'ROLLNO', 'classId', 'CLASSES', 'PHONE', 'PARENTPHONE', 'guardians', 'userId', 'createdAt', 'updatedAt']),
+    __v: { type: 'integer' }
+}, ['_id', 'NAME', 'ROLLNO', 'classId']);
+
 // Add Student to Class (AJAX)
-app.post('/classdetail/:id/addstudent', requireAuth, hasClassManagementAccess, async (req, res) => {
+app.post('/classdetail/:id/addstudent', describeRoute({
+    summary: 'Add a student to a class',
+    tags: ['Roster'],
+    responses: {
+        200: {
+            description: 'success is false (with a message) when the student could not be added',
+            schema: objectSchema({
+                success: { type: 'boolean' },
+                student: STUDENT_DOCUMENT_SCHEMA,
+                message: { type: 'string' }
+            }, ['success', 'message'])
+        }
+    }
+}), requireAuth, requirePermission('class.manage'), hasClassManagementAccess, validateStudent, async (req, res) => {
     try {
         const { id } = req.params;
         const { NAME, ROLLNO } = req.body;
@@ -583,7 +815,7 @@ app.post('/classdetail/:id/addstudent', requireAuth, hasClassManagementAccess, a
             return res.json({ success: false, message: 'Class not found.' });
         }
         
-        if (req.user.ROLE !== 'admin' && foundClass.CREATEDBY.toString() !== req.user._id.toString()) {
+        if (!hasTenantPermission(req.user, 'class.manage.any', foundClass) && foundClass.CREATEDBY.toString() !== req.user._id.toString()) {
             return res.json({ success: false, message: 'Access denied.' });
         }
         
@@ -614,7 +846,22 @@ app.post('/classdetail/:id/addstudent', requireAuth, hasClassManagementAccess, a
 });
 
 // Add Bulk Students to Class
-app.post('/classdetail/:id/addbulkstudents', requireAuth, hasClassManagementAccess, async (req, res) => {
+app.post('/classdetail/:id/addbulkstudents', describeRoute({
+    summary: 'Add several students to a class',
+    tags: ['Roster'],
+    responses: {
+        200: {
+            description: 'Per-student failures are listed in errors; success is false when nothing could be processed',
+            schema: objectSchema({
+                success: { type: 'boolean' },
+                students: arraySchema(STUDENT_DOCUMENT_SCHEMA),
+                addedCount: { type: 'integer' },
+                errors: arraySchema({ type: 'string' }),
+                message: { type: 'string' }
+            }, ['success', 'message'])
+        }
+    }
+}), requireAuth, requirePermission('class.manage'), hasClassManagementAccess, validateBulkStudents, async (req, res) => {
     try {
         const { id } = req.params;
         const { students } = req.body;
@@ -625,7 +872,7 @@ app.post('/classdetail/:id/addbulkstudents', requireAuth, hasClassManagementAcce
             return res.json({ success: false, message: 'Class not found.' });
         }
         
-        if (req.user.ROLE !== 'admin' && foundClass.CREATEDBY.toString() !== req.user._id.toString()) {
+        if (!hasTenantPermission(req.user, 'class.manage.any', foundClass) && foundClass.CREATEDBY.toString() !== req.user._id.toString()) {
             return res.json({ success: false, message: 'Access denied.' });
         }
         
@@ -655,7 +902,13 @@ app.post('/classdetail/:id/addbulkstudents', requireAuth, hasClassManagementAcce
                 const newStudent = new Student({ 
                     NAME: studentData.NAME, 
                     ROLLNO: studentData.ROLLNO, 
-                    classId: id 
+                    classId: id,
+                    ...(studentData.EMAIL && { EMAIL: studentData.EMAIL }),
+                    ...(studentData.PHONE && { PHONE: studentData.PHONE }),
+                    ...(studentData.PARENTPHONE && {
+                        PARENTPHONE: studentData.PARENTPHONE,
+                        guardians: [{ relationship: 'Parent', phone: studentData.PARENTPHONE }]
+                    })
                 });
                 await newStudent.save();
                 addedStudents.push(newStudent);
@@ -681,7 +934,7 @@ app.post('/classdetail/:id/addbulkstudents', requireAuth, hasClassManagementAcce
 });
 
 // Delete Student from Class (AJAX)
-app.post('/classdetail/:classId/deletestudent/:studentId', requireAuth, hasClassManagementAccess, async (req, res) => {
+app.post('/classdetail/:classId/deletestudent/:studentId', requireAuth, requirePermission('class.manage'), hasClassManagementAccess, async (req, res) => {
     try {
         const { classId, studentId } = req.params;
         
@@ -691,7 +944,7 @@ app.post('/classdetail/:classId/deletestudent/:studentId', requireAuth, hasClass
             return res.json({ success: false, message: 'Class not found.' });
         }
         
-        if (req.user.ROLE !== 'admin' && foundClass.CREATEDBY.toString() !== req.user._id.toString()) {
+        if (!hasTenantPermission(req.user, 'class.manage.any', foundClass) && foundClass.CREATEDBY.toString() !== req.user._id.toString()) {
             return res.json({ success: false, message: 'Access denied.' });
         }
         
@@ -704,7 +957,7 @@ app.post('/classdetail/:classId/deletestudent/:studentId', requireAuth, hasClass
 });
 
 // Students Management Page
-app.get('/classdetail/:id/students', requireAuth, hasClassManagementAccess, async (req, res) => {
+app.get('/classdetail/:id/students', requireAuth, requirePermission('class.manage'), hasClassManagementAccess, async (req, res) => {
     try {
         const { id } = req.params;
         const foundClass = await Class.findById(id);
@@ -714,7 +967,7 @@ app.get('/classdetail/:id/students', requireAuth, hasClassManagementAccess, asyn
         }
         
         // Check if user has access to this class
-        if (req.user.ROLE !== 'admin' && foundClass.CREATEDBY.toString() !== req.user._id.toString()) {
+        if (!hasTenantPermission(req.user, 'class.view.any', foundClass) && foundClass.CREATEDBY.toString() !== req.user._id.toString()) {
             return res.status(403).send('Access denied');
         }
         
@@ -731,7 +984,7 @@ app.get('/classdetail/:id/students', requireAuth, hasClassManagementAccess, asyn
 });
 
 // Student Registration QR Code Page
-app.get('/classdetail/:id/student-registration', requireAuth, hasClassManagementAccess, async (req, res) => {
+app.get('/classdetail/:id/student-registration', requireAuth, requirePermission('class.manage'), hasClassManagementAccess, async (req, res) => {
     try {
         const { id } = req.params;
         const foundClass = await Class.findById(id);
@@ -741,7 +994,7 @@ app.get('/classdetail/:id/student-registration', requireAuth, hasClassManagement
         }
         
         // Check if user has access to this class
-        if (req.user.ROLE !== 'admin' && foundClass.CREATEDBY.toString() !== req.user._id.toString()) {
+        if (!hasTenantPermission(req.user, 'class.view.any', foundClass) && foundClass.CREATEDBY.toString() !== req.user._id.toString()) {
             return res.status(403).send('Access denied');
         }
         
@@ -811,6 +1064,7 @@ app.post('/student-register/:classId', async (req, res) => {
             ...(EMAIL && { EMAIL }) // Only add email if provided
         });
         await newStudent.save();
+        notifyStudentRegistered(newStudent, foundClass);
         
         console.log(`✅ Student registered: ${NAME} (${ROLLNO}) for class: ${foundClass.CLASSNAME}`);
         
@@ -829,7 +1083,7 @@ app.post('/student-register/:classId', async (req, res) => {
 });
 
 // Attendance Marking Page
-app.get('/classdetail/:id/attendance-mark', requireAuth, hasClassManagementAccess, async (req, res) => {
+app.get('/classdetail/:id/attendance-mark', requireAuth, requirePermission('attendance.mark'), hasClassManagementAccess, async (req, res) => {
     try {
         const { id } = req.params;
         const foundClass = await Class.findById(id);
@@ -838,15 +1092,35 @@ app.get('/classdetail/:id/attendance-mark', requireAuth, hasClassManagementAcces
             return res.status(404).send('Class not found');
         }
         
-        // Check if user has access to this class
-        if (req.user.ROLE !== 'admin' && foundClass.CREATEDBY.toString() !== req.user._id.toString()) {
+        // Any of the class's teachers (including assistants) may take attendance
+        if (!hasTenantPermission(req.user, 'class.manage.any', foundClass) && !isClassTeacher(req.user, foundClass)) {
             return res.status(403).send('Access denied');
         }
         
         const students = await Student.find({ classId: id });
+        const timetable = await Timetable.find({ classId: id }).sort({ day: 1, startTime: 1 });
+
+        // Holidays and exam days around today, so the form can warn before submitting
+        const from = new Date();
+        from.setUTCHours(0, 0, 0, 0);
+        from.setUTCDate(from.getUTCDate() - 60);
+        const to = new Date(from);
+        to.setUTCDate(to.getUTCDate() + 120);
+        const calendarDays = listCalendarDays(await getCalendarEntries(foundClass, { from, to }), from, to);
+
+        // Opened from a pending lecture on the dashboard: that day and slot
+        const prefill = {
+            date: /^\d{4}-\d{2}-\d{2}$/.test(req.query.date || '') ? req.query.date : null,
+            slotId: timetable.some(slot => slot._id.toString() === req.query.slot) ? req.query.slot : null
+        };
+
         res.render('attendance-mark.ejs', { 
             classDetail: foundClass, 
             students: students,
+            timetable: timetable,
+            calendarDays: calendarDays,
+            prefill: prefill,
+            message: req.query.message || null,
             user: req.user
         });
     } catch (err) {
@@ -859,15 +1133,15 @@ app.get('/classdetail/:id/attendance-mark', requireAuth, hasClassManagementAcces
 app.get('/classdetail/:classId/attendance-report', requireAuth, hasClassManagementAccess, async (req, res) => {
     try {
         const { classId } = req.params;
-        const { date } = req.query;
+        const { date, session } = req.query;
         const foundClass = await Class.findById(classId);
         
         if (!foundClass) {
             return res.status(404).send('Class not found');
         }
         
-        // Check if user has access to this class
-        if (req.user.ROLE !== 'admin' && foundClass.CREATEDBY.toString() !== req.user._id.toString()) {
+        // Every teacher of the class (including assistants) can read the report
+        if (!hasTenantPermission(req.user, 'class.view.any', foundClass) && !isClassTeacher(req.user, foundClass)) {
             return res.status(403).send('Access denied');
         }
         
@@ -879,38 +1153,75 @@ app.get('/classdetail/:classId/attendance-report', requireAuth, hasClassManageme
             const endOfDay = new Date(date);
             endOfDay.setUTCHours(23, 59, 59, 999);
             
-            const attendances = await Attendance.find({
+            // A day can hold several lectures; show one session at a time
+            const sessions = await AttendanceSession.find({
                 classId,
                 date: { $gte: startOfDay, $lte: endOfDay }
-            }).populate('studentId');
+            }).populate('takenBy', 'FULLNAME').sort({ startTime: 1 });
+
+            const selectedSession = sessions.find(s => s._id.toString() === session) || sessions[0] || null;
+
+            const attendances = selectedSession
+                ? await Attendance.find({ sessionId: selectedSession._id }).populate('studentId')
+                : [];
 
-            const presentStudentIds = attendances.filter(att => att.status === 'present').map(att => att.studentId._id.toString());
-            const absentStudents = students.filter(student => !presentStudentIds.includes(student._id.toString()));
-            const totalLectures = attendances.length > 0 ? attendances[0].lectures : 0;
+            // Everyone without a non-absent mark is listed as absent
+            const attendedMarks = attendances.filter(att => att.studentId && att.status !== 'absent');
+            const attendedStudentIds = attendedMarks.map(att => att.studentId._id.toString());
+            const absentStudents = students.filter(student => !attendedStudentIds.includes(student._id.toString()));
+            const { presentCount, statusCounts } = summarizeMarks(attendedMarks);
+
+            const lockStatus = selectedSession ? getLockStatus(selectedSession, foundClass) : null;
+
+            // Edit history of the lecture on screen
+            const history = selectedSession
+                ? await getAttendanceHistory({ sessionId: selectedSession._id })
+                : [];
 
             res.render('attendance-report.ejs', {
                 reportData: {
                     class: foundClass,
                     students,
-                    attendances,
+                    attendances: attendedMarks,
                     absentStudents,
-                    totalLectures,
+                    statusCounts,
+                    weightedPresent: presentCount,
+                    sessions,
+                    selectedSession,
+                    totalLectures: sessions.length,
                     totalStudents: students.length,
-                    selectedDate: date
+                    selectedDate: date,
+                    lockStatus,
+                    lockHours: getLockHours(foundClass),
+                    history,
+                    historyTitle: 'Changes to this session'
                 },
+                message: req.query.message || null,
                 user: req.user
             });
         } else {
+            // Latest changes across the whole class
+            const history = await getAttendanceHistory({ classId: foundClass._id });
+
             res.render('attendance-report.ejs', {
                 reportData: {
                     class: foundClass,
                     students,
                     attendances: [],
                     absentStudents: [],
+                    statusCounts: {},
+                    weightedPresent: 0,
+                    sessions: [],
+                    selectedSession: null,
                     totalLectures: 0,
                     totalStudents: students.length,
-                    selectedDate: null
+                    selectedDate: null,
+                    lockStatus: null,
+                    lockHours: getLockHours(foundClass),
+                    history,
+                    historyTitle: 'Recent attendance changes in this class'
                 },
+                message: req.query.message || null,
                 user: req.user
             });
         }
@@ -920,11 +1231,11 @@ app.get('/classdetail/:classId/attendance-report', requireAuth, hasClassManageme
     }
 });
 
-// Bulk Mark Attendance
-app.post('/classdetail/:classId/markattendance-bulk', requireAuth, hasClassManagementAccess, async (req, res) => {
+// Bulk Mark Attendance for one session (lecture)
+app.post('/classdetail/:classId/markattendance-bulk', requireAuth, requirePermission('attendance.mark'), hasClassManagementAccess, async (req, res) => {
     try {
         const { classId } = req.params;
-        const { date, lectures } = req.body;
+        const { date, startTime, endTime, timetableSlot } = req.body;
         
         // Check if class exists and user has access
         const foundClass = await Class.findById(classId);
@@ -932,338 +1243,519 @@ app.post('/classdetail/:classId/markattendance-bulk', requireAuth, hasClassManag
             return res.json({ success: false, message: 'Class not found.' });
         }
         
-        if (req.user.ROLE !== 'admin' && foundClass.CREATEDBY.toString() !== req.user._id.toString()) {
+        if (!hasTenantPermission(req.user, 'class.manage.any', foundClass) && !isClassTeacher(req.user, foundClass)) {
             return res.json({ success: false, message: 'Access denied.' });
         }
         
-        const students = await Student.find({ classId: classId });
+        if (!date || !startTime || !endTime) {
+            return res.status(400).send('Date, start time and end time are required.');
+        }
         
-        // Clear existing attendance for this date
-        await Attendance.deleteMany({ 
-            classId: classId, 
-            date: { 
-                $gte: new Date(date + 'T00:00:00.000Z'), 
-                $lte: new Date(date + 'T23:59:59.999Z') 
-            } 
-        });
+        if (startTime >= endTime) {
+            return res.status(400).send('End time must be after start time.');
+        }
+        
+        // Optional link to the timetable slot this lecture was scheduled in
+        let slot = null;
+        if (timetableSlot) {
+            slot = await Timetable.findOne({ _id: timetableSlot, classId: classId });
+            if (!slot) {
+                return res.status(400).send('Timetable slot not found for this class.');
+            }
+        }
+        
+        const sessionDate = new Date(date);
+        
+        // Lectures past the lock window can only be changed after an admin unlock
+        const existingSession = await AttendanceSession.findOne({ classId: classId, date: sessionDate, startTime: startTime });
+        const lockStatus = getLockStatus(existingSession || { date: sessionDate, endTime: endTime }, foundClass);
+        if (lockStatus.isLocked) {
+            const message = `Attendance for this lecture locked on ${lockStatus.locksAt.toLocaleString()}.`;
+            return existingSession
+                ? res.redirect(`/classdetail/${classId}/attendance-report?date=${date}&session=${existingSession._id}&message=${encodeURIComponent(message + ' Request an unlock below.')}`)
+                : res.status(423).send(`${message} Ask an admin to unlock it.`);
+        }
+
+        // Holidays and days without classes refuse new lectures; ones already taken can still be corrected
+        const calendarCheck = await checkMarkingDay(foundClass, sessionDate);
+        if (calendarCheck.refused && !existingSession) {
+            return res.redirect(`/classdetail/${classId}/attendance-mark?message=${encodeURIComponent(calendarCheck.message)}`);
+        }
+        
+        // Re-submitting the same lecture updates its marks instead of wiping the whole day
+        const attendanceSession = await AttendanceSession.findOneAndUpdate(
+            { classId: classId, date: sessionDate, startTime: startTime },
+            {
+                $set: { endTime: endTime, timetableSlot: slot ? slot._id : null },
+                $setOnInsert: { takenBy: req.user._id }
+            },
+            { upsert: true, new: true }
+        );
+        
+        const students = await Student.find({ classId: classId });
+        const studentsOnLeave = await getStudentsOnLeave(students.map(s => s._id), sessionDate);
 
         // Mark attendance for each student
-        for (const student of students) {
+        const marks = students.map(student => {
             const attendanceKey = `attendance_${student._id}`;
-            const status = req.body[attendanceKey] || 'absent'; // Default to absent if not marked
+            let status = req.body[attendanceKey] || 'absent'; // Default to absent if not marked
+            if (!ATTENDANCE_STATUS_KEYS.includes(status)) {
+                status = 'absent';
+            }
+            // Approved leave turns an absence into an excused mark
+            if (status === 'absent' && studentsOnLeave.has(student._id.toString())) {
+                status = 'excused';
+            }
             
-            const newAttendance = new Attendance({
-                studentId: student._id,
-                classId: classId,
-                status: status,
-                lectures: parseInt(lectures),
-                date: new Date(date)
-            });
-            await newAttendance.save();
-        }
+            return { sessionId: attendanceSession._id, studentId: student._id, classId: classId, date: sessionDate, status: status };
+        });
+
+        // Without attendance.edit (teaching assistants) marks already recorded are left alone
+        await setAttendanceStatuses(marks, { actor: req.user, source: 'bulk', onlyIfUnmarked: !hasPermission(req.user, 'attendance.edit') });
 
-        res.redirect(`/classdetail/${classId}/attendance-report?date=${date}`);
+        const reportUrl = `/classdetail/${classId}/attendance-report?date=${date}&session=${attendanceSession._id}`;
+        res.redirect(calendarCheck.message ? `${reportUrl}&message=${encodeURIComponent(calendarCheck.message)}` : reportUrl);
     } catch (err) {
+        if (err instanceof AttendanceLockedError) {
+            return res.status(423).send(err.message);
+        }
         console.error(err);
         res.status(500).send('Failed to mark attendance.');
     }
 });
 
-// ====================== ADMIN ROUTES ====================== //
+// ====================== ROSTER IMPORT ROUTES ====================== //
 
-// Admin management routes
-app.get('/admin/users', requireAuth, requireAdmin, async (req, res) => {
-    try {
-        const users = await User.find().select('-PASSWORD').sort({ CREATEDAT: -1 });
-        res.render('admin-users', { users, user: req.user });
-    } catch (err) {
-        console.error('Error loading users:', err);
-        res.status(500).render('error', { message: 'Failed to load users', user: req.user });
-    }
+const rosterUpload = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: parseInt(process.env.MAX_FILE_SIZE) || 5242880 }
 });
 
-app.get('/admin/classes', requireAuth, requireAdmin, async (req, res) => {
-    try {
-        const classes = await Class.find().populate('CREATEDBY', 'FULLNAME USERNAME EMAIL').sort({ createdAt: -1 });
-        res.render('admin-classes', { classes, user: req.user });
-    } catch (err) {
-        console.error('Error loading classes:', err);
-        res.status(500).render('error', { message: 'Failed to load classes', user: req.user });
-    }
-});
+// The parsed roster waiting for review lives in the session until it is committed
+function getPendingRosterImport(req, classId) {
+    const pending = req.session.rosterImport;
+    return pending && pending.classId === classId.toString() ? pending : null;
+}
 
-app.get('/admin/students', requireAuth, requireAdmin, async (req, res) => {
+// Roster Import Page (upload form, or column mapping + dry-run preview)
+app.get('/classdetail/:id/import-roster', requireAuth, requirePermission('class.manage'), hasClassManagementAccess, async (req, res) => {
     try {
-        const students = await Student.find().populate('classId', 'CLASSNAME').sort({ createdAt: -1 });
-        res.render('admin-students', { students, user: req.user });
+        const foundClass = req.classDoc;
+        const pendingImport = getPendingRosterImport(req, foundClass._id);
+
+        let validation = null;
+        if (pendingImport) {
+            validation = await validateRoster(foundClass._id, pendingImport.rows, pendingImport.mapping);
+        }
+
+        res.render('roster-import', {
+            classDetail: foundClass,
+            pendingImport,
+            validation,
+            fields: ROSTER_FIELDS,
+            maxRows: MAX_IMPORT_ROWS,
+            message: req.query.imported ? `Imported ${req.query.imported} students.` : (req.query.error || null),
+            messageType: req.query.imported ? 'success' : 'danger',
+            user: req.user
+        });
     } catch (err) {
-        console.error('Error loading students:', err);
-        res.status(500).render('error', { message: 'Failed to load students', user: req.user });
+        console.error('Roster import page error:', err);
+        res.status(500).send('Server Error');
     }
 });
 
-app.get('/admin/attendance', requireAuth, requireAdmin, async (req, res) => {
+// Upload a CSV/XLSX roster and guess the column mapping
+app.post('/classdetail/:id/import-roster/upload', requireAuth, requirePermission('class.manage'), hasClassManagementAccess, (req, res, next) => {
+    rosterUpload.single('roster')(req, res, (err) => {
+        if (err) {
+            const message = err.code === 'LIMIT_FILE_SIZE' ? 'The roster file is too large.' : err.message;
+            return res.redirect(`/classdetail/${req.params.id}/import-roster?error=${encodeURIComponent(message)}`);
+        }
+        next();
+    });
+}, async (req, res) => {
+    const { id } = req.params;
     try {
-        const attendance = await Attendance.find()
-            .populate('studentId', 'NAME ROLLNUMBER')
-            .populate('classId', 'CLASSNAME')
-            .sort({ date: -1 });
-        res.render('admin-attendance', { attendance, user: req.user });
+        if (!req.file) {
+            return res.redirect(`/classdetail/${id}/import-roster?error=${encodeURIComponent('Please choose a roster file.')}`);
+        }
+
+        const { headers, rows } = await readRosterFile(req.file);
+
+        req.session.rosterImport = {
+            classId: id,
+            fileName: req.file.originalname,
+            headers,
+            rows,
+            mapping: guessMapping(headers)
+        };
+
+        res.redirect(`/classdetail/${id}/import-roster`);
     } catch (err) {
-        console.error('Error loading attendance:', err);
-        res.status(500).render('error', { message: 'Failed to load attendance', user: req.user });
+        console.error('Roster upload error:', err.message);
+        res.redirect(`/classdetail/${id}/import-roster?error=${encodeURIComponent(err.message)}`);
     }
 });
 
+// Change the column mapping and re-run the preview
+app.post('/classdetail/:id/import-roster/mapping', requireAuth, requirePermission('class.manage'), hasClassManagementAccess, (req, res) => {
+    const { id } = req.params;
+    const pendingImport = getPendingRosterImport(req, id);
+
+    if (pendingImport) {
+        ROSTER_FIELDS.forEach(field => {
+            const column = parseInt(req.body[`map_${field.key}`]);
+            pendingImport.mapping[field.key] = column >= 0 && column < pendingImport.headers.length ? column : null;
+        });
+    }
 
+    res.redirect(`/classdetail/${id}/import-roster`);
+});
 
-// Secret admin route
-app.get('/admin-panel9920867077@AdilAbullahaUroojFatir', requireAuth, requireAdmin, async (req, res) => {
+// Commit the previewed roster (all rows or none)
+app.post('/classdetail/:id/import-roster/commit', requireAuth, requirePermission('class.manage'), hasClassManagementAccess, async (req, res) => {
+    const { id } = req.params;
     try {
-        // Check if user is active
-        if (!req.user.ISACTIVE) {
-            return res.status(403).render('error', { 
-                message: 'Access Denied: Account is deactivated', 
-                user: req.user 
-            });
+        const pendingImport = getPendingRosterImport(req, id);
+        if (!pendingImport) {
+            return res.redirect(`/classdetail/${id}/import-roster?error=${encodeURIComponent('Upload a roster first.')}`);
         }
 
-        // Ensure only one admin exists
-        const adminUsers = await User.find({ ROLE: 'admin' });
-        if (adminUsers.length > 1) {
-            console.log(`⚠️  Multiple admins detected (${adminUsers.length}). Cleaning up...`);
-            const adminToKeep = adminUsers[0];
-            await User.deleteMany({ ROLE: 'admin', _id: { $ne: adminToKeep._id } });
-            console.log(`✅ Kept admin: ${adminToKeep.USERNAME}`);
+        // Validate again: the class may have changed since the preview
+        const validation = await validateRoster(req.classDoc._id, pendingImport.rows, pendingImport.mapping);
+        if (!validation.isValid) {
+            return res.redirect(`/classdetail/${id}/import-roster?error=${encodeURIComponent('Fix the highlighted rows before importing.')}`);
         }
 
-        // Fetch system statistics
-        const totalUsers = await User.countDocuments();
-        const totalClasses = await Class.countDocuments();
-        const totalStudents = await Student.countDocuments();
-        const totalAttendance = await Attendance.countDocuments();
-
-        // Fetch recent data for admin panel
-        const users = await User.find().select('-PASSWORD').sort({ CREATEDAT: -1 }).limit(5);
-        const allClasses = await Class.find().populate('CREATEDBY', 'FULLNAME USERNAME').sort({ createdAt: -1 }).limit(5);
-        const allStudents = await Student.find().populate('classId', 'CLASSNAME').sort({ createdAt: -1 }).limit(5);
-        const allAttendance = await Attendance.find()
-            .populate('studentId', 'NAME ROLLNO')
-            .populate('classId', 'CLASSNAME')
-            .sort({ date: -1 })
-            .limit(10);
-
-        // Calculate recent activity (last 7 days)
-        const sevenDaysAgo = new Date();
-        sevenDaysAgo.setDate(sevenDaysAgo.getDate() - 7);
-        
-        const recentUsers = await User.countDocuments({ CREATEDAT: { $gte: sevenDaysAgo } });
-        const recentClasses = await Class.countDocuments({ createdAt: { $gte: sevenDaysAgo } });
-        const recentStudents = await Student.countDocuments({ createdAt: { $gte: sevenDaysAgo } });
-        const recentAttendance = await Attendance.countDocuments({ date: { $gte: sevenDaysAgo } });
+        const importedCount = await commitRoster(req.classDoc._id, validation.preview);
+        delete req.session.rosterImport;
 
-        // Get teacher statistics
-        const teacherStats = await Class.aggregate([
-            {
-                $group: {
-                    _id: '$CREATEDBY',
-                    classCount: { $sum: 1 }
-                }
-            },
-            {
-                $lookup: {
-                    from: 'users',
-                    localField: '_id',
-                    foreignField: '_id',
-                    as: 'teacher'
-                }
-            },
-            {
-                $unwind: '$teacher'
-            },
-            {
-                $project: {
-                    teacherName: '$teacher.FULLNAME',
-                    teacherEmail: '$teacher.EMAIL',
-                    classCount: 1,
-                    totalStudents: 1
-                }
-            },
-            {
-                $sort: { classCount: -1 }
-            },
-            {
-                $limit: 10
-            }
-        ]);
+        console.log(`✅ Roster imported: ${importedCount} students from ${pendingImport.fileName} into ${req.classDoc.CLASSNAME}`);
 
-        res.render('admin', {
-            user: req.user,
-            totalUsers,
-            totalClasses,
-            totalStudents,
-            totalAttendance,
-            recentUsers,
-            recentClasses,
-            recentStudents,
-            recentAttendance,
-            users,
-            allClasses,
-            allStudents,
-            allAttendance,
-            teacherStats,
-            process
-        });
+        res.redirect(`/classdetail/${id}/import-roster?imported=${importedCount}`);
     } catch (err) {
-        console.error('❌ Admin panel error:', err.message);
-        res.status(500).render('error', { 
-            message: 'Failed to load admin panel', 
-            user: req.user 
-        });
+        console.error('Roster commit error:', err);
+        res.redirect(`/classdetail/${id}/import-roster?error=${encodeURIComponent('Import failed and was rolled back; no students were added.')}`);
     }
 });
 
-// Test admin route (for debugging - remove in production)
-// app.get('/test-admin', requireAuth, (req, res) => {
-//     res.json({
-//         authenticated: true,
-//         user: {
-//             username: req.user.USERNAME,
-//             role: req.user.ROLE,
-//             active: req.user.ISACTIVE
-//         }
-//     });
-// });
-
-// Emergency admin creation route (removed for security)
-// Use environment variables for emergency admin creation
-// See SECURE_DEPLOYMENT.md for setup instructions
+// Discard the pending roster
+app.post('/classdetail/:id/import-roster/cancel', requireAuth, requirePermission('class.manage'), hasClassManagementAccess, (req, res) => {
+    if (getPendingRosterImport(req, req.params.id)) {
+        delete req.session.rosterImport;
+    }
+    res.redirect(`/classdetail/${req.params.id}/import-roster`);
+});
 
-// No admin access page - completely hidden
+// ====================== GUARDIAN ROUTES ====================== //
 
-// ====================== STUDENT PORTAL ROUTES ====================== //
+// The student must be on this class's roster
+async function findClassStudent(classId, studentId) {
+    if (!mongoose.Types.ObjectId.isValid(studentId)) return null;
+    return Student.findOne({ _id: studentId, classId });
+}
 
-// Student Portal Landing Page
-app.get('/student-portal', async (req, res) => {
+// A student's guardian contacts and the alerts sent to them
+app.get('/classdetail/:id/students/:studentId/guardians', requireAuth, requirePermission('class.manage'), hasClassManagementAccess, async (req, res) => {
     try {
-        const { rollno } = req.query;
-        
-        // If rollno is provided in query (from QR code), automatically process it
-        if (rollno) {
-            const student = await Student.findOne({ ROLLNO: rollno }).populate('classId');
-            
-            if (!student) {
-                return res.render('student-portal', { 
-                    message: 'Student not found. Please check your roll number.', 
-                    messageType: 'error',
-                    rollno: rollno
-                });
-            }
-            
-            // Get attendance data
-            const attendanceRecords = await Attendance.find({ studentId: student._id }).sort({ date: -1 });
-            const totalDays = attendanceRecords.length;
-            const presentDays = attendanceRecords.filter(record => record.status === 'present').length;
-            const attendancePercentage = totalDays > 0 ? (presentDays / totalDays) * 100 : 0;
-            
-            // Get timetable
-            const timetable = await Timetable.find({ classId: student.classId._id }).sort({ day: 1, startTime: 1 });
-            
-            // Generate QR code for student portal access
-            const studentPortalUrl = `${req.protocol}://${req.get('host')}/student-portal?rollno=${student.ROLLNO}`;
-            const qrCodeDataUrl = await QRCode.toDataURL(studentPortalUrl, {
-                errorCorrectionLevel: 'M',
-                type: 'image/png',
-                quality: 0.92,
-                margin: 1,
-                color: {
-                    dark: '#667eea',
-                    light: '#FFFFFF'
-                },
-                width: 256
-            });
-            
-            return res.render('student-dashboard', {
-                student: student,
-                allStudents: [student], // Single student in array for consistency
-                classDetail: student.classId,
-                attendanceHistory: attendanceRecords,
-                allAttendanceHistory: attendanceRecords,
-                attendancePercentage: attendancePercentage,
-                presentDays: presentDays,
-                totalDays: totalDays,
-                timetable: timetable,
-                qrCode: qrCodeDataUrl,
-                portalUrl: studentPortalUrl
-            });
+        const student = await findClassStudent(req.params.id, req.params.studentId);
+        if (!student) {
+            return res.status(404).render('error', { message: 'Student not found in this class', user: req.user });
         }
-        
-        res.render('student-portal', { message: null, messageType: null, rollno: null });
-    } catch (error) {
-        console.error('Student portal GET error:', error);
-        res.render('student-portal', { 
-            message: 'An error occurred. Please try again.', 
-            messageType: 'error',
-            rollno: null
+
+        const messages = await getGuardianMessages({ studentId: student._id }, { limit: 20 });
+
+        res.render('student-guardians', {
+            classDetail: req.classDoc,
+            student,
+            messages,
+            alertsEnabled: GUARDIAN_ALERTS_ENABLED,
+            absenceStreak: GUARDIAN_ABSENCE_STREAK,
+            smsDriver: getSmsDriverName(),
+            emailEnabled: isEmailEnabled(),
+            message: req.query.message || null,
+            user: req.user
         });
+    } catch (error) {
+        console.error('Guardians page error:', error);
+        res.status(500).render('error', { message: 'Failed to load guardians', user: req.user });
     }
 });
 
-// Handle Student Portal Access
-app.post('/student-portal', async (req, res) => {
+// Add a guardian
+app.post('/classdetail/:id/students/:studentId/guardians', requireAuth, requirePermission('class.manage'), hasClassManagementAccess, async (req, res) => {
+    const { id, studentId } = req.params;
     try {
-        const { rollno } = req.body;
-        
-        if (!rollno) {
-            return res.render('student-portal', { 
-                message: 'Please enter your roll number', 
-                messageType: 'error',
-                rollno: null
-            });
+        const student = await findClassStudent(id, studentId);
+        if (!student) {
+            return res.status(404).render('error', { message: 'Student not found in this class', user: req.user });
         }
-        
-        // Find student by roll number - could be in multiple classes
-        const students = await Student.find({ ROLLNO: rollno }).populate('classId').populate('CLASSES');
-        
-        if (!students || students.length === 0) {
-            return res.render('student-portal', { 
-                message: 'Student not found. Please check your roll number.', 
-                messageType: 'error',
-                rollno: rollno
-            });
+
+        const { guardian, errors } = parseGuardianInput(req.body);
+        if (errors.length > 0) {
+            return res.redirect(`/classdetail/${id}/students/${studentId}/guardians?message=${encodeURIComponent(errors.join(' '))}`);
+        }
+
+        student.guardians.push(guardian);
+        await student.save();
+
+        res.redirect(`/classdetail/${id}/students/${studentId}/guardians?message=${encodeURIComponent('Guardian added.')}`);
+    } catch (error) {
+        console.error('Add guardian error:', error);
+        res.status(500).send('Server Error');
+    }
+});
+
+// Update a guardian's contact details and alert channels
+app.post('/classdetail/:id/students/:studentId/guardians/:guardianId', requireAuth, requirePermission('class.manage'), hasClassManagementAccess, async (req, res) => {
+    const { id, studentId, guardianId } = req.params;
+    try {
+        const student = await findClassStudent(id, studentId);
+        const existing = student && mongoose.Types.ObjectId.isValid(guardianId) ? student.guardians.id(guardianId) : null;
+        if (!existing) {
+            return res.status(404).render('error', { message: 'Guardian not found', user: req.user });
+        }
+
+        const { guardian, errors } = parseGuardianInput(req.body);
+        if (errors.length > 0) {
+            return res.redirect(`/classdetail/${id}/students/${studentId}/guardians?message=${encodeURIComponent(errors.join(' '))}`);
+        }
+
+        existing.set(guardian);
+        await student.save();
+
+        res.redirect(`/classdetail/${id}/students/${studentId}/guardians?message=${encodeURIComponent('Guardian updated.')}`);
+    } catch (error) {
+        console.error('Update guardian error:', error);
+        res.status(500).send('Server Error');
+    }
+});
+
+// Remove a guardian (their message log is kept)
+app.post('/classdetail/:id/students/:studentId/guardians/:guardianId/delete', requireAuth, requirePermission('class.manage'), hasClassManagementAccess, async (req, res) => {
+    const { id, studentId, guardianId } = req.params;
+    try {
+        const student = await findClassStudent(id, studentId);
+        const existing = student && mongoose.Types.ObjectId.isValid(guardianId) ? student.guardians.id(guardianId) : null;
+        if (!existing) {
+            return res.status(404).render('error', { message: 'Guardian not found', user: req.user });
         }
+
+        existing.deleteOne();
+        await student.save();
+
+        res.redirect(`/classdetail/${id}/students/${studentId}/guardians?message=${encodeURIComponent('Guardian removed.')}`);
+    } catch (error) {
+        console.error('Delete guardian error:', error);
+        res.status(500).send('Server Error');
+    }
+});
+
+// Every guardian SMS and email, for the admin
+app.get('/admin/guardian-messages', requireAuth, requireAdmin, async (req, res) => {
+    try {
+        const pageSize = 50;
+        const page = Math.max(parseInt(req.query.page) || 1, 1);
+        const { channel, status, reason } = req.query;
+
+        const filter = {};
+        if (['sms', 'email'].includes(channel)) filter.channel = channel;
+        if (['pending', 'sent', 'queued', 'failed'].includes(status)) filter.status = status;
+        if (['absence-streak', 'low-attendance'].includes(reason)) filter.reason = reason;
+        Object.assign(filter, await getTenantClassFilter(req.user));
+
+        const [messages, totalMessages] = await Promise.all([
+            getGuardianMessages(filter, { limit: pageSize, skip: (page - 1) * pageSize }),
+            GuardianMessage.countDocuments(filter)
+        ]);
+
+        res.render('admin-guardian-messages', {
+            messages,
+            filters: { channel: filter.channel || '', status: filter.status || '', reason: filter.reason || '' },
+            page,
+            totalPages: Math.max(Math.ceil(totalMessages / pageSize), 1),
+            totalMessages,
+            alertsEnabled: GUARDIAN_ALERTS_ENABLED,
+            absenceStreak: GUARDIAN_ABSENCE_STREAK,
+            smsDriver: getSmsDriverName(),
+            user: req.user
+        });
+    } catch (error) {
+        console.error('Guardian messages page error:', error);
+        res.status(500).render('error', { message: 'Failed to load guardian messages', user: req.user });
+    }
+});
+
+// ====================== LIVE QR CHECK-IN ROUTES ====================== //
+
+// Close a live check-in and mark everyone who did not scan as absent (or excused when on leave)
+async function finalizeCheckIn(attendanceSession, closedBy = null) {
+    const students = await Student.find({ classId: attendanceSession.classId });
+    const studentsOnLeave = await getStudentsOnLeave(students.map(s => s._id), attendanceSession.date);
+    
+    // A check-in left open past the lock window is closed without filling in absences
+    const lockedSessions = await findLockedSessions([attendanceSession._id]);
+    if (lockedSessions.length === 0) {
+        const marks = students.map(student => ({
+            sessionId: attendanceSession._id,
+            studentId: student._id,
+            classId: attendanceSession.classId,
+            date: attendanceSession.date,
+            status: studentsOnLeave.has(student._id.toString()) ? 'excused' : 'absent'
+        }));
+        await setAttendanceStatuses(marks, { actor: closedBy, source: 'qr', onlyIfUnmarked: true });
+    }
+    
+    await AttendanceSession.updateOne(
+        { _id: attendanceSession._id },
+        { $set: { 'checkIn.isOpen': false }, $unset: { 'checkIn.secret': '' } }
+    );
+}
+
+// Live Check-in Landing Page (start a check-in or resume an open one)
+app.get('/classdetail/:id/live-checkin', requireAuth, requirePermission('attendance.mark'), hasClassManagementAccess, async (req, res) => {
+    try {
+        const { id } = req.params;
+        const foundClass = req.classDoc;
         
-        // If student is in multiple classes, show class selection
-        if (students.length > 1) {
-            return res.render('student-class-selection', {
-                students: students,
-                rollno: rollno
-            });
+        const openSessions = await AttendanceSession.find({
+            classId: id,
+            'checkIn.isOpen': true,
+            'checkIn.expiresAt': { $gt: new Date() }
+        }).sort({ date: -1, startTime: -1 });
+        
+        const timetable = await Timetable.find({ classId: id }).sort({ day: 1, startTime: 1 });
+        
+        res.render('live-checkin', {
+            classDetail: foundClass,
+            openSessions: openSessions,
+            timetable: timetable,
+            activeSession: null,
+            message: req.query.error || null,
+            messageType: req.query.error ? 'danger' : null,
+            user: req.user
+        });
+    } catch (err) {
+        console.error('Live check-in page error:', err);
+        res.status(500).send('Server Error');
+    }
+});
+
+// Start a Live Check-in for today's lecture
+app.post('/classdetail/:id/live-checkin/start', requireAuth, requirePermission('attendance.mark'), hasClassManagementAccess, async (req, res) => {
+    try {
+        const { id } = req.params;
+        const { startTime, endTime, timetableSlot } = req.body;
+        
+        if (!startTime || !endTime || startTime >= endTime) {
+            return res.redirect(`/classdetail/${id}/live-checkin?error=Please provide a valid start and end time`);
+        }
+        
+        // Check-in is only possible for today's lecture, while it is running.
+        // It closes when the lecture ends, the moment the lock window counts from.
+        const today = getZonedToday();
+        const expiresAt = getSessionEnd({ date: today, endTime });
+        if (expiresAt <= new Date()) {
+            return res.redirect(`/classdetail/${id}/live-checkin?error=This session has already ended`);
         }
         
-        // Single class - proceed with original logic
-        const student = students[0];
+        const calendarCheck = await checkMarkingDay(req.classDoc, today);
+        if (calendarCheck.refused && !(await AttendanceSession.exists({ classId: id, date: today, startTime: startTime }))) {
+            return res.redirect(`/classdetail/${id}/live-checkin?error=${encodeURIComponent(calendarCheck.message)}`);
+        }
         
-        // Get attendance data for all classes this student is in
-        const allAttendanceRecords = await Attendance.find({ 
-            studentId: { $in: students.map(s => s._id) } 
-        }).populate('studentId').sort({ date: -1 });
-        
-        // Get attendance for primary class
-        const primaryAttendanceRecords = await Attendance.find({ studentId: student._id }).sort({ date: -1 });
-        const totalDays = primaryAttendanceRecords.length;
-        const presentDays = primaryAttendanceRecords.filter(record => record.status === 'present').length;
-        const attendancePercentage = totalDays > 0 ? (presentDays / totalDays) * 100 : 0;
-        
-        // Get timetables for all classes
-        const allClassIds = students.map(s => s.classId._id);
-        const allTimetables = await Timetable.find({ 
-            classId: { $in: allClassIds } 
-        }).populate('classId').sort({ day: 1, startTime: 1 });
-        
-        // Generate QR code for student portal access
-        const studentPortalUrl = `${req.protocol}://${req.get('host')}/student-portal?rollno=${student.ROLLNO}`;
-        const qrCodeDataUrl = await QRCode.toDataURL(studentPortalUrl, {
+        let slot = null;
+        if (timetableSlot) {
+            slot = await Timetable.findOne({ _id: timetableSlot, classId: id });
+            if (!slot) {
+                return res.redirect(`/classdetail/${id}/live-checkin?error=Timetable slot not found`);
+            }
+        }
+        
+        const attendanceSession = await AttendanceSession.findOneAndUpdate(
+            { classId: id, date: today, startTime: startTime },
+            {
+                $set: {
+                    endTime: endTime,
+                    timetableSlot: slot ? slot._id : null,
+                    'checkIn.isOpen': true,
+                    'checkIn.secret': generateCheckInSecret(),
+                    'checkIn.openedAt': new Date(),
+                    'checkIn.expiresAt': expiresAt
+                },
+                $setOnInsert: { takenBy: req.user._id }
+            },
+            { upsert: true, new: true }
+        );
+        
+        console.log(`✅ Live check-in opened for ${req.classDoc.CLASSNAME} (${startTime}-${endTime}) by ${req.user.USERNAME}`);
+        
+        res.redirect(`/classdetail/${id}/live-checkin/${attendanceSession._id}`);
+    } catch (err) {
+        console.error('Start live check-in error:', err);
+        res.redirect(`/classdetail/${req.params.id}/live-checkin?error=Failed to start check-in`);
+    }
+});
+
+// Live Check-in Screen (shown on the projector)
+app.get('/classdetail/:id/live-checkin/:sessionId', requireAuth, requirePermission('attendance.mark'), hasClassManagementAccess, async (req, res) => {
+    try {
+        const { id, sessionId } = req.params;
+        
+        const attendanceSession = await AttendanceSession.findOne({ _id: sessionId, classId: id });
+        if (!attendanceSession) {
+            return res.status(404).render('error', { message: 'Attendance session not found', user: req.user });
+        }
+        
+        res.render('live-checkin', {
+            classDetail: req.classDoc,
+            openSessions: [],
+            timetable: [],
+            activeSession: attendanceSession,
+            message: null,
+            messageType: null,
+            user: req.user
+        });
+    } catch (err) {
+        console.error('Live check-in screen error:', err);
+        res.status(500).send('Server Error');
+    }
+});
+
+// Current QR Code for a Live Check-in (polled by the check-in screen)
+app.get('/classdetail/:id/live-checkin/:sessionId/token', requireAuth, requirePermission('attendance.mark'), hasClassManagementAccess, async (req, res) => {
+    try {
+        const { id, sessionId } = req.params;
+        
+        const attendanceSession = await AttendanceSession.findOne({ _id: sessionId, classId: id }).select('+checkIn.secret');
+        if (!attendanceSession) {
+            return res.status(404).json({ success: false, message: 'Attendance session not found' });
+        }
+        
+        // The check-in expires with the session
+        if (attendanceSession.checkIn.isOpen && attendanceSession.checkIn.expiresAt <= new Date()) {
+            await finalizeCheckIn(attendanceSession);
+            attendanceSession.checkIn.isOpen = false;
+        }
+        
+        const presentMarks = await Attendance.find({ sessionId: attendanceSession._id, status: 'present' })
+            .populate('studentId', 'NAME ROLLNO');
+        const totalStudents = await Student.countDocuments({ classId: id });
+        
+        if (!attendanceSession.checkIn.isOpen) {
+            return res.json({
+                success: true,
+                isOpen: false,
+                presentCount: presentMarks.length,
+                totalStudents: totalStudents,
+                presentStudents: presentMarks.map(mark => ({ name: mark.studentId.NAME, rollno: mark.studentId.ROLLNO }))
+            });
+        }
+        
+        const now = Date.now();
+        const token = generateCheckInToken(attendanceSession, now);
+        const checkInUrl = `${req.protocol}://${req.get('host')}/checkin/${attendanceSession._id}?t=${encodeURIComponent(token)}`;
+        const qrCodeDataUrl = await QRCode.toDataURL(checkInUrl, {
             errorCorrectionLevel: 'M',
             type: 'image/png',
             quality: 0.92,
@@ -1272,106 +1764,1949 @@ app.post('/student-portal', async (req, res) => {
                 dark: '#667eea',
                 light: '#FFFFFF'
             },
-            width: 256
+            width: 320
         });
         
-        res.render('student-dashboard', {
-            student: student,
-            allStudents: students, // All student records for this roll number
-            classDetail: student.classId,
-            attendanceHistory: primaryAttendanceRecords,
-            allAttendanceHistory: allAttendanceRecords,
-            attendancePercentage: attendancePercentage,
-            presentDays: presentDays,
-            totalDays: totalDays,
-            timetable: allTimetables,
+        res.json({
+            success: true,
+            isOpen: true,
             qrCode: qrCodeDataUrl,
-            portalUrl: studentPortalUrl
-        });
-    } catch (error) {
-        console.error('Student portal error:', error);
-        res.render('student-portal', { 
-            message: 'An error occurred. Please try again.', 
-            messageType: 'error',
-            rollno: null
+            rotatesIn: getSecondsUntilRotation(now),
+            expiresAt: attendanceSession.checkIn.expiresAt,
+            presentCount: presentMarks.length,
+            totalStudents: totalStudents,
+            presentStudents: presentMarks.map(mark => ({ name: mark.studentId.NAME, rollno: mark.studentId.ROLLNO }))
         });
+    } catch (err) {
+        console.error('Live check-in token error:', err);
+        res.status(500).json({ success: false, message: 'Failed to generate check-in code' });
     }
 });
 
-// Individual Student Dashboard (for multi-class students) - Public access for students
-app.get('/student-dashboard/:studentId', async (req, res) => {
+// Close a Live Check-in
+app.post('/classdetail/:id/live-checkin/:sessionId/close', requireAuth, requirePermission('attendance.mark'), hasClassManagementAccess, async (req, res) => {
     try {
-        const { studentId } = req.params;
+        const { id, sessionId } = req.params;
         
-        // Find the specific student record
-        const student = await Student.findById(studentId).populate('classId');
-        
-        if (!student) {
-            return res.status(404).render('error', {
-                message: 'Student record not found',
-                user: null
-            });
+        const attendanceSession = await AttendanceSession.findOne({ _id: sessionId, classId: id });
+        if (!attendanceSession) {
+            return res.status(404).send('Attendance session not found');
         }
         
-        // Find all student records with the same roll number
-        const allStudents = await Student.find({ ROLLNO: student.ROLLNO }).populate('classId');
+        await finalizeCheckIn(attendanceSession, req.user);
         
-        // Get attendance data for this specific student
-        const attendanceRecords = await Attendance.find({ studentId: student._id }).sort({ date: -1 });
-        const totalDays = attendanceRecords.length;
-        const presentDays = attendanceRecords.filter(record => record.status === 'present').length;
-        const attendancePercentage = totalDays > 0 ? (presentDays / totalDays) * 100 : 0;
+        const date = attendanceSession.date.toISOString().slice(0, 10);
+        res.redirect(`/classdetail/${id}/attendance-report?date=${date}&session=${attendanceSession._id}`);
+    } catch (err) {
+        console.error('Close live check-in error:', err);
+        res.status(500).send('Failed to close check-in.');
+    }
+});
+
+// Student Check-in Page (opened by scanning the live QR code)
+app.get('/checkin/:sessionId', requireAuth, requireStudent, async (req, res) => {
+    try {
+        const { sessionId } = req.params;
+        const token = req.query.t;
         
-        // Get attendance for all classes this student is in
-        const allAttendanceRecords = await Attendance.find({ 
-            studentId: { $in: allStudents.map(s => s._id) } 
-        }).populate('studentId').sort({ date: -1 });
+        const attendanceSession = await AttendanceSession.findById(sessionId).select('+checkIn.secret').populate('classId', 'CLASSNAME SUBJECT');
+        if (!attendanceSession) {
+            return res.status(404).render('student-checkin', { attendanceSession: null, token: null, message: 'Check-in session not found.', messageType: 'danger', checkedIn: false, user: req.user });
+        }
         
-        // Get timetables for all classes
-        const allClassIds = allStudents.map(s => s.classId._id);
-        const allTimetables = await Timetable.find({ 
-            classId: { $in: allClassIds } 
-        }).populate('classId').sort({ day: 1, startTime: 1 });
+        const verification = verifyCheckInToken(attendanceSession, token);
         
-        // Generate QR code for student portal access
-        const studentPortalUrl = `${req.protocol}://${req.get('host')}/student-portal?rollno=${student.ROLLNO}`;
-        const qrCodeDataUrl = await QRCode.toDataURL(studentPortalUrl, {
-            errorCorrectionLevel: 'M',
-            type: 'image/png',
-            quality: 0.92,
-            margin: 1,
-            color: {
-                dark: '#667eea',
-                light: '#FFFFFF'
-            },
-            width: 256
+        res.render('student-checkin', {
+            attendanceSession: attendanceSession,
+            token: verification.valid ? token : null,
+            message: verification.valid ? null : verification.reason,
+            messageType: verification.valid ? null : 'danger',
+            checkedIn: false,
+            user: req.user
         });
+    } catch (err) {
+        console.error('Student check-in page error:', err);
+        res.status(500).render('student-checkin', { attendanceSession: null, token: null, message: 'An error occurred. Please try again.', messageType: 'danger', checkedIn: false, user: req.user });
+    }
+});
+
+// Handle Student Check-in
+app.post('/checkin/:sessionId', requireAuth, requireStudent, async (req, res) => {
+    try {
+        const { sessionId } = req.params;
+        const { token } = req.body;
         
-        res.render('student-dashboard', {
-            student: student,
-            allStudents: allStudents,
-            classDetail: student.classId,
-            attendanceHistory: attendanceRecords,
-            allAttendanceHistory: allAttendanceRecords,
-            attendancePercentage: attendancePercentage,
-            presentDays: presentDays,
-            totalDays: totalDays,
-            timetable: allTimetables,
-            qrCode: qrCodeDataUrl,
-            portalUrl: studentPortalUrl
+        const attendanceSession = await AttendanceSession.findById(sessionId).select('+checkIn.secret').populate('classId', 'CLASSNAME SUBJECT');
+        if (!attendanceSession) {
+            return res.status(404).render('student-checkin', { attendanceSession: null, token: null, message: 'Check-in session not found.', messageType: 'danger', checkedIn: false, user: req.user });
+        }
+        
+        const renderCheckin = (message, messageType, checkedIn = false) => res.render('student-checkin', {
+            attendanceSession: attendanceSession,
+            token: checkedIn ? null : token,
+            message: message,
+            messageType: messageType,
+            checkedIn: checkedIn,
+            user: req.user
+        });
+        
+        // The code must still be the one on screen when the form is submitted
+        const verification = verifyCheckInToken(attendanceSession, token);
+        if (!verification.valid) {
+            return renderCheckin(verification.reason, 'danger');
+        }
+        
+        // The logged-in account checks in its own enrolment only
+        const student = await Student.findOne({ classId: attendanceSession.classId._id, userId: req.user._id });
+        if (!student) {
+            return renderCheckin('Your account is not linked to a student in this class.', 'danger');
+        }
+        
+        try {
+            await setAttendanceStatus(
+                { sessionId: attendanceSession._id, studentId: student._id, classId: attendanceSession.classId._id, date: attendanceSession.date, status: 'present' },
+                { actor: req.user, source: 'qr' }
+            );
+        } catch (lockError) {
+            if (lockError instanceof AttendanceLockedError) {
+                return renderCheckin(lockError.message, 'danger');
+            }
+            throw lockError;
+        }
+        
+        console.log(`✅ QR check-in: ${student.NAME} (${student.ROLLNO}) for ${attendanceSession.classId.CLASSNAME}`);
+        
+        renderCheckin(`You are marked present, ${student.NAME}.`, 'success', true);
+    } catch (err) {
+        console.error('Student check-in error:', err);
+        res.status(500).render('student-checkin', { attendanceSession: null, token: null, message: 'Failed to check in. Please try again.', messageType: 'danger', checkedIn: false, user: req.user });
+    }
+});
+
+// ====================== LEAVE REQUEST ROUTES ====================== //
+
+const LEAVE_UPLOAD_DIR = path.join(__dirname, 'uploads', 'leave-requests');
+const LEAVE_ATTACHMENT_TYPES = ['application/pdf', 'image/jpeg', 'image/png'];
+
+const leaveUpload = multer({
+    storage: multer.diskStorage({
+        destination: (req, file, cb) => {
+            fs.mkdir(LEAVE_UPLOAD_DIR, { recursive: true }, (err) => cb(err, LEAVE_UPLOAD_DIR));
+        },
+        filename: (req, file, cb) => {
+            cb(null, `${Date.now()}-${Math.round(Math.random() * 1e9)}${path.extname(file.originalname).toLowerCase()}`);
+        }
+    }),
+    limits: { fileSize: parseInt(process.env.MAX_FILE_SIZE) || 5242880 },
+    fileFilter: (req, file, cb) => {
+        if (!LEAVE_ATTACHMENT_TYPES.includes(file.mimetype)) {
+            return cb(new Error('Attachment must be a PDF, JPG or PNG file.'));
+        }
+        cb(null, true);
+    }
+});
+
+// Classes a teacher may review leave for (admins and HODs review their whole organization or department)
+async function getReviewableClassIds(user) {
+    if (hasPermission(user, 'class.view.any')) {
+        return Class.find(getTenantFilter(user)).distinct('_id');
+    }
+    return Class.find({ $or: [{ CREATEDBY: user._id }, { TEACHERS: user._id }] }).distinct('_id');
+}
+
+// Load a leave request the current user is allowed to review
+async function findReviewableLeaveRequest(user, leaveRequestId) {
+    if (!mongoose.Types.ObjectId.isValid(leaveRequestId)) {
+        return null;
+    }
+
+    const classIds = await getReviewableClassIds(user);
+    const studentIds = await Student.find({ classId: { $in: classIds } }).distinct('_id');
+
+    return LeaveRequest.findOne({ _id: leaveRequestId, students: { $in: studentIds } });
+}
+
+// Student Leave Requests Page (history and apply form)
+app.get('/student-dashboard/:studentId/leave', requireAuth, requireStudent, requireOwnStudentRecord, async (req, res) => {
+    try {
+        const student = req.studentDoc;
+
+        const leaveRequests = await LeaveRequest.find({ students: student._id })
+            .populate('reviewedBy', 'FULLNAME')
+            .sort({ createdAt: -1 });
+
+        res.render('student-leave', {
+            student,
+            leaveRequests,
+            message: req.query.success ? 'Leave request submitted. Your teacher will review it.' : null,
+            messageType: 'success'
+        });
+    } catch (error) {
+        console.error('Student leave page error:', error);
+        res.status(500).render('error', {
+            message: 'An error occurred while loading leave requests',
+            user: req.user
+        });
+    }
+});
+
+// Submit a Leave Request
+app.post('/student-dashboard/:studentId/leave', requireAuth, requireStudent, requireOwnStudentRecord, (req, res, next) => {
+    leaveUpload.single('attachment')(req, res, (err) => {
+        req.uploadError = err ? (err.code === 'LIMIT_FILE_SIZE' ? 'Attachment is too large.' : err.message) : null;
+        next();
+    });
+}, async (req, res) => {
+    try {
+        const student = req.studentDoc;
+
+        const renderError = async (message) => {
+            if (req.file) {
+                fs.unlink(req.file.path, () => {});
+            }
+            const leaveRequests = await LeaveRequest.find({ students: student._id })
+                .populate('reviewedBy', 'FULLNAME')
+                .sort({ createdAt: -1 });
+            res.status(400).render('student-leave', { student, leaveRequests, message, messageType: 'danger' });
+        };
+
+        if (req.uploadError) {
+            return renderError(req.uploadError);
+        }
+
+        const { fromDate, toDate, reason } = req.body;
+
+        if (!fromDate || !toDate || !reason || !reason.trim()) {
+            return renderError('Please provide the leave dates and a reason.');
+        }
+
+        if (fromDate > toDate) {
+            return renderError('Leave must end on or after its start date.');
+        }
+
+        // One request covers every class the student is enrolled in
+        const enrolments = await getLinkedStudents(req.user);
+
+        const leaveRequest = new LeaveRequest({
+            rollNo: student.ROLLNO,
+            studentName: student.NAME,
+            students: enrolments.map(s => s._id),
+            fromDate: new Date(fromDate),
+            toDate: new Date(toDate),
+            reason: reason.trim()
+        });
+
+        if (req.file) {
+            leaveRequest.attachment = {
+                fileName: req.file.filename,
+                originalName: req.file.originalname,
+                mimeType: req.file.mimetype,
+                size: req.file.size
+            };
+        }
+
+        await leaveRequest.save();
+
+        console.log(`✅ Leave request submitted by ${student.NAME} (${student.ROLLNO}) for ${fromDate} to ${toDate}`);
+
+        res.redirect(`/student-dashboard/${student._id}/leave?success=1`);
+    } catch (error) {
+        console.error('Leave request submit error:', error);
+        res.status(500).render('error', {
+            message: 'Failed to submit leave request',
+            user: req.user
+        });
+    }
+});
+
+// Teacher Leave Requests Queue
+app.get('/leave-requests', requireAuth, requirePermission('leave.review'), async (req, res) => {
+    try {
+        const classIds = await getReviewableClassIds(req.user);
+        const studentIds = await Student.find({ classId: { $in: classIds } }).distinct('_id');
+        const status = ['pending', 'approved', 'rejected'].includes(req.query.status) ? req.query.status : 'pending';
+
+        const leaveRequests = await LeaveRequest.find({ status, students: { $in: studentIds } })
+            .populate({ path: 'students', select: 'classId', populate: { path: 'classId', select: 'CLASSNAME SUBJECT' } })
+            .populate('reviewedBy', 'FULLNAME')
+            .sort(status === 'pending' ? { fromDate: 1 } : { reviewedAt: -1 })
+            .limit(200);
+
+        res.render('leave-requests', {
+            leaveRequests,
+            status,
+            message: req.query.message || null,
+            user: req.user
+        });
+    } catch (error) {
+        console.error('Leave requests queue error:', error);
+        res.status(500).send('Server Error');
+    }
+});
+
+// Download a Leave Request Attachment
+app.get('/leave-requests/:id/attachment', requireAuth, requirePermission('leave.review'), async (req, res) => {
+    try {
+        const leaveRequest = await findReviewableLeaveRequest(req.user, req.params.id);
+
+        if (!leaveRequest || !leaveRequest.attachment || !leaveRequest.attachment.fileName) {
+            return res.status(404).send('Attachment not found');
+        }
+
+        res.download(path.join(LEAVE_UPLOAD_DIR, leaveRequest.attachment.fileName), leaveRequest.attachment.originalName);
+    } catch (error) {
+        console.error('Leave attachment error:', error);
+        res.status(500).send('Server Error');
+    }
+});
+
+// Approve or Reject a Leave Request
+app.post('/leave-requests/:id/:decision(approve|reject)', requireAuth, requirePermission('leave.review'), async (req, res) => {
+    try {
+        const { decision } = req.params;
+        const leaveRequest = await findReviewableLeaveRequest(req.user, req.params.id);
+
+        if (!leaveRequest) {
+            return res.status(404).send('Leave request not found');
+        }
+
+        if (leaveRequest.status !== 'pending') {
+            return res.redirect(`/leave-requests?message=${encodeURIComponent('That request has already been reviewed.')}`);
+        }
+
+        leaveRequest.status = decision === 'approve' ? 'approved' : 'rejected';
+        leaveRequest.reviewedBy = req.user._id;
+        leaveRequest.reviewedAt = new Date();
+        leaveRequest.reviewNote = req.body.reviewNote || undefined;
+        await leaveRequest.save();
+
+        let message = `Leave request for ${leaveRequest.studentName} rejected.`;
+        if (leaveRequest.status === 'approved') {
+            const { updatedCount, lockedCount } = await applyApprovedLeave(leaveRequest, req.user);
+            message = `Leave request for ${leaveRequest.studentName} approved; ${updatedCount} absence(s) marked as excused.`;
+            if (lockedCount > 0) {
+                message += ` ${lockedCount} absence(s) in locked sessions were not changed.`;
+            }
+        }
+
+        console.log(`✅ ${message} (by ${req.user.USERNAME})`);
+
+        const redirectTo = req.body.returnTo === 'dashboard' ? '/dashboard' : '/leave-requests';
+        res.redirect(`${redirectTo}?message=${encodeURIComponent(message)}`);
+    } catch (error) {
+        console.error('Leave request review error:', error);
+        res.status(500).send('Server Error');
+    }
+});
+
+// ====================== ATTENDANCE LOCK ROUTES ====================== //
+
+// Teacher asks an admin to unlock a locked session
+app.post('/classdetail/:classId/attendance-report/:sessionId/unlock-request', requireAuth, requirePermission('attendance.edit'), hasClassManagementAccess, async (req, res) => {
+    const { classId, sessionId } = req.params;
+    try {
+        const attendanceSession = await AttendanceSession.findOne({ _id: sessionId, classId: classId });
+        if (!attendanceSession) {
+            return res.status(404).send('Attendance session not found');
+        }
+
+        const reportUrl = `/classdetail/${classId}/attendance-report?date=${attendanceSession.date.toISOString().slice(0, 10)}&session=${sessionId}`;
+        const reason = (req.body.reason || '').trim();
+
+        if (!getLockStatus(attendanceSession, req.classDoc).isLocked) {
+            return res.redirect(`${reportUrl}&message=${encodeURIComponent('This session is not locked.')}`);
+        }
+        if (!reason) {
+            return res.redirect(`${reportUrl}&message=${encodeURIComponent('Please give a reason for the unlock request.')}`);
+        }
+
+        attendanceSession.unlock = {
+            status: 'pending',
+            requestedBy: req.user._id,
+            requestedAt: new Date(),
+            reason: reason.slice(0, 500)
+        };
+        await attendanceSession.save();
+
+        console.log(`✅ Unlock requested for session ${sessionId} by ${req.user.USERNAME}`);
+
+        res.redirect(`${reportUrl}&message=${encodeURIComponent('Unlock requested. An admin will review it.')}`);
+    } catch (error) {
+        console.error('Unlock request error:', error);
+        res.status(500).send('Server Error');
+    }
+});
+
+// Lock policy, per-class overrides and pending unlock requests
+app.get('/admin/attendance-locks', requireAuth, requirePermission('attendance.unlock'), async (req, res) => {
+    try {
+        const [pendingSessions, classes] = await Promise.all([
+            AttendanceSession.find({ 'unlock.status': 'pending', ...await getTenantClassFilter(req.user) })
+                .populate('classId', 'CLASSNAME SUBJECT attendanceLockHours')
+                .populate('unlock.requestedBy', 'FULLNAME USERNAME')
+                .sort({ 'unlock.requestedAt': 1 }),
+            Class.find(getTenantFilter(req.user)).select('CLASSNAME SUBJECT attendanceLockHours').sort({ CLASSNAME: 1 })
+        ]);
+
+        res.render('admin-attendance-locks', {
+            pendingSessions,
+            classes,
+            defaultLockHours: ATTENDANCE_LOCK_HOURS,
+            unlockHours: ATTENDANCE_UNLOCK_HOURS,
+            message: req.query.message || null,
+            user: req.user
+        });
+    } catch (error) {
+        console.error('Attendance locks page error:', error);
+        res.status(500).render('error', { message: 'Failed to load attendance locks', user: req.user });
+    }
+});
+
+// Approve (unlock for ATTENDANCE_UNLOCK_HOURS) or reject an unlock; admins may also unlock directly
+app.post('/admin/attendance-locks/:sessionId/:decision(approve|reject)', requireAuth, requirePermission('attendance.unlock'), async (req, res) => {
+    try {
+        const { sessionId, decision } = req.params;
+        const attendanceSession = await AttendanceSession.findById(sessionId).populate('classId', 'CLASSNAME organizationId departmentId archivedAt');
+        if (!attendanceSession || !attendanceSession.classId || !isWithinTenant(req.user, attendanceSession.classId)) {
+            return res.status(404).send('Attendance session not found');
+        }
+        if (attendanceSession.classId.archivedAt) {
+            return res.status(409).send(`${attendanceSession.classId.CLASSNAME} belongs to an archived term and is read-only.`);
+        }
+        attendanceSession.depopulate('classId');
+
+        const now = new Date();
+        attendanceSession.unlock = {
+            status: decision === 'approve' ? 'approved' : 'rejected',
+            requestedBy: attendanceSession.unlock && attendanceSession.unlock.requestedBy,
+            requestedAt: attendanceSession.unlock && attendanceSession.unlock.requestedAt,
+            reason: attendanceSession.unlock && attendanceSession.unlock.reason,
+            reviewedBy: req.user._id,
+            reviewedAt: now,
+            unlockedUntil: decision === 'approve' ? new Date(now.getTime() + ATTENDANCE_UNLOCK_HOURS * 60 * 60 * 1000) : undefined
+        };
+        await attendanceSession.save();
+
+        logAdminAction(decision === 'approve' ? 'ATTENDANCE_UNLOCKED' : 'ATTENDANCE_UNLOCK_REJECTED', {
+            sessionId: attendanceSession._id,
+            classId: attendanceSession.classId,
+            unlockedUntil: attendanceSession.unlock.unlockedUntil
+        }, req);
+
+        const message = decision === 'approve'
+            ? `Session unlocked for ${ATTENDANCE_UNLOCK_HOURS} hours.`
+            : 'Unlock request rejected.';
+
+        if (req.body.returnTo === 'report') {
+            const date = attendanceSession.date.toISOString().slice(0, 10);
+            return res.redirect(`/classdetail/${attendanceSession.classId}/attendance-report?date=${date}&session=${attendanceSession._id}&message=${encodeURIComponent(message)}`);
+        }
+        res.redirect(`/admin/attendance-locks?message=${encodeURIComponent(message)}`);
+    } catch (error) {
+        console.error('Unlock review error:', error);
+        res.status(500).send('Server Error');
+    }
+});
+
+// Set or clear a class's own lock window
+app.post('/admin/attendance-locks/class/:classId', requireAuth, requirePermission('attendance.unlock'), async (req, res) => {
+    try {
+        const value = String(req.body.lockHours || '').trim();
+        const lockHours = value === '' ? null : parseInt(value, 10);
+
+        if (lockHours !== null && (isNaN(lockHours) || lockHours < 0)) {
+            return res.redirect(`/admin/attendance-locks?message=${encodeURIComponent('Lock window must be a whole number of hours (0 = never lock).')}`);
+        }
+
+        const classDoc = await Class.findOneAndUpdate(
+            { _id: req.params.classId, ...getTenantFilter(req.user) },
+            { $set: { attendanceLockHours: lockHours } },
+            { new: true }
+        );
+        if (!classDoc) {
+            return res.status(404).send('Class not found');
+        }
+
+        logAdminAction('ATTENDANCE_LOCK_POLICY_CHANGED', { classId: classDoc._id, attendanceLockHours: lockHours }, req);
+
+        let message = `${classDoc.CLASSNAME} now locks attendance after ${lockHours} hours.`;
+        if (lockHours === null) message = `${classDoc.CLASSNAME} now uses the default lock window.`;
+        if (lockHours === 0) message = `${classDoc.CLASSNAME} no longer locks attendance.`;
+        res.redirect(`/admin/attendance-locks?message=${encodeURIComponent(message)}`);
+    } catch (error) {
+        console.error('Lock policy update error:', error);
+        res.status(500).send('Server Error');
+    }
+});
+
+// ====================== API TOKEN ROUTES ====================== //
+
+// Token-authenticated JSON API for integrations
+app.use('/api/v1', apiV1Router);
+
+// Tokens the user may see and revoke: their own, or for admins every token of
+// the users in their organization
+const getApiTokenFilter = async (user) => {
+    if (!hasPermission(user, 'admin.access')) {
+        return { userId: user._id };
+    }
+    if (isServerWide(user)) {
+        return {};
+    }
+    return { userId: { $in: await User.find(getTenantFilter(user)).distinct('_id') } };
+};
+
+const renderApiTokens = async (req, res, extra = {}) => {
+    const filter = await getApiTokenFilter(req.user);
+    const tokens = await ApiToken.find(filter)
+        .populate('userId', 'FULLNAME USERNAME')
+        .sort({ createdAt: -1 });
+
+    res.render('api-tokens', {
+        tokens,
+        scopes: API_SCOPES,
+        expiryDays: API_TOKEN_EXPIRY_DAYS,
+        getApiTokenState,
+        newToken: null,
+        message: req.query.message || null,
+        messageType: req.query.messageType || 'success',
+        user: req.user,
+        ...extra
+    });
+};
+
+// Personal access tokens page
+app.get('/account/api-tokens', requireAuth, requirePermission('api.token'), async (req, res) => {
+    try {
+        await renderApiTokens(req, res);
+    } catch (err) {
+        console.error('API tokens page error:', err);
+        res.status(500).send('Server Error');
+    }
+});
+
+// Create a token; the raw value is shown on this response only
+app.post('/account/api-tokens', requireAuth, requirePermission('api.token'), async (req, res) => {
+    try {
+        const name = (req.body.name || '').trim();
+        const scopes = [].concat(req.body.scopes || []).filter(scope => API_SCOPES[scope]);
+
+        if (!name || name.length > 100) {
+            return await renderApiTokens(req, res, { message: 'Give the token a name (up to 100 characters).', messageType: 'danger' });
+        }
+        if (scopes.length === 0) {
+            return await renderApiTokens(req, res, { message: 'Choose at least one scope.', messageType: 'danger' });
+        }
+
+        const expiresInDays = API_TOKEN_EXPIRY_DAYS.includes(Number(req.body.expiresInDays)) ? Number(req.body.expiresInDays) : API_TOKEN_EXPIRY_DAYS[0];
+        const { apiToken, token } = await createApiToken(req.user, { name, scopes, expiresInDays });
+
+        console.log(`✅ API token "${apiToken.name}" created by ${req.user.USERNAME}`);
+        await renderApiTokens(req, res, {
+            newToken: token,
+            message: 'Token created. Copy it now - it will not be shown again.'
+        });
+    } catch (err) {
+        console.error('Create API token error:', err);
+        res.status(500).send('Server Error');
+    }
+});
+
+// Revoke a token (own tokens; admins may revoke any in their organization)
+app.post('/account/api-tokens/:id/revoke', requireAuth, requirePermission('api.token'), async (req, res) => {
+    try {
+        const filter = { _id: req.params.id, revokedAt: null, ...await getApiTokenFilter(req.user) };
+
+        const apiToken = await ApiToken.findOneAndUpdate(filter, { $set: { revokedAt: new Date() } }, { new: true });
+        if (!apiToken) {
+            return res.redirect(`/account/api-tokens?messageType=danger&message=${encodeURIComponent('Token not found or already revoked.')}`);
+        }
+
+        if (!apiToken.userId.equals(req.user._id)) {
+            logAdminAction('REVOKE_API_TOKEN', { tokenId: apiToken._id, owner: apiToken.userId, name: apiToken.name }, req);
+        }
+
+        res.redirect(`/account/api-tokens?message=${encodeURIComponent(`Token "${apiToken.name}" revoked.`)}`);
+    } catch (err) {
+        console.error('Revoke API token error:', err);
+        res.status(500).send('Server Error');
+    }
+});
+
+// ====================== API DOCUMENTATION ROUTES ====================== //
+
+// Machine-readable contract of every documented JSON route
+app.get('/api/openapi.json', (req, res) => {
+    res.json(getOpenApiSpec());
+});
+
+// Interactive explorer for the document above
+app.get('/api/docs', (req, res) => {
+    res.render('api-docs', { specUrl: '/api/openapi.json' });
+});
+
+// ====================== WEBHOOK ROUTES ====================== //
+
+// Subscriptions and the delivery log
+app.get('/admin/webhooks', requireAuth, requireServerAdmin, async (req, res) => {
+    try {
+        const pageSize = 50;
+        const page = Math.max(parseInt(req.query.page) || 1, 1);
+        const { webhookId, status, event } = req.query;
+
+        const filter = {};
+        if (webhookId && mongoose.Types.ObjectId.isValid(webhookId)) filter.webhookId = webhookId;
+        if (['pending', 'succeeded', 'failed'].includes(status)) filter.status = status;
+        if (event && (WEBHOOK_EVENTS[event] || event === WEBHOOK_TEST_EVENT)) filter.event = event;
+
+        const [webhooks, deliveries, totalDeliveries] = await Promise.all([
+            Webhook.find().populate('createdBy', 'FULLNAME USERNAME').sort({ createdAt: -1 }),
+            WebhookDelivery.find(filter)
+                .select('-payload -lastResponseBody')
+                .populate('webhookId', 'url')
+                .sort({ createdAt: -1 })
+                .skip((page - 1) * pageSize)
+                .limit(pageSize),
+            WebhookDelivery.countDocuments(filter)
+        ]);
+
+        res.render('admin-webhooks', {
+            webhooks,
+            deliveries,
+            events: WEBHOOK_EVENTS,
+            testEvent: WEBHOOK_TEST_EVENT,
+            maxAttempts: WEBHOOK_MAX_ATTEMPTS,
+            filters: { webhookId: filter.webhookId || '', status: filter.status || '', event: filter.event || '' },
+            page,
+            totalPages: Math.max(Math.ceil(totalDeliveries / pageSize), 1),
+            totalDeliveries,
+            message: req.query.message || null,
+            user: req.user
+        });
+    } catch (error) {
+        console.error('Webhooks page error:', error);
+        res.status(500).render('error', { message: 'Failed to load webhooks', user: req.user });
+    }
+});
+
+// Add a subscription; its signing secret is generated here
+app.post('/admin/webhooks', requireAuth, requireServerAdmin, async (req, res) => {
+    try {
+        const url = String(req.body.url || '').trim();
+        const description = String(req.body.description || '').trim().slice(0, 200);
+        const events = [].concat(req.body.events || []).filter(event => WEBHOOK_EVENTS[event]);
+
+        if (!isWebhookUrl(url)) {
+            return res.redirect(`/admin/webhooks?message=${encodeURIComponent('Enter a full http(s) URL for the webhook.')}`);
+        }
+        if (events.length === 0) {
+            return res.redirect(`/admin/webhooks?message=${encodeURIComponent('Choose at least one event.')}`);
+        }
+
+        const webhook = await Webhook.create({
+            url,
+            description,
+            events,
+            secret: generateWebhookSecret(),
+            createdBy: req.user._id
+        });
+
+        logAdminAction('CREATE_WEBHOOK', { webhookId: webhook._id, url, events }, req);
+        res.redirect(`/admin/webhooks?message=${encodeURIComponent(`Webhook added for ${url}.`)}`);
+    } catch (error) {
+        console.error('Create webhook error:', error);
+        res.status(500).send('Server Error');
+    }
+});
+
+// Pause/resume, rotate the secret, delete, or send a test event
+app.post('/admin/webhooks/:webhookId/:action(toggle|rotate-secret|delete|test)', requireAuth, requireServerAdmin, async (req, res) => {
+    try {
+        const { webhookId, action } = req.params;
+        const webhook = await Webhook.findById(webhookId);
+        if (!webhook) {
+            return res.status(404).send('Webhook not found');
+        }
+
+        let message;
+        if (action === 'toggle') {
+            webhook.isActive = !webhook.isActive;
+            await webhook.save();
+            logAdminAction(webhook.isActive ? 'ENABLE_WEBHOOK' : 'DISABLE_WEBHOOK', { webhookId: webhook._id, url: webhook.url }, req);
+            message = webhook.isActive ? 'Webhook enabled.' : 'Webhook paused. Pending retries will not be sent.';
+        } else if (action === 'rotate-secret') {
+            webhook.secret = generateWebhookSecret();
+            await webhook.save();
+            logAdminAction('ROTATE_WEBHOOK_SECRET', { webhookId: webhook._id, url: webhook.url }, req);
+            message = 'Signing secret rotated. Update the receiver before the next event.';
+        } else if (action === 'delete') {
+            await Promise.all([
+                Webhook.deleteOne({ _id: webhook._id }),
+                WebhookDelivery.deleteMany({ webhookId: webhook._id })
+            ]);
+            logAdminAction('DELETE_WEBHOOK', { webhookId: webhook._id, url: webhook.url }, req);
+            message = 'Webhook deleted.';
+        } else {
+            if (!webhook.isActive) {
+                return res.redirect(`/admin/webhooks?message=${encodeURIComponent('Enable the webhook before sending a test event.')}`);
+            }
+            await queueWebhookDelivery(webhook, WEBHOOK_TEST_EVENT, {
+                message: 'Test event from AttendPro',
+                sentBy: req.user.FULLNAME || req.user.USERNAME
+            });
+            message = 'Test event queued. Refresh to see the result.';
+        }
+
+        res.redirect(`/admin/webhooks?message=${encodeURIComponent(message)}`);
+    } catch (error) {
+        console.error('Webhook update error:', error);
+        res.status(500).send('Server Error');
+    }
+});
+
+// One delivery with its payload and every attempt
+app.get('/admin/webhooks/deliveries/:deliveryId', requireAuth, requireServerAdmin, async (req, res) => {
+    try {
+        const delivery = await WebhookDelivery.findById(req.params.deliveryId)
+            .populate('webhookId', 'url description isActive')
+            .populate('redeliveredBy', 'FULLNAME USERNAME');
+        if (!delivery) {
+            return res.status(404).render('error', { message: 'Webhook delivery not found', user: req.user });
+        }
+
+        const redeliveries = await WebhookDelivery.find({ redeliveryOf: delivery._id })
+            .select('status attempts createdAt')
+            .sort({ createdAt: -1 });
+
+        res.render('admin-webhook-delivery', {
+            delivery,
+            redeliveries,
+            maxAttempts: WEBHOOK_MAX_ATTEMPTS,
+            message: req.query.message || null,
+            user: req.user
+        });
+    } catch (error) {
+        console.error('Webhook delivery page error:', error);
+        res.status(500).render('error', { message: 'Failed to load webhook delivery', user: req.user });
+    }
+});
+
+// Send a delivery's event again (same event id, new delivery)
+app.post('/admin/webhooks/deliveries/:deliveryId/redeliver', requireAuth, requireServerAdmin, async (req, res) => {
+    try {
+        const delivery = await WebhookDelivery.findById(req.params.deliveryId);
+        if (!delivery) {
+            return res.status(404).send('Webhook delivery not found');
+        }
+        if (!(await Webhook.exists({ _id: delivery.webhookId, isActive: true }))) {
+            return res.redirect(`/admin/webhooks/deliveries/${delivery._id}?message=${encodeURIComponent('Enable the webhook before redelivering.')}`);
+        }
+
+        const redelivery = await redeliverWebhookDelivery(delivery, req.user);
+
+        logAdminAction('REDELIVER_WEBHOOK', { deliveryId: delivery._id, redeliveryId: redelivery._id, event: delivery.event }, req);
+        res.redirect(`/admin/webhooks/deliveries/${redelivery._id}?message=${encodeURIComponent('Redelivery queued. Refresh to see the result.')}`);
+    } catch (error) {
+        console.error('Webhook redelivery error:', error);
+        res.status(500).send('Server Error');
+    }
+});
+
+// ====================== ACADEMIC TERM ROUTES ====================== //
+
+// Terms with their holidays and how many classes each has
+app.get('/admin/terms', requireAuth, requirePermission('term.manage'), async (req, res) => {
+    try {
+        const terms = await Term.find(getTermFilter(req.user)).sort({ startDate: -1 });
+        const classCounts = await Class.aggregate([
+            { $match: { ...getTenantFilter(req.user), termId: { $in: [null, ...terms.map(term => term._id)] } } },
+            { $group: { _id: '$termId', count: { $sum: 1 } } }
+        ]);
+        const counts = {};
+        classCounts.forEach(({ _id, count }) => { counts[_id ? _id.toString() : 'none'] = count; });
+
+        res.render('admin-terms', {
+            terms,
+            counts,
+            message: req.query.message || null,
+            messageType: req.query.messageType || 'success',
+            user: req.user
+        });
+    } catch (error) {
+        console.error('Terms page error:', error);
+        res.status(500).render('error', { message: 'Failed to load academic terms', user: req.user });
+    }
+});
+
+// New term for the admin's organization
+app.post('/admin/terms', requireAuth, requirePermission('term.manage'), async (req, res) => {
+    try {
+        const name = (req.body.name || '').trim();
+        const { startDate, endDate, error } = parseTermDates(req.body.startDate, req.body.endDate);
+
+        if (!name || name.length > 100) {
+            return res.redirect(`/admin/terms?messageType=error&message=${encodeURIComponent('Give the term a name (up to 100 characters).')}`);
+        }
+        if (error) {
+            return res.redirect(`/admin/terms?messageType=error&message=${encodeURIComponent(error)}`);
+        }
+
+        const organizationId = req.user.organizationId || null;
+        if (await Term.exists({ organizationId, name })) {
+            return res.redirect(`/admin/terms?messageType=error&message=${encodeURIComponent(`There is already a term called ${name}.`)}`);
+        }
+
+        const term = await Term.create({ organizationId, name, startDate, endDate, createdBy: req.user._id });
+        logAdminAction('CREATE_TERM', { termId: term._id, name: term.name, startDate, endDate }, req);
+
+        res.redirect(`/admin/terms?message=${encodeURIComponent(`${term.name} created.`)}`);
+    } catch (error) {
+        console.error('Create term error:', error);
+        res.status(500).render('error', { message: 'Failed to create the term', user: req.user });
+    }
+});
+
+// Add a holiday to a term
+app.post('/admin/terms/:termId/holidays', requireAuth, requirePermission('term.manage'), async (req, res) => {
+    try {
+        const term = await findTermForUser(req.user, req.params.termId);
+        if (!term || term.status === 'archived') {
+            return res.redirect(`/admin/terms?messageType=error&message=${encodeURIComponent('Term not found or archived.')}`);
+        }
+
+        const { startDate: date, error } = parseTermDates(req.body.date, req.body.date);
+        if (error || date < term.startDate || date > term.endDate) {
+            return res.redirect(`/admin/terms?messageType=error&message=${encodeURIComponent(`Pick a day between the first and last day of ${term.name}.`)}`);
+        }
+        if (term.holidays.some(holiday => holiday.date.getTime() === date.getTime())) {
+            return res.redirect(`/admin/terms?messageType=error&message=${encodeURIComponent('That day is already a holiday.')}`);
+        }
+
+        term.holidays.push({ date, name: (req.body.name || '').trim().slice(0, 100) });
+        term.holidays.sort((a, b) => a.date - b.date);
+        await term.save();
+        logAdminAction('ADD_TERM_HOLIDAY', { termId: term._id, date, name: req.body.name }, req);
+
+        res.redirect(`/admin/terms?message=${encodeURIComponent(`Holiday added to ${term.name}.`)}`);
+    } catch (error) {
+        console.error('Add holiday error:', error);
+        res.status(500).render('error', { message: 'Failed to add the holiday', user: req.user });
+    }
+});
+
+app.post('/admin/terms/:termId/holidays/:holidayId/delete', requireAuth, requirePermission('term.manage'), async (req, res) => {
+    try {
+        const term = await findTermForUser(req.user, req.params.termId);
+        const holiday = term && term.status !== 'archived' && mongoose.Types.ObjectId.isValid(req.params.holidayId) ? term.holidays.id(req.params.holidayId) : null;
+        if (!holiday) {
+            return res.redirect(`/admin/terms?messageType=error&message=${encodeURIComponent('Holiday not found.')}`);
+        }
+
+        holiday.deleteOne();
+        await term.save();
+        logAdminAction('REMOVE_TERM_HOLIDAY', { termId: term._id, date: holiday.date }, req);
+
+        res.redirect(`/admin/terms?message=${encodeURIComponent('Holiday removed.')}`);
+    } catch (error) {
+        console.error('Remove holiday error:', error);
+        res.status(500).render('error', { message: 'Failed to remove the holiday', user: req.user });
+    }
+});
+
+// Put classes created before terms existed into a term
+app.post('/admin/terms/:termId/assign-classes', requireAuth, requirePermission('term.manage'), async (req, res) => {
+    try {
+        const term = await findTermForUser(req.user, req.params.termId);
+        if (!term || term.status === 'archived') {
+            return res.redirect(`/admin/terms?messageType=error&message=${encodeURIComponent('Term not found or archived.')}`);
+        }
+
+        const classCount = await assignUnassignedClasses(term, req.user);
+        logAdminAction('ASSIGN_CLASSES_TO_TERM', { termId: term._id, classCount }, req);
+
+        res.redirect(`/admin/terms?message=${encodeURIComponent(`${classCount} class${classCount === 1 ? '' : 'es'} added to ${term.name}.`)}`);
+    } catch (error) {
+        console.error('Assign classes to term error:', error);
+        res.status(500).render('error', { message: 'Failed to assign the classes', user: req.user });
+    }
+});
+
+// Archive a term without rolling it over
+app.post('/admin/terms/:termId/archive', requireAuth, requirePermission('term.manage'), async (req, res) => {
+    try {
+        const term = await findTermForUser(req.user, req.params.termId);
+        if (!term || term.status === 'archived') {
+            return res.redirect(`/admin/terms?messageType=error&message=${encodeURIComponent('Term not found or already archived.')}`);
+        }
+
+        const classCount = await archiveTerm(term, req.user);
+        logAdminAction('ARCHIVE_TERM', { termId: term._id, name: term.name, classCount }, req);
+
+        res.redirect(`/admin/terms?message=${encodeURIComponent(`${term.name} archived. Its ${classCount} classes are now read-only.`)}`);
+    } catch (error) {
+        console.error('Archive term error:', error);
+        res.status(500).render('error', { message: 'Failed to archive the term', user: req.user });
+    }
+});
+
+// Rollover wizard: pick the classes, the next term and what to copy
+app.get('/admin/terms/:termId/rollover', requireAuth, requirePermission('term.manage'), async (req, res) => {
+    try {
+        const term = await findTermForUser(req.user, req.params.termId);
+        if (!term || term.status === 'archived') {
+            return res.redirect(`/admin/terms?messageType=error&message=${encodeURIComponent('Term not found or already archived.')}`);
+        }
+
+        const [classes, targetTerms] = await Promise.all([
+            Class.find({ ...getTenantFilter(req.user), termId: term._id })
+                .populate('TEACHERS', 'FULLNAME USERNAME')
+                .sort({ CLASSNAME: 1 }),
+            Term.find({ ...getTermFilter(req.user), organizationId: term.organizationId, status: 'active', _id: { $ne: term._id } }).sort({ startDate: 1 })
+        ]);
+        const [studentCounts, slotCounts] = await Promise.all([
+            Student.aggregate([{ $match: { classId: { $in: classes.map(c => c._id) } } }, { $group: { _id: '$classId', count: { $sum: 1 } } }]),
+            Timetable.aggregate([{ $match: { classId: { $in: classes.map(c => c._id) } } }, { $group: { _id: '$classId', count: { $sum: 1 } } }])
+        ]);
+        const toCounts = rows => Object.fromEntries(rows.map(({ _id, count }) => [_id.toString(), count]));
+
+        res.render('admin-term-rollover', {
+            term,
+            classes,
+            targetTerms,
+            studentCounts: toCounts(studentCounts),
+            slotCounts: toCounts(slotCounts),
+            message: req.query.message || null,
+            user: req.user
+        });
+    } catch (error) {
+        console.error('Rollover wizard error:', error);
+        res.status(500).render('error', { message: 'Failed to load the rollover wizard', user: req.user });
+    }
+});
+
+app.post('/admin/terms/:termId/rollover', requireAuth, requirePermission('term.manage'), async (req, res) => {
+    const wizardUrl = `/admin/terms/${req.params.termId}/rollover`;
+    try {
+        const term = await findTermForUser(req.user, req.params.termId);
+        if (!term || term.status === 'archived') {
+            return res.redirect(`/admin/terms?messageType=error&message=${encodeURIComponent('Term not found or already archived.')}`);
+        }
+
+        const classIds = [].concat(req.body.classIds || []).filter(id => mongoose.Types.ObjectId.isValid(id));
+        const tenantClassIds = await Class.find({ ...getTenantFilter(req.user), termId: term._id, _id: { $in: classIds } }).distinct('_id');
+        if (tenantClassIds.length === 0) {
+            return res.redirect(`${wizardUrl}?message=${encodeURIComponent('Choose at least one class to roll over.')}`);
+        }
+
+        // The next term: an existing one, or a new one created here
+        let targetTerm;
+        if (req.body.targetTermId && req.body.targetTermId !== 'new') {
+            targetTerm = await findTermForUser(req.user, req.body.targetTermId);
+            if (!targetTerm || targetTerm.status === 'archived' || targetTerm._id.equals(term._id) || String(targetTerm.organizationId) !== String(term.organizationId)) {
+                return res.redirect(`${wizardUrl}?message=${encodeURIComponent('Choose a term that is not archived.')}`);
+            }
+        } else {
+            const name = (req.body.name || '').trim();
+            const { startDate, endDate, error } = parseTermDates(req.body.startDate, req.body.endDate);
+            if (!name || name.length > 100 || error) {
+                return res.redirect(`${wizardUrl}?message=${encodeURIComponent(error || 'Give the new term a name (up to 100 characters).')}`);
+            }
+            if (await Term.exists({ organizationId: term.organizationId, name })) {
+                return res.redirect(`${wizardUrl}?message=${encodeURIComponent(`There is already a term called ${name}.`)}`);
+            }
+            targetTerm = await Term.create({ organizationId: term.organizationId, name, startDate, endDate, createdBy: req.user._id });
+        }
+
+        const result = await rollOverTerm(term, targetTerm, {
+            classIds: tenantClassIds,
+            copyTimetable: Boolean(req.body.copyTimetable),
+            copyRoster: Boolean(req.body.copyRoster),
+            archive: Boolean(req.body.archive),
+            actor: req.user
+        });
+        logAdminAction('ROLL_OVER_TERM', { fromTermId: term._id, toTermId: targetTerm._id, ...result }, req);
+
+        let message = `${result.classes} class${result.classes === 1 ? '' : 'es'} rolled over into ${targetTerm.name}`;
+        if (result.slots) message += ` with ${result.slots} timetable slots`;
+        if (result.students) message += ` and ${result.students} students`;
+        message += '.';
+        if (result.skipped) message += ` ${result.skipped} had already been rolled over.`;
+        if (result.archived) message += ` ${term.name} is archived and read-only.`;
+
+        res.redirect(`/admin/terms?message=${encodeURIComponent(message)}`);
+    } catch (error) {
+        console.error('Term rollover error:', error);
+        res.status(500).render('error', { message: 'Failed to roll the term over', user: req.user });
+    }
+});
+
+// ====================== CALENDAR ROUTES ====================== //
+
+// Holidays, exam weeks and days without classes of the institution
+app.get('/admin/calendar', requireAuth, requirePermission('calendar.manage'), async (req, res) => {
+    try {
+        // Entries of the past year and everything ahead
+        const since = new Date();
+        since.setUTCFullYear(since.getUTCFullYear() - 1);
+
+        const [entries, terms] = await Promise.all([
+            CalendarEntry.find({ ...getInstitutionCalendarFilter(req.user), endDate: { $gte: since } })
+                .populate('organizationId', 'name')
+                .sort({ startDate: 1 }),
+            Term.find({ ...getTermFilter(req.user), status: 'active' }).sort({ startDate: 1 })
+        ]);
+
+        res.render('admin-calendar', {
+            entries,
+            terms,
+            kinds: INSTITUTION_KIND_KEYS,
+            serverWide: isServerWide(req.user),
+            message: req.query.message || null,
+            messageType: req.query.messageType || 'success',
+            user: req.user
+        });
+    } catch (error) {
+        console.error('Calendar page error:', error);
+        res.status(500).render('error', { message: 'Failed to load the calendar', user: req.user });
+    }
+});
+
+// Add a holiday, exam week or day without classes for the admin's organization
+app.post('/admin/calendar', requireAuth, requirePermission('calendar.manage'), async (req, res) => {
+    try {
+        const { kind } = req.body;
+        const name = (req.body.name || '').trim();
+        const { startDate, endDate, error } = parseCalendarDates(req.body.startDate, req.body.endDate);
+
+        if (!INSTITUTION_KIND_KEYS.includes(kind)) {
+            return res.redirect(`/admin/calendar?messageType=error&message=${encodeURIComponent('Pick what kind of day it is.')}`);
+        }
+        if (error) {
+            return res.redirect(`/admin/calendar?messageType=error&message=${encodeURIComponent(error)}`);
+        }
+
+        const entry = await CalendarEntry.create({
+            organizationId: req.user.organizationId || null,
+            kind,
+            name: name.slice(0, 100),
+            startDate,
+            endDate,
+            createdBy: req.user._id
+        });
+        logAdminAction('ADD_CALENDAR_ENTRY', { entryId: entry._id, kind, name: entry.name, startDate, endDate }, req);
+
+        res.redirect(`/admin/calendar?message=${encodeURIComponent(`${CALENDAR_KINDS[kind].label} added to the calendar.`)}`);
+    } catch (error) {
+        console.error('Add calendar entry error:', error);
+        res.status(500).render('error', { message: 'Failed to add the calendar entry', user: req.user });
+    }
+});
+
+app.post('/admin/calendar/:entryId/delete', requireAuth, requirePermission('calendar.manage'), async (req, res) => {
+    try {
+        const entry = mongoose.Types.ObjectId.isValid(req.params.entryId)
+            ? await CalendarEntry.findOneAndDelete({ _id: req.params.entryId, ...getInstitutionCalendarFilter(req.user) })
+            : null;
+        if (!entry) {
+            return res.redirect(`/admin/calendar?messageType=error&message=${encodeURIComponent('Calendar entry not found.')}`);
+        }
+
+        logAdminAction('REMOVE_CALENDAR_ENTRY', { entryId: entry._id, kind: entry.kind, startDate: entry.startDate, endDate: entry.endDate }, req);
+
+        res.redirect(`/admin/calendar?message=${encodeURIComponent('Calendar entry removed.')}`);
+    } catch (error) {
+        console.error('Remove calendar entry error:', error);
+        res.status(500).render('error', { message: 'Failed to remove the calendar entry', user: req.user });
+    }
+});
+
+// A class's calendar: the institution's days (including its term's holidays)
+// and the class's own overrides, over its term or the coming months
+app.get('/classdetail/:id/calendar', requireAuth, requirePermission('class.manage'), hasClassManagementAccess, async (req, res) => {
+    try {
+        const foundClass = req.classDoc;
+        const term = foundClass.termId ? await Term.findById(foundClass.termId) : null;
+
+        let from, to;
+        if (term) {
+            from = term.startDate;
+            to = term.endDate;
+        } else {
+            from = new Date();
+            from.setUTCHours(0, 0, 0, 0);
+            from.setUTCDate(from.getUTCDate() - 30);
+            to = new Date(from);
+            to.setUTCDate(to.getUTCDate() + 210);
+        }
+
+        const entries = await getCalendarEntries(foundClass, { from, to });
+
+        res.render('class-calendar', {
+            classDetail: foundClass,
+            term,
+            range: { from, to },
+            entries,
+            days: listCalendarDays(entries, from, to),
+            kinds: CALENDAR_KIND_KEYS,
+            message: req.query.message || null,
+            messageType: req.query.messageType || 'success',
+            user: req.user
+        });
+    } catch (error) {
+        console.error('Class calendar error:', error);
+        res.status(500).render('error', { message: 'Failed to load the class calendar', user: req.user });
+    }
+});
+
+// Override the institution calendar for this class, e.g. a make-up lecture on a holiday
+app.post('/classdetail/:id/calendar', requireAuth, requirePermission('class.manage'), hasClassManagementAccess, async (req, res) => {
+    const { id } = req.params;
+    try {
+        const { kind } = req.body;
+        const { startDate, endDate, error } = parseCalendarDates(req.body.startDate, req.body.endDate);
+
+        if (!CALENDAR_KIND_KEYS.includes(kind)) {
+            return res.redirect(`/classdetail/${id}/calendar?messageType=error&message=${encodeURIComponent('Pick what kind of day it is.')}`);
+        }
+        if (error) {
+            return res.redirect(`/classdetail/${id}/calendar?messageType=error&message=${encodeURIComponent(error)}`);
+        }
+
+        await CalendarEntry.create({
+            organizationId: req.classDoc.organizationId || null,
+            classId: req.classDoc._id,
+            kind,
+            name: (req.body.name || '').trim().slice(0, 100),
+            startDate,
+            endDate,
+            createdBy: req.user._id
+        });
+
+        res.redirect(`/classdetail/${id}/calendar?message=${encodeURIComponent(`${CALENDAR_KINDS[kind].label} added for ${req.classDoc.CLASSNAME}.`)}`);
+    } catch (error) {
+        console.error('Add class calendar entry error:', error);
+        res.redirect(`/classdetail/${id}/calendar?messageType=error&message=${encodeURIComponent('Failed to add the calendar entry.')}`);
+    }
+});
+
+app.post('/classdetail/:id/calendar/:entryId/delete', requireAuth, requirePermission('class.manage'), hasClassManagementAccess, async (req, res) => {
+    const { id, entryId } = req.params;
+    try {
+        const entry = mongoose.Types.ObjectId.isValid(entryId)
+            ? await CalendarEntry.findOneAndDelete({ _id: entryId, classId: req.classDoc._id })
+            : null;
+        if (!entry) {
+            return res.redirect(`/classdetail/${id}/calendar?messageType=error&message=${encodeURIComponent('Calendar entry not found.')}`);
+        }
+
+        res.redirect(`/classdetail/${id}/calendar?message=${encodeURIComponent('Override removed.')}`);
+    } catch (error) {
+        console.error('Remove class calendar entry error:', error);
+        res.redirect(`/classdetail/${id}/calendar?messageType=error&message=${encodeURIComponent('Failed to remove the calendar entry.')}`);
+    }
+});
+
+// ====================== ADMIN ROUTES ====================== //
+
+// Users an admin manages: their organization, plus accounts not yet assigned
+// to one (new sign-ups) so they can be moved in. Unassigned admins are
+// server-wide and only other server-wide admins see them.
+function getManageableUserFilter(user) {
+    if (isServerWide(user)) {
+        return {};
+    }
+    return { $or: [getTenantFilter(user), { organizationId: null, ROLE: { $ne: 'admin' } }] };
+}
+
+// Organizations and departments the user can assign users and classes to
+async function getAssignableTenants(user) {
+    const organizationFilter = isServerWide(user) ? {} : { _id: user.organizationId };
+    const [organizations, departments] = await Promise.all([
+        Organization.find(organizationFilter).sort({ name: 1 }),
+        Department.find(isServerWide(user) ? {} : { organizationId: user.organizationId }).sort({ name: 1 })
+    ]);
+    return { organizations, departments };
+}
+
+// Admin management routes
+app.get('/admin/users', requireAuth, requirePermission('user.manage'), async (req, res) => {
+    try {
+        const [users, tenants] = await Promise.all([
+            User.find(getManageableUserFilter(req.user)).select('-PASSWORD').sort({ CREATEDAT: -1 }),
+            getAssignableTenants(req.user)
+        ]);
+        res.render('admin-users', {
+            users,
+            ...tenants,
+            serverWide: isServerWide(req.user),
+            permissions: PERMISSIONS,
+            message: req.query.message || null,
+            messageType: req.query.messageType || 'success',
+            user: req.user
+        });
+    } catch (err) {
+        console.error('Error loading users:', err);
+        res.status(500).render('error', { message: 'Failed to load users', user: req.user });
+    }
+});
+
+// Would this change leave the user's organization with no active admin?
+// Server-wide admins count towards every organization.
+async function isLastActiveAdmin(target) {
+    if (target.ROLE !== 'admin' || !target.ISACTIVE) {
+        return false;
+    }
+    const organizationIds = target.organizationId ? [target.organizationId, null] : [null];
+    return await User.countDocuments({ ROLE: 'admin', ISACTIVE: true, organizationId: { $in: organizationIds } }) <= 1;
+}
+
+// Assign a role; takes effect on the user's next request
+app.post('/admin/users/:userId/role', requireAuth, requirePermission('user.manage'), async (req, res) => {
+    try {
+        const { role } = req.body;
+        const target = mongoose.Types.ObjectId.isValid(req.params.userId) ? await User.findById(req.params.userId) : null;
+
+        if (!target || !isKnownRole(role) || !isWithinTenant(req.user, target)) {
+            return res.redirect(`/admin/users?messageType=error&message=${encodeURIComponent('User or role not found.')}`);
+        }
+        if (target._id.equals(req.user._id)) {
+            return res.redirect(`/admin/users?messageType=error&message=${encodeURIComponent('You cannot change your own role.')}`);
+        }
+        if (role !== 'admin' && await isLastActiveAdmin(target)) {
+            return res.redirect(`/admin/users?messageType=error&message=${encodeURIComponent('At least one active admin is required.')}`);
+        }
+
+        const previousRole = target.ROLE;
+        if (previousRole !== role) {
+            target.ROLE = role;
+            await target.save();
+            logAdminAction('CHANGE_USER_ROLE', { userId: target._id, username: target.USERNAME, from: previousRole, to: role }, req);
+        }
+
+        res.redirect(`/admin/users?message=${encodeURIComponent(`${target.USERNAME} is now ${getRoleLabel(role)}.`)}`);
+    } catch (err) {
+        console.error('Change user role error:', err);
+        res.status(500).render('error', { message: 'Failed to change the role', user: req.user });
+    }
+});
+
+// Activate or deactivate an account; deactivated users are signed out on their next request
+app.post('/admin/users/:userId/:action(activate|deactivate)', requireAuth, requirePermission('user.manage'), async (req, res) => {
+    try {
+        const target = mongoose.Types.ObjectId.isValid(req.params.userId) ? await User.findById(req.params.userId) : null;
+        const activate = req.params.action === 'activate';
+
+        if (!target || !isWithinTenant(req.user, target)) {
+            return res.redirect(`/admin/users?messageType=error&message=${encodeURIComponent('User not found.')}`);
+        }
+        if (target._id.equals(req.user._id)) {
+            return res.redirect(`/admin/users?messageType=error&message=${encodeURIComponent('You cannot deactivate your own account.')}`);
+        }
+        if (!activate && await isLastActiveAdmin(target)) {
+            return res.redirect(`/admin/users?messageType=error&message=${encodeURIComponent('At least one active admin is required.')}`);
+        }
+
+        target.ISACTIVE = activate;
+        await target.save();
+        logAdminAction(activate ? 'ACTIVATE_USER' : 'DEACTIVATE_USER', { userId: target._id, username: target.USERNAME }, req);
+
+        res.redirect(`/admin/users?message=${encodeURIComponent(`${target.USERNAME} ${activate ? 'activated' : 'deactivated'}.`)}`);
+    } catch (err) {
+        console.error('Change user status error:', err);
+        res.status(500).render('error', { message: 'Failed to update the account', user: req.user });
+    }
+});
+
+// Parse an "organizationId" or "organizationId:departmentId" form value into a
+// tenant the user may assign; resolves to null when it is not one of theirs.
+// An empty value (server-wide) is only allowed for server-wide admins.
+async function resolveAssignableTenant(user, value) {
+    if (!value) {
+        return isServerWide(user) ? { organizationId: null, departmentId: null } : null;
+    }
+
+    const [organizationId, departmentId] = String(value).split(':');
+    if (!mongoose.Types.ObjectId.isValid(organizationId) || (departmentId && !mongoose.Types.ObjectId.isValid(departmentId))) {
+        return null;
+    }
+    if (!isServerWide(user) && !user.organizationId.equals(organizationId)) {
+        return null;
+    }
+
+    const organization = await Organization.findById(organizationId);
+    if (!organization) {
+        return null;
+    }
+    if (!departmentId) {
+        return { organizationId: organization._id, departmentId: null };
+    }
+
+    const department = await Department.findOne({ _id: departmentId, organizationId: organization._id });
+    return department ? { organizationId: organization._id, departmentId: department._id } : null;
+}
+
+// Move a user into an organization and department
+app.post('/admin/users/:userId/tenant', requireAuth, requirePermission('organization.manage'), async (req, res) => {
+    try {
+        const target = mongoose.Types.ObjectId.isValid(req.params.userId)
+            ? await User.findOne({ _id: req.params.userId, ...getManageableUserFilter(req.user) })
+            : null;
+        const tenant = target ? await resolveAssignableTenant(req.user, req.body.tenant) : null;
+
+        if (!tenant) {
+            return res.redirect(`/admin/users?messageType=error&message=${encodeURIComponent('User or department not found.')}`);
+        }
+        if (target._id.equals(req.user._id)) {
+            return res.redirect(`/admin/users?messageType=error&message=${encodeURIComponent('You cannot move your own account.')}`);
+        }
+        if (String(target.organizationId || '') !== String(tenant.organizationId || '') && await isLastActiveAdmin(target)) {
+            return res.redirect(`/admin/users?messageType=error&message=${encodeURIComponent('At least one active admin is required.')}`);
+        }
+
+        target.organizationId = tenant.organizationId;
+        target.departmentId = tenant.departmentId;
+        await target.save();
+        logAdminAction('CHANGE_USER_TENANT', { userId: target._id, username: target.USERNAME, ...tenant }, req);
+
+        res.redirect(`/admin/users?message=${encodeURIComponent(`${target.USERNAME} moved.`)}`);
+    } catch (err) {
+        console.error('Change user tenant error:', err);
+        res.status(500).render('error', { message: 'Failed to move the user', user: req.user });
+    }
+});
+
+app.get('/admin/classes', requireAuth, requireAdmin, async (req, res) => {
+    try {
+        const [classes, tenants] = await Promise.all([
+            Class.find(getTenantFilter(req.user)).populate('CREATEDBY', 'FULLNAME USERNAME EMAIL').sort({ createdAt: -1 }),
+            getAssignableTenants(req.user)
+        ]);
+        res.render('admin-classes', {
+            classes,
+            ...tenants,
+            serverWide: isServerWide(req.user),
+            message: req.query.message || null,
+            messageType: req.query.messageType || 'success',
+            user: req.user
+        });
+    } catch (err) {
+        console.error('Error loading classes:', err);
+        res.status(500).render('error', { message: 'Failed to load classes', user: req.user });
+    }
+});
+
+// Move a class (with its students and attendance) into an organization and department
+app.post('/admin/classes/:classId/tenant', requireAuth, requirePermission('organization.manage'), async (req, res) => {
+    try {
+        const classDoc = mongoose.Types.ObjectId.isValid(req.params.classId)
+            ? await Class.findOne({ _id: req.params.classId, ...getTenantFilter(req.user) })
+            : null;
+        const tenant = classDoc ? await resolveAssignableTenant(req.user, req.body.tenant) : null;
+
+        if (!tenant) {
+            return res.redirect(`/admin/classes?messageType=error&message=${encodeURIComponent('Class or department not found.')}`);
+        }
+
+        classDoc.organizationId = tenant.organizationId;
+        classDoc.departmentId = tenant.departmentId;
+        await classDoc.save();
+        logAdminAction('CHANGE_CLASS_TENANT', { classId: classDoc._id, className: classDoc.CLASSNAME, ...tenant }, req);
+
+        res.redirect(`/admin/classes?message=${encodeURIComponent(`${classDoc.CLASSNAME} moved.`)}`);
+    } catch (err) {
+        console.error('Change class tenant error:', err);
+        res.status(500).render('error', { message: 'Failed to move the class', user: req.user });
+    }
+});
+
+// Organizations and their departments, with how many users and classes each has
+app.get('/admin/organizations', requireAuth, requirePermission('organization.manage'), async (req, res) => {
+    try {
+        const { organizations, departments } = await getAssignableTenants(req.user);
+        const countBy = [
+            { $match: isServerWide(req.user) ? {} : { organizationId: req.user.organizationId } },
+            { $group: { _id: { organizationId: '$organizationId', departmentId: '$departmentId' }, count: { $sum: 1 } } }
+        ];
+        const [userCounts, classCounts] = await Promise.all([
+            User.aggregate(countBy),
+            Class.aggregate(countBy)
+        ]);
+
+        // { [organizationId or departmentId]: { users, classes } }
+        const counts = {};
+        const addCount = (id, field, count) => {
+            if (!id) return;
+            counts[id] = counts[id] || { users: 0, classes: 0 };
+            counts[id][field] += count;
+        };
+        userCounts.forEach(({ _id, count }) => { addCount(_id.organizationId, 'users', count); addCount(_id.departmentId, 'users', count); });
+        classCounts.forEach(({ _id, count }) => { addCount(_id.organizationId, 'classes', count); addCount(_id.departmentId, 'classes', count); });
+
+        res.render('admin-organizations', {
+            organizations,
+            departments,
+            counts,
+            serverWide: isServerWide(req.user),
+            message: req.query.message || null,
+            messageType: req.query.messageType || 'success',
+            user: req.user
+        });
+    } catch (err) {
+        console.error('Error loading organizations:', err);
+        res.status(500).render('error', { message: 'Failed to load organizations', user: req.user });
+    }
+});
+
+// New organization; organization admins cannot create others
+app.post('/admin/organizations', requireAuth, requireServerAdmin, async (req, res) => {
+    try {
+        const name = (req.body.name || '').trim();
+        if (!name || name.length > 100) {
+            return res.redirect(`/admin/organizations?messageType=error&message=${encodeURIComponent('Give the organization a name (up to 100 characters).')}`);
+        }
+        if (await Organization.exists({ name })) {
+            return res.redirect(`/admin/organizations?messageType=error&message=${encodeURIComponent(`${name} already exists.`)}`);
+        }
+
+        const organization = await Organization.create({ name, code: (req.body.code || '').trim().slice(0, 12), createdBy: req.user._id });
+        logAdminAction('CREATE_ORGANIZATION', { organizationId: organization._id, name: organization.name }, req);
+
+        res.redirect(`/admin/organizations?message=${encodeURIComponent(`${organization.name} created.`)}`);
+    } catch (err) {
+        console.error('Create organization error:', err);
+        res.status(500).render('error', { message: 'Failed to create the organization', user: req.user });
+    }
+});
+
+// New department in an organization
+app.post('/admin/organizations/:organizationId/departments', requireAuth, requirePermission('organization.manage'), async (req, res) => {
+    try {
+        const { organizationId } = req.params;
+        const organization = mongoose.Types.ObjectId.isValid(organizationId) ? await Organization.findById(organizationId) : null;
+        if (!organization || (!isServerWide(req.user) && !req.user.organizationId.equals(organization._id))) {
+            return res.redirect(`/admin/organizations?messageType=error&message=${encodeURIComponent('Organization not found.')}`);
+        }
+
+        const name = (req.body.name || '').trim();
+        if (!name || name.length > 100) {
+            return res.redirect(`/admin/organizations?messageType=error&message=${encodeURIComponent('Give the department a name (up to 100 characters).')}`);
+        }
+        if (await Department.exists({ organizationId: organization._id, name })) {
+            return res.redirect(`/admin/organizations?messageType=error&message=${encodeURIComponent(`${organization.name} already has a ${name} department.`)}`);
+        }
+
+        const department = await Department.create({
+            organizationId: organization._id,
+            name,
+            code: (req.body.code || '').trim().slice(0, 12),
+            createdBy: req.user._id
+        });
+        logAdminAction('CREATE_DEPARTMENT', { organizationId: organization._id, departmentId: department._id, name: department.name }, req);
+
+        res.redirect(`/admin/organizations?message=${encodeURIComponent(`${department.name} added to ${organization.name}.`)}`);
+    } catch (err) {
+        console.error('Create department error:', err);
+        res.status(500).render('error', { message: 'Failed to create the department', user: req.user });
+    }
+});
+
+app.get('/admin/students', requireAuth, requireAdmin, async (req, res) => {
+    try {
+        const students = await Student.find(await getTenantClassFilter(req.user)).populate('classId', 'CLASSNAME').sort({ createdAt: -1 });
+        res.render('admin-students', { students, user: req.user });
+    } catch (err) {
+        console.error('Error loading students:', err);
+        res.status(500).render('error', { message: 'Failed to load students', user: req.user });
+    }
+});
+
+app.get('/admin/attendance', requireAuth, requireAdmin, async (req, res) => {
+    try {
+        const attendance = await Attendance.find(await getTenantClassFilter(req.user))
+            .populate('studentId', 'NAME ROLLNUMBER')
+            .populate('classId', 'CLASSNAME')
+            .sort({ date: -1 });
+        res.render('admin-attendance', { attendance, user: req.user });
+    } catch (err) {
+        console.error('Error loading attendance:', err);
+        res.status(500).render('error', { message: 'Failed to load attendance', user: req.user });
+    }
+});
+
+// System-wide attendance audit trail
+app.get('/admin/attendance-audit', requireAuth, requireAdmin, async (req, res) => {
+    try {
+        const pageSize = 100;
+        const page = Math.max(parseInt(req.query.page) || 1, 1);
+        const { source, classId } = req.query;
+
+        const classes = await Class.find(getTenantFilter(req.user)).select('CLASSNAME SUBJECT').sort({ CLASSNAME: 1 });
+
+        const filter = {};
+        if (source && AUDIT_SOURCE_LABELS[source]) filter.source = source;
+        if (classId && classes.some(classDoc => classDoc._id.equals(classId))) {
+            filter.classId = classId;
+        } else if (!isServerWide(req.user)) {
+            filter.classId = { $in: classes.map(classDoc => classDoc._id) };
+        }
+
+        const [history, totalEntries] = await Promise.all([
+            getAttendanceHistory(filter, { limit: pageSize, skip: (page - 1) * pageSize }),
+            AttendanceAudit.countDocuments(filter)
+        ]);
+
+        const filters = { source: filter.source || '', classId: typeof filter.classId === 'string' ? filter.classId : '' };
+        logAdminAction('VIEW_ATTENDANCE_AUDIT', { filter: filters, page }, req);
+
+        res.render('admin-attendance-audit', {
+            history,
+            classes,
+            filters,
+            page,
+            totalPages: Math.max(Math.ceil(totalEntries / pageSize), 1),
+            totalEntries,
+            user: req.user
+        });
+    } catch (err) {
+        console.error('Error loading attendance audit trail:', err);
+        res.status(500).render('error', { message: 'Failed to load attendance audit trail', user: req.user });
+    }
+});
+
+
+// Timetabled lectures per class and teacher, and how many had attendance taken
+app.get('/admin/attendance-compliance', requireAuth, requirePermission('class.view.any'), async (req, res) => {
+    try {
+        const now = new Date();
+        const defaultFrom = new Date(now);
+        defaultFrom.setUTCDate(defaultFrom.getUTCDate() - 27);
+
+        const { range, error } = parseDateRange(req.query.from || toDayKey(defaultFrom), req.query.to || toDayKey(now));
+        if (error) {
+            return res.redirect(`/admin/attendance-compliance?message=${encodeURIComponent(error)}`);
+        }
+        // Nothing after today is due yet; a year at most keeps the report quick
+        if (range.to > now) range.to = now;
+        const earliest = new Date(range.to.getTime() - 366 * 24 * 60 * 60 * 1000);
+        if (range.from < earliest) range.from = earliest;
+
+        const classes = await Class.find(getTenantFilter(req.user))
+            .populate('TEACHERS', 'FULLNAME USERNAME')
+            .sort({ CLASSNAME: 1 });
+
+        const classRows = [];
+        const teacherSummaries = new Map();
+        for (const classDoc of classes) {
+            const lectures = await getSessionCompliance(classDoc, range, now);
+            if (lectures.length === 0) continue;
+
+            const summary = summarizeCompliance(lectures);
+            classRows.push({
+                classDoc,
+                ...summary,
+                unmarkedLectures: lectures.filter(lecture => lecture.status === 'pending' || lecture.status === 'missed')
+            });
+
+            // A class's lectures count towards each of its teachers
+            classDoc.TEACHERS.forEach(teacher => {
+                const key = teacher._id.toString();
+                if (!teacherSummaries.has(key)) teacherSummaries.set(key, { teacher, summaries: [] });
+                teacherSummaries.get(key).summaries.push(summary);
+            });
+        }
+
+        const teachers = [...teacherSummaries.values()]
+            .map(({ teacher, summaries }) => ({ teacher, classes: summaries.length, ...combineCompliance(summaries) }))
+            .sort((a, b) => b.unmarked - a.unmarked || a.teacher.FULLNAME.localeCompare(b.teacher.FULLNAME));
+
+        res.render('admin-attendance-compliance', {
+            classRows: classRows.sort((a, b) => b.unmarked - a.unmarked),
+            teachers,
+            totals: combineCompliance(classRows),
+            classesWithoutTimetable: classes.length - classRows.length,
+            filters: { from: toDayKey(range.from), to: toDayKey(range.to) },
+            message: req.query.message || null,
+            user: req.user
+        });
+    } catch (error) {
+        console.error('Attendance compliance error:', error);
+        res.status(500).render('error', { message: 'Failed to load the marking compliance report', user: req.user });
+    }
+});
+
+// Admin panel
+app.get('/admin', requireAuth, requireAdmin, async (req, res) => {
+    try {
+        // Check if user is active
+        if (!req.user.ISACTIVE) {
+            return res.status(403).render('error', { 
+                message: 'Access Denied: Account is deactivated', 
+                user: req.user 
+            });
+        }
+
+        // Fetch statistics for the admin's organization (everything for server-wide admins)
+        const userFilter = getTenantFilter(req.user);
+        const classFilter = getTenantFilter(req.user);
+        const classIdFilter = await getTenantClassFilter(req.user);
+        const totalUsers = await User.countDocuments(userFilter);
+        const totalClasses = await Class.countDocuments(classFilter);
+        const totalStudents = await Student.countDocuments(classIdFilter);
+        const totalAttendance = await Attendance.countDocuments(classIdFilter);
+
+        // Fetch recent data for admin panel
+        const users = await User.find(userFilter).select('-PASSWORD').sort({ CREATEDAT: -1 }).limit(5);
+        const allClasses = await Class.find(classFilter).populate('CREATEDBY', 'FULLNAME USERNAME').sort({ createdAt: -1 }).limit(5);
+        const allStudents = await Student.find(classIdFilter).populate('classId', 'CLASSNAME').sort({ createdAt: -1 }).limit(5);
+        const allAttendance = await Attendance.find(classIdFilter)
+            .populate('studentId', 'NAME ROLLNO')
+            .populate('classId', 'CLASSNAME')
+            .sort({ date: -1 })
+            .limit(10);
+
+        // Calculate recent activity (last 7 days)
+        const sevenDaysAgo = new Date();
+        sevenDaysAgo.setDate(sevenDaysAgo.getDate() - 7);
+        
+        const recentUsers = await User.countDocuments({ ...userFilter, CREATEDAT: { $gte: sevenDaysAgo } });
+        const recentClasses = await Class.countDocuments({ ...classFilter, createdAt: { $gte: sevenDaysAgo } });
+        const recentStudents = await Student.countDocuments({ ...classIdFilter, createdAt: { $gte: sevenDaysAgo } });
+        const recentAttendance = await Attendance.countDocuments({ ...classIdFilter, date: { $gte: sevenDaysAgo } });
+
+        // Get teacher statistics
+        const teacherStats = await Class.aggregate([
+            {
+                $match: classFilter
+            },
+            {
+                $group: {
+                    _id: '$CREATEDBY',
+                    classCount: { $sum: 1 }
+                }
+            },
+            {
+                $lookup: {
+                    from: 'users',
+                    localField: '_id',
+                    foreignField: '_id',
+                    as: 'teacher'
+                }
+            },
+            {
+                $unwind: '$teacher'
+            },
+            {
+                $project: {
+                    teacherName: '$teacher.FULLNAME',
+                    teacherEmail: '$teacher.EMAIL',
+                    classCount: 1,
+                    totalStudents: 1
+                }
+            },
+            {
+                $sort: { classCount: -1 }
+            },
+            {
+                $limit: 10
+            }
+        ]);
+
+        res.render('admin', {
+            user: req.user,
+            totalUsers,
+            totalClasses,
+            totalStudents,
+            totalAttendance,
+            recentUsers,
+            recentClasses,
+            recentStudents,
+            recentAttendance,
+            users,
+            allClasses,
+            allStudents,
+            allAttendance,
+            teacherStats,
+            serverWide: isServerWide(req.user),
+            process
+        });
+    } catch (err) {
+        console.error('❌ Admin panel error:', err.message);
+        res.status(500).render('error', { 
+            message: 'Failed to load admin panel', 
+            user: req.user 
+        });
+    }
+});
+
+// Test admin route (for debugging - remove in production)
+// app.get('/test-admin', requireAuth, (req, res) => {
+//     res.json({
+//         authenticated: true,
+//         user: {
+//             username: req.user.USERNAME,
+//             role: req.user.ROLE,
+//             active: req.user.ISACTIVE
+//         }
+//     });
+// });
+
+// Emergency admin creation route (removed for security)
+// Use environment variables for emergency admin creation
+// See SECURE_DEPLOYMENT.md for setup instructions
+
+// No admin access page - completely hidden
+
+// ====================== STUDENT PORTAL ROUTES ====================== //
+
+// Render the dashboard for one of the logged-in student's class enrolments
+async function renderStudentDashboard(req, res, student) {
+    const allStudents = await getLinkedStudents(req.user);
+
+    // Get attendance data for this specific enrolment
+    const { records: attendanceRecords, presentCount: presentDays, totalCount: totalDays, percentage } = await getStudentAttendanceStats(student._id);
+    const attendancePercentage = parseFloat(percentage);
+
+    // Get attendance for all classes this student is in
+    const allAttendanceRecords = await Attendance.find({
+        studentId: { $in: allStudents.map(s => s._id) }
+    }).populate('studentId').sort({ date: -1 });
+
+    // Get timetables for all classes
+    const allClassIds = allStudents.map(s => s.classId._id);
+    const allTimetables = await Timetable.find({
+        classId: { $in: allClassIds }
+    }).populate('classId').sort({ day: 1, startTime: 1 });
+
+    // Holidays, exam weeks and cancelled days coming up in any of their classes
+    const upcomingCalendar = await getUpcomingCalendar(allStudents.filter(s => s.classId).map(s => s.classId));
+
+    // QR code linking back to the (login protected) student portal
+    const studentPortalUrl = `${req.protocol}://${req.get('host')}/student-portal`;
+    const qrCodeDataUrl = await QRCode.toDataURL(studentPortalUrl, {
+        errorCorrectionLevel: 'M',
+        type: 'image/png',
+        quality: 0.92,
+        margin: 1,
+        color: {
+            dark: '#667eea',
+            light: '#FFFFFF'
+        },
+        width: 256
+    });
+
+    res.render('student-dashboard', {
+        student: student,
+        allStudents: allStudents,
+        classDetail: student.classId,
+        attendanceHistory: attendanceRecords,
+        allAttendanceHistory: allAttendanceRecords,
+        attendancePercentage: attendancePercentage,
+        presentDays: presentDays,
+        totalDays: totalDays,
+        timetable: allTimetables,
+        upcomingCalendar: upcomingCalendar,
+        qrCode: qrCodeDataUrl,
+        portalUrl: studentPortalUrl
+    });
+}
+
+// Student Portal Landing Page (the logged-in student's classes)
+app.get('/student-portal', requireAuth, requireStudent, async (req, res) => {
+    try {
+        const students = await getLinkedStudents(req.user);
+
+        // No classes yet, or the student asked to link another one
+        if (students.length === 0 || req.query.link || req.query.message) {
+            return res.render('student-portal', {
+                message: req.query.message || (students.length === 0 ? 'Your account is not linked to a class yet. Enter your class code and roll number below.' : null),
+                messageType: req.query.messageType || 'info',
+                user: req.user
+            });
+        }
+
+        // If student is in multiple classes, show class selection
+        if (students.length > 1) {
+            return res.render('student-class-selection', {
+                students: students,
+                rollno: students[0].ROLLNO
+            });
+        }
+
+        await renderStudentDashboard(req, res, students[0]);
+    } catch (error) {
+        console.error('Student portal error:', error);
+        res.render('student-portal', {
+            message: 'An error occurred. Please try again.',
+            messageType: 'error',
+            user: req.user
+        });
+    }
+});
+
+// Individual Student Dashboard (one class enrolment of the logged-in student)
+app.get('/student-dashboard/:studentId', requireAuth, requireStudent, requireOwnStudentRecord, async (req, res) => {
+    try {
+        await renderStudentDashboard(req, res, req.studentDoc);
+    } catch (error) {
+        console.error('Individual student dashboard error:', error);
+        res.status(500).render('error', {
+            message: 'An error occurred while loading the dashboard',
+            user: req.user
+        });
+    }
+});
+
+// ====================== EMAIL PREFERENCE ROUTES ====================== //
+
+// Optional emails the logged-in user can switch off
+app.get('/account/notifications', requireAuth, (req, res) => {
+    const preferences = Object.keys(EMAIL_PREFERENCES)
+        .filter(key => EMAIL_PREFERENCES[key].roles.includes(req.user.ROLE))
+        .map(key => ({ key, ...EMAIL_PREFERENCES[key], enabled: wantsEmail(req.user, key) }));
+
+    res.render('account-notifications', {
+        preferences,
+        emailEnabled: isEmailEnabled(),
+        message: req.query.message || null,
+        user: req.user
+    });
+});
+
+app.post('/account/notifications', requireAuth, async (req, res) => {
+    try {
+        const updates = {};
+        Object.keys(EMAIL_PREFERENCES)
+            .filter(key => EMAIL_PREFERENCES[key].roles.includes(req.user.ROLE))
+            .forEach(key => {
+                updates[`emailPreferences.${key}`] = req.body[key] === 'on';
+            });
+
+        await User.updateOne({ _id: req.user._id }, { $set: updates });
+
+        res.redirect(`/account/notifications?message=${encodeURIComponent('Email preferences saved.')}`);
+    } catch (error) {
+        console.error('Email preferences error:', error);
+        res.status(500).send('Server Error');
+    }
+});
+
+// Signed link from an email footer; works without logging in
+app.get('/email/unsubscribe', (req, res) => {
+    const unsubscribe = verifyUnsubscribeToken(req.query.token);
+
+    res.render('email-unsubscribe', {
+        token: req.query.token,
+        preference: unsubscribe ? EMAIL_PREFERENCES[unsubscribe.preference] : null,
+        done: false
+    });
+});
+
+// Also the target of one-click List-Unsubscribe posts from mail clients
+app.post('/email/unsubscribe', async (req, res) => {
+    try {
+        const token = req.body.token || req.query.token;
+        const unsubscribe = verifyUnsubscribeToken(token);
+
+        if (unsubscribe) {
+            await User.updateOne(
+                { _id: unsubscribe.userId },
+                { $set: { [`emailPreferences.${unsubscribe.preference}`]: false } }
+            );
+            console.log(`✅ Unsubscribed ${unsubscribe.userId} from ${unsubscribe.preference} emails`);
+        }
+
+        res.status(unsubscribe ? 200 : 400).render('email-unsubscribe', {
+            token,
+            preference: unsubscribe ? EMAIL_PREFERENCES[unsubscribe.preference] : null,
+            done: Boolean(unsubscribe)
         });
-        
     } catch (error) {
-        console.error('Individual student dashboard error:', error);
-        res.status(500).render('error', {
-            message: 'An error occurred while loading the dashboard',
-            user: null
+        console.error('Unsubscribe error:', error);
+        res.status(500).send('Server Error');
+    }
+});
+
+// ====================== TIMETABLE FEED ROUTES ====================== //
+
+// The user's secret calendar subscription URL
+app.get('/account/calendar-feed', requireAuth, async (req, res) => {
+    try {
+        const feedUrl = `${req.protocol}://${req.get('host')}/calendar/${getFeedToken(req.user)}.ics`;
+        const classes = await getFeedClasses(req.user);
+
+        res.render('account-calendar-feed', {
+            feedUrl,
+            webcalUrl: feedUrl.replace(/^https?:/, 'webcal:'),
+            classes,
+            timezone: FEED_TIMEZONE,
+            message: req.query.message || null,
+            user: req.user
         });
+    } catch (error) {
+        console.error('Calendar feed page error:', error);
+        res.status(500).send('Server Error');
+    }
+});
+
+// New secret URL; calendars subscribed to the old one stop updating
+app.post('/account/calendar-feed/reset', requireAuth, async (req, res) => {
+    try {
+        await User.updateOne({ _id: req.user._id }, { $inc: { calendarFeedVersion: 1 } });
+
+        res.redirect(`/account/calendar-feed?message=${encodeURIComponent('Your calendar link was reset. Subscribe again with the new link.')}`);
+    } catch (error) {
+        console.error('Calendar feed reset error:', error);
+        res.status(500).send('Server Error');
+    }
+});
+
+// iCalendar feed for calendar apps; the secret URL is the only credential
+app.get('/calendar/:token.ics', async (req, res) => {
+    try {
+        const user = await findFeedUser(req.params.token);
+        if (!user) {
+            return res.status(404).type('text/plain').send('Calendar not found');
+        }
+
+        res.setHeader('Content-Type', 'text/calendar; charset=utf-8');
+        res.setHeader('Content-Disposition', 'inline; filename="timetable.ics"');
+        res.setHeader('Cache-Control', 'private, max-age=900');
+        res.send(await buildUserFeed(user));
+    } catch (error) {
+        console.error('Calendar feed error:', error);
+        res.status(500).type('text/plain').send('Server Error');
     }
 });
 
+// ====================== STUDENT ACCOUNT ROUTES ====================== //
+
+// Claim a roster record and link further classes to a student account
+app.use(studentAccountsRouter);
+
 // Generate QR Code for Student (Teacher Route)
-app.get('/student/:studentId/qrcode', requireAuth, requireTeacher, async (req, res) => {
+app.get('/student/:studentId/qrcode', describeRoute({
+    summary: 'QR code linking a student to the portal (or to a new account invite)',
+    tags: ['Roster'],
+    responses: {
+        200: {
+            schema: objectSchema({
+                success: { type: 'boolean', enum: [true] },
+                student: objectSchema({
+                    name: { type: 'string' },
+                    rollno: { type: 'number' },
+                    class: { type: 'string' }
+                }),
+                qrCode: { type: 'string', description: 'PNG data URL' },
+                portalUrl: { type: 'string' },
+                claimed: { type: 'boolean' },
+                inviteExpiresInDays: { type: 'integer' }
+            })
+        },
+        403: { description: 'Not your class', schema: LEGACY_ERROR },
+        404: { description: 'Student not found', schema: LEGACY_ERROR },
+        500: { description: 'Server error', schema: LEGACY_ERROR }
+    }
+}), requireAuth, requireTeacher, validateObjectId('studentId'), async (req, res) => {
     try {
         const { studentId } = req.params;
         const student = await Student.findById(studentId).populate('classId');
@@ -1381,12 +3716,16 @@ app.get('/student/:studentId/qrcode', requireAuth, requireTeacher, async (req, r
         }
         
         // Check if user has access to this student's class
-        if (req.user.ROLE !== 'admin' && student.classId.CREATEDBY.toString() !== req.user._id.toString()) {
+        if (!hasTenantPermission(req.user, 'class.view.any', student.classId) && student.classId.CREATEDBY.toString() !== req.user._id.toString()) {
             return res.status(403).json({ error: 'Access denied' });
         }
         
-        // Generate QR code for student portal access
-        const studentPortalUrl = `${req.protocol}://${req.get('host')}/student-portal?rollno=${student.ROLLNO}`;
+        // Unclaimed students get an invite to set up their account; claimed ones the portal
+        let studentPortalUrl = `${req.protocol}://${req.get('host')}/student-portal`;
+        if (!student.userId) {
+            const { token } = await createStudentInvite(student, req.user._id);
+            studentPortalUrl = `${req.protocol}://${req.get('host')}/student/claim?invite=${token}`;
+        }
         const qrCodeDataUrl = await QRCode.toDataURL(studentPortalUrl, {
             errorCorrectionLevel: 'M',
             type: 'image/png',
@@ -1407,7 +3746,9 @@ app.get('/student/:studentId/qrcode', requireAuth, requireTeacher, async (req, r
                 class: student.classId.CLASSNAME
             },
             qrCode: qrCodeDataUrl,
-            portalUrl: studentPortalUrl
+            portalUrl: studentPortalUrl,
+            claimed: Boolean(student.userId),
+            inviteExpiresInDays: INVITE_TTL_DAYS
         });
     } catch (error) {
         console.error('QR Code generation error:', error);
@@ -1416,13 +3757,13 @@ app.get('/student/:studentId/qrcode', requireAuth, requireTeacher, async (req, r
 });
 
 // Test route to show QR codes for all students (for development/testing)
-app.get('/test-qr-codes', requireAuth, requireAdmin, async (req, res) => {
+app.get('/test-qr-codes', requireAuth, requireServerAdmin, async (req, res) => {
     try {
         const students = await Student.find().populate('classId').limit(10);
         const qrCodes = [];
         
         for (const student of students) {
-            const studentPortalUrl = `${req.protocol}://${req.get('host')}/student-portal?rollno=${student.ROLLNO}`;
+            const studentPortalUrl = `${req.protocol}://${req.get('host')}/student-portal`;
             const qrCodeDataUrl = await QRCode.toDataURL(studentPortalUrl, {
                 errorCorrectionLevel: 'M',
                 type: 'image/png',
@@ -1517,30 +3858,21 @@ app.get('/test-qr-codes', requireAuth, requireAdmin, async (req, res) => {
 // ====================== ATTENDANCE SUMMARY ROUTES ====================== //
 
 // Student Attendance Summary Table (Public access for students without login)
-app.get('/student-attendance-summary', async (req, res) => {
+app.get('/student-attendance-summary', requireAuth, requireStudent, async (req, res) => {
     try {
-        const { rollno } = req.query;
+        // Only the class enrolments this account has claimed, one term at a time
+        const linkedStudents = await getLinkedStudents(req.user);
+        const { terms, hasUnassigned, selectedTermId, students } = await selectEnrolmentTerm(linkedStudents, req.query.term);
         
-        if (!rollno) {
+        if (students.length === 0) {
             return res.render('student-attendance-summary', { 
-                message: 'Please enter your roll number to view attendance summary.', 
+                message: 'Your account is not linked to a class yet.', 
                 messageType: 'info',
                 rollno: null,
                 attendanceSummary: null
             });
         }
-        
-        // Find all student records with this roll number
-        const students = await Student.find({ ROLLNO: rollno }).populate('classId');
-        
-        if (!students || students.length === 0) {
-            return res.render('student-attendance-summary', { 
-                message: 'Student not found. Please check your roll number.', 
-                messageType: 'error',
-                rollno: rollno,
-                attendanceSummary: null
-            });
-        }
+        const rollno = students[0].ROLLNO;
         
         // Get attendance data for all classes
         const attendanceSummary = [];
@@ -1548,10 +3880,7 @@ app.get('/student-attendance-summary', async (req, res) => {
         let totalClasses = 0;
         
         for (const student of students) {
-            const attendanceRecords = await Attendance.find({ studentId: student._id });
-            const presentCount = attendanceRecords.filter(record => record.status === 'present').length;
-            const totalCount = attendanceRecords.length;
-            const percentage = totalCount > 0 ? ((presentCount / totalCount) * 100).toFixed(2) : 0;
+            const { presentCount, totalCount, percentage } = await getStudentAttendanceStats(student._id);
             
             attendanceSummary.push({
                 className: student.classId.CLASSNAME,
@@ -1560,14 +3889,14 @@ app.get('/student-attendance-summary', async (req, res) => {
                 presentCount: presentCount,
                 totalCount: totalCount,
                 percentage: percentage,
-                status: percentage >= 75 ? 'good' : percentage >= 60 ? 'warning' : 'danger'
+                status: getAttendanceStanding(percentage)
             });
             
             totalPresent += presentCount;
             totalClasses += totalCount;
         }
         
-        const overallPercentage = totalClasses > 0 ? ((totalPresent / totalClasses) * 100).toFixed(2) : 0;
+        const overallPercentage = calculatePercentage(totalPresent, totalClasses);
         
         res.render('student-attendance-summary', {
             message: null,
@@ -1578,7 +3907,10 @@ app.get('/student-attendance-summary', async (req, res) => {
             totalPresent: totalPresent,
             totalClasses: totalClasses,
             overallPercentage: overallPercentage,
-            overallStatus: overallPercentage >= 75 ? 'good' : overallPercentage >= 60 ? 'warning' : 'danger'
+            overallStatus: getAttendanceStanding(overallPercentage),
+            terms,
+            hasUnassigned,
+            selectedTermId
         });
         
     } catch (error) {
@@ -1592,25 +3924,17 @@ app.get('/student-attendance-summary', async (req, res) => {
     }
 });
 
-// Student-specific attendance report (public access)
-app.get('/student-attendance-report/:rollno', async (req, res) => {
+// Student-specific attendance report (the logged-in student's own records only)
+app.get('/student-attendance-report/:rollno', requireAuth, requireStudent, async (req, res) => {
     try {
         const { rollno } = req.params;
 
-        if (!rollno) {
-            return res.status(400).render('error', {
-                message: 'Roll number is required',
-                user: null
-            });
-        }
-
-        // Find all student records with this roll number
-        const students = await Student.find({ ROLLNO: rollno }).populate('classId');
+        const students = await Student.find({ ROLLNO: rollno, userId: req.user._id }).populate('classId');
 
         if (!students || students.length === 0) {
             return res.status(404).render('error', {
                 message: 'Student not found with roll number: ' + rollno,
-                user: null
+                user: req.user
             });
         }
 
@@ -1620,10 +3944,7 @@ app.get('/student-attendance-report/:rollno', async (req, res) => {
         let totalClasses = 0;
 
         for (const student of students) {
-            const attendanceRecords = await Attendance.find({ studentId: student._id }).sort({ date: -1 });
-            const presentCount = attendanceRecords.filter(record => record.status === 'present').length;
-            const totalCount = attendanceRecords.length;
-            const percentage = totalCount > 0 ? ((presentCount / totalCount) * 100).toFixed(2) : 0;
+            const { records: attendanceRecords, presentCount, totalCount, percentage } = await getStudentAttendanceStats(student._id);
 
             attendanceSummary.push({
                 student: student,
@@ -1631,7 +3952,7 @@ app.get('/student-attendance-report/:rollno', async (req, res) => {
                 presentCount: presentCount,
                 totalCount: totalCount,
                 percentage: parseFloat(percentage),
-                status: percentage >= 75 ? 'good' : percentage >= 60 ? 'warning' : 'danger',
+                status: getAttendanceStanding(percentage),
                 attendanceRecords: attendanceRecords
             });
 
@@ -1639,7 +3960,7 @@ app.get('/student-attendance-report/:rollno', async (req, res) => {
             totalClasses += totalCount;
         }
 
-        const overallPercentage = totalClasses > 0 ? ((totalPresent / totalClasses) * 100).toFixed(2) : 0;
+        const overallPercentage = calculatePercentage(totalPresent, totalClasses);
 
         res.render('student-attendance-summary', {
             message: null,
@@ -1650,14 +3971,14 @@ app.get('/student-attendance-report/:rollno', async (req, res) => {
             totalPresent: totalPresent,
             totalClasses: totalClasses,
             overallPercentage: overallPercentage,
-            overallStatus: overallPercentage >= 75 ? 'good' : overallPercentage >= 60 ? 'warning' : 'danger'
+            overallStatus: getAttendanceStanding(overallPercentage)
         });
 
     } catch (error) {
         console.error('Student attendance report error:', error);
         res.status(500).render('error', {
             message: 'An error occurred while loading attendance report.',
-            user: null
+            user: req.user
         });
     }
 });
@@ -1667,10 +3988,7 @@ app.get('/teacher-attendance-summary', requireAuth, requireTeacher, async (req,
     try {
         // Get all classes where the teacher has access
         const teacherClasses = await Class.find({
-            $or: [
-                { CREATEDBY: req.user._id },
-                { TEACHERS: req.user._id }
-            ],
+            ...getAccessibleClassFilter(req.user),
             ISACTIVE: true
         }).populate('TEACHERS', 'NAME EMAIL');
         
@@ -1688,13 +4006,10 @@ app.get('/teacher-attendance-summary', requireAuth, requireTeacher, async (req,
                 studentId: { $in: students.map(s => s._id) }
             });
             
-            const presentCount = attendanceRecords.filter(record => record.status === 'present').length;
-            const totalAttendanceRecords = attendanceRecords.length;
-            const classPercentage = totalAttendanceRecords > 0 ? ((presentCount / totalAttendanceRecords) * 100).toFixed(2) : 0;
+            const { presentCount, totalCount: totalAttendanceRecords, percentage: classPercentage } = summarizeMarks(attendanceRecords);
             
-            // Get unique dates for this class
-            const uniqueDates = [...new Set(attendanceRecords.map(record => record.date.toDateString()))];
-            const totalClassDays = uniqueDates.length;
+            // Count the lectures held for this class
+            const totalSessions = await AttendanceSession.countDocuments({ classId: classDoc._id });
             
             attendanceSummary.push({
                 classId: classDoc._id,
@@ -1702,11 +4017,11 @@ app.get('/teacher-attendance-summary', requireAuth, requireTeacher, async (req,
                 subject: classDoc.SUBJECT,
                 roomNo: classDoc.ROOMNO,
                 totalStudents: students.length,
-                totalClassDays: totalClassDays,
+                totalSessions: totalSessions,
                 presentCount: presentCount,
                 totalAttendanceRecords: totalAttendanceRecords,
                 percentage: classPercentage,
-                status: classPercentage >= 75 ? 'good' : classPercentage >= 60 ? 'warning' : 'danger',
+                status: getAttendanceStanding(classPercentage),
                 teachers: classDoc.TEACHERS
             });
             
@@ -1715,7 +4030,7 @@ app.get('/teacher-attendance-summary', requireAuth, requireTeacher, async (req,
             totalClassInstances += totalAttendanceRecords;
         }
         
-        const overallPercentage = totalClassInstances > 0 ? ((totalPresentInstances / totalClassInstances) * 100).toFixed(2) : 0;
+        const overallPercentage = calculatePercentage(totalPresentInstances, totalClassInstances);
         
         res.render('teacher-attendance-summary', {
             teacherName: req.user.NAME,
@@ -1725,7 +4040,7 @@ app.get('/teacher-attendance-summary', requireAuth, requireTeacher, async (req,
             totalPresentInstances: totalPresentInstances,
             totalClassInstances: totalClassInstances,
             overallPercentage: overallPercentage,
-            overallStatus: overallPercentage >= 75 ? 'good' : overallPercentage >= 60 ? 'warning' : 'danger'
+            overallStatus: getAttendanceStanding(overallPercentage)
         });
         
     } catch (error) {
@@ -1751,17 +4066,13 @@ app.get('/teacher-view-student/:rollno', requireAuth, requireTeacher, async (req
                 messageType: 'error',
                 rollno: rollno,
                 studentData: null,
-                teacherName: req.user.NAME
+                teacherName: req.user.FULLNAME,
+                user: req.user
             });
         }
         
         // Check if teacher has access to at least one of the student's classes
-        const teacherClasses = await Class.find({
-            $or: [
-                { CREATEDBY: req.user._id },
-                { TEACHERS: req.user._id }
-            ]
-        });
+        const teacherClasses = await Class.find(getAccessibleClassFilter(req.user));
         
         const teacherClassIds = teacherClasses.map(c => c._id.toString());
         const studentClassIds = students.map(s => s.classId._id.toString());
@@ -1773,7 +4084,8 @@ app.get('/teacher-view-student/:rollno', requireAuth, requireTeacher, async (req
                 messageType: 'error',
                 rollno: rollno,
                 studentData: null,
-                teacherName: req.user.NAME
+                teacherName: req.user.FULLNAME,
+                user: req.user
             });
         }
         
@@ -1783,10 +4095,7 @@ app.get('/teacher-view-student/:rollno', requireAuth, requireTeacher, async (req
         let totalClasses = 0;
         
         for (const student of students) {
-            const attendanceRecords = await Attendance.find({ studentId: student._id });
-            const presentCount = attendanceRecords.filter(record => record.status === 'present').length;
-            const totalCount = attendanceRecords.length;
-            const percentage = totalCount > 0 ? ((presentCount / totalCount) * 100).toFixed(2) : 0;
+            const { presentCount, totalCount, percentage } = await getStudentAttendanceStats(student._id);
             
             // Check if teacher has access to this specific class
             const hasClassAccess = teacherClassIds.includes(student.classId._id.toString());
@@ -1799,7 +4108,7 @@ app.get('/teacher-view-student/:rollno', requireAuth, requireTeacher, async (req
                 presentCount: presentCount,
                 totalCount: totalCount,
                 percentage: percentage,
-                status: percentage >= 75 ? 'good' : percentage >= 60 ? 'warning' : 'danger',
+                status: getAttendanceStanding(percentage),
                 hasAccess: hasClassAccess,
                 classId: student.classId._id
             });
@@ -1808,12 +4117,18 @@ app.get('/teacher-view-student/:rollno', requireAuth, requireTeacher, async (req
             totalClasses += totalCount;
         }
         
-        const overallPercentage = totalClasses > 0 ? ((totalPresent / totalClasses) * 100).toFixed(2) : 0;
+        const overallPercentage = calculatePercentage(totalPresent, totalClasses);
+        
+        // Who changed this student's marks, limited to the teacher's own classes
+        const history = await getAttendanceHistory({
+            studentId: { $in: students.filter(s => teacherClassIds.includes(s.classId._id.toString())).map(s => s._id) }
+        }, { limit: 100 });
         
         res.render('teacher-view-student-summary', {
             message: null,
             messageType: null,
             rollno: rollno,
+            history: history,
             studentData: {
                 name: students[0].NAME,
                 rollno: rollno,
@@ -1821,9 +4136,10 @@ app.get('/teacher-view-student/:rollno', requireAuth, requireTeacher, async (req
                 totalPresent: totalPresent,
                 totalClasses: totalClasses,
                 overallPercentage: overallPercentage,
-                overallStatus: overallPercentage >= 75 ? 'good' : overallPercentage >= 60 ? 'warning' : 'danger'
+                overallStatus: getAttendanceStanding(overallPercentage)
             },
-            teacherName: req.user.NAME
+            teacherName: req.user.FULLNAME,
+            user: req.user
         });
         
     } catch (error) {
@@ -1833,7 +4149,8 @@ app.get('/teacher-view-student/:rollno', requireAuth, requireTeacher, async (req
             messageType: 'error',
             rollno: req.params.rollno,
             studentData: null,
-            teacherName: req.user.NAME
+            teacherName: req.user.FULLNAME,
+            user: req.user
         });
     }
 });
@@ -1843,10 +4160,7 @@ app.get('/teacher-search-students', requireAuth, requireTeacher, async (req, res
     try {
         // Get all classes where the teacher has access
         const teacherClasses = await Class.find({
-            $or: [
-                { CREATEDBY: req.user._id },
-                { TEACHERS: req.user._id }
-            ],
+            ...getAccessibleClassFilter(req.user),
             ISACTIVE: true
         }).populate('TEACHERS', 'NAME EMAIL');
         
@@ -1886,7 +4200,7 @@ app.get('/teacher-search-students', requireAuth, requireTeacher, async (req, res
 });
 
 // Enhanced class management - Add multiple classes at once
-app.get('/bulk-create-classes', requireAuth, requireTeacher, (req, res) => {
+app.get('/bulk-create-classes', requireAuth, requirePermission('class.create'), (req, res) => {
     res.render('bulk-create-classes', {
         user: req.user,
         message: null,
@@ -1894,7 +4208,7 @@ app.get('/bulk-create-classes', requireAuth, requireTeacher, (req, res) => {
     });
 });
 
-app.post('/bulk-create-classes', requireAuth, requireTeacher, async (req, res) => {
+app.post('/bulk-create-classes', requireAuth, requirePermission('class.create'), async (req, res) => {
     try {
         const { classes } = req.body;
         
@@ -1975,10 +4289,7 @@ app.get('/teacher-students-summary', requireAuth, requireTeacher, async (req, re
         
         // Get all classes where the teacher has access
         const teacherClasses = await Class.find({
-            $or: [
-                { CREATEDBY: req.user._id },
-                { TEACHERS: req.user._id }
-            ],
+            ...getAccessibleClassFilter(req.user),
             ISACTIVE: true
         });
 
@@ -1988,7 +4299,7 @@ app.get('/teacher-students-summary', requireAuth, requireTeacher, async (req, re
         if (classId) {
             // Get specific class data
             selectedClass = await Class.findById(classId);
-            if (!selectedClass || (!selectedClass.CREATEDBY.equals(req.user._id) && !selectedClass.TEACHERS.includes(req.user._id))) {
+            if (!selectedClass || !canViewClass(req.user, selectedClass)) {
                 return res.status(403).render('error', {
                     message: 'You do not have access to this class.',
                     user: req.user
@@ -1999,18 +4310,15 @@ app.get('/teacher-students-summary', requireAuth, requireTeacher, async (req, re
             const students = await Student.find({ classId: classId }).sort({ ROLLNO: 1 });
             
             for (const student of students) {
-                const attendanceRecords = await Attendance.find({ studentId: student._id });
-                const presentCount = attendanceRecords.filter(record => record.status === 'present').length;
-                const totalCount = attendanceRecords.length;
-                const percentage = totalCount > 0 ? ((presentCount / totalCount) * 100).toFixed(2) : 0;
+                const { presentCount, totalCount, percentage } = await getStudentAttendanceStats(student._id);
                 
                 studentsData.push({
                     student: student,
                     presentCount: presentCount,
                     totalCount: totalCount,
                     percentage: parseFloat(percentage),
-                    status: percentage >= 75 ? 'good' : percentage >= 60 ? 'warning' : 'danger',
-                    isDefaulter: percentage < 75
+                    status: getAttendanceStanding(percentage),
+                    isDefaulter: isDefaulter(percentage)
                 });
             }
         }
@@ -2034,7 +4342,7 @@ app.get('/teacher-students-summary', requireAuth, requireTeacher, async (req, re
 
 
 // Bulk add students to multiple classes
-app.post('/bulk-add-students', requireAuth, requireTeacher, async (req, res) => {
+app.post('/bulk-add-students', requireAuth, requirePermission('class.manage'), async (req, res) => {
     try {
         const { students, classIds } = req.body;
         
@@ -2112,117 +4420,78 @@ app.post('/bulk-add-students', requireAuth, requireTeacher, async (req, res) =>
 });
 
 // Generate comprehensive attendance report
-app.get('/generate-attendance-report', requireAuth, requireTeacher, async (req, res) => {
+app.get('/generate-attendance-report', describeRoute({
+    summary: 'Attendance report of a class, as a page, JSON or a register download',
+    tags: ['Reports'],
+    description: 'format=json returns the report data; csv, xlsx and pdf download the register (pdf with type=notices prints defaulter letters); anything else renders the report page.',
+    responses: {
+        200: {
+            schema: {
+                type: 'object',
+                properties: {
+                    class: { type: 'object' },
+                    generatedBy: { type: 'string' },
+                    generatedOn: { type: 'string', format: 'date-time' },
+                    range: { type: 'object' },
+                    totalStudents: { type: 'integer' },
+                    totalSessions: { type: 'integer' },
+                    students: arraySchema({ type: 'object' }),
+                    defaulters: arraySchema({ type: 'object' }),
+                    summary: { type: 'object' }
+                },
+                required: ['class', 'totalStudents', 'totalSessions', 'students', 'defaulters', 'summary']
+            },
+            contentTypes: ['text/html', 'text/csv', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet', 'application/pdf']
+        },
+        403: { description: 'Not your class', schema: LEGACY_ERROR },
+        500: { description: 'Server error', schema: LEGACY_ERROR }
+    }
+}), requireAuth, requireTeacher, validateReportQuery, async (req, res) => {
     try {
         const { classId, format } = req.query;
-        
-        if (!classId) {
-            return res.status(400).json({ error: 'Class ID is required' });
+
+        // Optional ?from=&to= (YYYY-MM-DD) limits the register to sessions in that period
+        const { range, error: rangeError } = parseDateRange(req.query.from, req.query.to);
+        if (rangeError) {
+            return res.status(400).json({ error: rangeError });
         }
 
         // Verify teacher has access to this class
         const classDoc = await Class.findById(classId);
-        if (!classDoc || (!classDoc.CREATEDBY.equals(req.user._id) && !classDoc.TEACHERS.includes(req.user._id))) {
+        if (!classDoc || !canViewClass(req.user, classDoc)) {
             return res.status(403).json({ error: 'You do not have access to this class.' });
         }
 
-        // Get all students in this class
-        const students = await Student.find({ classId: classId }).sort({ ROLLNO: 1 });
-        
-        // Get all unique attendance dates for this class
-        const allAttendanceRecords = await Attendance.find({ 
-            studentId: { $in: students.map(s => s._id) }
-        }).sort({ date: 1 });
-        
-        const uniqueDates = [...new Set(allAttendanceRecords.map(record => record.date.toDateString()))];
-        
-        const reportData = {
-            class: classDoc,
-            generatedBy: req.user.NAME,
-            generatedOn: new Date(),
-            totalStudents: students.length,
-            totalClassDays: uniqueDates.length,
-            students: [],
-            defaulters: [],
-            summary: {
-                excellent: 0, // >= 75%
-                good: 0,      // 60-74%
-                poor: 0       // < 60%
-            }
-        };
-
-        // Process each student
-        for (const student of students) {
-            const studentAttendance = await Attendance.find({ studentId: student._id }).sort({ date: 1 });
-            const presentCount = studentAttendance.filter(record => record.status === 'present').length;
-            const totalCount = studentAttendance.length;
-            const percentage = totalCount > 0 ? ((presentCount / totalCount) * 100).toFixed(2) : 0;
-            
-            // Create attendance record for each date
-            const attendanceByDate = {};
-            studentAttendance.forEach(record => {
-                attendanceByDate[record.date.toDateString()] = record.status;
-            });
-
-            const studentData = {
-                rollNo: student.ROLLNO,
-                name: student.NAME,
-                email: student.EMAIL,
-                presentCount: presentCount,
-                totalCount: totalCount,
-                percentage: parseFloat(percentage),
-                status: percentage >= 75 ? 'excellent' : percentage >= 60 ? 'good' : 'poor',
-                isDefaulter: percentage < 75,
-                attendanceByDate: attendanceByDate,
-                classesAttended: uniqueDates.map(date => ({
-                    date: date,
-                    status: attendanceByDate[date] || 'absent'
-                }))
-            };
-
-            reportData.students.push(studentData);
-
-            // Update summary counts
-            if (percentage >= 75) reportData.summary.excellent++;
-            else if (percentage >= 60) reportData.summary.good++;
-            else reportData.summary.poor++;
-
-            // Add to defaulters if attendance < 75%
-            if (percentage < 75) {
-                reportData.defaulters.push(studentData);
-            }
-        }
+        // Every lecture held for this class becomes a column of the register
+        const { reportData, sessions } = await buildClassReport(classDoc, { range, generatedBy: req.user.FULLNAME });
 
         if (format === 'json') {
             res.json(reportData);
         } else if (format === 'csv') {
-            // Generate CSV format
-            let csv = [];
-            csv.push(`Attendance Report - ${classDoc.CLASSNAME}`);
-            csv.push(`Subject: ${classDoc.SUBJECT}`);
-            csv.push(`Room: ${classDoc.ROOMNO}`);
-            csv.push(`Generated by: ${req.user.NAME}`);
-            csv.push(`Generated on: ${new Date().toLocaleDateString()}`);
-            csv.push(`Total Students: ${reportData.totalStudents}`);
-            csv.push(`Total Class Days: ${reportData.totalClassDays}`);
-            csv.push('');
-            
-            // Student summary
-            csv.push('Roll No,Name,Email,Present,Total,Percentage,Status,Is Defaulter');
-            reportData.students.forEach(student => {
-                csv.push(`${student.rollNo},"${student.name}","${student.email}",${student.presentCount},${student.totalCount},${student.percentage}%,${student.status},${student.isDefaulter ? 'YES' : 'NO'}`);
-            });
-            
-            csv.push('');
-            csv.push('DEFAULTERS (Below 75% Attendance):');
-            csv.push('Roll No,Name,Percentage');
-            reportData.defaulters.forEach(defaulter => {
-                csv.push(`${defaulter.rollNo},"${defaulter.name}",${defaulter.percentage}%`);
-            });
-
-            res.setHeader('Content-Type', 'text/csv');
-            res.setHeader('Content-Disposition', `attachment; filename="attendance-report-${classDoc.CLASSNAME}-${new Date().toISOString().split('T')[0]}.csv"`);
-            res.send(csv.join('\n'));
+            // Register: one row per student, one column per session, totals at the end
+            res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+            res.setHeader('Content-Disposition', `attachment; filename="${getRegisterFileName(classDoc, range)}.csv"`);
+            res.send(buildRegisterCsv(reportData, sessions));
+        } else if (format === 'xlsx') {
+            const workbook = buildRegisterWorkbook(reportData, sessions, range);
+            res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+            res.setHeader('Content-Disposition', `attachment; filename="${getRegisterFileName(classDoc, range)}.xlsx"`);
+            await workbook.xlsx.write(res);
+            res.end();
+        } else if (format === 'pdf') {
+            // ?type=notices prints one shortage letter per defaulter instead of the register
+            const teacher = await User.findById(classDoc.CREATEDBY).select('FULLNAME');
+            const teacherName = teacher ? teacher.FULLNAME : null;
+            const isNotices = req.query.type === 'notices';
+            const doc = isNotices
+                ? buildDefaulterNoticesPdf(reportData, range, teacherName)
+                : buildRegisterPdf(reportData, sessions, range, teacherName);
+            const fileName = getRegisterFileName(classDoc, range, isNotices ? 'defaulter-notices' : 'attendance-register');
+
+            res.setHeader('Content-Type', 'application/pdf');
+            res.setHeader('Content-Disposition', `attachment; filename="${fileName}.pdf"`);
+            doc.pipe(res);
+            doc.end();
         } else {
             // Render HTML report
             res.render('attendance-report', {
@@ -2238,7 +4507,7 @@ app.get('/generate-attendance-report', requireAuth, requireTeacher, async (req,
 });
 
 // Bulk add students to multiple classes
-app.post('/bulk-add-students', requireAuth, requireTeacher, async (req, res) => {
+app.post('/bulk-add-students', requireAuth, requirePermission('class.manage'), async (req, res) => {
     try {
         const { students, classIds } = req.body;
         
@@ -2327,11 +4596,12 @@ app.get('/test-auth', requireAuth, async (req, res) => {
             role: req.user.ROLE,
             isActive: req.user.ISACTIVE,
             accessLevel: {
-                canAccessAdmin: req.user.ROLE === 'admin',
-                canAccessTeacher: ['admin', 'teacher'].includes(req.user.ROLE),
+                canAccessAdmin: hasPermission(req.user, 'admin.access'),
+                canAccessTeacher: isStaffRole(req.user.ROLE),
                 canAccessStudent: req.user.ROLE === 'student',
                 isBlocked: !req.user.ISACTIVE
-            }
+            },
+            permissions: Object.keys(PERMISSIONS).filter(permission => hasPermission(req.user, permission))
         };
 
         res.json({
@@ -2346,7 +4616,7 @@ app.get('/test-auth', requireAuth, async (req, res) => {
 });
 
 // Test database connection
-app.get('/test-db', requireAuth, requireAdmin, async (req, res) => {
+app.get('/test-db', requireAuth, requireServerAdmin, async (req, res) => {
     try {
         // Test basic database operations
         const userCount = await User.countDocuments();
@@ -2378,7 +4648,7 @@ app.get('/test-db', requireAuth, requireAdmin, async (req, res) => {
 });
 
 // Test class creation route
-app.get('/test-create-class', requireAuth, requireAdmin, async (req, res) => {
+app.get('/test-create-class', requireAuth, requireServerAdmin, async (req, res) => {
     try {
         console.log('Testing class creation...');
         
@@ -2416,7 +4686,29 @@ app.get('/test-create-class', requireAuth, requireAdmin, async (req, res) => {
 // ====================== MIGRATION ROUTES (Run once to update existing data) ====================== //
 
 // Migration route to update existing classes with new schema
-app.get('/migrate-classes', requireAuth, requireAdmin, async (req, res) => {
+app.get('/migrate-classes', describeRoute({
+    summary: 'Backfill multi-teacher and multi-class fields on old records',
+    tags: ['Maintenance'],
+    responses: {
+        200: {
+            schema: objectSchema({
+                success: { type: 'boolean', enum: [true] },
+                message: { type: 'string' },
+                classesUpdated: { type: 'integer' },
+                studentsUpdated: { type: 'integer' },
+                totalClasses: { type: 'integer' },
+                totalStudents: { type: 'integer' }
+            })
+        },
+        500: {
+            description: 'Migration failed',
+            schema: objectSchema({
+                success: { type: 'boolean', enum: [false] },
+                error: { type: 'string' }
+            })
+        }
+    }
+}), requireAuth, requireServerAdmin, async (req, res) => {
     try {
         // Update all classes to have TEACHERS array and CLASSCODE
         const classes = await Class.find({});
@@ -2498,8 +4790,113 @@ app.get('/migrate-classes', requireAuth, requireAdmin, async (req, res) => {
 
 // ====================== TIMETABLE MANAGEMENT ROUTES ====================== //
 
+// Rooms lectures can be timetabled into
+app.get('/admin/rooms', requireAuth, requirePermission('room.manage'), async (req, res) => {
+    try {
+        const rooms = await Room.find(getRoomFilter(req.user))
+            .populate('organizationId', 'name')
+            .sort({ isActive: -1, name: 1 });
+
+        // Weekly slots booked into each room
+        const usage = await Timetable.aggregate([
+            { $match: { roomId: { $in: rooms.map(room => room._id) } } },
+            { $group: { _id: '$roomId', slots: { $sum: 1 } } }
+        ]);
+        const slotCounts = Object.fromEntries(usage.map(row => [row._id.toString(), row.slots]));
+
+        res.render('admin-rooms', {
+            rooms,
+            slotCounts,
+            serverWide: isServerWide(req.user),
+            message: req.query.message || null,
+            messageType: req.query.messageType || 'success',
+            user: req.user
+        });
+    } catch (error) {
+        console.error('Rooms page error:', error);
+        res.status(500).render('error', { message: 'Failed to load rooms', user: req.user });
+    }
+});
+
+// Register a room; timetable slots that already name it are linked to it
+app.post('/admin/rooms', requireAuth, requirePermission('room.manage'), async (req, res) => {
+    try {
+        const name = (req.body.name || '').trim();
+        const building = (req.body.building || '').trim();
+        const capacity = req.body.capacity ? parseInt(req.body.capacity, 10) : null;
+
+        if (!name || name.length > 100) {
+            return res.redirect(`/admin/rooms?messageType=error&message=${encodeURIComponent('Room name is required (up to 100 characters).')}`);
+        }
+        if (capacity !== null && (isNaN(capacity) || capacity < 0)) {
+            return res.redirect(`/admin/rooms?messageType=error&message=${encodeURIComponent('Capacity must be a whole number.')}`);
+        }
+
+        const organizationId = req.user.organizationId || null;
+        if (await findRoomByName(organizationId, name)) {
+            return res.redirect(`/admin/rooms?messageType=error&message=${encodeURIComponent(`There is already a room called ${name}.`)}`);
+        }
+
+        const room = await Room.create({
+            organizationId,
+            name,
+            building: building.slice(0, 100),
+            capacity,
+            createdBy: req.user._id
+        });
+        const linked = await linkRoomSlots(room);
+        logAdminAction('ADD_ROOM', { roomId: room._id, name: room.name, linkedSlots: linked }, req);
+
+        const message = linked > 0 ? `Room ${room.name} added and linked to ${linked} timetable slot(s).` : `Room ${room.name} added.`;
+        res.redirect(`/admin/rooms?message=${encodeURIComponent(message)}`);
+    } catch (error) {
+        console.error('Add room error:', error);
+        res.status(500).render('error', { message: 'Failed to add the room', user: req.user });
+    }
+});
+
+// Retire a room (it stays on existing slots but cannot be booked) or bring it back
+app.post('/admin/rooms/:roomId/toggle', requireAuth, requirePermission('room.manage'), async (req, res) => {
+    try {
+        const room = mongoose.Types.ObjectId.isValid(req.params.roomId)
+            ? await Room.findOne({ _id: req.params.roomId, ...getRoomFilter(req.user) })
+            : null;
+        if (!room) {
+            return res.redirect(`/admin/rooms?messageType=error&message=${encodeURIComponent('Room not found.')}`);
+        }
+
+        room.isActive = !room.isActive;
+        await room.save();
+        logAdminAction(room.isActive ? 'REACTIVATE_ROOM' : 'RETIRE_ROOM', { roomId: room._id, name: room.name }, req);
+
+        res.redirect(`/admin/rooms?message=${encodeURIComponent(`Room ${room.name} ${room.isActive ? 'can be booked again' : 'retired'}.`)}`);
+    } catch (error) {
+        console.error('Toggle room error:', error);
+        res.status(500).render('error', { message: 'Failed to update the room', user: req.user });
+    }
+});
+
+// Every clash in the timetables of the admin's classes: overlapping slots in
+// one class, two classes in one room or one teacher in two places
+app.get('/admin/timetable-conflicts', requireAuth, requirePermission('room.manage'), async (req, res) => {
+    try {
+        const conflicts = await findTimetableConflicts(getTenantFilter(req.user));
+        const dayOrder = ['Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday', 'Sunday'];
+
+        res.render('admin-timetable-conflicts', {
+            conflicts: conflicts.sort((a, b) => (
+                dayOrder.indexOf(a.day) - dayOrder.indexOf(b.day) || a.first.startTime.localeCompare(b.first.startTime)
+            )),
+            user: req.user
+        });
+    } catch (error) {
+        console.error('Timetable conflicts error:', error);
+        res.status(500).render('error', { message: 'Failed to load the timetable conflict report', user: req.user });
+    }
+});
+
 // Timetable Management Page
-app.get('/classdetail/:id/timetable', requireAuth, hasClassManagementAccess, async (req, res) => {
+app.get('/classdetail/:id/timetable', requireAuth, requirePermission('class.manage'), hasClassManagementAccess, async (req, res) => {
     try {
         const { id } = req.params;
         const foundClass = await Class.findById(id);
@@ -2509,15 +4906,28 @@ app.get('/classdetail/:id/timetable', requireAuth, hasClassManagementAccess, asy
         }
         
         // Check if user has access to this class
-        if (req.user.ROLE !== 'admin' && foundClass.CREATEDBY.toString() !== req.user._id.toString()) {
+        if (!hasTenantPermission(req.user, 'class.view.any', foundClass) && foundClass.CREATEDBY.toString() !== req.user._id.toString()) {
             return res.status(403).send('Access denied');
         }
         
         const timetable = await Timetable.find({ classId: id }).sort({ day: 1, startTime: 1 });
+        const [teachers, rooms, otherClasses] = await Promise.all([
+            User.find({ _id: { $in: foundClass.TEACHERS } }).select('FULLNAME USERNAME').sort({ FULLNAME: 1 }),
+            getClassRooms(foundClass),
+            // Classes whose timetable can be copied into this one
+            Class.find({ ...getAccessibleClassFilter(req.user), _id: { $ne: foundClass._id } })
+                .select('CLASSNAME SUBJECT termId')
+                .populate('termId', 'name')
+                .sort({ CLASSNAME: 1 })
+        ]);
         
         res.render('timetable-manage', { 
             classDetail: foundClass, 
             timetable: timetable,
+            teachers,
+            rooms,
+            otherClasses,
+            days: TIMETABLE_DAYS,
             user: req.user,
             message: null,
             messageType: null
@@ -2529,10 +4939,10 @@ app.get('/classdetail/:id/timetable', requireAuth, hasClassManagementAccess, asy
 });
 
 // Add Timetable Slot
-app.post('/classdetail/:id/timetable/add', requireAuth, hasClassManagementAccess, async (req, res) => {
+app.post('/classdetail/:id/timetable/add', requireAuth, requirePermission('class.manage'), hasClassManagementAccess, async (req, res) => {
     try {
         const { id } = req.params;
-        const { day, startTime, endTime, subject, teacher, room } = req.body;
+        const { day, startTime, endTime, subject } = req.body;
         
         // Check if class exists and user has access
         const foundClass = await Class.findById(id);
@@ -2540,7 +4950,7 @@ app.post('/classdetail/:id/timetable/add', requireAuth, hasClassManagementAccess
             return res.redirect(`/classdetail/${id}/timetable?error=Class not found`);
         }
         
-        if (req.user.ROLE !== 'admin' && foundClass.CREATEDBY.toString() !== req.user._id.toString()) {
+        if (!hasTenantPermission(req.user, 'class.manage.any', foundClass) && foundClass.CREATEDBY.toString() !== req.user._id.toString()) {
             return res.redirect(`/classdetail/${id}/timetable?error=Access denied`);
         }
         
@@ -2549,17 +4959,16 @@ app.post('/classdetail/:id/timetable/add', requireAuth, hasClassManagementAccess
             return res.redirect(`/classdetail/${id}/timetable?error=End time must be after start time`);
         }
         
-        // Check for time conflicts
-        const conflictingSlot = await Timetable.findOne({
-            classId: id,
-            day: day,
-            $or: [
-                { startTime: { $lt: endTime }, endTime: { $gt: startTime } }
-            ]
-        });
+        const entities = await resolveSlotEntities(foundClass, req.body);
+        if (entities.error) {
+            return res.redirect(`/classdetail/${id}/timetable?error=${encodeURIComponent(entities.error)}`);
+        }
         
-        if (conflictingSlot) {
-            return res.redirect(`/classdetail/${id}/timetable?error=Time slot conflicts with existing schedule`);
+        // Check for clashes with this class and, for the room and teacher, the rest of the institution
+        const conflicts = await findSlotConflicts(foundClass, { day, startTime, endTime, ...entities });
+        if (conflicts.length > 0) {
+            const error = `Time slot clashes with the timetable: ${conflicts.map(describeConflict).join(' ')}`;
+            return res.redirect(`/classdetail/${id}/timetable?error=${encodeURIComponent(error)}`);
         }
         
         const newSlot = new Timetable({
@@ -2568,8 +4977,7 @@ app.post('/classdetail/:id/timetable/add', requireAuth, hasClassManagementAccess
             startTime,
             endTime,
             subject,
-            teacher,
-            room,
+            ...entities,
             createdBy: req.user._id
         });
         
@@ -2581,8 +4989,262 @@ app.post('/classdetail/:id/timetable/add', requireAuth, hasClassManagementAccess
     }
 });
 
+// Change a slot's day, times, subject, teacher or room (edit form of the grid)
+app.post('/classdetail/:classId/timetable/:slotId/update', requireAuth, requirePermission('class.manage'), hasClassManagementAccess, async (req, res) => {
+    try {
+        const foundClass = req.classDoc;
+        const slot = mongoose.Types.ObjectId.isValid(req.params.slotId)
+            ? await Timetable.findOne({ _id: req.params.slotId, classId: foundClass._id })
+            : null;
+        if (!slot) {
+            return res.json({ success: false, message: 'Time slot not found' });
+        }
+
+        const { day, startTime, endTime } = req.body;
+        const subject = (req.body.subject || '').trim();
+        const timeError = checkSlotTimes({ day, startTime, endTime });
+        if (timeError || !subject || subject.length > 100) {
+            return res.json({ success: false, message: timeError || 'Subject is required (up to 100 characters).' });
+        }
+
+        const entities = await resolveSlotEntities(foundClass, req.body);
+        if (entities.error) {
+            return res.json({ success: false, message: entities.error });
+        }
+
+        const changes = { day, startTime, endTime, subject, ...entities };
+        const conflicts = await findSlotConflicts(foundClass, changes, { excludeSlotId: slot._id });
+        if (conflicts.length > 0) {
+            return res.json({ success: false, message: `Time slot clashes with the timetable: ${conflicts.map(describeConflict).join(' ')}` });
+        }
+
+        Object.assign(slot, changes);
+        await slot.save();
+        res.json({ success: true, message: 'Time slot updated successfully', slot });
+    } catch (err) {
+        console.error('Update timetable slot error:', err);
+        res.json({ success: false, message: 'Failed to update time slot' });
+    }
+});
+
+// Drag a slot to another day or start time on the grid; it keeps its length
+app.post('/classdetail/:classId/timetable/:slotId/move', requireAuth, requirePermission('class.manage'), hasClassManagementAccess, async (req, res) => {
+    try {
+        const foundClass = req.classDoc;
+        const slot = mongoose.Types.ObjectId.isValid(req.params.slotId)
+            ? await Timetable.findOne({ _id: req.params.slotId, classId: foundClass._id })
+            : null;
+        if (!slot) {
+            return res.json({ success: false, message: 'Time slot not found' });
+        }
+
+        const times = moveSlotTimes(slot, req.body.day, req.body.startTime || '');
+        const timeError = times ? checkSlotTimes(times) : 'The lecture would run past midnight.';
+        if (timeError) {
+            return res.json({ success: false, message: timeError });
+        }
+
+        const conflicts = await findSlotConflicts(foundClass, { ...slot.toObject(), ...times }, { excludeSlotId: slot._id });
+        if (conflicts.length > 0) {
+            return res.json({ success: false, message: `Cannot move here: ${conflicts.map(describeConflict).join(' ')}` });
+        }
+
+        Object.assign(slot, times);
+        await slot.save();
+        res.json({ success: true, message: 'Time slot moved', slot });
+    } catch (err) {
+        console.error('Move timetable slot error:', err);
+        res.json({ success: false, message: 'Failed to move time slot' });
+    }
+});
+
+// Copy one day's schedule to other days of the week
+app.post('/classdetail/:id/timetable/copy-day', requireAuth, requirePermission('class.manage'), hasClassManagementAccess, async (req, res) => {
+    const { id } = req.params;
+    try {
+        const { fromDay } = req.body;
+        const toDays = [].concat(req.body.toDays || []).filter(day => TIMETABLE_DAYS.includes(day));
+        if (!TIMETABLE_DAYS.includes(fromDay)) {
+            return res.redirect(`/classdetail/${id}/timetable?error=${encodeURIComponent('Pick the day to copy.')}`);
+        }
+
+        const result = await copyTimetableDay(req.classDoc, fromDay, toDays, { replace: req.body.replace === 'on', actor: req.user });
+        if (result.errors) {
+            return res.redirect(`/classdetail/${id}/timetable?error=${encodeURIComponent(`Nothing was copied. ${result.errors.join(' ')}`)}`);
+        }
+
+        res.redirect(`/classdetail/${id}/timetable?success=${encodeURIComponent(`Copied ${fromDay}: ${result.added} time slots added${result.removed ? `, ${result.removed} replaced` : ''}.`)}`);
+    } catch (err) {
+        console.error('Copy timetable day error:', err);
+        res.redirect(`/classdetail/${id}/timetable?error=${encodeURIComponent('Failed to copy the day.')}`);
+    }
+});
+
+// Start from another class's timetable: its slots go through the import
+// preview, so clashes show up before anything is saved
+app.post('/classdetail/:id/timetable/copy-from', requireAuth, requirePermission('class.manage'), hasClassManagementAccess, async (req, res) => {
+    const { id } = req.params;
+    try {
+        const sourceClass = mongoose.Types.ObjectId.isValid(req.body.sourceClassId) ? await Class.findById(req.body.sourceClassId) : null;
+        if (!sourceClass || sourceClass._id.equals(req.classDoc._id) || !canViewClass(req.user, sourceClass)) {
+            return res.redirect(`/classdetail/${id}/timetable?error=${encodeURIComponent('Pick a class to copy from.')}`);
+        }
+
+        const slots = await Timetable.find({ classId: sourceClass._id }).sort({ day: 1, startTime: 1 });
+        if (slots.length === 0) {
+            return res.redirect(`/classdetail/${id}/timetable?error=${encodeURIComponent(`${sourceClass.CLASSNAME} has no timetable yet.`)}`);
+        }
+
+        req.session.timetableImport = {
+            classId: id,
+            fileName: `Timetable of ${sourceClass.CLASSNAME}`,
+            rows: slots.map(slot => ({
+                source: `${slot.day} ${slot.startTime}`,
+                day: slot.day,
+                startTime: slot.startTime,
+                endTime: slot.endTime,
+                subject: slot.subject,
+                teacher: slot.teacher,
+                room: slot.room,
+                className: ''
+            })),
+            replace: req.body.replace === 'on'
+        };
+
+        res.redirect(`/classdetail/${id}/timetable/import`);
+    } catch (err) {
+        console.error('Copy timetable error:', err);
+        res.redirect(`/classdetail/${id}/timetable?error=${encodeURIComponent('Failed to copy the timetable.')}`);
+    }
+});
+
+// Download a class's timetable: CSV (the layout the import reads) or iCalendar
+app.get('/classdetail/:id/timetable/export', requireAuth, requirePermission('class.manage'), hasClassManagementAccess, async (req, res) => {
+    try {
+        const foundClass = req.classDoc;
+        const fileName = `timetable-${foundClass.CLASSNAME.replace(/[^a-z0-9-]+/gi, '_')}`;
+
+        if (req.query.format === 'ics') {
+            res.setHeader('Content-Type', 'text/calendar; charset=utf-8');
+            res.setHeader('Content-Disposition', `attachment; filename="${fileName}.ics"`);
+            return res.send(await buildTimetableCalendar([foundClass], { name: `${foundClass.CLASSNAME} - Timetable` }));
+        }
+
+        const slots = await Timetable.find({ classId: foundClass._id }).sort({ day: 1, startTime: 1 });
+        res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+        res.setHeader('Content-Disposition', `attachment; filename="${fileName}.csv"`);
+        res.send(buildTimetableCsv(foundClass, slots));
+    } catch (err) {
+        console.error('Timetable export error:', err);
+        res.status(500).send('Server Error');
+    }
+});
+
+const timetableUpload = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: parseInt(process.env.MAX_FILE_SIZE) || 5242880 }
+});
+
+// The uploaded timetable waiting for review lives in the session until it is committed
+function getPendingTimetableImport(req, classId) {
+    const pending = req.session.timetableImport;
+    return pending && pending.classId === classId.toString() ? pending : null;
+}
+
+// Timetable Import Page (upload form, or dry-run preview of the uploaded slots)
+app.get('/classdetail/:id/timetable/import', requireAuth, requirePermission('class.manage'), hasClassManagementAccess, async (req, res) => {
+    try {
+        const foundClass = req.classDoc;
+        const pendingImport = getPendingTimetableImport(req, foundClass._id);
+
+        let validation = null;
+        if (pendingImport) {
+            validation = await validateTimetableImport(foundClass, pendingImport.rows, { replace: pendingImport.replace });
+        }
+
+        res.render('timetable-import', {
+            classDetail: foundClass,
+            pendingImport,
+            validation,
+            columns: TIMETABLE_COLUMNS,
+            maxRows: MAX_TIMETABLE_ROWS,
+            message: req.query.imported ? `Imported ${req.query.imported} time slots.` : (req.query.error || null),
+            messageType: req.query.imported ? 'success' : 'danger',
+            user: req.user
+        });
+    } catch (err) {
+        console.error('Timetable import page error:', err);
+        res.status(500).send('Server Error');
+    }
+});
+
+// Upload a CSV or iCalendar timetable for review
+app.post('/classdetail/:id/timetable/import/upload', requireAuth, requirePermission('class.manage'), hasClassManagementAccess, (req, res, next) => {
+    timetableUpload.single('timetable')(req, res, (err) => {
+        if (err) {
+            const message = err.code === 'LIMIT_FILE_SIZE' ? 'The timetable file is too large.' : err.message;
+            return res.redirect(`/classdetail/${req.params.id}/timetable/import?error=${encodeURIComponent(message)}`);
+        }
+        next();
+    });
+}, (req, res) => {
+    const { id } = req.params;
+    try {
+        if (!req.file) {
+            return res.redirect(`/classdetail/${id}/timetable/import?error=${encodeURIComponent('Please choose a timetable file.')}`);
+        }
+
+        req.session.timetableImport = {
+            classId: id,
+            fileName: req.file.originalname,
+            rows: readTimetableFile(req.file),
+            replace: req.body.replace === 'on'
+        };
+
+        res.redirect(`/classdetail/${id}/timetable/import`);
+    } catch (err) {
+        console.error('Timetable upload error:', err.message);
+        res.redirect(`/classdetail/${id}/timetable/import?error=${encodeURIComponent(err.message)}`);
+    }
+});
+
+// Add the previewed slots (all of them or none)
+app.post('/classdetail/:id/timetable/import/commit', requireAuth, requirePermission('class.manage'), hasClassManagementAccess, async (req, res) => {
+    const { id } = req.params;
+    try {
+        const pendingImport = getPendingTimetableImport(req, id);
+        if (!pendingImport) {
+            return res.redirect(`/classdetail/${id}/timetable/import?error=${encodeURIComponent('Upload a timetable first.')}`);
+        }
+
+        // Validate again: this or another class's timetable may have changed since the preview
+        const validation = await validateTimetableImport(req.classDoc, pendingImport.rows, { replace: pendingImport.replace });
+        if (!validation.isValid) {
+            return res.redirect(`/classdetail/${id}/timetable/import?error=${encodeURIComponent('Fix the highlighted rows before importing.')}`);
+        }
+
+        const { added, removed } = await commitTimetableImport(req.classDoc, validation.preview, { replace: pendingImport.replace, actor: req.user });
+        delete req.session.timetableImport;
+
+        console.log(`✅ Timetable imported: ${added} slots from ${pendingImport.fileName} into ${req.classDoc.CLASSNAME}${removed ? `, ${removed} replaced` : ''}`);
+
+        res.redirect(`/classdetail/${id}/timetable/import?imported=${added}`);
+    } catch (err) {
+        console.error('Timetable import error:', err);
+        res.redirect(`/classdetail/${id}/timetable/import?error=${encodeURIComponent('Import failed; the timetable was not changed.')}`);
+    }
+});
+
+// Discard the pending timetable
+app.post('/classdetail/:id/timetable/import/cancel', requireAuth, requirePermission('class.manage'), hasClassManagementAccess, (req, res) => {
+    if (getPendingTimetableImport(req, req.params.id)) {
+        delete req.session.timetableImport;
+    }
+    res.redirect(`/classdetail/${req.params.id}/timetable/import`);
+});
+
 // Delete Timetable Slot
-app.post('/classdetail/:classId/timetable/delete/:slotId', requireAuth, hasClassManagementAccess, async (req, res) => {
+app.post('/classdetail/:classId/timetable/delete/:slotId', requireAuth, requirePermission('class.manage'), hasClassManagementAccess, async (req, res) => {
     try {
         const { classId, slotId } = req.params;
         
@@ -2592,7 +5254,7 @@ app.post('/classdetail/:classId/timetable/delete/:slotId', requireAuth, hasClass
             return res.json({ success: false, message: 'Class not found' });
         }
         
-        if (req.user.ROLE !== 'admin' && foundClass.CREATEDBY.toString() !== req.user._id.toString()) {
+        if (!hasTenantPermission(req.user, 'class.manage.any', foundClass) && foundClass.CREATEDBY.toString() !== req.user._id.toString()) {
             return res.json({ success: false, message: 'Access denied' });
         }
         
@@ -2604,8 +5266,40 @@ app.post('/classdetail/:classId/timetable/delete/:slotId', requireAuth, hasClass
     }
 });
 
+// /health answer (same shape in index.js)
+const HEALTH_SCHEMA = objectSchema({
+    status: { type: 'string', enum: ['healthy', 'unhealthy'] },
+    timestamp: { type: 'string', format: 'date-time' },
+    uptime: { type: 'number' },
+    database: { type: 'object', properties: { status: { type: 'string' } } },
+    memory: { type: 'object' },
+    version: { type: 'string' }
+});
+
+// Health check endpoint for monitoring
+app.get('/health', describeRoute({
+    summary: 'Service and database health',
+    tags: ['Maintenance'],
+    responses: {
+        200: { description: 'Healthy', schema: HEALTH_SCHEMA },
+        503: { description: 'Database unavailable', schema: HEALTH_SCHEMA }
+    }
+}), (req, res) => {
+    const states = ['disconnected', 'connected', 'connecting', 'disconnecting'];
+    const isConnected = mongoose.connection.readyState === 1;
+
+    res.status(isConnected ? 200 : 503).json({
+        status: isConnected ? 'healthy' : 'unhealthy',
+        timestamp: new Date().toISOString(),
+        uptime: process.uptime(),
+        database: { status: isConnected ? 'healthy' : 'unhealthy', state: states[mongoose.connection.readyState] || 'unknown' },
+        memory: process.memoryUsage(),
+        version: require('./package.json').version
+    });
+});
+
 // Clear cache endpoint
-app.post('/admin/clear-cache', requireAuth, requireAdmin, async (req, res) => {
+app.post('/admin/clear-cache', requireAuth, requireServerAdmin, async (req, res) => {
     try {
         // In a real application, you would clear various caches here
         // For now, we'll just return success
@@ -2622,6 +5316,13 @@ async function startServer() {
         // Connect to MongoDB first
         await main();
         
+        // Retry webhook deliveries in the background
+        startWebhookWorker();
+        
+        // Send queued email and the weekly digest in the background
+        startEmailWorker();
+        startWeeklyDigestSchedule();
+        
         // Environment configuration
         const PORT = process.env.PORT || 3000;
         const NODE_ENV = process.env.NODE_ENV || 'development';
@@ -2655,5 +5356,9 @@ async function startServer() {
     }
 }
 
-// Start the server
-startServer();
+// Start the server when run directly; tests require the app without it
+if (require.main === module) {
+    startServer();
+}
+
+module.exports = app;
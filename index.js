@@ -19,6 +19,7 @@ const {
     requireAuth, 
     requireAdmin, 
     requireTeacher, 
+    requireStudent,
     hasClassAccess, 
     hasClassManagementAccess, 
     userToViews,
@@ -30,7 +31,6 @@ const {
     validateLogin,
     validateClass,
     validateStudent,
-    validateRollNumber,
     validateClassCode,
     sanitizeBody
 } = require('./middleware/validation');
@@ -50,6 +50,21 @@ const Attendance = require('./models/attendance');
 const User = require('./models/user');
 const Timetable = require('./models/timetable');
 
+// Import attendance statistics helpers
+const { getStudentAttendanceStats } = require('./utils/attendance-stats');
+const { getLinkedStudents } = require('./utils/student-accounts');
+const { attachLegacyAttendance } = require('./utils/attendance-migration');
+const { ATTENDANCE_STATUSES, getAttendanceStatus } = require('./config/attendance-statuses');
+const { ROLES, isStaffRole, getRoleLabel, hasPermission } = require('./config/permissions');
+const { getTenantFilter, isServerWide, getTenantClassFilter } = require('./utils/tenancy');
+const { AUDIT_SOURCE_LABELS } = require('./utils/attendance-audit');
+const { objectSchema, describeRoute, buildOpenApiSpec } = require('./utils/openapi');
+const { checkApiContract } = require('./middleware/api-contract');
+const { startWebhookWorker } = require('./utils/webhooks');
+const { startTwoFactorChallenge, isTwoFactorRequired } = require('./utils/two-factor');
+const { startEmailWorker } = require('./utils/email');
+const { queueAccountCreatedEmail, startWeeklyDigestSchedule } = require('./utils/email-notifications');
+
 // Import QR Code library
 const QRCode = require('qrcode');
 
@@ -131,6 +146,16 @@ app.use(express.static(path.join(__dirname, 'public'), staticOptions));
 app.set('views', path.join(__dirname, 'views'));
 app.set('view engine', 'ejs');
 
+// Attendance statuses (labels, colours, weights) for every view
+app.locals.attendanceStatuses = ATTENDANCE_STATUSES;
+app.locals.getAttendanceStatus = getAttendanceStatus;
+app.locals.auditSourceLabels = AUDIT_SOURCE_LABELS;
+
+// Role labels and permission checks for every view
+app.locals.roles = ROLES;
+app.locals.getRoleLabel = getRoleLabel;
+app.locals.can = hasPermission;
+
 // Enhanced session configuration
 const sessionConfig = {
     ...getEnhancedSessionConfig(),
@@ -146,6 +171,22 @@ app.use(session(sessionConfig));
 
 // Make user and config available to all views
 app.use(userToViews);
+
+// OpenAPI document, built on first use (once every route is registered)
+let openApiSpec = null;
+const getOpenApiSpec = () => {
+    if (!openApiSpec) {
+        openApiSpec = buildOpenApiSpec(app, {
+            title: 'AttendPro API',
+            version: require('./package.json').version,
+            description: 'JSON endpoints of AttendPro. Generated from the routes and their validators.'
+        });
+    }
+    return openApiSpec;
+};
+
+// Flag JSON responses that no longer match the document
+app.use(checkApiContract(getOpenApiSpec));
 app.use((req, res, next) => {
     res.locals.config = {
         NODE_ENV: config.NODE_ENV,
@@ -161,6 +202,16 @@ const initializeDatabase = async () => {
     try {
         await connectDatabase();
         
+        // Give day-level attendance records a session before the indexes need one
+        try {
+            const attached = await attachLegacyAttendance();
+            if (attached > 0) {
+                logger.info(`🔧 Attached ${attached} legacy attendance records to sessions`);
+            }
+        } catch (migrationError) {
+            logger.warn('⚠️  Attendance migration warning:', migrationError.message);
+        }
+        
         // Create optimized indexes
         if (config.NODE_ENV === 'production') {
             await createOptimizedIndexes();
@@ -193,7 +244,10 @@ app.get('/login', (req, res) => {
     if (req.session.userId) {
         return res.redirect('/dashboard');
     }
-    res.render('login', { message: null, messageType: null });
+    res.render('login', {
+        message: req.query.message || null,
+        messageType: req.query.message ? 'success' : null
+    });
 });
 
 app.post('/login', validateLogin, asyncErrorHandler(async (req, res) => {
@@ -225,6 +279,11 @@ app.post('/login', validateLogin, asyncErrorHandler(async (req, res) => {
         });
     }
     
+    // With 2FA on, the session only starts once /login/2fa accepts a code
+    if (startTwoFactorChallenge(req, user)) {
+        return res.redirect('/login/2fa');
+    }
+    
     // Update last login
     user.LASTLOGIN = new Date();
     await user.save();
@@ -232,6 +291,8 @@ app.post('/login', validateLogin, asyncErrorHandler(async (req, res) => {
     // Set session
     req.session.userId = user._id;
     req.session.userRole = user.ROLE;
+    req.session.sessionVersion = user.sessionVersion;
+    req.session.twoFactorSetupRequired = await isTwoFactorRequired(user);
     
     // Log successful authentication
     logAuthEvent('LOGIN', user._id, user.USERNAME, true, req);
@@ -239,6 +300,12 @@ app.post('/login', validateLogin, asyncErrorHandler(async (req, res) => {
     res.redirect('/dashboard');
 }));
 
+// Second sign-in step, 2FA enrolment and the admin 2FA policy
+app.use(require('./routes/two-factor'));
+
+// Forgot password and reset links
+app.use(require('./routes/password-reset'));
+
 // Registration routes (if enabled)
 app.get('/register', (req, res) => {
     if (!config.ENABLE_REGISTRATION) {
@@ -291,6 +358,7 @@ app.post('/register', validateRegistration, asyncErrorHandler(async (req, res) =
     });
     
     await newUser.save();
+    queueAccountCreatedEmail(newUser);
     
     logger.info('✅ New teacher registered:', {
         userId: newUser._id,
@@ -319,14 +387,15 @@ app.get('/logout', (req, res) => {
 app.get('/dashboard', requireAuth, asyncErrorHandler(async (req, res) => {
     let dashboardData = { user: req.user };
 
-    if (req.user.ROLE === 'admin') {
-        // Admin sees all data
-        dashboardData.totalUsers = await User.countDocuments();
-        dashboardData.totalClasses = await Class.countDocuments();
-        dashboardData.totalStudents = await Student.countDocuments();
-        dashboardData.totalAttendance = await Attendance.countDocuments();
-    } else if (req.user.ROLE === 'teacher') {
-        // Teachers see only their data
+    if (hasPermission(req.user, 'admin.access')) {
+        // Admin sees all data of their organization
+        const classFilter = await getTenantClassFilter(req.user);
+        dashboardData.totalUsers = await User.countDocuments(getTenantFilter(req.user));
+        dashboardData.totalClasses = await Class.countDocuments(getTenantFilter(req.user));
+        dashboardData.totalStudents = await Student.countDocuments(classFilter);
+        dashboardData.totalAttendance = await Attendance.countDocuments(classFilter);
+    } else if (isStaffRole(req.user.ROLE)) {
+        // Other staff see only their classes
         const userClasses = await Class.find({
             $or: [
                 { CREATEDBY: req.user._id },
@@ -391,8 +460,10 @@ app.get('/classlist', requireAuth, requireTeacher, asyncErrorHandler(async (req,
     if (ROOMNO) query.ROOMNO = ROOMNO;
     if (SUBJECT) query.SUBJECT = new RegExp(SUBJECT, 'i');
 
-    // If user is not admin, only show classes where they are a teacher
-    if (req.user.ROLE !== 'admin') {
+    // Unless they can see every class of their tenant, only show classes where they are a teacher
+    if (hasPermission(req.user, 'class.view.any')) {
+        Object.assign(query, getTenantFilter(req.user));
+    } else {
         query.TEACHERS = req.user._id;
     }
 
@@ -480,8 +551,8 @@ app.post('/classdetail/:id/addstudent', requireAuth, hasClassManagementAccess, v
     });
 }));
 
-// Admin routes (secured with obfuscated URL)
-app.get('/admin-panel9920867077@AdilAbullahaUroojFatir', requireAuth, requireAdmin, asyncErrorHandler(async (req, res) => {
+// Admin panel
+app.get('/admin', requireAuth, requireAdmin, asyncErrorHandler(async (req, res) => {
     // Log admin access
     logAdminAction('ADMIN_PANEL_ACCESS', { path: req.path }, req);
     
@@ -493,29 +564,22 @@ app.get('/admin-panel9920867077@AdilAbullahaUroojFatir', requireAuth, requireAdm
         });
     }
 
-    // Ensure only one admin exists
-    const adminUsers = await User.find({ ROLE: 'admin' });
-    if (adminUsers.length > 1) {
-        logger.warn(`⚠️  Multiple admins detected (${adminUsers.length}). Cleaning up...`);
-        const adminToKeep = adminUsers[0];
-        await User.deleteMany({ ROLE: 'admin', _id: { $ne: adminToKeep._id } });
-        logger.info(`✅ Kept admin: ${adminToKeep.USERNAME}`);
-    }
-
-    // Fetch system statistics
+    // Fetch statistics for the admin's organization (everything for server-wide admins)
+    const tenantFilter = getTenantFilter(req.user);
+    const classIdFilter = await getTenantClassFilter(req.user);
     const [totalUsers, totalClasses, totalStudents, totalAttendance] = await Promise.all([
-        User.countDocuments(),
-        Class.countDocuments(),
-        Student.countDocuments(),
-        Attendance.countDocuments()
+        User.countDocuments(tenantFilter),
+        Class.countDocuments(tenantFilter),
+        Student.countDocuments(classIdFilter),
+        Attendance.countDocuments(classIdFilter)
     ]);
 
     // Fetch recent data for admin panel
     const [users, allClasses, allStudents, allAttendance] = await Promise.all([
-        User.find().select('-PASSWORD').sort({ CREATEDAT: -1 }).limit(5),
-        Class.find().populate('CREATEDBY', 'FULLNAME USERNAME').sort({ createdAt: -1 }).limit(5),
-        Student.find().populate('classId', 'CLASSNAME').sort({ createdAt: -1 }).limit(5),
-        Attendance.find()
+        User.find(tenantFilter).select('-PASSWORD').sort({ CREATEDAT: -1 }).limit(5),
+        Class.find(tenantFilter).populate('CREATEDBY', 'FULLNAME USERNAME').sort({ createdAt: -1 }).limit(5),
+        Student.find(classIdFilter).populate('classId', 'CLASSNAME').sort({ createdAt: -1 }).limit(5),
+        Attendance.find(classIdFilter)
             .populate('studentId', 'NAME ROLLNO')
             .populate('classId', 'CLASSNAME')
             .sort({ date: -1 })
@@ -527,10 +591,10 @@ app.get('/admin-panel9920867077@AdilAbullahaUroojFatir', requireAuth, requireAdm
     sevenDaysAgo.setDate(sevenDaysAgo.getDate() - 7);
     
     const [recentUsers, recentClasses, recentStudents, recentAttendance] = await Promise.all([
-        User.countDocuments({ CREATEDAT: { $gte: sevenDaysAgo } }),
-        Class.countDocuments({ createdAt: { $gte: sevenDaysAgo } }),
-        Student.countDocuments({ createdAt: { $gte: sevenDaysAgo } }),
-        Attendance.countDocuments({ date: { $gte: sevenDaysAgo } })
+        User.countDocuments({ ...tenantFilter, CREATEDAT: { $gte: sevenDaysAgo } }),
+        Class.countDocuments({ ...tenantFilter, createdAt: { $gte: sevenDaysAgo } }),
+        Student.countDocuments({ ...classIdFilter, createdAt: { $gte: sevenDaysAgo } }),
+        Attendance.countDocuments({ ...classIdFilter, date: { $gte: sevenDaysAgo } })
     ]);
 
     res.render('admin', {
@@ -547,6 +611,7 @@ app.get('/admin-panel9920867077@AdilAbullahaUroojFatir', requireAuth, requireAdm
         allClasses,
         allStudents,
         allAttendance,
+        serverWide: isServerWide(req.user),
         process: {
             uptime: process.uptime(),
             memoryUsage: process.memoryUsage(),
@@ -555,81 +620,78 @@ app.get('/admin-panel9920867077@AdilAbullahaUroojFatir', requireAuth, requireAdm
     });
 }));
 
-// Student portal routes
-app.get('/student-portal', asyncErrorHandler(async (req, res) => {
-    const { rollno } = req.query;
-    
-    // If rollno is provided in query (from QR code), automatically process it
-    if (rollno) {
-        const student = await Student.findOne({ ROLLNO: rollno }).populate('classId');
-        
-        if (!student) {
-            return res.render('student-portal', { 
-                message: 'Student not found. Please check your roll number.', 
-                messageType: 'error',
-                rollno: rollno
-            });
-        }
-        
-        // Get attendance data
-        const attendanceRecords = await Attendance.find({ studentId: student._id }).sort({ date: -1 });
-        const totalDays = attendanceRecords.length;
-        const presentDays = attendanceRecords.filter(record => record.status === 'present').length;
-        const attendancePercentage = totalDays > 0 ? (presentDays / totalDays) * 100 : 0;
-        
-        // Generate QR code for student portal access
-        const studentPortalUrl = `${config.BASE_URL}/student-portal?rollno=${student.ROLLNO}`;
-        let qrCodeDataUrl = null;
-        
-        if (config.ENABLE_QR_CODE_GENERATION) {
-            qrCodeDataUrl = await QRCode.toDataURL(studentPortalUrl, {
-                errorCorrectionLevel: 'M',
-                type: 'image/png',
-                quality: 0.92,
-                margin: 1,
-                color: {
-                    dark: '#667eea',
-                    light: '#FFFFFF'
-                },
-                width: 256
-            });
-        }
-        
-        return res.render('student-dashboard', {
-            student: student,
-            classDetail: student.classId,
-            attendanceHistory: attendanceRecords,
-            attendancePercentage: attendancePercentage,
-            presentDays: presentDays,
-            totalDays: totalDays,
-            qrCode: qrCodeDataUrl,
-            portalUrl: studentPortalUrl
+// Claim a roster record and link further classes to a student account
+app.use(require('./routes/student-accounts'));
+
+// Student portal routes (the logged-in student's own records only)
+app.get('/student-portal', requireAuth, requireStudent, asyncErrorHandler(async (req, res) => {
+    const students = await getLinkedStudents(req.user);
+
+    // No classes yet, or the answer of a link-class request
+    if (students.length === 0 || req.query.message) {
+        return res.render('student-portal', {
+            message: req.query.message || 'Your account is not linked to a class yet. Enter your class code and roll number below.',
+            messageType: req.query.messageType || 'info',
+            user: req.user
         });
     }
-    
-    res.render('student-portal', { message: null, messageType: null, rollno: null });
-}));
 
-app.post('/student-portal', validateRollNumber, asyncErrorHandler(async (req, res) => {
-    const { rollno } = req.body;
-    
-    // Find student by roll number
-    const student = await Student.findOne({ ROLLNO: rollno }).populate('classId');
-    
-    if (!student) {
-        return res.render('student-portal', { 
-            message: 'Student not found. Please check your roll number.', 
-            messageType: 'error',
-            rollno: rollno
+    const student = students[0];
+
+    // Get attendance data
+    const { records: attendanceRecords, presentCount: presentDays, totalCount: totalDays, percentage } = await getStudentAttendanceStats(student._id);
+    const attendancePercentage = parseFloat(percentage);
+
+    // Generate QR code for student portal access
+    const studentPortalUrl = `${config.BASE_URL}/student-portal`;
+    let qrCodeDataUrl = null;
+
+    if (config.ENABLE_QR_CODE_GENERATION) {
+        qrCodeDataUrl = await QRCode.toDataURL(studentPortalUrl, {
+            errorCorrectionLevel: 'M',
+            type: 'image/png',
+            quality: 0.92,
+            margin: 1,
+            color: {
+                dark: '#667eea',
+                light: '#FFFFFF'
+            },
+            width: 256
         });
     }
-    
-    // Redirect to GET route with rollno parameter
-    res.redirect(`/student-portal?rollno=${rollno}`);
+
+    res.render('student-dashboard', {
+        student: student,
+        allStudents: students,
+        classDetail: student.classId,
+        attendanceHistory: attendanceRecords,
+        attendancePercentage: attendancePercentage,
+        presentDays: presentDays,
+        totalDays: totalDays,
+        qrCode: qrCodeDataUrl,
+        portalUrl: studentPortalUrl
+    });
 }));
 
+// /health answer (same shape in index-dev.js)
+const HEALTH_SCHEMA = objectSchema({
+    status: { type: 'string', enum: ['healthy', 'unhealthy'] },
+    timestamp: { type: 'string', format: 'date-time' },
+    uptime: { type: 'number' },
+    database: { type: 'object', properties: { status: { type: 'string' } } },
+    memory: { type: 'object' },
+    version: { type: 'string' }
+});
+
 // Health check endpoint for monitoring
-app.get('/health', asyncErrorHandler(async (req, res) => {
+app.get('/health', describeRoute({
+    summary: 'Service and database health',
+    tags: ['Maintenance'],
+    responses: {
+        200: { description: 'Healthy', schema: HEALTH_SCHEMA },
+        503: { description: 'Database unavailable', schema: HEALTH_SCHEMA }
+    }
+}), asyncErrorHandler(async (req, res) => {
     const { checkDatabaseHealth } = require('./config/database');
     const dbHealth = await checkDatabaseHealth();
     
@@ -646,10 +708,16 @@ app.get('/health', asyncErrorHandler(async (req, res) => {
     res.status(statusCode).json(health);
 }));
 
-// API routes prefix
-app.use('/api/v1', (req, res, next) => {
-    res.setHeader('Content-Type', 'application/json');
-    next();
+// Token-authenticated JSON API
+app.use('/api/v1', require('./routes/api-v1'));
+
+// OpenAPI document and its interactive explorer
+app.get('/api/openapi.json', (req, res) => {
+    res.json(getOpenApiSpec());
+});
+
+app.get('/api/docs', (req, res) => {
+    res.render('api-docs', { specUrl: '/api/openapi.json' });
 });
 
 // 404 handler (must be after all routes)
@@ -664,6 +732,13 @@ const startServer = async () => {
         // Initialize database
         await initializeDatabase();
         
+        // Retry webhook deliveries in the background
+        startWebhookWorker();
+        
+        // Send queued email and the weekly digest in the background
+        startEmailWorker();
+        startWeeklyDigestSchedule();
+        
         // Start server
         // Railway assigns PORT automatically, don't bind to HOST in production
         const server = config.NODE_ENV === 'production' && process.env.RAILWAY_ENVIRONMENT
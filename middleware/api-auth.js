@@ -0,0 +1,80 @@
+const ApiToken = require('../models/api-token');
+const Class = require('../models/class');
+const { findActiveApiToken } = require('../utils/api-tokens');
+const { hasPermission } = require('../config/permissions');
+const { hasTenantPermission, isClassTeacher } = require('../utils/tenancy');
+const { AuthenticationError, AuthorizationError, NotFoundError, AttendanceLockedError } = require('./error-handler');
+
+// Raw token from "Authorization: Bearer <token>" or "X-API-Key: <token>"
+const getRequestToken = (req) => {
+    const authorization = req.headers.authorization || '';
+    if (authorization.startsWith('Bearer ')) {
+        return authorization.slice('Bearer '.length).trim();
+    }
+    return req.headers['x-api-key'] || null;
+};
+
+// Authenticate an API request; sets req.user and req.apiToken
+const requireApiToken = async (req, res, next) => {
+    try {
+        const apiToken = await findActiveApiToken(getRequestToken(req));
+        const user = apiToken ? apiToken.userId : null;
+
+        if (!apiToken || !user || !user.ISACTIVE || !hasPermission(user, 'api.token')) {
+            res.setHeader('WWW-Authenticate', 'Bearer');
+            return next(new AuthenticationError('A valid API token is required.'));
+        }
+
+        await ApiToken.updateOne({ _id: apiToken._id }, { $set: { lastUsedAt: new Date() } });
+
+        req.apiToken = apiToken;
+        req.user = user;
+        next();
+    } catch (error) {
+        next(error);
+    }
+};
+
+// Only let tokens created with the given scope through
+const requireScope = (scope) => {
+    const middleware = (req, res, next) => {
+        if (!req.apiToken || !req.apiToken.scopes.includes(scope)) {
+            return next(new AuthorizationError(`This token is missing the "${scope}" scope.`));
+        }
+        next();
+    };
+    // Read by the OpenAPI generator
+    middleware.scope = scope;
+    return middleware;
+};
+
+// API counterpart of hasClassManagementAccess: loads :classId into req.classDoc
+const requireApiClassAccess = async (req, res, next) => {
+    try {
+        const classDoc = await Class.findById(req.params.classId);
+        if (!classDoc) {
+            return next(new NotFoundError('Class not found.'));
+        }
+
+        const anyClass = hasTenantPermission(req.user, req.method === 'GET' ? 'class.view.any' : 'class.manage.any', classDoc);
+        if (!anyClass && !isClassTeacher(req.user, classDoc)) {
+            return next(new AuthorizationError('You are not a teacher for this class.'));
+        }
+
+        // Classes of an archived term are read-only
+        if (classDoc.archivedAt && req.method !== 'GET') {
+            return next(new AttendanceLockedError(`${classDoc.CLASSNAME} belongs to an archived term and is read-only.`));
+        }
+
+        req.classDoc = classDoc;
+        next();
+    } catch (error) {
+        next(error);
+    }
+};
+
+module.exports = {
+    requireApiToken,
+    requireScope,
+    requireApiClassAccess
+};
@@ -0,0 +1,41 @@
+const { checkResponse } = require('../utils/openapi');
+const { logger } = require('../utils/logger');
+
+// off: no checks; warn: log drift; strict: answer 500 instead of a drifted response
+// (what a test run should use, so a shape change fails loudly)
+const API_CONTRACT_CHECK = process.env.API_CONTRACT_CHECK ||
+    (process.env.NODE_ENV === 'production' ? 'off' : 'warn');
+
+// Compare every JSON response of a documented route with the OpenAPI document
+const checkApiContract = (getSpec, mode = API_CONTRACT_CHECK) => (req, res, next) => {
+    if (mode === 'off') return next();
+
+    const json = res.json.bind(res);
+    res.json = (body) => {
+        if (!req.route) return json(body);
+
+        const problems = checkResponse(getSpec(), req.method, req.baseUrl + req.route.path, res.statusCode, body);
+        if (problems.length === 0) return json(body);
+
+        logger.warn(`OpenAPI drift on ${req.method} ${req.originalUrl}: ${problems.join('; ')}`);
+        if (mode !== 'strict') return json(body);
+
+        res.status(500);
+        return json({
+            success: false,
+            error: {
+                message: 'Response does not match the OpenAPI document',
+                statusCode: 500,
+                type: 'contract',
+                details: problems
+            }
+        });
+    };
+
+    next();
+};
+
+module.exports = {
+    API_CONTRACT_CHECK,
+    checkApiContract
+};
@@ -1,5 +1,7 @@
 const User = require('../models/user');
 const { createHash } = require('crypto');
+const { isKnownRole, isStaffRole, hasPermission } = require('../config/permissions');
+const { hasTenantPermission } = require('../utils/tenancy');
 
 // Enhanced session configuration
 const getEnhancedSessionConfig = () => ({
@@ -39,8 +41,14 @@ const requireAuth = async (req, res, next) => {
             return res.redirect('/login');
         }
 
+        // Signed out everywhere (e.g. by a password reset) since this session started
+        if ((req.session.sessionVersion || 0) !== (user.sessionVersion || 0)) {
+            req.session.destroy();
+            return res.redirect('/login');
+        }
+
         // Additional security: Check if user role is valid
-        if (!['admin', 'teacher', 'student'].includes(user.ROLE)) {
+        if (!isKnownRole(user.ROLE)) {
             console.warn(`🚨 Invalid user role detected: ${user.ROLE} from IP: ${clientIP}`);
             req.session.destroy();
             return res.redirect('/login');
@@ -50,6 +58,11 @@ const requireAuth = async (req, res, next) => {
         user.LASTLOGIN = new Date();
         await user.save();
         
+        // The security policy requires 2FA for this role: nothing else opens until it is set up
+        if (req.session.twoFactorSetupRequired && !req.path.startsWith('/account/two-factor')) {
+            return res.redirect('/account/two-factor');
+        }
+
         req.user = user;
         next();
     } catch (error) {
@@ -59,35 +72,33 @@ const requireAuth = async (req, res, next) => {
     }
 };
 
-// Enhanced admin middleware with additional security checks
-const requireAdmin = async (req, res, next) => {
-    try {
+// Enhanced permission middleware factory (see config/permissions.js); denied
+// attempts are logged with the user and IP
+const requirePermission = (...permissions) => {
+    const checkPermission = (req, res, next) => {
         if (!req.user) {
-            console.warn(`🚨 Admin access without authentication from IP: ${req.ip}`);
+            console.warn(`🚨 Protected access without authentication from IP: ${req.ip}`);
             return res.redirect('/login');
         }
-        
-        if (req.user.ROLE !== 'admin') {
-            console.warn(`🚨 Non-admin user attempting admin access: ${req.user.USERNAME} (${req.user.ROLE}) from IP: ${req.ip}`);
+
+        const missing = permissions.filter(permission => !hasPermission(req.user, permission));
+        if (missing.length > 0) {
+            console.warn(`🚨 ${req.user.USERNAME} (${req.user.ROLE}) lacks ${missing.join(', ')} for ${req.path} from IP: ${req.ip}`);
             return res.status(403).render('error', {
-                message: 'Access denied. Administrator privileges required.',
+                message: 'Access denied. Your role does not allow this.',
                 user: req.user
             });
         }
-        
-        // Log admin access
-        console.log(`✅ Admin access granted to: ${req.user.USERNAME} from IP: ${req.ip} for path: ${req.path}`);
-        
+
         next();
-    } catch (error) {
-        console.error('🔥 Admin middleware error:', error);
-        res.status(500).render('error', {
-            message: 'Authentication error occurred',
-            user: req.user
-        });
-    }
+    };
+    checkPermission.permissions = permissions;
+    return checkPermission;
 };
 
+// Enhanced admin middleware
+const requireAdmin = requirePermission('admin.access');
+
 // Enhanced teacher middleware
 const requireTeacher = async (req, res, next) => {
     try {
@@ -95,10 +106,10 @@ const requireTeacher = async (req, res, next) => {
             return res.redirect('/login');
         }
         
-        if (!['teacher', 'admin'].includes(req.user.ROLE)) {
-            console.warn(`🚨 Non-teacher/admin attempting teacher access: ${req.user.USERNAME} (${req.user.ROLE}) from IP: ${req.ip}`);
+        if (!isStaffRole(req.user.ROLE)) {
+            console.warn(`🚨 Non-staff user attempting staff access: ${req.user.USERNAME} (${req.user.ROLE}) from IP: ${req.ip}`);
             return res.status(403).render('error', {
-                message: 'Access denied. Teacher privileges required.',
+                message: 'Access denied. Staff privileges required.',
                 user: req.user
             });
         }
@@ -187,8 +198,8 @@ const hasClassAccess = async (req, res, next) => {
             });
         }
 
-        // Admin has access to all classes
-        if (req.user.ROLE === 'admin') {
+        // Admins and HODs can open every class of their organization or department
+        if (hasTenantPermission(req.user, 'class.view.any', classDoc)) {
             req.classDoc = classDoc;
             return next();
         }
@@ -217,32 +228,6 @@ const hasClassAccess = async (req, res, next) => {
     }
 };
 
-// Secure admin route with obfuscation
-const requireSecureAdmin = async (req, res, next) => {
-    try {
-        // Additional layer of security for the obfuscated admin route
-        const route = req.path;
-        const expectedRoute = '/admin-panel9920867077@AdilAbullahaUroojFatir';
-        
-        if (route !== expectedRoute) {
-            return res.status(404).render('error', {
-                message: 'Page not found',
-                user: null
-            });
-        }
-        
-        // Call regular admin middleware
-        await requireAdmin(req, res, next);
-        
-    } catch (error) {
-        console.error('🔥 Secure admin middleware error:', error);
-        res.status(500).render('error', {
-            message: 'Access verification failed',
-            user: null
-        });
-    }
-};
-
 // Middleware to make user and security tokens available to all views
 const userToViews = (req, res, next) => {
     res.locals.user = req.user || null;
@@ -276,11 +261,11 @@ const sanitizeInputs = (req, res, next) => {
 module.exports = {
     getEnhancedSessionConfig,
     requireAuth,
+    requirePermission,
     requireAdmin,
     requireTeacher,
     requireStudent,
     hasClassAccess,
-    requireSecureAdmin,
     userToViews,
     csrfProtection,
     generateCSRFToken,
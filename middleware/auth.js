@@ -1,4 +1,6 @@
 const User = require('../models/user');
+const { isKnownRole, isStaffRole, hasPermission } = require('../config/permissions');
+const { isServerWide, hasTenantPermission, isClassTeacher } = require('../utils/tenancy');
 
 // Middleware to check if user is authenticated
 const requireAuth = async (req, res, next) => {
@@ -6,6 +8,10 @@ const requireAuth = async (req, res, next) => {
         const userId = req.session.userId;
         
         if (!userId) {
+            // Come back here after logging in (e.g. a scanned check-in link)
+            if (req.method === 'GET') {
+                req.session.returnTo = req.originalUrl;
+            }
             return res.redirect('/login');
         }
         
@@ -15,12 +21,23 @@ const requireAuth = async (req, res, next) => {
             return res.redirect('/login');
         }
 
+        // Signed out everywhere (e.g. by a password reset) since this session started
+        if ((req.session.sessionVersion || 0) !== (user.sessionVersion || 0)) {
+            req.session.destroy();
+            return res.redirect('/login');
+        }
+
         // Additional security: Check if user role is valid
-        if (!['admin', 'teacher', 'student'].includes(user.ROLE)) {
+        if (!isKnownRole(user.ROLE)) {
             req.session.destroy();
             return res.redirect('/login');
         }
         
+        // The security policy requires 2FA for this role: nothing else opens until it is set up
+        if (req.session.twoFactorSetupRequired && !req.path.startsWith('/account/two-factor')) {
+            return res.redirect('/account/two-factor');
+        }
+
         req.user = user;
         next();
     } catch (error) {
@@ -30,40 +47,58 @@ const requireAuth = async (req, res, next) => {
     }
 };
 
-// Middleware to check if user is admin
-const requireAdmin = async (req, res, next) => {
-    try {
+// Middleware factory: the user's role must grant every listed permission
+// (see config/permissions.js)
+const requirePermission = (...permissions) => {
+    const checkPermission = (req, res, next) => {
         if (!req.user) {
             return res.redirect('/login');
         }
-        
-        if (req.user.ROLE !== 'admin') {
+
+        if (!permissions.every(permission => hasPermission(req.user, permission))) {
             return res.status(403).render('error', {
-                message: 'Access denied. Admin privileges required.',
+                message: 'Access denied. Your role does not allow this.',
                 user: req.user
             });
         }
-        
+
         next();
-    } catch (error) {
-        console.error('Admin middleware error:', error);
-        res.status(500).render('error', {
-            message: 'Server error',
+    };
+    // Read by utils/openapi.js for the route notes
+    checkPermission.permissions = permissions;
+    return checkPermission;
+};
+
+// Middleware to check if user is admin
+const requireAdmin = requirePermission('admin.access');
+
+// Middleware for settings shared by every organization on the server
+// (webhooks, maintenance): admins who are not tied to one organization
+const requireServerAdmin = (req, res, next) => {
+    if (!req.user) {
+        return res.redirect('/login');
+    }
+
+    if (!hasPermission(req.user, 'admin.access') || !isServerWide(req.user)) {
+        return res.status(403).render('error', {
+            message: 'Access denied. This setting applies to every organization on the server.',
             user: req.user
         });
     }
+
+    next();
 };
 
-// Middleware to check if user is teacher or admin
+// Middleware to check if user is staff (admin, HOD, teacher or teaching assistant)
 const requireTeacher = async (req, res, next) => {
     try {
         if (!req.user) {
             return res.redirect('/login');
         }
         
-        if (!['teacher', 'admin'].includes(req.user.ROLE)) {
+        if (!isStaffRole(req.user.ROLE)) {
             return res.status(403).render('error', {
-                message: 'Access denied. Teacher privileges required.',
+                message: 'Access denied. Staff privileges required.',
                 user: req.user
             });
         }
@@ -173,16 +208,14 @@ const hasClassAccess = async (req, res, next) => {
             });
         }
 
-        // Admin has access to all classes
-        if (req.user.ROLE === 'admin') {
+        // Admins and HODs can open every class of their organization or department
+        if (hasTenantPermission(req.user, 'class.view.any', classDoc)) {
             req.classDoc = classDoc;
             return next();
         }
 
         // Check if user is one of the teachers for this class
-        const hasAccess = classDoc.TEACHERS.some(teacherId =>
-            teacherId.toString() === req.user._id.toString()
-        );
+        const hasAccess = isClassTeacher(req.user, classDoc);
 
         if (!hasAccess) {
             return res.status(403).render('error', {
@@ -232,16 +265,23 @@ const hasClassManagementAccess = async (req, res, next) => {
             });
         }
 
-        // Admin has access to all classes
-        if (req.user.ROLE === 'admin') {
+        // Classes of an archived term can be looked at but not changed
+        if (classDoc.archivedAt && req.method !== 'GET') {
+            return res.status(403).render('error', {
+                message: `${classDoc.CLASSNAME} belongs to an archived term and is read-only.`,
+                user: req.user
+            });
+        }
+
+        // Admins manage every class of their tenant; HODs can look at every class of theirs
+        if (hasTenantPermission(req.user, 'class.manage.any', classDoc) ||
+            (req.method === 'GET' && hasTenantPermission(req.user, 'class.view.any', classDoc))) {
             req.classDoc = classDoc;
             return next();
         }
 
         // Check if user is one of the teachers for this class
-        const hasAccess = classDoc.TEACHERS.some(teacherId =>
-            teacherId.toString() === req.user._id.toString()
-        );
+        const hasAccess = isClassTeacher(req.user, classDoc);
 
         if (!hasAccess) {
             return res.status(403).render('error', {
@@ -261,14 +301,45 @@ const hasClassManagementAccess = async (req, res, next) => {
     }
 };
 
+// Middleware to ensure a student only opens their own Student record (:studentId)
+const requireOwnStudentRecord = async (req, res, next) => {
+    try {
+        const Student = require('../models/student');
+
+        const studentDoc = await Student.findOne({
+            _id: req.params.studentId,
+            userId: req.user._id
+        }).populate('classId');
+
+        if (!studentDoc) {
+            return res.status(404).render('error', {
+                message: 'Student record not found',
+                user: req.user
+            });
+        }
+
+        req.studentDoc = studentDoc;
+        next();
+    } catch (error) {
+        console.error('Student record access check error:', error);
+        res.status(500).render('error', {
+            message: 'Server error',
+            user: req.user
+        });
+    }
+};
+
 module.exports = {
     requireAuth,
+    requirePermission,
     requireAdmin,
+    requireServerAdmin,
     requireTeacher,
     requireStudent,
     requireStudentOrTeacher,
     preventStudentAccess,
     hasClassAccess,
     hasClassManagementAccess,
+    requireOwnStudentRecord,
     userToViews
 };
\ No newline at end of file
@@ -50,6 +50,20 @@ class DatabaseError extends AppError {
     }
 }
 
+class ConflictError extends AppError {
+    constructor(message = 'Resource already exists') {
+        super(message, 409);
+        this.type = 'conflict';
+    }
+}
+
+class AttendanceLockedError extends AppError {
+    constructor(message = 'Attendance for this session is locked. Ask an admin to unlock it.') {
+        super(message, 423);
+        this.type = 'attendance_locked';
+    }
+}
+
 class RateLimitError extends AppError {
     constructor(message = 'Too many requests') {
         super(message, 429);
@@ -57,6 +71,9 @@ class RateLimitError extends AppError {
     }
 }
 
+// API clients get JSON; originalUrl also covers routers mounted under /api
+const wantsJson = (req) => req.headers.accept?.includes('application/json') || req.originalUrl.startsWith('/api/');
+
 // Error response formatter
 const formatErrorResponse = (error, req, isDevelopment = false) => {
     const response = {
@@ -65,7 +82,7 @@ const formatErrorResponse = (error, req, isDevelopment = false) => {
             message: error.message,
             statusCode: error.statusCode || 500,
             timestamp: new Date().toISOString(),
-            path: req.path,
+            path: req.baseUrl + req.path,
             method: req.method
         }
     };
@@ -183,7 +200,7 @@ const sendErrorDevelopment = (err, req, res) => {
     });
 
     // Check if it's an API request
-    if (req.headers.accept?.includes('application/json') || req.path.startsWith('/api/')) {
+    if (wantsJson(req)) {
         return res.status(err.statusCode || 500).json(response);
     }
 
@@ -213,7 +230,7 @@ const sendErrorProduction = (err, req, res) => {
     if (err.isOperational) {
         const response = formatErrorResponse(err, req, false);
 
-        if (req.headers.accept?.includes('application/json') || req.path.startsWith('/api/')) {
+        if (wantsJson(req)) {
             return res.status(err.statusCode).json(response);
         }
 
@@ -230,7 +247,7 @@ const sendErrorProduction = (err, req, res) => {
         ? 'Something went wrong on our end. Please try again later.'
         : 'An unexpected error occurred';
 
-    if (req.headers.accept?.includes('application/json') || req.path.startsWith('/api/')) {
+    if (wantsJson(req)) {
         return res.status(500).json({
             success: false,
             error: {
@@ -362,6 +379,8 @@ module.exports = {
     AuthorizationError,
     NotFoundError,
     DatabaseError,
+    ConflictError,
+    AttendanceLockedError,
     RateLimitError,
     globalErrorHandler,
     asyncErrorHandler,
@@ -1,5 +1,14 @@
 const { body, param, query, validationResult } = require('express-validator');
-const mongoose = require('mongoose');
+const isEmail = require('validator/lib/isEmail');
+const { ValidationError } = require('./error-handler');
+const { ATTENDANCE_STATUS_KEYS } = require('../config/attendance-statuses');
+
+// Contact formats checked outside express-validator too (roster imports, guardians)
+const PHONE_PATTERN = /^\+?[0-9\s-]{7,20}$/;
+
+// The check behind express-validator's isEmail(); it runs in linear time, so
+// long crafted cells cannot stall the server the way a backtracking pattern can
+const isValidEmail = (value) => isEmail(String(value));
 
 // Validation error handler
 const handleValidationErrors = (req, res, next) => {
@@ -13,6 +22,11 @@ const handleValidationErrors = (req, res, next) => {
         
         console.warn('🚨 Validation errors:', errorMessages);
         
+        // The /api routers answer with their own error envelope
+        if (req.originalUrl.startsWith('/api/')) {
+            return next(new ValidationError('Validation failed', errorMessages));
+        }
+        
         // For API requests, return JSON
         if (req.headers.accept && req.headers.accept.includes('application/json')) {
             return res.status(400).json({
@@ -166,12 +180,8 @@ const validateAttendance = [
 // ObjectId validation
 const validateObjectId = (paramName) => [
     param(paramName)
-        .custom((value) => {
-            if (!mongoose.Types.ObjectId.isValid(value)) {
-                throw new Error('Invalid ID format');
-            }
-            return true;
-        }),
+        .isMongoId()
+        .withMessage('Invalid ID format'),
     handleValidationErrors
 ];
 
@@ -241,6 +251,134 @@ const validateDateRange = [
     handleValidationErrors
 ];
 
+// Attendance report / register export query
+const validateReportQuery = [
+    query('classId')
+        .isMongoId()
+        .withMessage('Class ID is required'),
+    
+    query('format')
+        .optional({ values: 'falsy' })
+        .isIn(['html', 'json', 'csv', 'xlsx', 'pdf'])
+        .withMessage('Format must be html, json, csv, xlsx or pdf'),
+    
+    query('type')
+        .optional({ values: 'falsy' })
+        .isIn(['register', 'notices'])
+        .withMessage('Type must be register or notices'),
+    
+    query(['from', 'to'])
+        .optional({ values: 'falsy' })
+        .isISO8601()
+        .withMessage('Dates must be in YYYY-MM-DD format'),
+    
+    handleValidationErrors
+];
+
+// Pagination (?page=&limit=) for list endpoints
+const validatePagination = [
+    query('page')
+        .optional()
+        .isInt({ min: 1 })
+        .withMessage('Page must be a positive number')
+        .toInt(),
+    
+    query('limit')
+        .optional()
+        .isInt({ min: 1, max: 100 })
+        .withMessage('Limit must be between 1 and 100')
+        .toInt(),
+    
+    handleValidationErrors
+];
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+// Timetable slot validation
+const validateTimetableSlot = [
+    body('day')
+        .isIn(['Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday', 'Sunday'])
+        .withMessage('Day must be a day of the week, e.g. Monday'),
+    
+    body('startTime')
+        .matches(TIME_PATTERN)
+        .withMessage('Start time must be in HH:MM format'),
+    
+    body('endTime')
+        .matches(TIME_PATTERN)
+        .withMessage('End time must be in HH:MM format')
+        .custom((value, { req }) => {
+            if (req.body.startTime && value <= req.body.startTime) {
+                throw new Error('End time must be after start time');
+            }
+            return true;
+        }),
+    
+    body('subject')
+        .trim()
+        .isLength({ min: 1, max: 100 })
+        .withMessage('Subject is required (up to 100 characters)'),
+    
+    body(['teacherId', 'roomId'])
+        .optional({ values: 'falsy' })
+        .isMongoId()
+        .withMessage('Teacher and room ids must be valid ids'),
+    
+    body('teacher')
+        .if(body('teacherId').isEmpty())
+        .trim()
+        .isLength({ min: 1, max: 100 })
+        .withMessage('Teacher is required unless teacherId is given (up to 100 characters)'),
+    
+    body('room')
+        .if(body('roomId').isEmpty())
+        .trim()
+        .isLength({ min: 1, max: 100 })
+        .withMessage('Room is required unless roomId is given (up to 100 characters)'),
+    
+    handleValidationErrors
+];
+
+// Attendance session (one lecture and its marks) validation
+const validateAttendanceSession = [
+    body('date')
+        .isISO8601()
+        .withMessage('Please provide a valid date'),
+    
+    body('startTime')
+        .matches(TIME_PATTERN)
+        .withMessage('Start time must be in HH:MM format'),
+    
+    body('endTime')
+        .matches(TIME_PATTERN)
+        .withMessage('End time must be in HH:MM format')
+        .custom((value, { req }) => {
+            if (req.body.startTime && value <= req.body.startTime) {
+                throw new Error('End time must be after start time');
+            }
+            return true;
+        }),
+    
+    body('timetableSlot')
+        .optional({ values: 'null' })
+        .isMongoId()
+        .withMessage('Invalid timetable slot ID'),
+    
+    body('marks')
+        .isArray({ min: 1, max: 500 })
+        .withMessage('Marks must be an array with 1-500 entries'),
+    
+    body('marks.*.studentId')
+        .isMongoId()
+        .withMessage('Each mark needs a valid student ID'),
+    
+    body('marks.*.status')
+        .isIn(ATTENDANCE_STATUS_KEYS)
+        .withMessage(`Each status must be one of: ${ATTENDANCE_STATUS_KEYS.join(', ')}`),
+    
+    handleValidationErrors
+];
+
 // File upload validation (for future file uploads)
 const validateFileUpload = (fieldName, allowedMimeTypes = [], maxSize = 5 * 1024 * 1024) => [
     body(fieldName)
@@ -288,6 +426,8 @@ const sanitizeBody = (req, res, next) => {
 };
 
 module.exports = {
+    PHONE_PATTERN,
+    isValidEmail,
     handleValidationErrors,
     validateRegistration,
     validateLogin,
@@ -299,6 +439,10 @@ module.exports = {
     validateClassCode,
     validateBulkStudents,
     validateDateRange,
+    validateReportQuery,
+    validatePagination,
+    validateTimetableSlot,
+    validateAttendanceSession,
     validateFileUpload,
     sanitizeBody,
     sanitizeHtml
@@ -0,0 +1,51 @@
+const mongoose = require('mongoose');
+
+// Personal access token for the /api/v1 JSON API. Acts as its owner,
+// limited to the scopes it was created with.
+const apiTokenSchema = new mongoose.Schema({
+    userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    name: {
+        type: String,
+        required: true,
+        trim: true,
+        maxlength: 100
+    },
+    // Only the SHA-256 of the token is stored
+    tokenHash: {
+        type: String,
+        required: true,
+        unique: true
+    },
+    // First characters of the token, so owners can tell their tokens apart
+    tokenPrefix: {
+        type: String,
+        required: true
+    },
+    scopes: [{
+        type: String,
+        required: true
+    }],
+    // null never expires
+    expiresAt: {
+        type: Date,
+        default: null
+    },
+    lastUsedAt: {
+        type: Date,
+        default: null
+    },
+    revokedAt: {
+        type: Date,
+        default: null
+    }
+}, {
+    timestamps: true
+});
+
+apiTokenSchema.index({ userId: 1, createdAt: -1 });
+
+module.exports = mongoose.model('ApiToken', apiTokenSchema);
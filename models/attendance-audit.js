@@ -0,0 +1,75 @@
+const mongoose = require('mongoose');
+
+// Where an attendance change came from
+const AUDIT_SOURCES = ['bulk', 'qr', 'import', 'leave', 'api'];
+
+const attendanceAuditSchema = new mongoose.Schema({
+    sessionId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'AttendanceSession',
+        required: true
+    },
+    studentId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Student',
+        required: true
+    },
+    classId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Class',
+        required: true
+    },
+    // Date of the lecture, so history can be read without the session
+    date: {
+        type: Date,
+        required: true
+    },
+    // null when the mark was created
+    oldStatus: {
+        type: String,
+        default: null
+    },
+    newStatus: {
+        type: String,
+        required: true
+    },
+    source: {
+        type: String,
+        enum: AUDIT_SOURCES,
+        required: true
+    },
+    // null for changes made by the system (e.g. a check-in that expired on its own)
+    actor: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        default: null
+    },
+    // Kept alongside the reference so history survives deleted users
+    actorName: {
+        type: String,
+        default: 'System'
+    }
+}, {
+    timestamps: { createdAt: true, updatedAt: false }
+});
+
+attendanceAuditSchema.index({ studentId: 1, createdAt: -1 });
+attendanceAuditSchema.index({ classId: 1, createdAt: -1 });
+attendanceAuditSchema.index({ createdAt: -1 });
+
+// Append-only: entries can be added but never changed or removed
+const rejectChange = function(next) {
+    next(new Error('Attendance audit entries are append-only.'));
+};
+
+['updateOne', 'updateMany', 'findOneAndUpdate', 'findOneAndReplace', 'replaceOne', 'deleteOne', 'deleteMany', 'findOneAndDelete']
+    .forEach(operation => attendanceAuditSchema.pre(operation, rejectChange));
+
+attendanceAuditSchema.pre('save', function(next) {
+    if (!this.isNew) {
+        return next(new Error('Attendance audit entries are append-only.'));
+    }
+    next();
+});
+
+module.exports = mongoose.model('AttendanceAudit', attendanceAuditSchema);
@@ -0,0 +1,86 @@
+const mongoose = require('mongoose');
+
+// One lecture of a class on a given day. Per-student marks live in
+// the Attendance collection and point back here through sessionId.
+const attendanceSessionSchema = new mongoose.Schema({
+    classId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Class',
+        required: true
+    },
+    date: {
+        type: Date,
+        required: true
+    },
+    startTime: {
+        type: String,
+        required: true,
+        match: [/^([01]\d|2[0-3]):[0-5]\d$/, 'Start time must be in HH:MM format']
+    },
+    endTime: {
+        type: String,
+        required: true,
+        match: [/^([01]\d|2[0-3]):[0-5]\d$/, 'End time must be in HH:MM format']
+    },
+    timetableSlot: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Timetable',
+        default: null
+    },
+    takenBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    // Live QR check-in window; students scan a rotating signed token
+    checkIn: {
+        isOpen: {
+            type: Boolean,
+            default: false
+        },
+        secret: {
+            type: String,
+            select: false
+        },
+        openedAt: Date,
+        expiresAt: Date
+    },
+    // Admin override of the attendance lock window
+    unlock: {
+        status: {
+            type: String,
+            enum: ['none', 'pending', 'approved', 'rejected'],
+            default: 'none'
+        },
+        requestedBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User'
+        },
+        requestedAt: Date,
+        reason: {
+            type: String,
+            maxlength: 500
+        },
+        reviewedBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User'
+        },
+        reviewedAt: Date,
+        unlockedUntil: Date
+    }
+}, {
+    timestamps: true
+});
+
+// A class cannot have two sessions starting at the same time on the same day
+attendanceSessionSchema.index({ classId: 1, date: 1, startTime: 1 }, { unique: true });
+attendanceSessionSchema.index({ 'unlock.status': 1 });
+
+attendanceSessionSchema.pre('validate', function(next) {
+    if (this.startTime && this.endTime && this.startTime >= this.endTime) {
+        return next(new Error('Session end time must be after start time'));
+    }
+    next();
+});
+
+module.exports = mongoose.model('AttendanceSession', attendanceSessionSchema);
@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const { ATTENDANCE_STATUS_KEYS } = require('../config/attendance-statuses');
 
 const attendanceSchema = new mongoose.Schema({
     studentId: {
@@ -11,6 +12,18 @@ const attendanceSchema = new mongoose.Schema({
         ref: 'Class',
         required: true
     },
+    // Academic term of the class when the mark was recorded
+    termId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Term',
+        default: null
+    },
+    // The lecture this mark belongs to
+    sessionId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'AttendanceSession',
+        required: true
+    },
     date: {
         type: Date,
         required: true,
@@ -18,13 +31,18 @@ const attendanceSchema = new mongoose.Schema({
     },
     status: {
         type: String,
-        enum: ['present', 'absent'],
+        enum: ATTENDANCE_STATUS_KEYS,
         required: true
     },
+    // Kept for records created before attendance sessions existed
     lectures: {
         type: Number,
-        required: true
+        default: 1
     }
 });
 
-module.exports = mongoose.model('Attendance', attendanceSchema);
\ No newline at end of file
+// One mark per student per session
+attendanceSchema.index({ sessionId: 1, studentId: 1 }, { unique: true });
+attendanceSchema.index({ termId: 1 });
+
+module.exports = mongoose.model('Attendance', attendanceSchema);
@@ -0,0 +1,60 @@
+const mongoose = require('mongoose');
+const { CALENDAR_KIND_KEYS } = require('../config/calendar');
+
+// A day or run of days on the calendar: a holiday, an exam week or a day
+// without classes. Entries without a class apply to the whole institution;
+// a class's own entries override those for that class only (e.g. a make-up
+// lecture on a holiday, or one class cancelled).
+const calendarEntrySchema = new mongoose.Schema({
+    // Organization the entry belongs to; null entries apply to every class on the server
+    organizationId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Organization',
+        default: null
+    },
+    classId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Class',
+        default: null
+    },
+    kind: {
+        type: String,
+        enum: CALENDAR_KIND_KEYS,
+        required: true
+    },
+    name: {
+        type: String,
+        trim: true,
+        maxlength: 100,
+        default: ''
+    },
+    // Midnight UTC of the first day
+    startDate: {
+        type: Date,
+        required: true
+    },
+    // End of the last day (23:59:59.999 UTC)
+    endDate: {
+        type: Date,
+        required: true
+    },
+    createdBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        default: null
+    }
+}, {
+    timestamps: true
+});
+
+calendarEntrySchema.index({ organizationId: 1, classId: 1, startDate: 1 });
+calendarEntrySchema.index({ classId: 1, startDate: 1 });
+
+calendarEntrySchema.pre('validate', function(next) {
+    if (this.startDate && this.endDate && this.startDate > this.endDate) {
+        return next(new Error('Calendar entry must end on or after its first day'));
+    }
+    next();
+});
+
+module.exports = mongoose.model('CalendarEntry', calendarEntrySchema);
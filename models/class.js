@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const Term = require('./term');
 
 const classSchema = new mongoose.Schema({
     CLASSNAME: {
@@ -38,6 +39,41 @@ const classSchema = new mongoose.Schema({
     DESCRIPTION: {
         type: String,
         maxlength: 500
+    },
+    // Tenant the class (and through it its students and attendance) belongs to;
+    // copied from the creator when the class is created
+    organizationId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Organization',
+        default: null
+    },
+    departmentId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Department',
+        default: null
+    },
+    // Academic term; new classes join the current term of their organization
+    termId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Term',
+        default: null
+    },
+    // Set when the term is archived; the class is then read-only
+    archivedAt: {
+        type: Date,
+        default: null
+    },
+    // Class of the previous term this one was rolled over from
+    rolledOverFrom: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Class',
+        default: null
+    },
+    // Hours after a lecture before its attendance locks; null uses ATTENDANCE_LOCK_HOURS
+    attendanceLockHours: {
+        type: Number,
+        min: 0,
+        default: null
     }
 }, {
     timestamps: true
@@ -74,6 +110,22 @@ classSchema.pre('validate', async function(next) {
                 this.TEACHERS = [this.CREATEDBY];
             }
         }
+
+        // New classes land in the creator's organization and department
+        if (this.isNew && !this.organizationId && this.CREATEDBY) {
+            const creator = await mongoose.model('User').findById(this.CREATEDBY).select('organizationId departmentId');
+            if (creator) {
+                this.organizationId = creator.organizationId;
+                this.departmentId = creator.departmentId;
+            }
+        }
+
+        if (this.isNew && !this.termId) {
+            const term = await Term.findCurrent(this.organizationId);
+            if (term) {
+                this.termId = term._id;
+            }
+        }
         
         next();
     } catch (error) {
@@ -82,4 +134,7 @@ classSchema.pre('validate', async function(next) {
     }
 });
 
+classSchema.index({ organizationId: 1, departmentId: 1 });
+classSchema.index({ termId: 1, rolledOverFrom: 1 });
+
 module.exports = mongoose.model('Class', classSchema);
\ No newline at end of file
@@ -0,0 +1,34 @@
+const mongoose = require('mongoose');
+
+// A department within an organization; HODs see only the classes of theirs
+const departmentSchema = new mongoose.Schema({
+    organizationId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Organization',
+        required: true
+    },
+    name: {
+        type: String,
+        required: true,
+        trim: true,
+        maxlength: 100
+    },
+    code: {
+        type: String,
+        trim: true,
+        uppercase: true,
+        maxlength: 12,
+        default: ''
+    },
+    createdBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        default: null
+    }
+}, {
+    timestamps: true
+});
+
+departmentSchema.index({ organizationId: 1, name: 1 }, { unique: true });
+
+module.exports = mongoose.model('Department', departmentSchema);
@@ -0,0 +1,75 @@
+const mongoose = require('mongoose');
+const { EMAIL_LOG_RETENTION_DAYS } = require('../config/email');
+
+// A rendered email waiting in (or sent from) the outgoing queue
+const emailMessageSchema = new mongoose.Schema({
+    userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        default: null
+    },
+    to: {
+        type: String,
+        required: true
+    },
+    // Which notification it is, e.g. 'weekly-digest'
+    type: {
+        type: String,
+        required: true
+    },
+    subject: {
+        type: String,
+        required: true
+    },
+    html: {
+        type: String,
+        required: true
+    },
+    text: {
+        type: String,
+        required: true
+    },
+    headers: {
+        type: mongoose.Schema.Types.Mixed,
+        default: {}
+    },
+    // Stops the same notification being queued twice (e.g. one digest per week)
+    dedupeKey: {
+        type: String,
+        default: undefined
+    },
+    // Carries a secret (e.g. a reset link): the body is redacted after sending
+    sensitive: {
+        type: Boolean,
+        default: false
+    },
+    status: {
+        type: String,
+        enum: ['pending', 'sent', 'failed'],
+        default: 'pending'
+    },
+    attempts: {
+        type: Number,
+        default: 0
+    },
+    nextAttemptAt: {
+        type: Date,
+        default: Date.now
+    },
+    lastError: {
+        type: String,
+        default: null
+    },
+    sentAt: {
+        type: Date,
+        default: null
+    }
+}, {
+    timestamps: true
+});
+
+emailMessageSchema.index({ status: 1, nextAttemptAt: 1 });
+emailMessageSchema.index({ dedupeKey: 1 }, { unique: true, sparse: true });
+emailMessageSchema.index({ createdAt: 1 }, { expireAfterSeconds: EMAIL_LOG_RETENTION_DAYS * 24 * 60 * 60 });
+
+module.exports = mongoose.model('EmailMessage', emailMessageSchema);
@@ -0,0 +1,78 @@
+const mongoose = require('mongoose');
+
+// Every SMS or email sent (or attempted) to a student's guardian
+const guardianMessageSchema = new mongoose.Schema({
+    studentId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Student',
+        required: true
+    },
+    classId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Class',
+        required: true
+    },
+    guardianId: {
+        type: mongoose.Schema.Types.ObjectId,
+        default: null
+    },
+    guardianName: {
+        type: String,
+        default: ''
+    },
+    channel: {
+        type: String,
+        enum: ['sms', 'email'],
+        required: true
+    },
+    to: {
+        type: String,
+        required: true
+    },
+    reason: {
+        type: String,
+        enum: ['absence-streak', 'low-attendance'],
+        required: true
+    },
+    body: {
+        type: String,
+        required: true
+    },
+    // SMS driver name, or 'smtp' for email
+    driver: {
+        type: String,
+        required: true
+    },
+    // queued: handed to the email queue
+    status: {
+        type: String,
+        enum: ['pending', 'sent', 'queued', 'failed'],
+        default: 'pending'
+    },
+    error: {
+        type: String,
+        default: null
+    },
+    providerMessageId: {
+        type: String,
+        default: null
+    },
+    emailMessageId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'EmailMessage',
+        default: null
+    },
+    // One alert per guardian, channel and trigger (e.g. the start of an absence streak)
+    dedupeKey: {
+        type: String,
+        required: true,
+        unique: true
+    }
+}, {
+    timestamps: true
+});
+
+guardianMessageSchema.index({ studentId: 1, createdAt: -1 });
+guardianMessageSchema.index({ createdAt: -1 });
+
+module.exports = mongoose.model('GuardianMessage', guardianMessageSchema);
@@ -0,0 +1,72 @@
+const mongoose = require('mongoose');
+
+const leaveRequestSchema = new mongoose.Schema({
+    rollNo: {
+        type: Number,
+        required: true
+    },
+    studentName: {
+        type: String,
+        required: true
+    },
+    // Every class enrolment of the student at the time of the request
+    students: [{
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Student'
+    }],
+    fromDate: {
+        type: Date,
+        required: true
+    },
+    toDate: {
+        type: Date,
+        required: true
+    },
+    reason: {
+        type: String,
+        required: true,
+        trim: true,
+        maxlength: 1000
+    },
+    // Optional supporting document (medical certificate, letter, ...)
+    attachment: {
+        fileName: String,
+        originalName: String,
+        mimeType: String,
+        size: Number
+    },
+    status: {
+        type: String,
+        enum: ['pending', 'approved', 'rejected'],
+        default: 'pending'
+    },
+    reviewedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        default: null
+    },
+    reviewedAt: {
+        type: Date,
+        default: null
+    },
+    reviewNote: {
+        type: String,
+        trim: true,
+        maxlength: 500
+    }
+}, {
+    timestamps: true
+});
+
+leaveRequestSchema.index({ students: 1, status: 1 });
+leaveRequestSchema.index({ rollNo: 1, createdAt: -1 });
+
+// Leave must not end before it starts
+leaveRequestSchema.pre('validate', function(next) {
+    if (this.fromDate && this.toDate && this.fromDate > this.toDate) {
+        this.invalidate('toDate', 'Leave must end on or after its start date');
+    }
+    next();
+});
+
+module.exports = mongoose.model('LeaveRequest', leaveRequestSchema);
@@ -0,0 +1,34 @@
+const mongoose = require('mongoose');
+
+// A college or institution hosted on this server. Users and classes without
+// one belong to the whole server (single-institution installs).
+const organizationSchema = new mongoose.Schema({
+    name: {
+        type: String,
+        required: true,
+        trim: true,
+        maxlength: 100,
+        unique: true
+    },
+    // Short code shown next to class names, e.g. "SCOE"
+    code: {
+        type: String,
+        trim: true,
+        uppercase: true,
+        maxlength: 12,
+        default: ''
+    },
+    ISACTIVE: {
+        type: Boolean,
+        default: true
+    },
+    createdBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        default: null
+    }
+}, {
+    timestamps: true
+});
+
+module.exports = mongoose.model('Organization', organizationSchema);
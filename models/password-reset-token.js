@@ -0,0 +1,36 @@
+const mongoose = require('mongoose');
+
+// Single-use link from the forgot-password flow
+const passwordResetTokenSchema = new mongoose.Schema({
+    userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    // Only the SHA-256 of the token is stored
+    tokenHash: {
+        type: String,
+        required: true,
+        unique: true
+    },
+    expiresAt: {
+        type: Date,
+        required: true
+    },
+    usedAt: {
+        type: Date,
+        default: null
+    },
+    requestedIp: {
+        type: String,
+        default: null
+    }
+}, {
+    timestamps: true
+});
+
+passwordResetTokenSchema.index({ userId: 1 });
+// Expired tokens are removed by MongoDB
+passwordResetTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('PasswordResetToken', passwordResetTokenSchema);
@@ -0,0 +1,46 @@
+const mongoose = require('mongoose');
+
+// A room lectures are timetabled into. A room holds one lecture at a time:
+// timetable slots that overlap in the same room are clashes (see
+// utils/timetable.js).
+const roomSchema = new mongoose.Schema({
+    // Organization the room belongs to; null on single-institution installs
+    organizationId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Organization',
+        default: null
+    },
+    name: {
+        type: String,
+        required: true,
+        trim: true,
+        maxlength: 100
+    },
+    building: {
+        type: String,
+        trim: true,
+        maxlength: 100,
+        default: ''
+    },
+    capacity: {
+        type: Number,
+        min: 0,
+        default: null
+    },
+    // Retired rooms stay on existing slots but cannot be picked for new ones
+    isActive: {
+        type: Boolean,
+        default: true
+    },
+    createdBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        default: null
+    }
+}, {
+    timestamps: true
+});
+
+roomSchema.index({ organizationId: 1, name: 1 }, { unique: true });
+
+module.exports = mongoose.model('Room', roomSchema);
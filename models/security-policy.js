@@ -0,0 +1,25 @@
+const mongoose = require('mongoose');
+const { STAFF_ROLES } = require('../config/permissions');
+
+// Site-wide security settings admins can change; a single 'global' document
+const securityPolicySchema = new mongoose.Schema({
+    key: {
+        type: String,
+        default: 'global',
+        unique: true
+    },
+    // Accounts with these roles must set up two-factor authentication
+    twoFactorRequiredRoles: [{
+        type: String,
+        enum: STAFF_ROLES
+    }],
+    updatedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        default: null
+    }
+}, {
+    timestamps: true
+});
+
+module.exports = mongoose.model('SecurityPolicy', securityPolicySchema);
@@ -0,0 +1,36 @@
+const mongoose = require('mongoose');
+
+const studentInviteSchema = new mongoose.Schema({
+    studentId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Student',
+        required: true
+    },
+    // Only the SHA-256 of the invite token is stored
+    tokenHash: {
+        type: String,
+        required: true,
+        unique: true
+    },
+    expiresAt: {
+        type: Date,
+        required: true
+    },
+    usedAt: {
+        type: Date,
+        default: null
+    },
+    // The teacher who sent it; null when a student asked for it with the class code
+    createdBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        default: null
+    }
+}, {
+    timestamps: true
+});
+
+// Expired invites are removed by MongoDB
+studentInviteSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('StudentInvite', studentInviteSchema);
@@ -1,5 +1,40 @@
 const mongoose = require('mongoose');
 
+// Parent/guardian contact; alerts go to each guardian on the channels switched on
+const guardianSchema = new mongoose.Schema({
+    name: {
+        type: String,
+        trim: true,
+        maxlength: 100,
+        default: ''
+    },
+    relationship: {
+        type: String,
+        trim: true,
+        maxlength: 50,
+        default: ''
+    },
+    phone: {
+        type: String,
+        trim: true,
+        default: null
+    },
+    email: {
+        type: String,
+        trim: true,
+        lowercase: true,
+        default: null
+    },
+    notifySms: {
+        type: Boolean,
+        default: true
+    },
+    notifyEmail: {
+        type: Boolean,
+        default: true
+    }
+});
+
 const data = new mongoose.Schema({
     NAME:{
         type : String,
@@ -27,9 +62,17 @@ const data = new mongoose.Schema({
         type: String,
         required: false
     },
+    // Legacy single parent contact; copied into guardians when students are added
     PARENTPHONE: {
         type: String,
         required: false
+    },
+    guardians: [guardianSchema],
+    // Student login account that has claimed this record
+    userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        default: null
     }
 }, {
     timestamps: true
@@ -37,6 +80,7 @@ const data = new mongoose.Schema({
 
 // Compound index to ensure unique roll numbers per class
 data.index({ ROLLNO: 1, classId: 1 }, { unique: true });
+data.index({ userId: 1 });
 
 // Ensure primary class is included in CLASSES array
 data.pre('save', function(next) {
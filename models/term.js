@@ -0,0 +1,91 @@
+const mongoose = require('mongoose');
+
+// A day without lectures inside a term
+const holidaySchema = new mongoose.Schema({
+    date: {
+        type: Date,
+        required: true
+    },
+    name: {
+        type: String,
+        trim: true,
+        maxlength: 100,
+        default: ''
+    }
+});
+
+// Academic term or semester. Classes (and through them their attendance)
+// belong to one; rolling over clones them into the next term and archives
+// this one, after which its classes are read-only.
+const termSchema = new mongoose.Schema({
+    // Organization the term belongs to; null on single-institution installs
+    organizationId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Organization',
+        default: null
+    },
+    name: {
+        type: String,
+        required: true,
+        trim: true,
+        maxlength: 100
+    },
+    // Midnight UTC of the first day
+    startDate: {
+        type: Date,
+        required: true
+    },
+    // End of the last day (23:59:59.999 UTC)
+    endDate: {
+        type: Date,
+        required: true
+    },
+    holidays: [holidaySchema],
+    status: {
+        type: String,
+        enum: ['active', 'archived'],
+        default: 'active'
+    },
+    archivedAt: {
+        type: Date,
+        default: null
+    },
+    archivedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        default: null
+    },
+    // Term this one was rolled over into
+    rolledOverTo: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Term',
+        default: null
+    },
+    createdBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        default: null
+    }
+}, {
+    timestamps: true
+});
+
+termSchema.index({ organizationId: 1, name: 1 }, { unique: true });
+termSchema.index({ organizationId: 1, startDate: 1 });
+
+termSchema.pre('validate', function(next) {
+    if (this.startDate && this.endDate && this.startDate > this.endDate) {
+        return next(new Error('Term must end on or after its first day'));
+    }
+    next();
+});
+
+// The organization's active term that contains the date, otherwise the next
+// one to start (classes created between terms join the coming term)
+termSchema.statics.findCurrent = async function(organizationId, date = new Date()) {
+    const filter = { organizationId: organizationId || null, status: 'active' };
+    const current = await this.findOne({ ...filter, startDate: { $lte: date }, endDate: { $gte: date } }).sort({ startDate: -1 });
+    return current || this.findOne({ ...filter, startDate: { $gt: date } }).sort({ startDate: 1 });
+};
+
+module.exports = mongoose.model('Term', termSchema);
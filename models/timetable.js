@@ -23,6 +23,8 @@ const timetableSchema = new mongoose.Schema({
         type: String,
         required: true
     },
+    // Display names. Slots added before rooms and teachers were linked only
+    // have these; newer ones copy the name of teacherId/roomId.
     teacher: {
         type: String,
         required: true
@@ -31,6 +33,16 @@ const timetableSchema = new mongoose.Schema({
         type: String,
         required: true
     },
+    teacherId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        default: null
+    },
+    roomId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Room',
+        default: null
+    },
     createdBy: {
         type: mongoose.Schema.Types.ObjectId,
         ref: 'User',
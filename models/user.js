@@ -1,5 +1,6 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
+const { ROLE_KEYS } = require('../config/permissions');
 
 const userSchema = new mongoose.Schema({
     USERNAME: {
@@ -31,13 +32,24 @@ const userSchema = new mongoose.Schema({
     },
     ROLE: {
         type: String,
-        enum: ['teacher', 'admin', 'student'],
+        enum: ROLE_KEYS,
         default: 'teacher'
     },
     ISACTIVE: {
         type: Boolean,
         default: true
     },
+    // Tenant the account belongs to; null on both means the whole server
+    organizationId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Organization',
+        default: null
+    },
+    departmentId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Department',
+        default: null
+    },
     CREATEDAT: {
         type: Date,
         default: Date.now
@@ -49,6 +61,57 @@ const userSchema = new mongoose.Schema({
     PROFILEPIC: {
         type: String,
         default: null
+    },
+    // Sessions remember the version they started with; bumping it (e.g. on a
+    // password reset) signs the user out everywhere
+    sessionVersion: {
+        type: Number,
+        default: 0
+    },
+    // Signs the secret timetable feed URL (see utils/timetable-feed.js);
+    // bumping it turns off every URL handed out before
+    calendarFeedVersion: {
+        type: Number,
+        default: 0
+    },
+    // TOTP second factor. The secret and backup code hashes are only loaded
+    // (select '+twoFactor.secret') when a code is checked.
+    twoFactor: {
+        enabled: {
+            type: Boolean,
+            default: false
+        },
+        secret: {
+            type: String,
+            default: null,
+            select: false
+        },
+        backupCodes: {
+            type: [String],
+            default: [],
+            select: false
+        },
+        // Time step of the last accepted code, so a code cannot be replayed
+        lastUsedStep: {
+            type: Number,
+            default: null,
+            select: false
+        },
+        enabledAt: {
+            type: Date,
+            default: null
+        }
+    },
+    // Optional emails the user still wants (account emails are always sent)
+    emailPreferences: {
+        weeklyDigest: {
+            type: Boolean,
+            default: true
+        },
+        lowAttendance: {
+            type: Boolean,
+            default: true
+        }
     }
 }, {
     timestamps: true
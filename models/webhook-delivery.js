@@ -0,0 +1,79 @@
+const mongoose = require('mongoose');
+const { WEBHOOK_LOG_RETENTION_DAYS } = require('../config/webhooks');
+
+const attemptSchema = new mongoose.Schema({
+    attemptedAt: {
+        type: Date,
+        required: true
+    },
+    // null when no response arrived (timeout, DNS failure, refused connection)
+    responseStatus: {
+        type: Number,
+        default: null
+    },
+    error: {
+        type: String,
+        default: null
+    },
+    durationMs: Number
+}, { _id: false });
+
+// One event sent to one webhook, with every attempt made to deliver it
+const webhookDeliverySchema = new mongoose.Schema({
+    webhookId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Webhook',
+        required: true
+    },
+    // Shared by redeliveries of the same event, so receivers can de-duplicate
+    eventId: {
+        type: String,
+        required: true
+    },
+    event: {
+        type: String,
+        required: true
+    },
+    payload: {
+        type: mongoose.Schema.Types.Mixed,
+        required: true
+    },
+    status: {
+        type: String,
+        enum: ['pending', 'succeeded', 'failed'],
+        default: 'pending'
+    },
+    attempts: [attemptSchema],
+    // When the worker should (re)try; null once the delivery is finished
+    nextAttemptAt: {
+        type: Date,
+        default: Date.now
+    },
+    // Start of the response body of the last attempt, for debugging receivers
+    lastResponseBody: {
+        type: String,
+        default: null
+    },
+    deliveredAt: {
+        type: Date,
+        default: null
+    },
+    redeliveryOf: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'WebhookDelivery',
+        default: null
+    },
+    redeliveredBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        default: null
+    }
+}, {
+    timestamps: true
+});
+
+webhookDeliverySchema.index({ status: 1, nextAttemptAt: 1 });
+webhookDeliverySchema.index({ webhookId: 1, createdAt: -1 });
+webhookDeliverySchema.index({ createdAt: 1 }, { expireAfterSeconds: WEBHOOK_LOG_RETENTION_DAYS * 24 * 60 * 60 });
+
+module.exports = mongoose.model('WebhookDelivery', webhookDeliverySchema);
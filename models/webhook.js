@@ -0,0 +1,41 @@
+const mongoose = require('mongoose');
+
+// An admin-managed endpoint that receives signed event notifications
+const webhookSchema = new mongoose.Schema({
+    url: {
+        type: String,
+        required: true,
+        trim: true,
+        maxlength: 500
+    },
+    description: {
+        type: String,
+        trim: true,
+        maxlength: 200,
+        default: ''
+    },
+    events: {
+        type: [String],
+        required: true
+    },
+    // Shared with the receiver to verify X-AttendPro-Signature, so it is kept readable
+    secret: {
+        type: String,
+        required: true
+    },
+    isActive: {
+        type: Boolean,
+        default: true
+    },
+    createdBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    }
+}, {
+    timestamps: true
+});
+
+webhookSchema.index({ isActive: 1, events: 1 });
+
+module.exports = mongoose.model('Webhook', webhookSchema);
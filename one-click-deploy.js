@@ -142,7 +142,7 @@ copy .env.local .env 2>nul
 echo Environment configured!
 echo.
 echo Starting server on http://localhost:3000
-echo Admin Panel: http://localhost:3000/admin-panel9920867077@AdilAbullahaUroojFatir
+echo Admin Panel: http://localhost:3000/admin
 echo Student Portal: http://localhost:3000/student-portal
 echo.
 npm run dev
@@ -217,7 +217,7 @@ async function main() {
         console.log('\n🔑 Emergency Admin Access:');
         console.log('• Username: admin');
         console.log('• Password: AttendPro2024!');
-        console.log('• Admin URL: /admin-panel9920867077@AdilAbullahaUroojFatir');
+        console.log('• Admin URL: /admin');
         
         console.log('\n🗄️ Database Setup Required:');
         console.log('• Free MongoDB Atlas: https://mongodb.com/atlas');
@@ -16,6 +16,12 @@ app.use(express.static(path.join(__dirname, 'public')));
 app.set('views', path.join(__dirname, 'views'));
 app.set('view engine', 'ejs');
 
+// Role labels and permission checks for every view
+const { ROLES, getRoleLabel, hasPermission } = require('./config/permissions');
+app.locals.roles = ROLES;
+app.locals.getRoleLabel = getRoleLabel;
+app.locals.can = hasPermission;
+
 // Environment configuration with defaults
 const config = {
     NODE_ENV: process.env.NODE_ENV || 'production',
@@ -215,8 +221,8 @@ app.get('/student-portal', (req, res) => {
     });
 });
 
-// Admin panel with obfuscated URL
-app.get('/admin-panel9920867077@AdilAbullahaUroojFatir', requireAuth, (req, res) => {
+// Admin panel
+app.get('/admin', requireAuth, (req, res) => {
     res.render('admin-panel', {
         user: {
             FULLNAME: req.session.userFullName || 'Demo Admin',
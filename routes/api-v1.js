@@ -0,0 +1,539 @@
+// JSON API (/api/v1) for integrations. Requests authenticate with a personal
+// access token (see utils/api-tokens.js) and act as the token's owner.
+const express = require('express');
+
+const Class = require('../models/class');
+const Student = require('../models/student');
+const Attendance = require('../models/attendance');
+const AttendanceSession = require('../models/attendance-session');
+const Timetable = require('../models/timetable');
+
+const { requireApiToken, requireScope, requireApiClassAccess } = require('../middleware/api-auth');
+const {
+    validateClass,
+    validateStudent,
+    validateObjectId,
+    validateDateRange,
+    validatePagination,
+    validateTimetableSlot,
+    validateAttendanceSession,
+    sanitizeBody
+} = require('../middleware/validation');
+const {
+    ValidationError,
+    NotFoundError,
+    ConflictError,
+    AttendanceLockedError,
+    asyncErrorHandler,
+    notFoundHandler,
+    globalErrorHandler
+} = require('../middleware/error-handler');
+const { buildClassReport } = require('../utils/attendance-stats');
+const { parseDateRange } = require('../utils/attendance-export');
+const { setAttendanceStatuses } = require('../utils/attendance-audit');
+const { getLockStatus } = require('../utils/attendance-lock');
+const { checkMarkingDay } = require('../utils/calendar');
+const { resolveSlotEntities, findSlotConflicts, describeConflict } = require('../utils/timetable');
+const { getStudentsOnLeave } = require('../utils/leave-requests');
+const { ATTENDANCE_STATUS_KEYS } = require('../config/attendance-statuses');
+const { hasPermission } = require('../config/permissions');
+const { getTenantFilter } = require('../utils/tenancy');
+const {
+    OBJECT_ID,
+    objectSchema,
+    arraySchema,
+    nullable,
+    modelProperties,
+    dataEnvelope,
+    paginatedEnvelope,
+    describeRoute
+} = require('../utils/openapi');
+
+const router = express.Router();
+
+const DEFAULT_PAGE_SIZE = 20;
+
+const escapeRegex = (value) => String(value).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// One page of a query plus the numbers needed to fetch the rest
+const paginate = async (query, countQuery, req) => {
+    const page = req.query.page || 1;
+    const limit = req.query.limit || DEFAULT_PAGE_SIZE;
+
+    const [items, total] = await Promise.all([
+        query.skip((page - 1) * limit).limit(limit),
+        countQuery
+    ]);
+
+    return {
+        items,
+        pagination: { page, limit, total, totalPages: Math.ceil(total / limit) }
+    };
+};
+
+// Response shapes; field names follow the models (and the request bodies)
+const serializeClass = (classDoc) => ({
+    id: classDoc._id,
+    CLASSNAME: classDoc.CLASSNAME,
+    ROOMNO: classDoc.ROOMNO,
+    SUBJECT: classDoc.SUBJECT,
+    DESCRIPTION: classDoc.DESCRIPTION || '',
+    CLASSCODE: classDoc.CLASSCODE,
+    ISACTIVE: classDoc.ISACTIVE,
+    CREATEDBY: classDoc.CREATEDBY,
+    TEACHERS: classDoc.TEACHERS,
+    attendanceLockHours: classDoc.attendanceLockHours,
+    createdAt: classDoc.createdAt,
+    updatedAt: classDoc.updatedAt
+});
+
+const serializeStudent = (student) => ({
+    id: student._id,
+    NAME: student.NAME,
+    ROLLNO: student.ROLLNO,
+    EMAIL: student.EMAIL || null,
+    classId: student.classId,
+    hasAccount: Boolean(student.userId),
+    createdAt: student.createdAt,
+    updatedAt: student.updatedAt
+});
+
+const serializeSlot = (slot) => ({
+    id: slot._id,
+    classId: slot.classId,
+    day: slot.day,
+    startTime: slot.startTime,
+    endTime: slot.endTime,
+    subject: slot.subject,
+    teacher: slot.teacher,
+    room: slot.room,
+    teacherId: slot.teacherId,
+    roomId: slot.roomId
+});
+
+const serializeSession = (session, classDoc) => {
+    const lockStatus = getLockStatus(session, classDoc);
+    return {
+        id: session._id,
+        classId: session.classId,
+        date: session.date,
+        startTime: session.startTime,
+        endTime: session.endTime,
+        timetableSlot: session.timetableSlot,
+        takenBy: session.takenBy,
+        lock: {
+            isLocked: lockStatus.isLocked,
+            locksAt: lockStatus.locksAt,
+            unlockedUntil: lockStatus.unlockedUntil
+        }
+    };
+};
+
+// OpenAPI schemas of the serializers above
+const DATE_TIME = { type: 'string', format: 'date-time' };
+
+const CLASS_SCHEMA = objectSchema({
+    id: OBJECT_ID,
+    ...modelProperties(Class, ['CLASSNAME', 'ROOMNO', 'SUBJECT', 'DESCRIPTION', 'CLASSCODE', 'ISACTIVE', 'CREATEDBY', 'TEACHERS', 'attendanceLockHours', 'createdAt', 'updatedAt'])
+});
+
+const STUDENT_SCHEMA = objectSchema({
+    id: OBJECT_ID,
+    ...modelProperties(Student, ['NAME', 'ROLLNO', 'EMAIL', 'classId', 'createdAt', 'updatedAt']),
+    hasAccount: { type: 'boolean' }
+});
+
+const SLOT_SCHEMA = objectSchema({
+    id: OBJECT_ID,
+    ...modelProperties(Timetable, ['classId', 'day', 'startTime', 'endTime', 'subject', 'teacher', 'room', 'teacherId', 'roomId'])
+});
+
+const SESSION_PROPERTIES = {
+    id: OBJECT_ID,
+    ...modelProperties(AttendanceSession, ['classId', 'date', 'startTime', 'endTime', 'timetableSlot', 'takenBy']),
+    lock: objectSchema({
+        isLocked: { type: 'boolean' },
+        locksAt: nullable(DATE_TIME),
+        unlockedUntil: nullable(DATE_TIME)
+    })
+};
+
+const MARK_SCHEMA = objectSchema({
+    studentId: OBJECT_ID,
+    status: { type: 'string', enum: ATTENDANCE_STATUS_KEYS }
+});
+
+const SESSION_SCHEMA = objectSchema(SESSION_PROPERTIES);
+const SESSION_DETAIL_SCHEMA = objectSchema({ ...SESSION_PROPERTIES, marks: arraySchema(MARK_SCHEMA) });
+const SESSION_WRITE_SCHEMA = objectSchema({
+    ...SESSION_PROPERTIES,
+    changedCount: { type: 'integer' },
+    calendarWarning: nullable({ type: 'string' }),
+    marks: arraySchema(MARK_SCHEMA)
+});
+
+const STATUS_COUNTS = { type: 'object', additionalProperties: { type: 'integer' } };
+
+const REPORT_SCHEMA = objectSchema({
+    class: CLASS_SCHEMA,
+    range: objectSchema({ from: DATE_TIME, to: DATE_TIME }, []),
+    generatedOn: DATE_TIME,
+    totalStudents: { type: 'integer' },
+    totalSessions: { type: 'integer' },
+    summary: objectSchema({
+        excellent: { type: 'integer' },
+        good: { type: 'integer' },
+        poor: { type: 'integer' }
+    }),
+    students: arraySchema(objectSchema({
+        studentId: OBJECT_ID,
+        rollNo: { type: 'number' },
+        name: { type: 'string' },
+        presentCount: { type: 'number' },
+        totalCount: { type: 'integer' },
+        statusCounts: STATUS_COUNTS,
+        percentage: { type: 'number' },
+        isDefaulter: { type: 'boolean' }
+    }))
+});
+
+// ?startDate=&endDate= (already parsed by validateDateRange) as whole UTC days
+const getQueryRange = (req) => parseDateRange(req.query.startDate, req.query.endDate).range;
+
+router.use(requireApiToken);
+
+// ====================== CLASSES ====================== //
+
+router.get('/classes', describeRoute({
+    summary: 'List classes',
+    tags: ['Classes'],
+    description: 'Admins see every class of their organization, HODs of their department, other staff the classes they teach.',
+    query: [
+        { name: 'q', description: 'Part of the class name', schema: { type: 'string' } },
+        { name: 'subject', schema: { type: 'string' } },
+        { name: 'active', schema: { type: 'boolean' } }
+    ],
+    responses: { 200: { schema: paginatedEnvelope(CLASS_SCHEMA) } }
+}), requireScope('classes:read'), validatePagination, asyncErrorHandler(async (req, res) => {
+    const filter = hasPermission(req.user, 'class.view.any') ? getTenantFilter(req.user) : { TEACHERS: req.user._id };
+    if (req.query.subject) filter.SUBJECT = req.query.subject;
+    if (req.query.active !== undefined) filter.ISACTIVE = req.query.active === 'true';
+    if (req.query.q) filter.CLASSNAME = { $regex: escapeRegex(req.query.q), $options: 'i' };
+
+    const { items, pagination } = await paginate(
+        Class.find(filter).sort({ CLASSNAME: 1 }),
+        Class.countDocuments(filter),
+        req
+    );
+
+    res.json({ success: true, data: items.map(serializeClass), pagination });
+}));
+
+router.post('/classes', describeRoute({
+    summary: 'Create a class',
+    tags: ['Classes'],
+    responses: { 201: { description: 'Created', schema: dataEnvelope(CLASS_SCHEMA) } }
+}), requireScope('classes:write'), sanitizeBody, validateClass, asyncErrorHandler(async (req, res) => {
+    const { CLASSNAME, ROOMNO, SUBJECT, DESCRIPTION } = req.body;
+
+    const newClass = await Class.create({
+        CLASSNAME,
+        ROOMNO,
+        SUBJECT,
+        DESCRIPTION: DESCRIPTION || '',
+        CREATEDBY: req.user._id,
+        ISACTIVE: true
+    });
+
+    console.log(`✅ API: class ${newClass.CLASSNAME} created by ${req.user.USERNAME}`);
+    res.status(201).json({ success: true, data: serializeClass(newClass) });
+}));
+
+router.get('/classes/:classId', describeRoute({
+    summary: 'Get a class',
+    tags: ['Classes'],
+    responses: { 200: { schema: dataEnvelope(objectSchema({ ...CLASS_SCHEMA.properties, studentCount: { type: 'integer' } })) } }
+}), requireScope('classes:read'), validateObjectId('classId'), requireApiClassAccess, asyncErrorHandler(async (req, res) => {
+    const studentCount = await Student.countDocuments({ classId: req.classDoc._id });
+    res.json({ success: true, data: { ...serializeClass(req.classDoc), studentCount } });
+}));
+
+// ====================== STUDENTS ====================== //
+
+router.get('/classes/:classId/students', describeRoute({
+    summary: 'List students in a class',
+    tags: ['Students'],
+    query: [
+        { name: 'q', description: 'Part of the student name', schema: { type: 'string' } },
+        { name: 'rollNo', schema: { type: 'integer' } }
+    ],
+    responses: { 200: { schema: paginatedEnvelope(STUDENT_SCHEMA) } }
+}), requireScope('students:read'), validateObjectId('classId'), validatePagination, requireApiClassAccess, asyncErrorHandler(async (req, res) => {
+    const filter = { classId: req.classDoc._id };
+    if (req.query.rollNo) filter.ROLLNO = Number(req.query.rollNo);
+    if (req.query.q) filter.NAME = { $regex: escapeRegex(req.query.q), $options: 'i' };
+
+    const { items, pagination } = await paginate(
+        Student.find(filter).sort({ ROLLNO: 1 }),
+        Student.countDocuments(filter),
+        req
+    );
+
+    res.json({ success: true, data: items.map(serializeStudent), pagination });
+}));
+
+router.post('/classes/:classId/students', describeRoute({
+    summary: 'Add a student to a class',
+    tags: ['Students'],
+    responses: { 201: { description: 'Created', schema: dataEnvelope(STUDENT_SCHEMA) } }
+}), requireScope('students:write'), validateObjectId('classId'), sanitizeBody, validateStudent, requireApiClassAccess, asyncErrorHandler(async (req, res) => {
+    const { NAME, EMAIL } = req.body;
+    const ROLLNO = Number(req.body.ROLLNO);
+
+    if (!Number.isInteger(ROLLNO)) {
+        throw new ValidationError('Validation failed', [{ field: 'ROLLNO', message: 'Roll number must be a whole number', value: req.body.ROLLNO }]);
+    }
+
+    const existingStudent = await Student.findOne({ classId: req.classDoc._id, ROLLNO });
+    if (existingStudent) {
+        throw new ConflictError('A student with this roll number already exists in this class.');
+    }
+
+    const student = await Student.create({ NAME, ROLLNO, EMAIL, classId: req.classDoc._id });
+
+    res.status(201).json({ success: true, data: serializeStudent(student) });
+}));
+
+router.get('/classes/:classId/students/:studentId', describeRoute({
+    summary: 'Get a student',
+    tags: ['Students'],
+    responses: { 200: { schema: dataEnvelope(STUDENT_SCHEMA) } }
+}), requireScope('students:read'), validateObjectId('classId'), validateObjectId('studentId'), requireApiClassAccess, asyncErrorHandler(async (req, res) => {
+    const student = await Student.findOne({ _id: req.params.studentId, classId: req.classDoc._id });
+    if (!student) {
+        throw new NotFoundError('Student not found in this class.');
+    }
+
+    res.json({ success: true, data: serializeStudent(student) });
+}));
+
+// ====================== TIMETABLE ====================== //
+
+router.get('/classes/:classId/timetable', describeRoute({
+    summary: 'List timetable slots of a class',
+    tags: ['Timetable'],
+    query: [{ name: 'day', schema: SLOT_SCHEMA.properties.day }],
+    responses: { 200: { schema: dataEnvelope(arraySchema(SLOT_SCHEMA)) } }
+}), requireScope('timetable:read'), validateObjectId('classId'), requireApiClassAccess, asyncErrorHandler(async (req, res) => {
+    const filter = { classId: req.classDoc._id };
+    if (req.query.day) filter.day = req.query.day;
+
+    const slots = await Timetable.find(filter).sort({ day: 1, startTime: 1 });
+
+    res.json({ success: true, data: slots.map(serializeSlot) });
+}));
+
+router.post('/classes/:classId/timetable', describeRoute({
+    summary: 'Add a timetable slot',
+    tags: ['Timetable'],
+    responses: { 201: { description: 'Created', schema: dataEnvelope(SLOT_SCHEMA) } }
+}), requireScope('timetable:write'), validateObjectId('classId'), sanitizeBody, validateTimetableSlot, requireApiClassAccess, asyncErrorHandler(async (req, res) => {
+    const { day, startTime, endTime, subject } = req.body;
+
+    const entities = await resolveSlotEntities(req.classDoc, req.body);
+    if (entities.error) {
+        throw new ValidationError('Validation failed', [{ field: entities.field, message: entities.error, value: req.body[entities.field] }]);
+    }
+
+    const conflicts = await findSlotConflicts(req.classDoc, { day, startTime, endTime, ...entities });
+    if (conflicts.length > 0) {
+        throw new ConflictError(`Time slot clashes with the timetable: ${conflicts.map(describeConflict).join(' ')}`);
+    }
+
+    const slot = await Timetable.create({
+        classId: req.classDoc._id,
+        day,
+        startTime,
+        endTime,
+        subject,
+        ...entities,
+        createdBy: req.user._id
+    });
+
+    res.status(201).json({ success: true, data: serializeSlot(slot) });
+}));
+
+router.delete('/classes/:classId/timetable/:slotId', describeRoute({
+    summary: 'Remove a timetable slot',
+    tags: ['Timetable'],
+    responses: { 200: { description: 'The removed slot', schema: dataEnvelope(SLOT_SCHEMA) } }
+}), requireScope('timetable:write'), validateObjectId('classId'), validateObjectId('slotId'), requireApiClassAccess, asyncErrorHandler(async (req, res) => {
+    const slot = await Timetable.findOneAndDelete({ _id: req.params.slotId, classId: req.classDoc._id });
+    if (!slot) {
+        throw new NotFoundError('Time slot not found in this class.');
+    }
+
+    res.json({ success: true, data: serializeSlot(slot) });
+}));
+
+// ====================== ATTENDANCE SESSIONS ====================== //
+
+router.get('/classes/:classId/sessions', describeRoute({
+    summary: 'List attendance sessions (lectures) of a class',
+    tags: ['Attendance'],
+    responses: { 200: { schema: paginatedEnvelope(SESSION_SCHEMA) } }
+}), requireScope('attendance:read'), validateObjectId('classId'), validatePagination, validateDateRange, requireApiClassAccess, asyncErrorHandler(async (req, res) => {
+    const range = getQueryRange(req);
+    const filter = { classId: req.classDoc._id };
+    if (range.from || range.to) {
+        filter.date = {};
+        if (range.from) filter.date.$gte = range.from;
+        if (range.to) filter.date.$lte = range.to;
+    }
+
+    const { items, pagination } = await paginate(
+        AttendanceSession.find(filter).sort({ date: -1, startTime: -1 }),
+        AttendanceSession.countDocuments(filter),
+        req
+    );
+
+    res.json({ success: true, data: items.map(session => serializeSession(session, req.classDoc)), pagination });
+}));
+
+router.get('/classes/:classId/sessions/:sessionId', describeRoute({
+    summary: 'Get an attendance session with its marks',
+    tags: ['Attendance'],
+    responses: { 200: { schema: dataEnvelope(SESSION_DETAIL_SCHEMA) } }
+}), requireScope('attendance:read'), validateObjectId('classId'), validateObjectId('sessionId'), requireApiClassAccess, asyncErrorHandler(async (req, res) => {
+    const session = await AttendanceSession.findOne({ _id: req.params.sessionId, classId: req.classDoc._id });
+    if (!session) {
+        throw new NotFoundError('Attendance session not found in this class.');
+    }
+
+    const marks = await Attendance.find({ sessionId: session._id });
+
+    res.json({
+        success: true,
+        data: {
+            ...serializeSession(session, req.classDoc),
+            marks: marks.map(mark => ({ studentId: mark.studentId, status: mark.status }))
+        }
+    });
+}));
+
+// Record one lecture. Only the students listed in marks are written, so the
+// same lecture can be posted again to correct individual marks.
+router.post('/classes/:classId/sessions', describeRoute({
+    summary: 'Record attendance for a lecture',
+    tags: ['Attendance'],
+    description: 'Creates the session or updates the listed marks of an existing one. Locked sessions answer 423; new lectures on a holiday or a day without classes answer 409. Exam days are allowed and return a `calendarWarning`.',
+    responses: {
+        200: { description: 'Existing session updated', schema: dataEnvelope(SESSION_WRITE_SCHEMA) },
+        201: { description: 'Session created', schema: dataEnvelope(SESSION_WRITE_SCHEMA) }
+    }
+}), requireScope('attendance:write'), validateObjectId('classId'), validateAttendanceSession, requireApiClassAccess, asyncErrorHandler(async (req, res) => {
+    const { startTime, endTime, timetableSlot, marks } = req.body;
+    const classId = req.classDoc._id;
+
+    const sessionDate = new Date(req.body.date);
+    sessionDate.setUTCHours(0, 0, 0, 0);
+
+    let slot = null;
+    if (timetableSlot) {
+        slot = await Timetable.findOne({ _id: timetableSlot, classId });
+        if (!slot) {
+            throw new ValidationError('Validation failed', [{ field: 'timetableSlot', message: 'Timetable slot not found for this class', value: timetableSlot }]);
+        }
+    }
+
+    const studentIds = [...new Set(marks.map(mark => mark.studentId))];
+    const students = await Student.find({ _id: { $in: studentIds }, classId }).select('_id');
+    if (students.length !== studentIds.length) {
+        const known = new Set(students.map(student => student._id.toString()));
+        const unknown = studentIds.filter(id => !known.has(id));
+        throw new ValidationError('Validation failed', unknown.map(id => ({ field: 'marks', message: 'Student is not in this class', value: id })));
+    }
+
+    // Same check as the bulk form, so nothing is created for a locked lecture
+    const existingSession = await AttendanceSession.findOne({ classId, date: sessionDate, startTime });
+    const lockStatus = getLockStatus(existingSession || { date: sessionDate, endTime }, req.classDoc);
+    if (lockStatus.isLocked) {
+        throw new AttendanceLockedError(`Attendance for this lecture locked on ${lockStatus.locksAt.toISOString()}. Ask an admin to unlock it.`);
+    }
+
+    // Holidays and days without classes refuse new lectures, as in the web form
+    const calendarCheck = await checkMarkingDay(req.classDoc, sessionDate);
+    if (calendarCheck.refused && !existingSession) {
+        throw new ConflictError(calendarCheck.message);
+    }
+
+    const session = await AttendanceSession.findOneAndUpdate(
+        { classId, date: sessionDate, startTime },
+        {
+            $set: { endTime, timetableSlot: slot ? slot._id : null },
+            $setOnInsert: { takenBy: req.user._id }
+        },
+        { upsert: true, new: true, runValidators: true }
+    );
+
+    // Approved leave turns an absence into an excused mark
+    const studentsOnLeave = await getStudentsOnLeave(studentIds, sessionDate);
+    const changedCount = await setAttendanceStatuses(marks.map(mark => ({
+        sessionId: session._id,
+        studentId: mark.studentId,
+        classId,
+        date: sessionDate,
+        status: mark.status === 'absent' && studentsOnLeave.has(mark.studentId) ? 'excused' : mark.status
+    })), { actor: req.user, source: 'api' });
+
+    const savedMarks = await Attendance.find({ sessionId: session._id });
+
+    res.status(existingSession ? 200 : 201).json({
+        success: true,
+        data: {
+            ...serializeSession(session, req.classDoc),
+            changedCount,
+            calendarWarning: calendarCheck.message,
+            marks: savedMarks.map(mark => ({ studentId: mark.studentId, status: mark.status }))
+        }
+    });
+}));
+
+// ====================== REPORTS ====================== //
+
+router.get('/classes/:classId/report', describeRoute({
+    summary: 'Attendance report of a class',
+    tags: ['Reports'],
+    responses: { 200: { schema: dataEnvelope(REPORT_SCHEMA) } }
+}), requireScope('reports:read'), validateObjectId('classId'), validateDateRange, requireApiClassAccess, asyncErrorHandler(async (req, res) => {
+    const range = getQueryRange(req);
+    const { reportData } = await buildClassReport(req.classDoc, { range, generatedBy: req.user.FULLNAME });
+
+    res.json({
+        success: true,
+        data: {
+            class: serializeClass(reportData.class),
+            range: reportData.range,
+            generatedOn: reportData.generatedOn,
+            totalStudents: reportData.totalStudents,
+            totalSessions: reportData.totalSessions,
+            summary: reportData.summary,
+            students: reportData.students.map(student => ({
+                studentId: student.studentId,
+                rollNo: student.rollNo,
+                name: student.name,
+                presentCount: student.presentCount,
+                totalCount: student.totalCount,
+                statusCounts: student.statusCounts,
+                percentage: student.percentage,
+                isDefaulter: student.isDefaulter
+            }))
+        }
+    });
+}));
+
+// Unknown endpoints and errors get the same JSON envelope as everything else here
+router.use(notFoundHandler);
+router.use(globalErrorHandler);
+
+module.exports = router;
@@ -0,0 +1,119 @@
+// Forgot-password flow: request a reset link by email and set a new password
+// from it. Mounted by both index.js and index-dev.js.
+const express = require('express');
+
+const User = require('../models/user');
+const { authLimiter } = require('../config/security');
+const { logAuthEvent } = require('../utils/logger');
+const { isEmailEnabled } = require('../utils/email');
+const { queuePasswordResetEmail } = require('../utils/email-notifications');
+const { PASSWORD_RESET_TTL_MINUTES, getPasswordResetUrl, createPasswordResetToken, findValidResetToken, resetPassword } = require('../utils/password-reset');
+
+const router = express.Router();
+
+// Forgot password page
+router.get('/forgot-password', (req, res) => {
+    if (req.session.userId) {
+        return res.redirect('/dashboard');
+    }
+    res.render('forgot-password', { message: null, messageType: null });
+});
+
+// Email a single-use reset link. The answer is the same whether or not the
+// account exists, so the form cannot be used to find usernames.
+router.post('/forgot-password', authLimiter, async (req, res) => {
+    const sentMessage = 'If an account matches, a reset link has been sent to its email address. Check your inbox (and spam folder).';
+
+    try {
+        const identifier = String(req.body.username || '').trim();
+        if (!identifier) {
+            return res.render('forgot-password', { message: 'Enter your username or email.', messageType: 'error' });
+        }
+
+        const user = await User.findOne({
+            $or: [
+                { USERNAME: identifier },
+                { EMAIL: identifier.toLowerCase() }
+            ]
+        });
+
+        if (user && user.ISACTIVE) {
+            const token = await createPasswordResetToken(user, req.ip);
+            const resetUrl = getPasswordResetUrl(token);
+
+            if (isEmailEnabled()) {
+                queuePasswordResetEmail(user, resetUrl, PASSWORD_RESET_TTL_MINUTES);
+            } else if (process.env.NODE_ENV !== 'production') {
+                // No email in development: the link is only shown in the server log
+                console.log(`🔑 Password reset link for ${user.USERNAME}: ${resetUrl}`);
+            }
+
+            logAuthEvent('PASSWORD_RESET_REQUEST', user._id, user.USERNAME, true, req);
+        } else {
+            logAuthEvent('PASSWORD_RESET_REQUEST', null, identifier, false, req, { reason: 'user_not_found_or_inactive' });
+        }
+
+        res.render('forgot-password', { message: sentMessage, messageType: 'success' });
+    } catch (err) {
+        console.error('❌ Forgot password error:', err.message);
+        res.render('forgot-password', { message: 'An error occurred. Please try again.', messageType: 'error' });
+    }
+});
+
+// Choose a new password from a reset link
+router.get('/reset-password/:token', async (req, res) => {
+    try {
+        const resetToken = await findValidResetToken(req.params.token);
+
+        res.render('reset-password', {
+            token: req.params.token,
+            valid: Boolean(resetToken),
+            username: resetToken ? resetToken.userId.USERNAME : null,
+            message: resetToken ? null : 'This reset link is invalid, has expired or was already used.',
+            messageType: resetToken ? null : 'error'
+        });
+    } catch (err) {
+        console.error('❌ Reset password page error:', err.message);
+        res.status(500).send('Server Error');
+    }
+});
+
+// Set the new password; every existing session of the user is signed out
+router.post('/reset-password/:token', authLimiter, async (req, res) => {
+    const { token } = req.params;
+    const { PASSWORD, CONFIRMPASSWORD } = req.body;
+
+    const renderForm = (message) => res.render('reset-password', { token, valid: true, username: null, message, messageType: 'error' });
+
+    try {
+        if (!PASSWORD || PASSWORD.length < 6) {
+            return renderForm('Password must be at least 6 characters long');
+        }
+        if (PASSWORD !== CONFIRMPASSWORD) {
+            return renderForm('Passwords do not match');
+        }
+
+        const user = await resetPassword(token, PASSWORD);
+        if (!user) {
+            return res.render('reset-password', {
+                token,
+                valid: false,
+                username: null,
+                message: 'This reset link is invalid, has expired or was already used.',
+                messageType: 'error'
+            });
+        }
+
+        logAuthEvent('PASSWORD_RESET', user._id, user.USERNAME, true, req);
+        console.log(`✅ Password reset: ${user.USERNAME}`);
+
+        req.session.destroy(() => {
+            res.redirect(`/login?message=${encodeURIComponent('Your password has been reset. Please sign in with the new password.')}`);
+        });
+    } catch (err) {
+        console.error('❌ Reset password error:', err.message);
+        renderForm('An error occurred. Please try again.');
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,223 @@
+// Student accounts: claim a roster record (invite link or class code and roll
+// number) and link further class enrolments to a signed-in student. Mounted by
+// both index.js and index-dev.js.
+const express = require('express');
+
+const Class = require('../models/class');
+const Student = require('../models/student');
+const User = require('../models/user');
+const { requireAuth, requireStudent } = require('../middleware/auth');
+const { authLimiter } = require('../config/security');
+const { isEmailEnabled } = require('../utils/email');
+const { queueAccountCreatedEmail, queueStudentClaimEmail } = require('../utils/email-notifications');
+const { INVITE_TTL_DAYS, createStudentInvite, getStudentInviteUrl, findValidInvite, findClaimableStudent } = require('../utils/student-accounts');
+
+const router = express.Router();
+
+const CONFIRMATION_SENT = 'We sent a confirmation link to the email address your teacher has on record for you. Open it to finish.';
+const CONFIRMATION_UNAVAILABLE = 'Email is not set up on this server, so class code claims cannot be confirmed. Ask your teacher for an invite link.';
+
+// A class code claim only proves the student knows their record's details, so
+// it completes from a single-use invite link sent to the email on the record.
+// Resolves to false when there is no way to deliver the link.
+const sendClaimConfirmation = async ({ student, classDoc }) => {
+    const emailEnabled = isEmailEnabled();
+    if (!emailEnabled && process.env.NODE_ENV === 'production') {
+        return false;
+    }
+
+    const { token } = await createStudentInvite(student, null);
+    const claimUrl = getStudentInviteUrl(token);
+
+    if (emailEnabled) {
+        queueStudentClaimEmail(student, classDoc, claimUrl, INVITE_TTL_DAYS);
+    } else {
+        // No email in development: the link is only shown in the server log
+        console.log(`🔑 Claim link for ${student.NAME} (${classDoc.CLASSNAME}, roll ${student.ROLLNO}): ${claimUrl}`);
+    }
+
+    return true;
+};
+
+// Claim Account Page (invite link or class code + roll number)
+router.get('/student/claim', async (req, res) => {
+    try {
+        const { invite: token } = req.query;
+        const signedIn = Boolean(req.session.userId);
+
+        // Signed-in students open confirmation links to add the class to their account
+        if (signedIn && req.session.userRole !== 'student') {
+            return res.redirect('/dashboard');
+        }
+
+        const invite = await findValidInvite(token);
+        if (signedIn && !invite) {
+            return res.redirect(`/student-portal?messageType=error&message=${encodeURIComponent('This link is invalid or has expired.')}`);
+        }
+
+        res.render('student-claim', {
+            invite,
+            token: invite ? token : null,
+            signedIn,
+            formData: {},
+            message: token && !invite ? 'This invite link is invalid or has expired. Ask your teacher for a new one, or use your class code below.' : null,
+            messageType: 'error'
+        });
+    } catch (error) {
+        console.error('Student claim page error:', error);
+        res.status(500).send('Server Error');
+    }
+});
+
+// Handle Account Claim: with an invite link this creates the account, with a
+// class code it emails the confirmation link
+router.post('/student/claim', authLimiter, async (req, res) => {
+    const { USERNAME, EMAIL, PASSWORD, CONFIRMPASSWORD, CLASSCODE, ROLLNO, token } = req.body;
+    let invite = null;
+
+    const renderForm = (message, messageType = 'error') => res.render('student-claim', {
+        invite,
+        token: invite ? token : null,
+        signedIn: false,
+        formData: { USERNAME, EMAIL, CLASSCODE, ROLLNO },
+        message,
+        messageType
+    });
+
+    try {
+        invite = token ? await findValidInvite(token) : null;
+
+        if (token && !invite) {
+            return renderForm('This invite link is invalid or has expired.');
+        }
+
+        if (!invite) {
+            const claim = await findClaimableStudent(CLASSCODE, ROLLNO, EMAIL);
+            if (claim.error) {
+                return renderForm(claim.error);
+            }
+
+            if (!await sendClaimConfirmation(claim)) {
+                return renderForm(CONFIRMATION_UNAVAILABLE);
+            }
+            return renderForm(CONFIRMATION_SENT, 'success');
+        }
+
+        if (!USERNAME || !EMAIL || !PASSWORD) {
+            return renderForm('Username, email and password are required.');
+        }
+
+        if (PASSWORD !== CONFIRMPASSWORD) {
+            return renderForm('Passwords do not match');
+        }
+
+        if (PASSWORD.length < 6) {
+            return renderForm('Password must be at least 6 characters long');
+        }
+
+        const student = invite.studentId;
+        if (!student || student.userId) {
+            return renderForm('This student record has already been claimed.');
+        }
+
+        const existingUser = await User.findOne({
+            $or: [
+                { USERNAME: USERNAME },
+                { EMAIL: EMAIL.toLowerCase() }
+            ]
+        });
+
+        if (existingUser) {
+            return renderForm('Username or email already exists');
+        }
+
+        // The account joins the organization and department of the student's class
+        const studentClass = await Class.findById(student.classId).select('organizationId departmentId');
+
+        const newUser = new User({
+            USERNAME,
+            EMAIL,
+            PASSWORD,
+            FULLNAME: student.NAME,
+            ROLE: 'student',
+            organizationId: studentClass ? studentClass.organizationId : null,
+            departmentId: studentClass ? studentClass.departmentId : null
+        });
+        await newUser.save();
+
+        // Link atomically so two people cannot claim the same record
+        const linked = await Student.findOneAndUpdate(
+            { _id: student._id, userId: null },
+            { $set: { userId: newUser._id } }
+        );
+
+        if (!linked) {
+            await User.deleteOne({ _id: newUser._id });
+            return renderForm('This student record has already been claimed.');
+        }
+
+        invite.usedAt = new Date();
+        await invite.save();
+        queueAccountCreatedEmail(newUser);
+
+        console.log(`✅ Student account claimed: ${newUser.USERNAME} -> ${student.NAME} (${student.ROLLNO})`);
+
+        req.session.userId = newUser._id;
+        req.session.userRole = newUser.ROLE;
+
+        res.redirect('/student-portal');
+    } catch (error) {
+        console.error('Student claim error:', error);
+        renderForm('An error occurred while creating your account');
+    }
+});
+
+// Link another class enrolment to the logged-in student account. A class code
+// emails a confirmation link; the link posts back here with its token.
+router.post('/student/link-class', requireAuth, requireStudent, authLimiter, async (req, res) => {
+    const redirectWithMessage = (message, messageType = 'error') => {
+        res.redirect(`/student-portal?messageType=${messageType}&message=${encodeURIComponent(message)}`);
+    };
+
+    try {
+        const { CLASSCODE, ROLLNO, token } = req.body;
+
+        if (!token) {
+            const claim = await findClaimableStudent(CLASSCODE, ROLLNO, req.user.EMAIL);
+            if (claim.error) {
+                return redirectWithMessage(claim.error);
+            }
+
+            if (!await sendClaimConfirmation(claim)) {
+                return redirectWithMessage(CONFIRMATION_UNAVAILABLE);
+            }
+            return redirectWithMessage(CONFIRMATION_SENT, 'success');
+        }
+
+        const invite = await findValidInvite(token);
+        if (!invite || !invite.studentId) {
+            return redirectWithMessage('This link is invalid or has expired.');
+        }
+
+        const linked = await Student.findOneAndUpdate(
+            { _id: invite.studentId._id, userId: null },
+            { $set: { userId: req.user._id } }
+        );
+
+        if (!linked) {
+            return redirectWithMessage('This student record has already been claimed.');
+        }
+
+        invite.usedAt = new Date();
+        await invite.save();
+
+        console.log(`✅ ${req.user.USERNAME} linked to ${linked.NAME} (${linked.ROLLNO})`);
+
+        res.redirect(`/student-dashboard/${linked._id}`);
+    } catch (error) {
+        console.error('Link class error:', error);
+        redirectWithMessage('Failed to link class. Please try again.');
+    }
+});
+
+module.exports = router;
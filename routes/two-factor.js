@@ -0,0 +1,257 @@
+// Two-factor authentication: the second step of signing in, enrolment with an
+// authenticator app, backup codes and the admin policy. Mounted by both
+// index.js and index-dev.js so the login flow is the same in each.
+const express = require('express');
+const mongoose = require('mongoose');
+const QRCode = require('qrcode');
+
+const User = require('../models/user');
+const { requireAuth, requireAdmin, requireServerAdmin, requireTeacher } = require('../middleware/auth');
+const { authLimiter } = require('../config/security');
+const { getRoleLabel } = require('../config/permissions');
+const { getTenantFilter, isServerWide, isWithinTenant } = require('../utils/tenancy');
+const { logAuthEvent, logAdminAction } = require('../utils/logger');
+const {
+    TWO_FACTOR_ROLES,
+    BACKUP_CODE_COUNT,
+    generateTotpSecret,
+    verifyTotpCode,
+    getOtpAuthUrl,
+    enableTwoFactor,
+    disableTwoFactor,
+    regenerateBackupCodes,
+    verifySecondFactor,
+    getSecurityPolicy,
+    setTwoFactorRequiredRoles,
+    isTwoFactorRequired,
+    getTwoFactorChallenge
+} = require('../utils/two-factor');
+
+const router = express.Router();
+
+// Wrong codes allowed per sign-in before the password has to be entered again
+const MAX_CHALLENGE_ATTEMPTS = 5;
+
+// ====================== SIGN-IN ====================== //
+
+// Second step of signing in
+router.get('/login/2fa', (req, res) => {
+    if (!getTwoFactorChallenge(req)) {
+        return res.redirect('/login');
+    }
+    res.render('login-two-factor', { message: null });
+});
+
+router.post('/login/2fa', authLimiter, async (req, res) => {
+    try {
+        const challenge = getTwoFactorChallenge(req);
+        if (!challenge) {
+            return res.render('login', { message: 'Your sign-in expired. Please enter your password again.', messageType: 'error' });
+        }
+
+        const result = await verifySecondFactor(challenge.userId, req.body.code);
+        const user = await User.findById(challenge.userId);
+
+        if (!result || !user || !user.ISACTIVE) {
+            challenge.attempts = (challenge.attempts || 0) + 1;
+            logAuthEvent('LOGIN_2FA', challenge.userId, user ? user.USERNAME : null, false, req, { attempts: challenge.attempts });
+
+            if (challenge.attempts >= MAX_CHALLENGE_ATTEMPTS) {
+                delete req.session.twoFactorChallenge;
+                return res.render('login', { message: 'Too many wrong codes. Please sign in again.', messageType: 'error' });
+            }
+            return res.render('login-two-factor', { message: 'That code is not valid. Try the current code from your app, or a backup code.' });
+        }
+
+        delete req.session.twoFactorChallenge;
+
+        user.LASTLOGIN = new Date();
+        await user.save();
+
+        req.session.userId = user._id;
+        req.session.userRole = user.ROLE;
+        req.session.sessionVersion = user.sessionVersion;
+
+        logAuthEvent('LOGIN', user._id, user.USERNAME, true, req, { secondFactor: result.method });
+        console.log(`✅ User logged in with 2FA (${result.method}): ${user.USERNAME} (${user.ROLE})`);
+
+        if (result.method === 'backup') {
+            const message = `You signed in with a backup code. ${result.remainingBackupCodes} of ${BACKUP_CODE_COUNT} are left.`;
+            return res.redirect(`/account/two-factor?message=${encodeURIComponent(message)}`);
+        }
+
+        const { returnTo } = challenge;
+        res.redirect(returnTo && returnTo.startsWith('/') && !returnTo.startsWith('//') ? returnTo : '/dashboard');
+    } catch (error) {
+        console.error('Two-factor login error:', error);
+        res.render('login', { message: 'An error occurred during login', messageType: 'error' });
+    }
+});
+
+// ====================== ENROLMENT ====================== //
+
+// Render the 2FA page: status for enrolled users, otherwise a QR code for a
+// secret kept in the session until it is confirmed
+const renderTwoFactorPage = async (req, res, { message = null, error = null, backupCodes = null } = {}) => {
+    const user = await User.findById(req.user._id).select('+twoFactor.backupCodes');
+    const required = await isTwoFactorRequired(user);
+
+    let qrCode = null;
+    let secret = null;
+    if (!user.twoFactor.enabled) {
+        if (!req.session.twoFactorEnrolment) {
+            req.session.twoFactorEnrolment = { secret: generateTotpSecret() };
+        }
+        secret = req.session.twoFactorEnrolment.secret;
+        qrCode = await QRCode.toDataURL(getOtpAuthUrl(user, secret), { errorCorrectionLevel: 'M', margin: 1, width: 220 });
+    }
+
+    res.render('account-two-factor', {
+        twoFactor: user.twoFactor,
+        remainingBackupCodes: user.twoFactor.backupCodes.length,
+        backupCodeCount: BACKUP_CODE_COUNT,
+        required,
+        setupRequired: Boolean(req.session.twoFactorSetupRequired),
+        qrCode,
+        secret,
+        backupCodes,
+        message,
+        error,
+        user: req.user
+    });
+};
+
+router.get('/account/two-factor', requireAuth, requireTeacher, async (req, res) => {
+    try {
+        await renderTwoFactorPage(req, res, { message: req.query.message || null });
+    } catch (error) {
+        console.error('Two-factor page error:', error);
+        res.status(500).render('error', { message: 'Failed to load two-factor settings', user: req.user });
+    }
+});
+
+// Confirm the app with a first code; the backup codes are shown once
+router.post('/account/two-factor/enable', requireAuth, requireTeacher, async (req, res) => {
+    try {
+        const enrolment = req.session.twoFactorEnrolment;
+        const step = enrolment ? verifyTotpCode(enrolment.secret, req.body.code) : null;
+        if (step === null) {
+            return renderTwoFactorPage(req, res, { error: 'That code does not match. Check the time on your phone and try the current code.' });
+        }
+
+        const backupCodes = await enableTwoFactor(req.user, enrolment.secret, step);
+        delete req.session.twoFactorEnrolment;
+        delete req.session.twoFactorSetupRequired;
+
+        logAuthEvent('2FA_ENABLED', req.user._id, req.user.USERNAME, true, req);
+
+        await renderTwoFactorPage(req, res, { message: 'Two-factor authentication is on.', backupCodes });
+    } catch (error) {
+        console.error('Enable two-factor error:', error);
+        res.status(500).render('error', { message: 'Failed to enable two-factor authentication', user: req.user });
+    }
+});
+
+// New backup codes (the old ones stop working); needs a current code
+router.post('/account/two-factor/backup-codes', requireAuth, requireTeacher, async (req, res) => {
+    try {
+        if (!await verifySecondFactor(req.user._id, req.body.code)) {
+            return renderTwoFactorPage(req, res, { error: 'That code is not valid.' });
+        }
+
+        const backupCodes = await regenerateBackupCodes(req.user._id);
+        logAuthEvent('2FA_BACKUP_CODES_REGENERATED', req.user._id, req.user.USERNAME, true, req);
+
+        await renderTwoFactorPage(req, res, { message: 'New backup codes created. The old ones no longer work.', backupCodes });
+    } catch (error) {
+        console.error('Backup codes error:', error);
+        res.status(500).render('error', { message: 'Failed to create backup codes', user: req.user });
+    }
+});
+
+// Turn 2FA off with the password and a current code, unless the policy requires it
+router.post('/account/two-factor/disable', requireAuth, requireTeacher, async (req, res) => {
+    try {
+        if (await isTwoFactorRequired(req.user)) {
+            return renderTwoFactorPage(req, res, { error: 'Two-factor authentication is required for your role and cannot be turned off.' });
+        }
+
+        const passwordOk = await req.user.comparePassword(req.body.password || '');
+        if (!passwordOk || !await verifySecondFactor(req.user._id, req.body.code)) {
+            return renderTwoFactorPage(req, res, { error: 'The password or code is not correct.' });
+        }
+
+        await disableTwoFactor(req.user._id);
+        logAuthEvent('2FA_DISABLED', req.user._id, req.user.USERNAME, true, req);
+
+        res.redirect(`/account/two-factor?message=${encodeURIComponent('Two-factor authentication is off.')}`);
+    } catch (error) {
+        console.error('Disable two-factor error:', error);
+        res.status(500).render('error', { message: 'Failed to disable two-factor authentication', user: req.user });
+    }
+});
+
+// ====================== ADMIN POLICY ====================== //
+
+// Which roles must use 2FA, and who has set it up. The policy covers the whole
+// server, so only server-wide admins change it.
+router.get('/admin/security', requireAuth, requireAdmin, async (req, res) => {
+    try {
+        const [policy, users] = await Promise.all([
+            getSecurityPolicy(),
+            User.find({ ROLE: { $in: TWO_FACTOR_ROLES }, ...getTenantFilter(req.user) })
+                .select('USERNAME FULLNAME EMAIL ROLE ISACTIVE twoFactor.enabled twoFactor.enabledAt')
+                .sort({ ROLE: 1, USERNAME: 1 })
+        ]);
+
+        res.render('admin-security', {
+            policy,
+            roles: TWO_FACTOR_ROLES,
+            users,
+            canEditPolicy: isServerWide(req.user),
+            message: req.query.message || null,
+            user: req.user
+        });
+    } catch (error) {
+        console.error('Security page error:', error);
+        res.status(500).render('error', { message: 'Failed to load security settings', user: req.user });
+    }
+});
+
+router.post('/admin/security/two-factor-policy', requireAuth, requireServerAdmin, async (req, res) => {
+    try {
+        const roles = [].concat(req.body.roles || []);
+        const policy = await setTwoFactorRequiredRoles(roles, req.user);
+
+        logAdminAction('UPDATE_TWO_FACTOR_POLICY', { requiredRoles: policy.twoFactorRequiredRoles }, req);
+
+        const message = policy.twoFactorRequiredRoles.length > 0
+            ? `Two-factor authentication is now required for: ${policy.twoFactorRequiredRoles.map(getRoleLabel).join(', ')}. Users without it are asked to set it up at their next sign-in.`
+            : 'Two-factor authentication is now optional for everyone.';
+        res.redirect(`/admin/security?message=${encodeURIComponent(message)}`);
+    } catch (error) {
+        console.error('Two-factor policy error:', error);
+        res.status(500).render('error', { message: 'Failed to save the policy', user: req.user });
+    }
+});
+
+// For a user who lost their phone and backup codes; they sign in with the
+// password alone (and set 2FA up again if their role requires it)
+router.post('/admin/users/:userId/two-factor/reset', requireAuth, requireAdmin, async (req, res) => {
+    try {
+        const target = mongoose.Types.ObjectId.isValid(req.params.userId) ? await User.findById(req.params.userId) : null;
+        if (!target || !isWithinTenant(req.user, target)) {
+            return res.redirect(`/admin/security?message=${encodeURIComponent('User not found.')}`);
+        }
+
+        await disableTwoFactor(target._id);
+        logAdminAction('RESET_TWO_FACTOR', { userId: target._id, username: target.USERNAME }, req);
+
+        res.redirect(`/admin/security?message=${encodeURIComponent(`Two-factor authentication reset for ${target.USERNAME}.`)}`);
+    } catch (error) {
+        console.error('Reset two-factor error:', error);
+        res.status(500).render('error', { message: 'Failed to reset two-factor authentication', user: req.user });
+    }
+});
+
+module.exports = router;
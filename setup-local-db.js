@@ -125,7 +125,7 @@ echo Environment configured!
 echo.
 echo 🌐 Server URLs:
 echo • Main App: http://localhost:3000
-echo • Admin Panel: http://localhost:3000/admin-panel9920867077@AdilAbullahaUroojFatir
+echo • Admin Panel: http://localhost:3000/admin
 echo • Student Portal: http://localhost:3000/student-portal
 echo • Health Check: http://localhost:3000/health
 echo.
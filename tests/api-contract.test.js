@@ -0,0 +1,260 @@
+// Every route in the OpenAPI document is called on the app with the contract
+// check in strict mode, so a response that drifts from the document fails here.
+// /api/v1 is called with a personal access token, the legacy JSON routes with
+// a signed-in session.
+process.env.API_CONTRACT_CHECK = 'strict';
+
+const bcrypt = require('bcryptjs');
+const express = require('express');
+const mongoose = require('mongoose');
+const request = require('supertest');
+
+const { startDatabase, stopDatabase, seed } = require('./helpers/mongo-memory');
+
+const app = require('../index-dev');
+const User = require('../models/user');
+const apiV1Router = require('../routes/api-v1');
+const { API_SCOPES, createApiToken } = require('../utils/api-tokens');
+const { checkApiContract } = require('../middleware/api-contract');
+
+const id = () => new mongoose.Types.ObjectId();
+
+const PASSWORD = 'Secret123!';
+const teacherId = id();
+const adminId = id();
+const classId = id();
+const studentId = id();
+const slotId = id();
+const sessionId = id();
+const today = new Date();
+today.setUTCHours(0, 0, 0, 0);
+
+const fixtures = (passwordHash) => ({
+    User: [{
+        _id: teacherId,
+        USERNAME: 'asha',
+        EMAIL: 'asha@example.com',
+        PASSWORD: passwordHash,
+        FULLNAME: 'Asha Rao',
+        ROLE: 'teacher',
+        ISACTIVE: true,
+        organizationId: null
+    }, {
+        _id: adminId,
+        USERNAME: 'root',
+        EMAIL: 'root@example.com',
+        PASSWORD: passwordHash,
+        FULLNAME: 'Server Admin',
+        ROLE: 'admin',
+        ISACTIVE: true,
+        organizationId: null
+    }],
+    Class: [{
+        _id: classId,
+        CLASSNAME: 'CS-A',
+        ROOMNO: '101',
+        SUBJECT: 'Algorithms',
+        DESCRIPTION: '',
+        CLASSCODE: 'ABC123',
+        ISACTIVE: true,
+        CREATEDBY: teacherId,
+        TEACHERS: [teacherId],
+        attendanceLockHours: null,
+        organizationId: null,
+        termId: null,
+        archivedAt: null,
+        createdAt: today,
+        updatedAt: today
+    }],
+    Student: [{
+        _id: studentId,
+        NAME: 'Ravi Kumar',
+        ROLLNO: 1,
+        EMAIL: 'ravi@example.com',
+        classId,
+        userId: null,
+        createdAt: today,
+        updatedAt: today
+    }],
+    Timetable: [{
+        _id: slotId,
+        classId,
+        day: 'Monday',
+        startTime: '09:00',
+        endTime: '10:00',
+        subject: 'Algorithms',
+        teacher: 'Asha Rao',
+        teacherId,
+        room: '101',
+        roomId: null,
+        createdBy: teacherId
+    }],
+    AttendanceSession: [{
+        _id: sessionId,
+        classId,
+        date: today,
+        startTime: '09:00',
+        endTime: '10:00',
+        timetableSlot: slotId,
+        takenBy: teacherId
+    }],
+    Attendance: [{
+        _id: id(),
+        sessionId,
+        studentId,
+        classId,
+        date: today,
+        status: 'present'
+    }]
+});
+
+// [method, path, body, expected status]; one row per documented /api/v1 operation
+const API_ROUTES = [
+    ['get', '/api/v1/classes', null, 200],
+    ['post', '/api/v1/classes', { CLASSNAME: 'CS-B', ROOMNO: '102', SUBJECT: 'Databases' }, 201],
+    ['get', `/api/v1/classes/${classId}`, null, 200],
+    ['get', `/api/v1/classes/${classId}/students`, null, 200],
+    ['post', `/api/v1/classes/${classId}/students`, { NAME: 'Meera Iyer', ROLLNO: 2, EMAIL: 'meera@example.com' }, 201],
+    ['get', `/api/v1/classes/${classId}/students/${studentId}`, null, 200],
+    ['get', `/api/v1/classes/${classId}/timetable`, null, 200],
+    ['post', `/api/v1/classes/${classId}/timetable`, { day: 'Tuesday', startTime: '11:00', endTime: '12:00', subject: 'Algorithms', teacher: 'Asha Rao', room: '102' }, 201],
+    ['delete', `/api/v1/classes/${classId}/timetable/${slotId}`, null, 200],
+    ['get', `/api/v1/classes/${classId}/sessions`, null, 200],
+    ['get', `/api/v1/classes/${classId}/sessions/${sessionId}`, null, 200],
+    ['post', `/api/v1/classes/${classId}/sessions`, { date: today.toISOString().slice(0, 10), startTime: '14:00', endTime: '15:00', marks: [{ studentId: String(studentId), status: 'absent' }] }, 201],
+    ['get', `/api/v1/classes/${classId}/report`, null, 200]
+];
+
+// [method, path, body, expected status, signed in as]; one row per documented legacy route
+const LEGACY_ROUTES = [
+    ['post', `/classdetail/${classId}/addstudent`, { NAME: 'Meera Iyer', ROLLNO: '2' }, 200, 'teacher'],
+    ['post', `/classdetail/${classId}/addbulkstudents`, { students: [{ NAME: 'Kiran Das', ROLLNO: '3' }] }, 200, 'teacher'],
+    ['get', `/student/${studentId}/qrcode`, null, 200, 'teacher'],
+    ['get', `/generate-attendance-report?classId=${classId}&format=json`, null, 200, 'teacher'],
+    ['get', '/health', null, 200, null],
+    ['get', '/migrate-classes', null, 200, 'admin']
+];
+
+const toSpecPath = (path) => path
+    .split('?')[0]
+    .replace(/\/classes\/[0-9a-f]{24}/, '/classes/{classId}')
+    .replace(/\/classdetail\/[0-9a-f]{24}/, '/classdetail/{id}')
+    .replace(/\/students?\/[0-9a-f]{24}/, match => match.replace(/[0-9a-f]{24}/, '{studentId}'))
+    .replace(/\/timetable\/[0-9a-f]{24}/, '/timetable/{slotId}')
+    .replace(/\/sessions\/[0-9a-f]{24}/, '/sessions/{sessionId}');
+
+let spec = null;
+let passwordHash = null;
+let apiToken = null;
+const agents = {};
+
+const call = (target, method, path, body, headers = {}) => {
+    const pending = target[method](path).set(headers);
+    return body ? pending.send(body) : pending;
+};
+
+const signIn = async (username) => {
+    const agent = request.agent(app);
+    const response = await agent.post('/login').type('form').send({ username, password: PASSWORD });
+    expect(response.headers.location).toBe('/dashboard');
+    return agent;
+};
+
+beforeAll(async () => {
+    await startDatabase();
+    passwordHash = await bcrypt.hash(PASSWORD, 4);
+    await seed(fixtures(passwordHash));
+
+    spec = (await request(app).get('/api/openapi.json')).body;
+    agents.teacher = await signIn('asha');
+    agents.admin = await signIn('root');
+}, 120000);
+
+beforeEach(async () => {
+    await seed(fixtures(passwordHash));
+    ({ token: apiToken } = await createApiToken(await User.findById(teacherId), {
+        name: 'contract test',
+        scopes: Object.keys(API_SCOPES)
+    }));
+});
+
+afterAll(async () => {
+    await stopDatabase();
+});
+
+describe('OpenAPI contract', () => {
+    test('every documented operation is exercised below', () => {
+        const documented = Object.entries(spec.paths)
+            .flatMap(([path, operations]) => Object.keys(operations).map(method => `${method} ${path}`));
+        const exercised = [...API_ROUTES, ...LEGACY_ROUTES].map(([method, path]) => `${method} ${toSpecPath(path)}`);
+
+        expect(exercised.sort()).toEqual(documented.sort());
+    });
+
+    test.each(API_ROUTES)('%s %s matches the document', async (method, path, body, status) => {
+        const response = await call(request(app), method, path, body, { Authorization: `Bearer ${apiToken}` });
+
+        expect(response.body.error).toBeUndefined();
+        expect(response.status).toBe(status);
+        expect(response.body.success).toBe(true);
+    });
+
+    test.each(LEGACY_ROUTES)('%s %s matches the document', async (method, path, body, status, role) => {
+        const response = await call(role ? agents[role] : request(app), method, path, body);
+
+        expect(response.body.error).toBeUndefined();
+        expect(response.status).toBe(status);
+        expect(response.headers['content-type']).toMatch(/application\/json/);
+    });
+
+    test('error answers match the shared error envelope', async () => {
+        const notFound = await call(request(app), 'get', `/api/v1/classes/${classId}/students/${id()}`, null, { Authorization: `Bearer ${apiToken}` });
+        expect(notFound.status).toBe(404);
+        expect(notFound.body.error.type).not.toBe('contract');
+
+        const unauthenticated = await call(request(app), 'get', '/api/v1/classes', null, { Authorization: 'Bearer atp_unknown' });
+        expect(unauthenticated.status).toBe(401);
+        expect(unauthenticated.body.error.type).not.toBe('contract');
+    });
+});
+
+describe('strict contract check', () => {
+    // The /api/v1 router behind a copy of the document that disagrees with
+    // what GET /classes/{classId} returns
+    const driftedApp = (changeClassSchema) => {
+        const drifted = JSON.parse(JSON.stringify(spec));
+        const schema = drifted.paths['/api/v1/classes/{classId}'].get.responses['200'].content['application/json'].schema;
+        changeClassSchema(schema.properties.data);
+
+        const target = express();
+        target.use(express.json());
+        target.use(checkApiContract(() => drifted, 'strict'));
+        target.use('/api/v1', apiV1Router);
+        return target;
+    };
+
+    test('fails a response whose field type drifted', async () => {
+        const target = driftedApp(data => {
+            data.properties.studentCount = { type: 'string' };
+        });
+
+        const response = await call(request(target), 'get', `/api/v1/classes/${classId}`, null, { Authorization: `Bearer ${apiToken}` });
+
+        expect(response.status).toBe(500);
+        expect(response.body.error.type).toBe('contract');
+        expect(response.body.error.details.join(' ')).toMatch(/studentCount/);
+    });
+
+    test('fails a response missing a documented field', async () => {
+        const target = driftedApp(data => {
+            data.properties.building = { type: 'string' };
+            data.required.push('building');
+        });
+
+        const response = await call(request(target), 'get', `/api/v1/classes/${classId}`, null, { Authorization: `Bearer ${apiToken}` });
+
+        expect(response.status).toBe(500);
+        expect(response.body.error.type).toBe('contract');
+        expect(response.body.error.details.join(' ')).toMatch(/building/);
+    });
+});
@@ -0,0 +1,37 @@
+// Throwaway MongoDB for tests: mongodb-memory-server starts a real mongod
+// (downloaded once into the cache) and Mongoose connects to it, so queries run
+// with the server's own semantics.
+const mongoose = require('mongoose');
+const { MongoMemoryServer } = require('mongodb-memory-server');
+
+let server = null;
+
+// Call from beforeAll; builds every model's indexes so unique ones apply
+const startDatabase = async () => {
+    server = await MongoMemoryServer.create();
+    await mongoose.connect(server.getUri());
+    await Promise.all(Object.values(mongoose.models).map(Model => Model.init()));
+};
+
+const stopDatabase = async () => {
+    await mongoose.disconnect();
+    if (server) await server.stop();
+    server = null;
+};
+
+// Start every test from these documents, e.g. seed({ Class: [classDoc] }).
+// They are inserted as given, without defaults or hooks.
+const seed = async (documents) => {
+    const collections = await mongoose.connection.db.collections();
+    await Promise.all(collections.map(collection => collection.deleteMany({})));
+
+    for (const [modelName, docs] of Object.entries(documents)) {
+        await mongoose.model(modelName).collection.insertMany(docs);
+    }
+};
+
+module.exports = {
+    startDatabase,
+    stopDatabase,
+    seed
+};
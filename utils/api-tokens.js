@@ -0,0 +1,65 @@
+const crypto = require('crypto');
+const ApiToken = require('../models/api-token');
+
+const TOKEN_PREFIX = 'atp_';
+
+// What a token can be allowed to do; write scopes do not imply read
+const API_SCOPES = {
+    'classes:read': 'List and view your classes',
+    'classes:write': 'Create classes',
+    'students:read': 'List and view students in your classes',
+    'students:write': 'Add students to your classes',
+    'timetable:read': 'View class timetables',
+    'timetable:write': 'Add and remove timetable slots',
+    'attendance:read': 'View attendance sessions and marks',
+    'attendance:write': 'Record attendance sessions',
+    'reports:read': 'View attendance reports'
+};
+
+// Lifetimes offered when creating a token (0 never expires)
+const API_TOKEN_EXPIRY_DAYS = [30, 90, 365, 0];
+
+const hashApiToken = (token) => crypto.createHash('sha256').update(String(token)).digest('hex');
+
+// New token for a user; the raw token is returned once and never stored
+const createApiToken = async (user, { name, scopes, expiresInDays }) => {
+    const token = TOKEN_PREFIX + crypto.randomBytes(32).toString('base64url');
+    const days = Number(expiresInDays) || 0;
+
+    const apiToken = await ApiToken.create({
+        userId: user._id,
+        name,
+        tokenHash: hashApiToken(token),
+        tokenPrefix: token.slice(0, TOKEN_PREFIX.length + 6),
+        scopes: scopes.filter(scope => API_SCOPES[scope]),
+        expiresAt: days > 0 ? new Date(Date.now() + days * 24 * 60 * 60 * 1000) : null
+    });
+
+    return { apiToken, token };
+};
+
+// Unrevoked, unexpired token (with its owner) for a raw token
+const findActiveApiToken = async (token) => {
+    if (!token || !String(token).startsWith(TOKEN_PREFIX)) return null;
+
+    return ApiToken.findOne({
+        tokenHash: hashApiToken(token),
+        revokedAt: null,
+        $or: [{ expiresAt: null }, { expiresAt: { $gt: new Date() } }]
+    }).populate('userId');
+};
+
+// 'active' / 'expired' / 'revoked' for the token list
+const getApiTokenState = (apiToken, now = new Date()) => {
+    if (apiToken.revokedAt) return 'revoked';
+    if (apiToken.expiresAt && apiToken.expiresAt <= now) return 'expired';
+    return 'active';
+};
+
+module.exports = {
+    API_SCOPES,
+    API_TOKEN_EXPIRY_DAYS,
+    createApiToken,
+    findActiveApiToken,
+    getApiTokenState
+};
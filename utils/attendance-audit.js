@@ -0,0 +1,136 @@
+const Attendance = require('../models/attendance');
+const Class = require('../models/class');
+const AttendanceAudit = require('../models/attendance-audit');
+const { logAttendanceChange } = require('./logger');
+const { assertSessionsWritable, findLockedSessions } = require('./attendance-lock');
+const { notifyAttendanceChanges } = require('./webhook-events');
+const { warnNewDefaulters } = require('./email-notifications');
+const { alertGuardians } = require('./guardians');
+
+// Labels for the audit trail views
+const AUDIT_SOURCE_LABELS = {
+    bulk: 'Bulk form',
+    qr: 'QR check-in',
+    import: 'Import',
+    leave: 'Leave approval',
+    api: 'API'
+};
+
+const getActorFields = (actor) => ({
+    actor: actor ? actor._id : null,
+    actorName: actor ? (actor.FULLNAME || actor.USERNAME) : 'System'
+});
+
+// Append changes to the audit trail (and the application log), then tell
+// webhooks and email students who just dropped below the threshold
+const recordAttendanceChanges = async (changes) => {
+    if (changes.length === 0) return;
+
+    await AttendanceAudit.insertMany(changes);
+    changes.forEach(logAttendanceChange);
+    notifyAttendanceChanges(changes);
+    warnNewDefaulters(changes);
+    alertGuardians(changes);
+};
+
+// Set students' marks for sessions and record every change. Throws
+// AttendanceLockedError (writing nothing) if any session is locked.
+// With onlyIfUnmarked existing marks are left as they are.
+const setAttendanceStatuses = async (marks, { actor = null, source, onlyIfUnmarked = false }) => {
+    const sessionIds = [...new Set(marks.map(mark => mark.sessionId.toString()))];
+    await assertSessionsWritable(sessionIds);
+
+    // Marks belong to the term of their class
+    const classIds = [...new Set(marks.map(mark => mark.classId.toString()))];
+    const classes = await Class.find({ _id: { $in: classIds } }).select('termId');
+    const termIds = new Map(classes.map(classDoc => [classDoc._id.toString(), classDoc.termId]));
+
+    const actorFields = getActorFields(actor);
+    const changes = [];
+
+    for (const { sessionId, studentId, classId, date, status } of marks) {
+        const fields = { classId, termId: termIds.get(classId.toString()) || null, status, date };
+
+        // The document as it was before the write (null when it is created)
+        const previous = await Attendance.findOneAndUpdate(
+            { sessionId, studentId },
+            onlyIfUnmarked ? { $setOnInsert: fields } : { $set: fields },
+            { upsert: true, new: false, runValidators: true }
+        );
+
+        if (previous && (onlyIfUnmarked || previous.status === status)) {
+            continue;
+        }
+
+        changes.push({
+            sessionId,
+            studentId,
+            classId,
+            date,
+            oldStatus: previous ? previous.status : null,
+            newStatus: status,
+            source,
+            ...actorFields
+        });
+    }
+
+    await recordAttendanceChanges(changes);
+    return changes.length;
+};
+
+// Single-mark form of setAttendanceStatuses; resolves to true when the mark changed
+const setAttendanceStatus = async (mark, options) => {
+    return (await setAttendanceStatuses([mark], options)) > 0;
+};
+
+// Change every mark matching a filter from one status to another, recording each change.
+// Marks in locked sessions are left alone and counted in lockedCount.
+const replaceAttendanceStatus = async (filter, fromStatus, toStatus, { actor = null, source }) => {
+    const matching = await Attendance.find({ ...filter, status: fromStatus });
+    if (matching.length === 0) return { updatedCount: 0, lockedCount: 0 };
+
+    const lockedSessions = await findLockedSessions([...new Set(matching.map(mark => mark.sessionId.toString()))]);
+    const lockedIds = new Set(lockedSessions.map(session => session._id.toString()));
+    const marks = matching.filter(mark => !lockedIds.has(mark.sessionId.toString()));
+    const lockedCount = matching.length - marks.length;
+    if (marks.length === 0) return { updatedCount: 0, lockedCount };
+
+    await Attendance.updateMany(
+        { _id: { $in: marks.map(mark => mark._id) }, status: fromStatus },
+        { $set: { status: toStatus } }
+    );
+
+    const actorFields = getActorFields(actor);
+    await recordAttendanceChanges(marks.map(mark => ({
+        sessionId: mark.sessionId,
+        studentId: mark.studentId,
+        classId: mark.classId,
+        date: mark.date,
+        oldStatus: fromStatus,
+        newStatus: toStatus,
+        source,
+        ...actorFields
+    })));
+
+    return { updatedCount: marks.length, lockedCount };
+};
+
+// Audit entries, newest first, with the student and class filled in
+const getAttendanceHistory = (filter, { limit = 50, skip = 0 } = {}) => {
+    return AttendanceAudit.find(filter)
+        .populate('studentId', 'NAME ROLLNO')
+        .populate('classId', 'CLASSNAME SUBJECT')
+        .populate('sessionId', 'date startTime endTime')
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(limit);
+};
+
+module.exports = {
+    AUDIT_SOURCE_LABELS,
+    recordAttendanceChanges,
+    setAttendanceStatuses,
+    setAttendanceStatus,
+    replaceAttendanceStatus,
+    getAttendanceHistory
+};
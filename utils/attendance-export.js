@@ -0,0 +1,186 @@
+const ExcelJS = require('exceljs');
+const { ATTENDANCE_STATUSES, ATTENDANCE_THRESHOLDS, getAttendanceStatus } = require('../config/attendance-statuses');
+const { toCsv, escapeCsvFormula } = require('./csv');
+
+// Register cell fills, keyed by the bootstrap color of each status
+const STATUS_FILLS = {
+    success: 'FFD1E7DD',
+    warning: 'FFFFF3CD',
+    info: 'FFCFF4FC',
+    secondary: 'FFE2E3E5',
+    danger: 'FFF8D7DA'
+};
+
+// Parse ?from=YYYY-MM-DD&to=YYYY-MM-DD into whole UTC days (either end may be open)
+const parseDateRange = (from, to) => {
+    const range = {};
+
+    if (from) {
+        range.from = new Date(from);
+        if (isNaN(range.from)) return { error: 'Invalid "from" date.' };
+        range.from.setUTCHours(0, 0, 0, 0);
+    }
+
+    if (to) {
+        range.to = new Date(to);
+        if (isNaN(range.to)) return { error: 'Invalid "to" date.' };
+        range.to.setUTCHours(23, 59, 59, 999);
+    }
+
+    if (range.from && range.to && range.from > range.to) {
+        return { error: '"from" must be on or before "to".' };
+    }
+
+    return { range };
+};
+
+const toIsoDate = (date) => new Date(date).toISOString().split('T')[0];
+
+// Column heading for one session, e.g. "2025-09-01 09:00-10:00"
+const formatRegisterColumn = (session) => `${toIsoDate(session.date)} ${session.startTime}-${session.endTime}`;
+
+// Safe download name, e.g. attendance-register-CS-A-2025-09-01-to-2025-12-01
+const getRegisterFileName = (classDoc, range, prefix = 'attendance-register') => {
+    const className = String(classDoc.CLASSNAME).replace(/[^A-Za-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'class';
+    const period = range.from || range.to
+        ? `${range.from ? toIsoDate(range.from) : 'start'}-to-${range.to ? toIsoDate(range.to) : toIsoDate(new Date())}`
+        : toIsoDate(new Date());
+    return `${prefix}-${className}-${period}`;
+};
+
+// One row per student, one column per session, totals at the end.
+// Sessions with no mark for the student are left blank.
+const buildRegisterTable = (reportData, sessions) => {
+    const header = [
+        'Roll No',
+        'Name',
+        ...sessions.map(formatRegisterColumn),
+        ...ATTENDANCE_STATUSES.map(status => status.label),
+        'Attended (weighted)',
+        'Total',
+        'Percentage',
+        'Defaulter'
+    ];
+
+    const rows = reportData.students.map(student => [
+        student.rollNo,
+        student.name,
+        ...sessions.map(session => {
+            const status = student.attendanceBySession[session._id.toString()];
+            return status ? getAttendanceStatus(status).code : '';
+        }),
+        ...ATTENDANCE_STATUSES.map(status => student.statusCounts[status.key] || 0),
+        student.presentCount,
+        student.totalCount,
+        student.percentage,
+        student.isDefaulter ? 'YES' : 'NO'
+    ]);
+
+    return { header, rows };
+};
+
+const buildRegisterCsv = (reportData, sessions) => {
+    const { header, rows } = buildRegisterTable(reportData, sessions);
+    // Names and roll numbers are typed in by teachers, so none may open as a formula
+    return toCsv([header, ...rows].map(row => row.map(escapeCsvFormula)));
+};
+
+// Register workbook: a "Register" sheet laid out like the CSV under a title block, plus "Defaulters"
+const buildRegisterWorkbook = (reportData, sessions, range) => {
+    const { header, rows } = buildRegisterTable(reportData, sessions);
+    const classDoc = reportData.class;
+
+    const workbook = new ExcelJS.Workbook();
+    workbook.creator = reportData.generatedBy || 'ATTENDPRO';
+    workbook.created = reportData.generatedOn;
+
+    const titleRows = [
+        [`Attendance Register - ${classDoc.CLASSNAME}`],
+        [`Subject: ${classDoc.SUBJECT}`, '', `Room: ${classDoc.ROOMNO}`],
+        [`Period: ${range.from ? toIsoDate(range.from) : 'first session'} to ${range.to ? toIsoDate(range.to) : 'latest session'}`],
+        [`Generated by ${reportData.generatedBy || ''} on ${reportData.generatedOn.toLocaleString()}`],
+        []
+    ];
+    const headerRowNumber = titleRows.length + 1;
+
+    const sheet = workbook.addWorksheet('Register', {
+        views: [{ state: 'frozen', xSplit: 2, ySplit: headerRowNumber }]
+    });
+
+    titleRows.forEach(row => sheet.addRow(row));
+    sheet.getRow(1).font = { bold: true, size: 14 };
+
+    const headerRow = sheet.addRow(header);
+    headerRow.font = { bold: true };
+    headerRow.alignment = { vertical: 'middle', horizontal: 'center', wrapText: true };
+    headerRow.eachCell(cell => {
+        cell.fill = { type: 'pattern', pattern: 'solid', fgColor: { argb: 'FFDEE2E6' } };
+    });
+
+    // Session columns sit between Name and the totals
+    const firstSessionColumn = 3;
+    const lastSessionColumn = firstSessionColumn + sessions.length - 1;
+    for (let col = firstSessionColumn; col <= lastSessionColumn; col++) {
+        headerRow.getCell(col).alignment = { textRotation: 90, horizontal: 'center', vertical: 'bottom' };
+        sheet.getColumn(col).width = 5;
+    }
+    sheet.getColumn(1).width = 10;
+    sheet.getColumn(2).width = 28;
+    for (let col = lastSessionColumn + 1; col <= header.length; col++) {
+        sheet.getColumn(col).width = 12;
+    }
+
+    const statusByCode = {};
+    ATTENDANCE_STATUSES.forEach(status => { statusByCode[status.code] = status; });
+
+    rows.forEach((values, index) => {
+        const row = sheet.addRow(values);
+        const student = reportData.students[index];
+
+        for (let col = firstSessionColumn; col <= lastSessionColumn; col++) {
+            const cell = row.getCell(col);
+            const status = statusByCode[cell.value];
+            cell.alignment = { horizontal: 'center' };
+            if (status && STATUS_FILLS[status.color]) {
+                cell.fill = { type: 'pattern', pattern: 'solid', fgColor: { argb: STATUS_FILLS[status.color] } };
+            }
+        }
+
+        const percentageCell = row.getCell(header.length - 1);
+        percentageCell.numFmt = '0.00"%"';
+        if (student.isDefaulter) {
+            percentageCell.font = { bold: true, color: { argb: 'FFDC3545' } };
+        }
+    });
+
+    sheet.addRow([]);
+    sheet.addRow(['Legend', ATTENDANCE_STATUSES.map(status => `${status.code} = ${status.label} (${status.weight})`).join(', ')]);
+
+    const defaulterSheet = workbook.addWorksheet('Defaulters');
+    defaulterSheet.addRow([`Defaulters (below ${ATTENDANCE_THRESHOLDS.good}% attendance)`]).font = { bold: true };
+    defaulterSheet.addRow(['Roll No', 'Name', 'Email', 'Attended (weighted)', 'Total', 'Percentage']).font = { bold: true };
+    reportData.defaulters.forEach(defaulter => {
+        const row = defaulterSheet.addRow([
+            defaulter.rollNo,
+            defaulter.name,
+            defaulter.email || '',
+            defaulter.presentCount,
+            defaulter.totalCount,
+            defaulter.percentage
+        ]);
+        row.getCell(6).numFmt = '0.00"%"';
+    });
+    defaulterSheet.getColumn(2).width = 28;
+    defaulterSheet.getColumn(3).width = 30;
+
+    return workbook;
+};
+
+module.exports = {
+    parseDateRange,
+    formatRegisterColumn,
+    getRegisterFileName,
+    buildRegisterTable,
+    buildRegisterCsv,
+    buildRegisterWorkbook
+};
@@ -0,0 +1,74 @@
+const AttendanceSession = require('../models/attendance-session');
+const { ATTENDANCE_LOCK_HOURS } = require('../config/attendance-lock');
+const { AttendanceLockedError } = require('../middleware/error-handler');
+const { zonedTimeToUtc } = require('./timezone');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// Lock window of a class: its own setting, otherwise the institution default
+const getLockHours = (classDoc) => {
+    if (classDoc && classDoc.attendanceLockHours !== null && classDoc.attendanceLockHours !== undefined) {
+        return classDoc.attendanceLockHours;
+    }
+    return ATTENDANCE_LOCK_HOURS;
+};
+
+// End of a lecture. Session dates are stored as midnight UTC, times as HH:MM
+// in the institution's time zone.
+const getSessionEnd = (session) => zonedTimeToUtc(session.date, session.endTime);
+
+// Whether a session's marks can still be changed, and until when. Classes of
+// an archived term stay locked whatever the window or unlocks say.
+const getLockStatus = (session, classDoc, now = new Date()) => {
+    const lockHours = getLockHours(classDoc);
+    const unlock = session.unlock || {};
+
+    if (classDoc && classDoc.archivedAt) {
+        return { isLocked: true, archived: true, lockHours, locksAt: classDoc.archivedAt, unlockedUntil: null, unlockStatus: unlock.status || 'none' };
+    }
+    const unlockedUntil = unlock.unlockedUntil && unlock.unlockedUntil > now ? unlock.unlockedUntil : null;
+
+    if (!lockHours) {
+        return { isLocked: false, lockHours: 0, locksAt: null, unlockedUntil: null, unlockStatus: unlock.status || 'none' };
+    }
+
+    const locksAt = new Date(getSessionEnd(session).getTime() + lockHours * HOUR_MS);
+
+    return {
+        isLocked: now >= locksAt && !unlockedUntil,
+        lockHours,
+        locksAt,
+        unlockedUntil,
+        unlockStatus: unlock.status || 'none'
+    };
+};
+
+const describeSession = (session) => `${new Date(session.date).toDateString()} ${session.startTime}-${session.endTime}`;
+
+// Sessions (by id) whose marks can no longer be written
+const findLockedSessions = async (sessionIds) => {
+    const sessions = await AttendanceSession.find({ _id: { $in: sessionIds } })
+        .populate('classId', 'CLASSNAME attendanceLockHours archivedAt');
+
+    return sessions.filter(session => getLockStatus(session, session.classId).isLocked);
+};
+
+// Every write to Attendance goes through here first
+const assertSessionsWritable = async (sessionIds) => {
+    const locked = await findLockedSessions(sessionIds);
+    if (locked.length > 0) {
+        const classDoc = locked[0].classId;
+        throw new AttendanceLockedError(classDoc && classDoc.archivedAt
+            ? `${classDoc.CLASSNAME} belongs to an archived term and is read-only.`
+            : `Attendance for ${describeSession(locked[0])} is locked. Ask an admin to unlock it.`
+        );
+    }
+};
+
+module.exports = {
+    getLockHours,
+    getSessionEnd,
+    getLockStatus,
+    findLockedSessions,
+    assertSessionsWritable
+};
@@ -0,0 +1,58 @@
+const Attendance = require('../models/attendance');
+const AttendanceSession = require('../models/attendance-session');
+const Class = require('../models/class');
+
+// Attendance used to be recorded per day; now every mark belongs to a session
+// (lecture). Records from before get one all-day session per class and day.
+// Both entry points run this before building indexes, since the unique
+// { sessionId, studentId } index cannot be built while old records share a
+// null sessionId. Resolves to the number of records attached.
+const attachLegacyAttendance = async () => {
+    const attendanceWithoutSession = await Attendance.find({
+        $or: [
+            { sessionId: { $exists: false } },
+            { sessionId: null }
+        ]
+    });
+    if (attendanceWithoutSession.length === 0) return 0;
+
+    const sessionsByDay = {};
+    let attached = 0;
+
+    for (const record of attendanceWithoutSession) {
+        const day = new Date(record.date);
+        day.setUTCHours(0, 0, 0, 0);
+        const key = `${record.classId}_${day.toISOString()}`;
+
+        if (!sessionsByDay[key]) {
+            const classDoc = await Class.findById(record.classId).select('CREATEDBY');
+            if (!classDoc) {
+                continue; // Orphaned record of a deleted class
+            }
+
+            // Legacy records had no times, so each day becomes one all-day session
+            sessionsByDay[key] = await AttendanceSession.findOneAndUpdate(
+                { classId: record.classId, date: day, startTime: '00:00' },
+                { $setOnInsert: { endTime: '23:59', takenBy: classDoc.CREATEDBY } },
+                { upsert: true, new: true }
+            );
+        }
+
+        await Attendance.updateOne(
+            { _id: record._id },
+            { $set: { sessionId: sessionsByDay[key]._id } }
+        );
+        attached++;
+    }
+
+    // The automatic index build on connect may have failed on these records
+    if (attached > 0) {
+        await Attendance.createIndexes();
+    }
+
+    return attached;
+};
+
+module.exports = {
+    attachLegacyAttendance
+};
@@ -0,0 +1,273 @@
+const PDFDocument = require('pdfkit');
+const { ATTENDANCE_STATUSES, ATTENDANCE_THRESHOLDS, getAttendanceStatus } = require('../config/attendance-statuses');
+
+// Printed at the top of every register page and notice
+const getInstitution = () => ({
+    name: process.env.INSTITUTION_NAME || 'AttendPro',
+    address: process.env.INSTITUTION_ADDRESS || ''
+});
+
+const PAGE_MARGIN = 36;
+const ROW_HEIGHT = 16;
+const SESSIONS_PER_PAGE = 18;
+const SIGNATURE_BLOCK_HEIGHT = 60;
+
+// Register column widths (A4 landscape leaves 770pt between the margins)
+const COLUMN_WIDTHS = {
+    rollNo: 40,
+    name: 130,
+    session: 25,
+    total: 50
+};
+
+const formatDate = (date) => new Date(date).toLocaleDateString('en-GB', { day: '2-digit', month: 'short', year: 'numeric' });
+
+const formatPeriod = (range) => {
+    if (!range.from && !range.to) return 'All sessions';
+    return `${range.from ? formatDate(range.from) : 'First session'} to ${range.to ? formatDate(range.to) : 'latest session'}`;
+};
+
+// Split sessions into groups that fit across one page
+const chunkSessions = (sessions) => {
+    if (sessions.length === 0) return [[]];
+
+    const groups = [];
+    for (let i = 0; i < sessions.length; i += SESSIONS_PER_PAGE) {
+        groups.push(sessions.slice(i, i + SESSIONS_PER_PAGE));
+    }
+    return groups;
+};
+
+// Institution + class header; returns the y position below it
+const drawHeader = (doc, title, classDoc, range) => {
+    const institution = getInstitution();
+    const margin = doc.page.margins.left;
+    const width = doc.page.width - margin * 2;
+
+    doc.font('Helvetica-Bold').fontSize(16).text(institution.name, margin, doc.page.margins.top, { width, align: 'center' });
+    if (institution.address) {
+        doc.font('Helvetica').fontSize(9).text(institution.address, { width, align: 'center' });
+    }
+    doc.moveDown(0.3);
+    doc.font('Helvetica-Bold').fontSize(12).text(title, { width, align: 'center' });
+    doc.moveDown(0.5);
+
+    doc.font('Helvetica').fontSize(9);
+    const detailsY = doc.y;
+    doc.text(`Class: ${classDoc.CLASSNAME}`, margin, detailsY, { width: width / 2 });
+    doc.text(`Subject: ${classDoc.SUBJECT}`, margin, doc.y, { width: width / 2 });
+    const leftBottom = doc.y;
+    doc.text(`Room: ${classDoc.ROOMNO}`, margin + width / 2, detailsY, { width: width / 2, align: 'right' });
+    doc.text(`Period: ${formatPeriod(range)}`, margin + width / 2, doc.y, { width: width / 2, align: 'right' });
+
+    const bottom = Math.max(leftBottom, doc.y) + 6;
+    doc.moveTo(margin, bottom).lineTo(margin + width, bottom).lineWidth(0.5).stroke();
+    return bottom + 6;
+};
+
+// Text placed below the bottom margin would make PDFKit start a new page
+const withoutBottomMargin = (doc, draw) => {
+    const bottomMargin = doc.page.margins.bottom;
+    doc.page.margins.bottom = 0;
+    draw();
+    doc.page.margins.bottom = bottomMargin;
+};
+
+// Signature lines pinned to the bottom of the page
+const drawSignatureLines = (doc, labels) => {
+    const margin = doc.page.margins.left;
+    const slotWidth = (doc.page.width - margin * 2) / labels.length;
+    const lineY = doc.page.height - doc.page.margins.bottom - 24;
+
+    doc.font('Helvetica').fontSize(9);
+    withoutBottomMargin(doc, () => {
+        labels.forEach((label, index) => {
+            const x = margin + index * slotWidth + 10;
+            doc.moveTo(x, lineY).lineTo(x + slotWidth - 30, lineY).lineWidth(0.5).stroke();
+            doc.text(label, x, lineY + 4, { width: slotWidth - 30, align: 'center', lineBreak: false });
+        });
+    });
+};
+
+// "Page x of y" on every buffered page
+const drawPageNumbers = (doc) => {
+    const { start, count } = doc.bufferedPageRange();
+    for (let i = start; i < start + count; i++) {
+        doc.switchToPage(i);
+        const margin = doc.page.margins.left;
+        const footerY = doc.page.height - doc.page.margins.bottom + 10;
+        withoutBottomMargin(doc, () => {
+            doc.font('Helvetica').fontSize(8).text(
+                `Page ${i - start + 1} of ${count}`,
+                margin,
+                footerY,
+                { width: doc.page.width - margin * 2, align: 'right', lineBreak: false }
+            );
+        });
+    }
+};
+
+const drawCell = (doc, text, x, y, width, options = {}) => {
+    doc.rect(x, y, width, ROW_HEIGHT).lineWidth(0.5).stroke();
+    doc.text(String(text), x + 2, y + 4, { width: width - 4, align: options.align || 'center', lineBreak: false, ellipsis: true });
+};
+
+// Paginated register: students down the side, sessions across (in page-wide groups), totals at the end
+const buildRegisterPdf = (reportData, sessions, range, teacherName) => {
+    const doc = new PDFDocument({ size: 'A4', layout: 'landscape', margin: PAGE_MARGIN, bufferPages: true });
+    const classDoc = reportData.class;
+    const signatureLabels = [`Class Teacher${teacherName ? ` (${teacherName})` : ''}`, 'Head of Department', 'Date'];
+    const sessionGroups = chunkSessions(sessions);
+    const bottomLimit = doc.page.height - PAGE_MARGIN - SIGNATURE_BLOCK_HEIGHT;
+
+    let isFirstPage = true;
+
+    sessionGroups.forEach((group, groupIndex) => {
+        const title = sessionGroups.length > 1
+            ? `Attendance Register (sessions ${groupIndex * SESSIONS_PER_PAGE + 1}-${groupIndex * SESSIONS_PER_PAGE + group.length} of ${sessions.length})`
+            : 'Attendance Register';
+
+        let studentIndex = 0;
+        do {
+            if (!isFirstPage) doc.addPage();
+            isFirstPage = false;
+
+            let y = drawHeader(doc, title, classDoc, range);
+
+            // Column headings: date and start time of each session
+            let x = PAGE_MARGIN;
+            const headingHeight = ROW_HEIGHT * 2;
+            doc.font('Helvetica-Bold').fontSize(7);
+            const headings = [
+                ['Roll No', COLUMN_WIDTHS.rollNo],
+                ['Name', COLUMN_WIDTHS.name],
+                ...group.map(session => [
+                    `${new Date(session.date).toLocaleDateString('en-GB', { day: '2-digit', month: '2-digit' })}\n${session.startTime}`,
+                    COLUMN_WIDTHS.session
+                ]),
+                ['Attended', COLUMN_WIDTHS.total],
+                ['Total', COLUMN_WIDTHS.total],
+                ['%', COLUMN_WIDTHS.total]
+            ];
+            headings.forEach(([text, width]) => {
+                doc.rect(x, y, width, headingHeight).lineWidth(0.5).stroke();
+                doc.text(text, x + 1, y + 4, { width: width - 2, align: 'center' });
+                x += width;
+            });
+            y += headingHeight;
+
+            doc.font('Helvetica').fontSize(8);
+            while (studentIndex < reportData.students.length && y + ROW_HEIGHT <= bottomLimit) {
+                const student = reportData.students[studentIndex];
+                x = PAGE_MARGIN;
+
+                drawCell(doc, student.rollNo, x, y, COLUMN_WIDTHS.rollNo);
+                x += COLUMN_WIDTHS.rollNo;
+                drawCell(doc, student.name, x, y, COLUMN_WIDTHS.name, { align: 'left' });
+                x += COLUMN_WIDTHS.name;
+
+                group.forEach(session => {
+                    const status = student.attendanceBySession[session._id.toString()];
+                    drawCell(doc, status ? getAttendanceStatus(status).code : '', x, y, COLUMN_WIDTHS.session);
+                    x += COLUMN_WIDTHS.session;
+                });
+
+                drawCell(doc, student.presentCount, x, y, COLUMN_WIDTHS.total);
+                x += COLUMN_WIDTHS.total;
+                drawCell(doc, student.totalCount, x, y, COLUMN_WIDTHS.total);
+                x += COLUMN_WIDTHS.total;
+                doc.font(student.isDefaulter ? 'Helvetica-Bold' : 'Helvetica');
+                drawCell(doc, `${student.percentage.toFixed(2)}`, x, y, COLUMN_WIDTHS.total);
+                doc.font('Helvetica');
+
+                y += ROW_HEIGHT;
+                studentIndex++;
+            }
+
+            if (studentIndex >= reportData.students.length) {
+                doc.fontSize(7).text(
+                    `${ATTENDANCE_STATUSES.map(status => `${status.code} = ${status.label}`).join(', ')}. ` +
+                    `Students below ${ATTENDANCE_THRESHOLDS.good}% are shown in bold.`,
+                    PAGE_MARGIN, y + 6
+                );
+            }
+
+            drawSignatureLines(doc, signatureLabels);
+        } while (studentIndex < reportData.students.length);
+    });
+
+    drawPageNumbers(doc);
+    return doc;
+};
+
+// One printable shortage-of-attendance letter per defaulter
+const buildDefaulterNoticesPdf = (reportData, range, teacherName) => {
+    const doc = new PDFDocument({ size: 'A4', margin: PAGE_MARGIN * 2, bufferPages: true });
+    const classDoc = reportData.class;
+    const width = doc.page.width - PAGE_MARGIN * 4;
+    const issuedOn = formatDate(reportData.generatedOn);
+
+    if (reportData.defaulters.length === 0) {
+        drawHeader(doc, 'Shortage of Attendance Notices', classDoc, range);
+        doc.font('Helvetica').fontSize(11).moveDown(2)
+            .text(`No student is below the required ${ATTENDANCE_THRESHOLDS.good}% attendance for this period.`, { width, align: 'center' });
+        return doc;
+    }
+
+    reportData.defaulters.forEach((student, index) => {
+        if (index > 0) doc.addPage();
+
+        const y = drawHeader(doc, 'Notice: Shortage of Attendance', classDoc, range);
+        doc.font('Helvetica').fontSize(11);
+        doc.text(`Date: ${issuedOn}`, PAGE_MARGIN * 2, y + 12, { width, align: 'right' });
+        doc.moveDown();
+
+        doc.text('To,');
+        doc.font('Helvetica-Bold').text(student.name);
+        doc.font('Helvetica').text(`Roll No: ${student.rollNo}`);
+        doc.text(`Class: ${classDoc.CLASSNAME}`);
+        doc.moveDown();
+
+        doc.font('Helvetica-Bold').text(`Subject: Shortage of attendance in ${classDoc.SUBJECT}`);
+        doc.moveDown();
+
+        doc.font('Helvetica').text(
+            `This is to inform you that your attendance in ${classDoc.SUBJECT} (${classDoc.CLASSNAME}) ` +
+            `${range.from || range.to ? `for the period ${formatPeriod(range)}` : 'so far this term'} is ` +
+            `${student.percentage.toFixed(2)}% (${student.presentCount} of ${student.totalCount} sessions), ` +
+            `which is below the required minimum of ${ATTENDANCE_THRESHOLDS.good}%.`,
+            { width, align: 'justify' }
+        );
+        doc.moveDown();
+        doc.text(
+            'You are advised to attend all remaining lectures regularly and to meet your class teacher with your ' +
+            'parent or guardian to discuss this notice. Continued shortage may affect your eligibility for ' +
+            'examinations as per the rules of the institution.',
+            { width, align: 'justify' }
+        );
+        doc.moveDown();
+        doc.text('Please return the acknowledgement below, signed by you and your parent or guardian.', { width });
+
+        drawSignatureLines(doc, [`Class Teacher${teacherName ? ` (${teacherName})` : ''}`, 'Head of Department']);
+
+        // Acknowledgement slip above the signatures
+        const slipY = doc.page.height - PAGE_MARGIN * 2 - 150;
+        doc.moveTo(PAGE_MARGIN * 2, slipY).lineTo(PAGE_MARGIN * 2 + width, slipY).dash(4, { space: 3 }).stroke().undash();
+        doc.font('Helvetica-Bold').fontSize(10).text('Acknowledgement', PAGE_MARGIN * 2, slipY + 8);
+        doc.font('Helvetica').fontSize(10).text(
+            `I have received the notice of shortage of attendance in ${classDoc.SUBJECT} dated ${issuedOn} ` +
+            `for ${student.name} (Roll No ${student.rollNo}).`,
+            { width }
+        );
+        doc.moveDown(2.5);
+        doc.text('Student signature: ______________________        Parent/Guardian signature: ______________________', { width });
+    });
+
+    drawPageNumbers(doc);
+    return doc;
+};
+
+module.exports = {
+    buildRegisterPdf,
+    buildDefaulterNoticesPdf
+};
@@ -0,0 +1,185 @@
+const Attendance = require('../models/attendance');
+const AttendanceSession = require('../models/attendance-session');
+const Student = require('../models/student');
+const { ATTENDANCE_THRESHOLDS, getStatusWeight } = require('../config/attendance-statuses');
+
+// Percentage with two decimals, as displayed across the summary views
+const calculatePercentage = (presentCount, totalCount) => {
+    return totalCount > 0 ? ((presentCount / totalCount) * 100).toFixed(2) : 0;
+};
+
+// Every mark is one lecture, weighted by its status (late counts as half, etc.)
+const summarizeMarks = (records) => {
+    const statusCounts = {};
+    let attended = 0;
+
+    records.forEach(record => {
+        statusCounts[record.status] = (statusCounts[record.status] || 0) + 1;
+        attended += getStatusWeight(record.status);
+    });
+
+    const presentCount = Math.round(attended * 100) / 100;
+    const totalCount = records.length;
+
+    return {
+        presentCount,
+        totalCount,
+        statusCounts,
+        percentage: calculatePercentage(presentCount, totalCount)
+    };
+};
+
+// 'good' / 'warning' / 'danger' band for a percentage
+const getAttendanceStanding = (percentage) => {
+    if (percentage >= ATTENDANCE_THRESHOLDS.good) return 'good';
+    if (percentage >= ATTENDANCE_THRESHOLDS.warning) return 'warning';
+    return 'danger';
+};
+
+const isDefaulter = (percentage) => percentage < ATTENDANCE_THRESHOLDS.good;
+
+// Session-level attendance for one student record (one class enrolment)
+const getStudentAttendanceStats = async (studentId) => {
+    const records = await Attendance.find({ studentId })
+        .populate('sessionId', 'date startTime endTime')
+        .sort({ date: -1 });
+
+    return {
+        records,
+        ...summarizeMarks(records)
+    };
+};
+
+// All sessions held for a class, oldest first
+const getClassSessions = async (classId, range = {}) => {
+    const query = { classId };
+    if (range.from || range.to) {
+        query.date = {};
+        if (range.from) query.date.$gte = range.from;
+        if (range.to) query.date.$lte = range.to;
+    }
+
+    return AttendanceSession.find(query).sort({ date: 1, startTime: 1 });
+};
+
+// Human readable label for a session, e.g. "Mon Sep 01 2025 09:00-10:00"
+const formatSessionLabel = (session) => {
+    return `${new Date(session.date).toDateString()} ${session.startTime}-${session.endTime}`;
+};
+
+// Per-student register of a class (optionally limited to a date range),
+// as used by the report page, the register exports and the API
+const buildClassReport = async (classDoc, { range = {}, generatedBy = null } = {}) => {
+    const students = await Student.find({ classId: classDoc._id }).sort({ ROLLNO: 1 });
+    const sessions = await getClassSessions(classDoc._id, range);
+    const isRangeLimited = Boolean(range.from || range.to);
+
+    const reportData = {
+        class: classDoc,
+        generatedBy: generatedBy,
+        generatedOn: new Date(),
+        range: range,
+        totalStudents: students.length,
+        totalSessions: sessions.length,
+        students: [],
+        defaulters: [],
+        summary: {
+            excellent: 0, // >= good threshold
+            good: 0,      // between the warning and good thresholds
+            poor: 0       // < warning threshold
+        }
+    };
+
+    for (const student of students) {
+        const attendanceQuery = { studentId: student._id };
+        if (isRangeLimited) {
+            attendanceQuery.sessionId = { $in: sessions.map(session => session._id) };
+        }
+        const studentAttendance = await Attendance.find(attendanceQuery).sort({ date: 1 });
+        const { presentCount, totalCount, statusCounts, percentage } = summarizeMarks(studentAttendance);
+        const standing = getAttendanceStanding(percentage);
+
+        const attendanceBySession = {};
+        studentAttendance.forEach(record => {
+            attendanceBySession[record.sessionId.toString()] = record.status;
+        });
+
+        const studentData = {
+            studentId: student._id,
+            rollNo: student.ROLLNO,
+            name: student.NAME,
+            email: student.EMAIL,
+            presentCount: presentCount,
+            totalCount: totalCount,
+            statusCounts: statusCounts,
+            percentage: parseFloat(percentage),
+            status: standing === 'good' ? 'excellent' : standing === 'warning' ? 'good' : 'poor',
+            isDefaulter: isDefaulter(percentage),
+            attendanceBySession: attendanceBySession,
+            classesAttended: sessions.map(session => ({
+                sessionId: session._id,
+                date: session.date.toDateString(),
+                startTime: session.startTime,
+                endTime: session.endTime,
+                label: formatSessionLabel(session),
+                status: attendanceBySession[session._id.toString()] || 'absent'
+            }))
+        };
+
+        reportData.students.push(studentData);
+        reportData.summary[studentData.status]++;
+
+        if (studentData.isDefaulter) {
+            reportData.defaulters.push(studentData);
+        }
+    }
+
+    return { reportData, sessions };
+};
+
+// Students that a batch of audited mark changes took below the defaulter
+// threshold. The standing before is rebuilt by putting the old statuses back;
+// a student with no earlier marks counts as not having been a defaulter.
+const findNewDefaulters = async (changes) => {
+    const changesByStudent = new Map();
+    changes.forEach(change => {
+        const key = change.studentId.toString();
+        if (!changesByStudent.has(key)) changesByStudent.set(key, []);
+        changesByStudent.get(key).push(change);
+    });
+
+    const newDefaulters = [];
+    for (const [studentId, studentChanges] of changesByStudent) {
+        const records = await Attendance.find({ studentId }).select('sessionId status');
+        const oldStatuses = new Map(studentChanges.map(change => [change.sessionId.toString(), change.oldStatus]));
+
+        const previousRecords = records
+            .map(record => {
+                const key = record.sessionId.toString();
+                return oldStatuses.has(key) ? { status: oldStatuses.get(key) } : record;
+            })
+            .filter(record => record.status !== null);
+
+        const current = summarizeMarks(records);
+        const previous = summarizeMarks(previousRecords);
+        const wasDefaulter = previous.totalCount > 0 && isDefaulter(Number(previous.percentage));
+
+        if (current.totalCount > 0 && isDefaulter(Number(current.percentage)) && !wasDefaulter) {
+            newDefaulters.push({ studentId, classId: studentChanges[0].classId, current, previous });
+        }
+    }
+
+    return newDefaulters;
+};
+
+module.exports = {
+    calculatePercentage,
+    summarizeMarks,
+    getAttendanceStanding,
+    isDefaulter,
+    getStudentAttendanceStats,
+    getClassSessions,
+    formatSessionLabel,
+    buildClassReport,
+    findNewDefaulters
+};
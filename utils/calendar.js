@@ -0,0 +1,144 @@
+const CalendarEntry = require('../models/calendar-entry');
+const Term = require('../models/term');
+const { CALENDAR_KINDS } = require('../config/calendar');
+const { parseDateRange } = require('./attendance-export');
+const { isServerWide } = require('./tenancy');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const toDayKey = (date) => new Date(date).toISOString().slice(0, 10);
+
+// First and last day from YYYY-MM-DD form values (a single day when the last
+// is left empty); resolves to { startDate, endDate } or { error }
+const parseCalendarDates = (startDate, endDate) => {
+    if (!startDate) {
+        return { error: 'Pick the first day.' };
+    }
+
+    const { range, error } = parseDateRange(startDate, endDate || startDate);
+    if (error) {
+        return { error: error.replace('"from"', 'The first day').replace('"to"', 'the last day') };
+    }
+    return { startDate: range.from, endDate: range.to };
+};
+
+// Institution-wide entries an admin manages: their organization's, or all of them when server-wide
+const getInstitutionCalendarFilter = (user) => ({
+    classId: null,
+    ...(isServerWide(user) ? {} : { organizationId: user.organizationId })
+});
+
+// Calendar entries that touch a class between two dates: the institution's
+// (its organization's and server-wide ones), the holidays of the class's term
+// and the class's own overrides. `source` tells them apart.
+const getCalendarEntries = async (classDoc, { from, to }) => {
+    const organizationFilter = classDoc.organizationId ? { $in: [null, classDoc.organizationId] } : null;
+
+    const [entries, term] = await Promise.all([
+        CalendarEntry.find({
+            $or: [{ classId: null, organizationId: organizationFilter }, { classId: classDoc._id }],
+            startDate: { $lte: to },
+            endDate: { $gte: from }
+        }).sort({ startDate: 1 }),
+        classDoc.termId ? Term.findById(classDoc.termId) : null
+    ]);
+
+    const termHolidays = term
+        ? term.holidays.filter(holiday => holiday.date >= from && holiday.date <= to).map(holiday => ({
+            _id: holiday._id,
+            kind: 'holiday',
+            name: holiday.name,
+            startDate: holiday.date,
+            endDate: new Date(holiday.date.getTime() + DAY_MS - 1),
+            classId: null,
+            source: 'term'
+        }))
+        : [];
+
+    return [
+        ...termHolidays,
+        ...entries.map(entry => ({ ...entry.toObject(), source: entry.classId ? 'class' : 'institution' }))
+    ].sort((a, b) => a.startDate - b.startDate);
+};
+
+const MARKING_RANK = { allow: 0, warn: 1, block: 2 };
+
+// What a date is for a class, given its calendar entries: the class's own
+// override wins, otherwise the strictest institution entry. Null on ordinary
+// days.
+const resolveDay = (entries, date) => {
+    const matching = entries.filter(entry => entry.startDate <= date && entry.endDate >= date);
+    const overrides = matching.filter(entry => entry.classId);
+    const candidates = overrides.length > 0 ? overrides : matching;
+    if (candidates.length === 0) return null;
+
+    const entry = candidates.reduce((strictest, candidate) => (
+        MARKING_RANK[CALENDAR_KINDS[candidate.kind].marking] > MARKING_RANK[CALENDAR_KINDS[strictest.kind].marking] ? candidate : strictest
+    ));
+    return { ...CALENDAR_KINDS[entry.kind], kind: entry.kind, entry };
+};
+
+// Every day between two dates that is not an ordinary one, as { date: 'YYYY-MM-DD', ...resolveDay }
+const listCalendarDays = (entries, from, to) => {
+    const days = [];
+    for (let day = new Date(from); day <= to; day = new Date(day.getTime() + DAY_MS)) {
+        const resolved = resolveDay(entries, day);
+        if (resolved) days.push({ date: toDayKey(day), ...resolved });
+    }
+    return days;
+};
+
+// e.g. "Holiday (Diwali)"
+const describeDay = (day) => (day.entry.name ? `${day.label} (${day.entry.name})` : day.label);
+
+// Whether attendance can be recorded for a class on a date (midnight UTC).
+// Resolves to { day, refused, message }; message is null on ordinary days.
+const checkMarkingDay = async (classDoc, date) => {
+    const entries = await getCalendarEntries(classDoc, { from: date, to: date });
+    const day = resolveDay(entries, date);
+
+    if (!day || day.marking === 'allow') {
+        return { day, refused: false, message: null };
+    }
+    if (day.marking === 'block') {
+        return { day, refused: true, message: `No attendance can be recorded on ${toDayKey(date)}: it is marked ${describeDay(day)} on the calendar.` };
+    }
+    return { day, refused: false, message: `${toDayKey(date)} is marked ${describeDay(day)} on the calendar.` };
+};
+
+// Calendar of the coming weeks across several classes (a student's
+// enrolments), each entry once. Entries that only apply to some of the
+// classes list their names in `classNames`.
+const getUpcomingCalendar = async (classDocs, { days = 60, now = new Date() } = {}) => {
+    const from = new Date(now);
+    from.setUTCHours(0, 0, 0, 0);
+    const to = new Date(from.getTime() + days * DAY_MS - 1);
+
+    const byId = new Map();
+    for (const classDoc of classDocs) {
+        const entries = await getCalendarEntries(classDoc, { from, to });
+        entries.forEach(entry => {
+            const key = entry._id.toString();
+            if (!byId.has(key)) {
+                byId.set(key, { ...entry, ...CALENDAR_KINDS[entry.kind], kind: entry.kind, classNames: [] });
+            }
+            byId.get(key).classNames.push(classDoc.CLASSNAME);
+        });
+    }
+
+    return [...byId.values()]
+        .map(entry => (entry.classNames.length === classDocs.length ? { ...entry, classNames: [] } : entry))
+        .sort((a, b) => a.startDate - b.startDate);
+};
+
+module.exports = {
+    toDayKey,
+    parseCalendarDates,
+    getInstitutionCalendarFilter,
+    getCalendarEntries,
+    resolveDay,
+    listCalendarDays,
+    describeDay,
+    checkMarkingDay,
+    getUpcomingCalendar
+};
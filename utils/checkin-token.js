@@ -0,0 +1,62 @@
+const crypto = require('crypto');
+
+// How long each QR code on the live check-in screen stays valid
+const ROTATION_SECONDS = parseInt(process.env.CHECKIN_ROTATION_SECONDS) || 10;
+
+// Random per-session key used to sign the rotating tokens
+const generateCheckInSecret = () => crypto.randomBytes(32).toString('hex');
+
+const getTimeWindow = (now = Date.now()) => Math.floor(now / (ROTATION_SECONDS * 1000));
+
+const signWindow = (secret, sessionId, window) => {
+    return crypto.createHmac('sha256', secret)
+        .update(`${sessionId}:${window}`)
+        .digest('base64url')
+        .slice(0, 22);
+};
+
+// Token for the current rotation window, formatted as "<window>.<signature>"
+const generateCheckInToken = (session, now = Date.now()) => {
+    const window = getTimeWindow(now);
+    return `${window}.${signWindow(session.checkIn.secret, session._id.toString(), window)}`;
+};
+
+const getSecondsUntilRotation = (now = Date.now()) => {
+    return ROTATION_SECONDS - Math.floor((now / 1000) % ROTATION_SECONDS);
+};
+
+// Accepts the code on screen and the one just before it, so a scan that
+// lands on a rotation boundary still works. Anything older is rejected.
+const verifyCheckInToken = (session, token, now = Date.now()) => {
+    if (!session.checkIn || !session.checkIn.isOpen || !session.checkIn.secret) {
+        return { valid: false, reason: 'Check-in is closed for this session.' };
+    }
+
+    if (session.checkIn.expiresAt && session.checkIn.expiresAt.getTime() <= now) {
+        return { valid: false, reason: 'Check-in for this session has ended.' };
+    }
+
+    const [windowPart, signature] = String(token || '').split('.');
+    const window = parseInt(windowPart, 10);
+    const currentWindow = getTimeWindow(now);
+
+    if (!signature || isNaN(window) || window > currentWindow || currentWindow - window > 1) {
+        return { valid: false, reason: 'This QR code has expired. Please scan the code currently shown in class.' };
+    }
+
+    const expected = signWindow(session.checkIn.secret, session._id.toString(), window);
+    if (expected.length !== signature.length ||
+        !crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(signature))) {
+        return { valid: false, reason: 'Invalid check-in code.' };
+    }
+
+    return { valid: true };
+};
+
+module.exports = {
+    ROTATION_SECONDS,
+    generateCheckInSecret,
+    generateCheckInToken,
+    getSecondsUntilRotation,
+    verifyCheckInToken
+};
@@ -0,0 +1,74 @@
+// Minimal RFC 4180 CSV reading and writing (quoted fields, "" escapes, CRLF)
+
+// Parse CSV text into an array of rows (arrays of strings)
+const parseCsv = (text) => {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let inQuotes = false;
+
+    // Drop a UTF-8 byte order mark left by spreadsheet exports
+    const input = text.charCodeAt(0) === 0xFEFF ? text.slice(1) : text;
+
+    for (let i = 0; i < input.length; i++) {
+        const char = input[i];
+
+        if (inQuotes) {
+            if (char === '"') {
+                if (input[i + 1] === '"') {
+                    field += '"';
+                    i++;
+                } else {
+                    inQuotes = false;
+                }
+            } else {
+                field += char;
+            }
+        } else if (char === '"') {
+            inQuotes = true;
+        } else if (char === ',') {
+            row.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && input[i + 1] === '\n') i++;
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+
+    if (field !== '' || row.length > 0) {
+        row.push(field);
+        rows.push(row);
+    }
+
+    // Ignore completely blank lines
+    return rows.filter(r => r.some(value => value.trim() !== ''));
+};
+
+// Quote a value when it contains a delimiter, quote or line break
+const escapeCsvValue = (value) => {
+    if (value === null || value === undefined) return '';
+    const text = String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// Spreadsheet apps run a cell starting with =, +, - or @ (or a tab or carriage
+// return ahead of one) as a formula; a leading ' keeps it as text
+const escapeCsvFormula = (value) => {
+    if (typeof value !== 'string') return value;
+    return /^[=+\-@\t\r]/.test(value) ? `'${value}` : value;
+};
+
+// Serialize rows (arrays of values) as CSV with CRLF line endings
+const toCsv = (rows) => rows.map(row => row.map(escapeCsvValue).join(',')).join('\r\n') + '\r\n';
+
+module.exports = {
+    parseCsv,
+    escapeCsvValue,
+    escapeCsvFormula,
+    toCsv
+};
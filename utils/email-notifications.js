@@ -0,0 +1,172 @@
+const User = require('../models/user');
+const Student = require('../models/student');
+const Attendance = require('../models/attendance');
+const { ATTENDANCE_THRESHOLDS, getAttendanceStatus } = require('../config/attendance-statuses');
+const { EMAIL_DIGEST_DAY, EMAIL_DIGEST_HOUR } = require('../config/email');
+const { summarizeMarks, getAttendanceStanding, findNewDefaulters } = require('./attendance-stats');
+const { getLinkedStudents } = require('./student-accounts');
+const { isEmailEnabled, queueEmail } = require('./email');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Emails never fail (or slow down) the request that triggered them
+const runInBackground = (label, task) => {
+    task().catch(error => {
+        console.error(`Email ${label} error:`, error);
+    });
+};
+
+const queueAccountCreatedEmail = (user) => {
+    runInBackground('account-created', () => queueEmail({
+        user,
+        type: 'account-created',
+        subject: 'Welcome to AttendPro',
+        template: 'account-created'
+    }));
+};
+
+// Sent by the forgot-password flow with a single-use link
+const queuePasswordResetEmail = (user, resetUrl, expiresInMinutes) => {
+    runInBackground('password-reset', () => queueEmail({
+        user,
+        type: 'password-reset',
+        subject: 'Reset your AttendPro password',
+        template: 'password-reset',
+        data: { resetUrl, expiresInMinutes },
+        sensitive: true
+    }));
+};
+
+// Sent to the email on a student record when a class code claim needs confirming
+const queueStudentClaimEmail = (student, classDoc, claimUrl, expiresInDays) => {
+    runInBackground('student-claim', () => queueEmail({
+        to: student.EMAIL,
+        type: 'student-claim',
+        subject: `Confirm your AttendPro account for ${classDoc.CLASSNAME}`,
+        template: 'student-claim',
+        data: { student, classDoc, claimUrl, expiresInDays },
+        sensitive: true
+    }));
+};
+
+// Warn students (with an account) that a batch of mark changes took below the threshold
+const warnNewDefaulters = (changes) => {
+    if (!isEmailEnabled() || changes.length === 0) return;
+
+    runInBackground('low-attendance', async () => {
+        const today = new Date().toISOString().slice(0, 10);
+
+        for (const { studentId, current } of await findNewDefaulters(changes)) {
+            const student = await Student.findById(studentId).populate('classId').populate('userId');
+            if (!student || !student.classId || !student.userId || !student.userId.ISACTIVE) continue;
+
+            await queueEmail({
+                user: student.userId,
+                type: 'low-attendance',
+                preference: 'lowAttendance',
+                subject: `Your attendance in ${student.classId.CLASSNAME} is below ${ATTENDANCE_THRESHOLDS.good}%`,
+                template: 'low-attendance',
+                data: {
+                    student,
+                    classDoc: student.classId,
+                    percentage: Number(current.percentage),
+                    threshold: ATTENDANCE_THRESHOLDS.good,
+                    presentCount: current.presentCount,
+                    totalCount: current.totalCount
+                },
+                // At most one warning per class per day, however often marks flip
+                dedupeKey: `low-attendance:${studentId}:${today}`
+            });
+        }
+    });
+};
+
+// One digest per student account covering the seven days before `now`;
+// resolves to the number queued
+const queueWeeklyDigests = async (now = new Date()) => {
+    const periodEnd = new Date(now);
+    periodEnd.setHours(0, 0, 0, 0);
+    const periodStart = new Date(periodEnd.getTime() - 7 * DAY_MS);
+    const weekKey = periodEnd.toISOString().slice(0, 10);
+
+    const users = await User.find({ ROLE: 'student', ISACTIVE: true, 'emailPreferences.weeklyDigest': { $ne: false } });
+    let queuedCount = 0;
+
+    for (const user of users) {
+        const enrolments = (await getLinkedStudents(user)).filter(enrolment => enrolment.classId);
+        if (enrolments.length === 0) continue;
+
+        const marks = await Attendance.find({ studentId: { $in: enrolments.map(enrolment => enrolment._id) } })
+            .select('studentId status date');
+
+        const classes = enrolments.map(enrolment => {
+            const records = marks.filter(mark => mark.studentId.equals(enrolment._id));
+            const week = summarizeMarks(records.filter(mark => mark.date >= periodStart && mark.date < periodEnd));
+            const overall = summarizeMarks(records);
+
+            return {
+                className: enrolment.classId.CLASSNAME,
+                subject: enrolment.classId.SUBJECT,
+                week: {
+                    ...week,
+                    statuses: Object.keys(week.statusCounts).map(key => ({
+                        label: getAttendanceStatus(key).label,
+                        count: week.statusCounts[key]
+                    }))
+                },
+                overall,
+                standing: getAttendanceStanding(overall.percentage)
+            };
+        });
+
+        const message = await queueEmail({
+            user,
+            type: 'weekly-digest',
+            preference: 'weeklyDigest',
+            subject: `Your attendance for the week of ${periodStart.toDateString()}`,
+            template: 'weekly-digest',
+            data: {
+                classes,
+                periodStart,
+                periodEnd: new Date(periodEnd.getTime() - 1),
+                threshold: ATTENDANCE_THRESHOLDS.good
+            },
+            dedupeKey: `weekly-digest:${user._id}:${weekKey}`
+        });
+        if (message) queuedCount++;
+    }
+
+    return queuedCount;
+};
+
+let digestTimer = null;
+
+// Queue the digests once on EMAIL_DIGEST_DAY after EMAIL_DIGEST_HOUR. The
+// dedupe key keeps restarts (or several instances) from sending them twice.
+const startWeeklyDigestSchedule = () => {
+    if (digestTimer || !isEmailEnabled()) return;
+
+    let lastRunDay = null;
+    digestTimer = setInterval(() => {
+        const now = new Date();
+        const today = now.toDateString();
+        if (now.getDay() !== EMAIL_DIGEST_DAY || now.getHours() < EMAIL_DIGEST_HOUR || lastRunDay === today) return;
+
+        lastRunDay = today;
+        runInBackground('weekly-digest', async () => {
+            const queuedCount = await queueWeeklyDigests(now);
+            console.log(`✅ Weekly attendance digests queued: ${queuedCount}`);
+        });
+    }, 15 * 60 * 1000);
+
+    digestTimer.unref();
+};
+
+module.exports = {
+    queueAccountCreatedEmail,
+    queuePasswordResetEmail,
+    queueStudentClaimEmail,
+    warnNewDefaulters,
+    queueWeeklyDigests,
+    startWeeklyDigestSchedule
+};
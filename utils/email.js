@@ -0,0 +1,241 @@
+const path = require('path');
+const crypto = require('crypto');
+const ejs = require('ejs');
+const nodemailer = require('nodemailer');
+const EmailMessage = require('../models/email-message');
+const { EMAIL_SETTINGS, EMAIL_MAX_ATTEMPTS } = require('../config/email');
+const { logger } = require('./logger');
+
+// Optional notifications and who receives them; users can switch these off
+const EMAIL_PREFERENCES = {
+    weeklyDigest: {
+        label: 'Weekly attendance digest',
+        description: 'A summary of the past week\'s attendance in each of your classes.',
+        roles: ['student']
+    },
+    lowAttendance: {
+        label: 'Low attendance warnings',
+        description: 'An email when your attendance in a class drops below the required level.',
+        roles: ['student']
+    }
+};
+
+const EMAIL_TEMPLATE_DIR = path.join(__dirname, '../views/emails');
+
+// How often the worker looks for emails that are due
+const WORKER_INTERVAL_MS = 30 * 1000;
+const WORKER_BATCH_SIZE = 20;
+const RETRY_BASE_MS = 60 * 1000;
+
+// Body kept in the email log for sensitive emails once they are done with
+const REDACTED_BODY = '[Removed after sending: this email contained a secret link]';
+
+const UNSUBSCRIBE_SECRET = process.env.SESSION_SECRET || 'your-secret-key-change-in-production';
+
+let transporter = null;
+const getTransporter = () => {
+    if (!transporter) {
+        transporter = nodemailer.createTransport(EMAIL_SETTINGS.smtp);
+    }
+    return transporter;
+};
+
+const isEmailEnabled = () => EMAIL_SETTINGS.enabled;
+
+// Plain-text part generated from the rendered HTML
+const htmlToText = (html) => {
+    return html
+        .replace(/<(style|head)[\s\S]*?<\/\1>/gi, '')
+        .replace(/<a [^>]*href="([^"]+)"[^>]*>([\s\S]*?)<\/a>/gi, '$2 ($1)')
+        .replace(/<br\s*\/?>/gi, '\n')
+        .replace(/<\/(p|div|h[1-6]|tr|li|table)>/gi, '\n')
+        .replace(/<[^>]+>/g, '')
+        .replace(/&nbsp;/g, ' ')
+        .replace(/&middot;/g, '·')
+        .replace(/&amp;/g, '&')
+        .replace(/&lt;/g, '<')
+        .replace(/&gt;/g, '>')
+        .replace(/&#39;/g, '\'')
+        .replace(/&#34;|&quot;/g, '"')
+        .replace(/[ \t]+/g, ' ')
+        .replace(/\n\s*\n\s*/g, '\n\n')
+        .trim();
+};
+
+const signUnsubscribe = (userId, preference) => {
+    return crypto.createHmac('sha256', UNSUBSCRIBE_SECRET)
+        .update(`unsubscribe:${userId}:${preference}`)
+        .digest('base64url')
+        .slice(0, 32);
+};
+
+// "<userId>.<preference>.<signature>", so an unsubscribe link works without logging in
+const getUnsubscribeToken = (user, preference) => {
+    const userId = user._id.toString();
+    return `${userId}.${preference}.${signUnsubscribe(userId, preference)}`;
+};
+
+const verifyUnsubscribeToken = (token) => {
+    const [userId, preference, signature] = String(token || '').split('.');
+    if (!userId || !EMAIL_PREFERENCES[preference] || !signature) return null;
+
+    const expected = Buffer.from(signUnsubscribe(userId, preference));
+    const given = Buffer.from(signature);
+    if (expected.length !== given.length || !crypto.timingSafeEqual(expected, given)) return null;
+
+    return { userId, preference };
+};
+
+const wantsEmail = (user, preference) => {
+    return !user.emailPreferences || user.emailPreferences[preference] !== false;
+};
+
+// Render views/emails/<template>.ejs
+const renderEmail = (template, data) => {
+    return ejs.renderFile(path.join(EMAIL_TEMPLATE_DIR, `${template}.ejs`), {
+        baseUrl: EMAIL_SETTINGS.baseUrl,
+        institutionName: process.env.INSTITUTION_NAME || 'AttendPro',
+        unsubscribeUrl: null,
+        ...data
+    });
+};
+
+// Claim a due email (so it is never sent twice at once) and try to send it
+const sendQueuedEmail = async (messageId) => {
+    const now = new Date();
+    const message = await EmailMessage.findOneAndUpdate(
+        { _id: messageId, status: 'pending', nextAttemptAt: { $lte: now } },
+        { $set: { nextAttemptAt: new Date(now.getTime() + 5 * 60 * 1000) }, $inc: { attempts: 1 } },
+        { new: true }
+    );
+    if (!message) return null;
+
+    try {
+        await getTransporter().sendMail({
+            from: EMAIL_SETTINGS.from,
+            to: message.to,
+            subject: message.subject,
+            html: message.html,
+            text: message.text,
+            headers: message.headers
+        });
+
+        message.status = 'sent';
+        message.sentAt = new Date();
+        message.nextAttemptAt = null;
+        message.lastError = null;
+    } catch (error) {
+        message.lastError = error.message;
+
+        if (message.attempts >= EMAIL_MAX_ATTEMPTS) {
+            message.status = 'failed';
+            message.nextAttemptAt = null;
+            logger.warn(`Email could not be sent after ${message.attempts} attempts`, {
+                messageId: message._id.toString(),
+                type: message.type,
+                error: error.message
+            });
+        } else {
+            message.nextAttemptAt = new Date(Date.now() + RETRY_BASE_MS * Math.pow(2, message.attempts - 1));
+        }
+    }
+
+    // Secret links (e.g. password resets) must not outlive delivery in the log
+    if (message.sensitive && message.status !== 'pending') {
+        message.html = REDACTED_BODY;
+        message.text = REDACTED_BODY;
+    }
+
+    return message.save();
+};
+
+// Render an email into the queue and start sending it in the background.
+// With a preference the user's opt-out is honoured and an unsubscribe link is
+// added; a dedupeKey that was already queued is skipped. Resolves to null when
+// nothing was queued (email off, no address, opted out or duplicate).
+// Sensitive emails have their body removed once they are sent or given up on.
+const queueEmail = async ({ user = null, to, type, subject, template, data = {}, preference = null, dedupeKey, sensitive = false }) => {
+    if (!isEmailEnabled()) return null;
+
+    const recipient = to || (user && user.EMAIL);
+    if (!recipient) return null;
+    if (preference && user && !wantsEmail(user, preference)) return null;
+
+    const unsubscribeUrl = preference && user
+        ? `${EMAIL_SETTINGS.baseUrl}/email/unsubscribe?token=${encodeURIComponent(getUnsubscribeToken(user, preference))}`
+        : null;
+
+    const html = await renderEmail(template, { ...data, user, subject, unsubscribeUrl });
+
+    let message;
+    try {
+        message = await EmailMessage.create({
+            userId: user ? user._id : null,
+            to: recipient,
+            type,
+            subject,
+            html,
+            text: htmlToText(html),
+            headers: unsubscribeUrl
+                ? { 'List-Unsubscribe': `<${unsubscribeUrl}>`, 'List-Unsubscribe-Post': 'List-Unsubscribe=One-Click' }
+                : {},
+            dedupeKey,
+            sensitive
+        });
+    } catch (error) {
+        if (error.code === 11000) return null;
+        throw error;
+    }
+
+    sendQueuedEmail(message._id).catch(error => {
+        console.error('Email send error:', error);
+    });
+
+    return message;
+};
+
+// Retry emails whose backoff has passed (and any left over from a restart)
+const processDueEmails = async () => {
+    const due = await EmailMessage.find({ status: 'pending', nextAttemptAt: { $lte: new Date() } })
+        .select('_id')
+        .sort({ nextAttemptAt: 1 })
+        .limit(WORKER_BATCH_SIZE);
+
+    for (const message of due) {
+        await sendQueuedEmail(message._id);
+    }
+};
+
+let workerTimer = null;
+
+const startEmailWorker = () => {
+    if (workerTimer || !isEmailEnabled()) return;
+
+    let running = false;
+    workerTimer = setInterval(async () => {
+        if (running) return;
+        running = true;
+        try {
+            await processDueEmails();
+        } catch (error) {
+            console.error('Email worker error:', error);
+        } finally {
+            running = false;
+        }
+    }, WORKER_INTERVAL_MS);
+
+    // The worker alone should not keep the process alive
+    workerTimer.unref();
+};
+
+module.exports = {
+    EMAIL_PREFERENCES,
+    isEmailEnabled,
+    htmlToText,
+    getUnsubscribeToken,
+    verifyUnsubscribeToken,
+    wantsEmail,
+    renderEmail,
+    queueEmail,
+    startEmailWorker
+};
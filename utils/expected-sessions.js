@@ -0,0 +1,144 @@
+const Timetable = require('../models/timetable');
+const AttendanceSession = require('../models/attendance-session');
+const Term = require('../models/term');
+const { getCalendarEntries, resolveDay } = require('./calendar');
+const { getSessionEnd, getLockStatus } = require('./attendance-lock');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const WEEKDAYS = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+// How far back the dashboard looks for lectures nobody took attendance for
+const PENDING_LOOKBACK_DAYS = 14;
+
+const startOfDay = (date) => {
+    const day = new Date(date);
+    day.setUTCHours(0, 0, 0, 0);
+    return day;
+};
+
+// Lectures a class's timetable schedules between two dates: one per slot on
+// its weekday, inside the class's term and not before the slot was added,
+// skipping holidays, exam days and other non-teaching days of the class
+// calendar. Resolves to [{ classId, date, startTime, endTime, slot }].
+const getExpectedSessions = async (classDoc, { from, to }) => {
+    let first = startOfDay(from);
+    let last = new Date(to);
+
+    const term = classDoc.termId ? await Term.findById(classDoc.termId).select('startDate endDate') : null;
+    if (term) {
+        if (term.startDate > first) first = startOfDay(term.startDate);
+        if (term.endDate < last) last = term.endDate;
+    }
+    if (classDoc.createdAt && startOfDay(classDoc.createdAt) > first) {
+        first = startOfDay(classDoc.createdAt);
+    }
+    if (first > last) return [];
+
+    const slots = await Timetable.find({ classId: classDoc._id }).sort({ startTime: 1 });
+    if (slots.length === 0) return [];
+
+    const entries = await getCalendarEntries(classDoc, { from: first, to: last });
+    const expected = [];
+
+    for (let date = first; date <= last; date = new Date(date.getTime() + DAY_MS)) {
+        const calendarDay = resolveDay(entries, date);
+        if (calendarDay && !calendarDay.teaching) continue;
+
+        slots
+            .filter(slot => slot.day === WEEKDAYS[date.getUTCDay()] && (!slot.createdAt || startOfDay(slot.createdAt) <= date))
+            .forEach(slot => expected.push({
+                classId: classDoc._id,
+                date,
+                startTime: slot.startTime,
+                endTime: slot.endTime,
+                slot
+            }));
+    }
+
+    return expected;
+};
+
+// Expected lectures of a class with the session that recorded each and a
+// status: 'marked', 'upcoming' (not over yet), 'pending' (over, still
+// editable) or 'missed' (over and past the lock window). A session counts
+// when it was taken for the slot, or on that day at the slot's start time.
+const getSessionCompliance = async (classDoc, range, now = new Date()) => {
+    const expected = await getExpectedSessions(classDoc, range);
+    if (expected.length === 0) return [];
+
+    const sessions = await AttendanceSession.find({
+        classId: classDoc._id,
+        date: { $gte: expected[0].date, $lte: expected[expected.length - 1].date }
+    });
+    const used = new Set();
+
+    const findSession = (lecture, matches) => sessions.find(session => (
+        !used.has(session._id.toString()) && session.date.getTime() === lecture.date.getTime() && matches(session)
+    ));
+
+    return expected.map(lecture => {
+        const session = findSession(lecture, s => s.timetableSlot && s.timetableSlot.equals(lecture.slot._id))
+            || findSession(lecture, s => s.startTime === lecture.startTime);
+        if (session) used.add(session._id.toString());
+
+        let status = 'marked';
+        if (!session) {
+            if (getSessionEnd(lecture) > now) {
+                status = 'upcoming';
+            } else {
+                status = getLockStatus(lecture, classDoc, now).isLocked ? 'missed' : 'pending';
+            }
+        }
+        return { ...lecture, session: session || null, status };
+    });
+};
+
+// Lectures of the last days nobody took attendance for, across classes
+// (a teacher's), newest first
+const getPendingSessions = async (classDocs, { days = PENDING_LOOKBACK_DAYS, now = new Date() } = {}) => {
+    const from = new Date(startOfDay(now).getTime() - (days - 1) * DAY_MS);
+    const pending = [];
+
+    for (const classDoc of classDocs) {
+        const lectures = await getSessionCompliance(classDoc, { from, to: now }, now);
+        lectures
+            .filter(lecture => lecture.status === 'pending' || lecture.status === 'missed')
+            .forEach(lecture => pending.push({ ...lecture, classDoc }));
+    }
+
+    return pending.sort((a, b) => (b.date - a.date) || b.startTime.localeCompare(a.startTime));
+};
+
+const withRate = (counts) => ({
+    ...counts,
+    rate: counts.expected > 0 ? Math.round((counts.marked / counts.expected) * 1000) / 10 : null
+});
+
+// Counts of lectures that were due (over by now): marked and not
+const summarizeCompliance = (lectures) => {
+    const due = lectures.filter(lecture => lecture.status !== 'upcoming');
+    const marked = due.filter(lecture => lecture.status === 'marked').length;
+    return withRate({
+        expected: due.length,
+        marked,
+        unmarked: due.length - marked,
+        missed: due.filter(lecture => lecture.status === 'missed').length
+    });
+};
+
+// Several summaries (e.g. a teacher's classes) added up
+const combineCompliance = (summaries) => withRate(summaries.reduce((total, summary) => ({
+    expected: total.expected + summary.expected,
+    marked: total.marked + summary.marked,
+    unmarked: total.unmarked + summary.unmarked,
+    missed: total.missed + summary.missed
+}), { expected: 0, marked: 0, unmarked: 0, missed: 0 }));
+
+module.exports = {
+    PENDING_LOOKBACK_DAYS,
+    getExpectedSessions,
+    getSessionCompliance,
+    getPendingSessions,
+    summarizeCompliance,
+    combineCompliance
+};
@@ -0,0 +1,180 @@
+const Attendance = require('../models/attendance');
+const Student = require('../models/student');
+const GuardianMessage = require('../models/guardian-message');
+const { ATTENDANCE_THRESHOLDS } = require('../config/attendance-statuses');
+const { GUARDIAN_ALERTS_ENABLED, GUARDIAN_ABSENCE_STREAK } = require('../config/guardian-alerts');
+const { findNewDefaulters } = require('./attendance-stats');
+const { getSmsDriverName, sendSms } = require('./sms');
+const { isEmailEnabled, queueEmail } = require('./email');
+const { PHONE_PATTERN, isValidEmail } = require('../middleware/validation');
+
+const INSTITUTION_NAME = process.env.INSTITUTION_NAME || 'AttendPro';
+
+// Guardian fields from a form; resolves errors instead of throwing
+const parseGuardianInput = (body) => {
+    const guardian = {
+        name: String(body.name || '').trim().slice(0, 100),
+        relationship: String(body.relationship || '').trim().slice(0, 50),
+        phone: String(body.phone || '').trim() || null,
+        email: String(body.email || '').trim().toLowerCase() || null,
+        notifySms: body.notifySms === 'on',
+        notifyEmail: body.notifyEmail === 'on'
+    };
+
+    const errors = [];
+    if (!guardian.phone && !guardian.email) errors.push('Enter a phone number or an email address.');
+    if (guardian.phone && !PHONE_PATTERN.test(guardian.phone)) errors.push('Phone number is not valid.');
+    if (guardian.email && !isValidEmail(guardian.email)) errors.push('Email address is not valid.');
+
+    return { guardian, errors };
+};
+
+// Send one alert to every guardian of a student on each channel they accept.
+// The dedupe key (reason + trigger) keeps an alert from going out twice.
+const sendGuardianAlert = async (student, classDoc, { reason, triggerKey, text, emailSubject }) => {
+    for (const guardian of student.guardians) {
+        const channels = [];
+        if (guardian.notifySms && guardian.phone) channels.push({ channel: 'sms', to: guardian.phone });
+        if (guardian.notifyEmail && guardian.email && isEmailEnabled()) channels.push({ channel: 'email', to: guardian.email });
+
+        for (const { channel, to } of channels) {
+            let message;
+            try {
+                message = await GuardianMessage.create({
+                    studentId: student._id,
+                    classId: classDoc._id,
+                    guardianId: guardian._id,
+                    guardianName: guardian.name,
+                    channel,
+                    to,
+                    reason,
+                    body: text,
+                    driver: channel === 'sms' ? getSmsDriverName() : 'smtp',
+                    dedupeKey: `${reason}:${student._id}:${triggerKey}:${guardian._id}:${channel}`
+                });
+            } catch (error) {
+                if (error.code === 11000) continue;
+                throw error;
+            }
+
+            try {
+                if (channel === 'sms') {
+                    const { providerMessageId } = await sendSms({ to, body: text });
+                    message.status = 'sent';
+                    message.providerMessageId = providerMessageId;
+                } else {
+                    const emailMessage = await queueEmail({
+                        to,
+                        type: 'guardian-alert',
+                        subject: emailSubject,
+                        template: 'guardian-alert',
+                        data: { guardian, student, classDoc, text }
+                    });
+                    message.status = emailMessage ? 'queued' : 'failed';
+                    message.emailMessageId = emailMessage ? emailMessage._id : null;
+                    if (!emailMessage) message.error = 'Email was not queued';
+                }
+            } catch (error) {
+                message.status = 'failed';
+                message.error = error.message;
+            }
+
+            await message.save();
+        }
+    }
+};
+
+const loadStudentWithGuardians = async (studentId) => {
+    const student = await Student.findById(studentId).populate('classId');
+    return student && student.classId && student.guardians.length > 0 ? student : null;
+};
+
+// Students whose last GUARDIAN_ABSENCE_STREAK lectures (by date) are all absences
+// and the one before them was not, so a streak alerts once when it reaches the
+// limit rather than on every further absence.
+const alertAbsenceStreaks = async (changes) => {
+    const studentIds = [...new Set(changes
+        .filter(change => change.newStatus === 'absent')
+        .map(change => change.studentId.toString()))];
+
+    for (const studentId of studentIds) {
+        const student = await loadStudentWithGuardians(studentId);
+        if (!student) continue;
+
+        const recent = await Attendance.find({ studentId })
+            .populate('sessionId', 'date startTime')
+            .sort({ date: -1 })
+            .limit(GUARDIAN_ABSENCE_STREAK * 2);
+
+        recent.sort((a, b) => {
+            const byDate = b.date - a.date;
+            if (byDate !== 0 || !a.sessionId || !b.sessionId) return byDate;
+            return b.sessionId.startTime.localeCompare(a.sessionId.startTime);
+        });
+
+        const streak = recent.slice(0, GUARDIAN_ABSENCE_STREAK);
+        if (streak.length < GUARDIAN_ABSENCE_STREAK || streak.some(mark => mark.status !== 'absent')) continue;
+
+        const markBefore = recent[GUARDIAN_ABSENCE_STREAK];
+        if (markBefore && markBefore.status === 'absent') continue;
+
+        const firstAbsence = streak[streak.length - 1];
+        const classDoc = student.classId;
+
+        await sendGuardianAlert(student, classDoc, {
+            reason: 'absence-streak',
+            triggerKey: firstAbsence.sessionId ? firstAbsence.sessionId._id.toString() : firstAbsence._id.toString(),
+            text: `${INSTITUTION_NAME}: ${student.NAME} (Roll ${student.ROLLNO}) has been absent from the last ${GUARDIAN_ABSENCE_STREAK} ${classDoc.CLASSNAME} lectures, since ${new Date(firstAbsence.date).toDateString()}.`,
+            emailSubject: `${student.NAME} has missed ${GUARDIAN_ABSENCE_STREAK} lectures in a row`
+        });
+    }
+};
+
+// Students the changes took below the defaulter threshold; at most one alert a day
+const alertNewDefaulters = async (changes) => {
+    const today = new Date().toISOString().slice(0, 10);
+
+    for (const { studentId, current } of await findNewDefaulters(changes)) {
+        const student = await loadStudentWithGuardians(studentId);
+        if (!student) continue;
+
+        const classDoc = student.classId;
+        await sendGuardianAlert(student, classDoc, {
+            reason: 'low-attendance',
+            triggerKey: today,
+            text: `${INSTITUTION_NAME}: ${student.NAME}'s attendance in ${classDoc.CLASSNAME} has dropped to ${Number(current.percentage)}%, below the required ${ATTENDANCE_THRESHOLDS.good}%.`,
+            emailSubject: `${student.NAME}'s attendance is below ${ATTENDANCE_THRESHOLDS.good}%`
+        });
+    }
+};
+
+// Alerts never fail (or slow down) the request that triggered them
+const runInBackground = (label, task) => {
+    task().catch(error => {
+        console.error(`Guardian ${label} alert error:`, error);
+    });
+};
+
+// Called with the audit entries of every attendance write
+const alertGuardians = (changes) => {
+    if (!GUARDIAN_ALERTS_ENABLED || changes.length === 0) return;
+
+    runInBackground('absence-streak', () => alertAbsenceStreaks(changes));
+    runInBackground('low-attendance', () => alertNewDefaulters(changes));
+};
+
+// Messages sent to a student's guardians, newest first
+const getGuardianMessages = (filter, { limit = 50, skip = 0 } = {}) => {
+    return GuardianMessage.find(filter)
+        .populate('studentId', 'NAME ROLLNO')
+        .populate('classId', 'CLASSNAME SUBJECT')
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(limit);
+};
+
+module.exports = {
+    parseGuardianInput,
+    alertGuardians,
+    getGuardianMessages
+};
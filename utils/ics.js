@@ -0,0 +1,117 @@
+// Minimal RFC 5545 iCalendar reading and writing (folded lines, escaped text,
+// property parameters). Only what timetable feeds and imports need.
+
+// Escape a TEXT value (SUMMARY, LOCATION, DESCRIPTION...)
+const escapeIcsText = (value) => String(value === null || value === undefined ? '' : value)
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+
+const unescapeIcsText = (value) => String(value || '').replace(/\\([\\;,nN])/g, (match, char) => (
+    char === 'n' || char === 'N' ? '\n' : char
+));
+
+// Lines longer than 75 octets continue on the next line after a space
+const foldLine = (line) => {
+    const parts = [];
+    let current = '';
+    let octets = 0;
+
+    for (const char of line) {
+        const size = Buffer.byteLength(char);
+        if (octets + size > (parts.length === 0 ? 75 : 74)) {
+            parts.push(current);
+            current = '';
+            octets = 0;
+        }
+        current += char;
+        octets += size;
+    }
+    parts.push(current);
+
+    return parts.join('\r\n ');
+};
+
+// Serialize lines (e.g. 'SUMMARY:Maths') with folding and CRLF line endings
+const toIcs = (lines) => lines.map(foldLine).join('\r\n') + '\r\n';
+
+const pad = (number) => String(number).padStart(2, '0');
+
+// Wall-clock DATE-TIME from a day (midnight UTC) and an HH:MM time, e.g. 20261019T090000
+const formatIcsDateTime = (day, time) => {
+    const date = new Date(day);
+    return `${date.getUTCFullYear()}${pad(date.getUTCMonth() + 1)}${pad(date.getUTCDate())}T${time.replace(':', '')}00`;
+};
+
+// UTC DATE-TIME, e.g. 20261019T083000Z (DTSTAMP)
+const formatIcsTimestamp = (date) => new Date(date).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+
+// Split 'NAME;PARAM=value;PARAM="a:b":VALUE' at the first colon outside quotes
+const parseContentLine = (line) => {
+    let inQuotes = false;
+    let colon = -1;
+    for (let i = 0; i < line.length; i++) {
+        if (line[i] === '"') inQuotes = !inQuotes;
+        if (line[i] === ':' && !inQuotes) {
+            colon = i;
+            break;
+        }
+    }
+    if (colon < 0) return null;
+
+    const [name, ...params] = line.slice(0, colon).split(';');
+    return {
+        name: name.toUpperCase(),
+        params: Object.fromEntries(params.map(param => {
+            const [key, ...value] = param.split('=');
+            return [key.toUpperCase(), value.join('=').replace(/^"|"$/g, '')];
+        })),
+        value: line.slice(colon + 1)
+    };
+};
+
+// Components of a calendar by type, e.g. parseIcs(text).VEVENT. Each
+// component is an object of properties by name; a property is a list of
+// { params, value } (raw values, TEXT is not unescaped).
+const parseIcs = (text) => {
+    const input = text.charCodeAt(0) === 0xFEFF ? text.slice(1) : text;
+    const lines = input.replace(/\r\n|\r/g, '\n').replace(/\n[ \t]/g, '').split('\n');
+
+    if (!/^BEGIN:VCALENDAR$/i.test((lines.find(line => line.trim() !== '') || '').trim())) {
+        throw new Error('This is not an iCalendar (.ics) file.');
+    }
+
+    const components = {};
+    const stack = [];
+
+    lines.forEach(line => {
+        const property = parseContentLine(line.trim());
+        if (!property) return;
+
+        if (property.name === 'BEGIN') {
+            stack.push({ type: property.value.toUpperCase(), properties: {} });
+        } else if (property.name === 'END') {
+            const component = stack.pop();
+            if (component && stack.length > 0) {
+                if (!components[component.type]) components[component.type] = [];
+                components[component.type].push(component.properties);
+            }
+        } else if (stack.length > 0) {
+            const { properties } = stack[stack.length - 1];
+            if (!properties[property.name]) properties[property.name] = [];
+            properties[property.name].push({ params: property.params, value: property.value });
+        }
+    });
+
+    return components;
+};
+
+module.exports = {
+    escapeIcsText,
+    unescapeIcsText,
+    toIcs,
+    formatIcsDateTime,
+    formatIcsTimestamp,
+    parseIcs
+};
@@ -0,0 +1,60 @@
+const LeaveRequest = require('../models/leave-request');
+const { replaceAttendanceStatus } = require('./attendance-audit');
+
+// Inclusive day range covered by a leave request
+const getLeaveRange = (leaveRequest) => {
+    const from = new Date(leaveRequest.fromDate);
+    from.setUTCHours(0, 0, 0, 0);
+    const to = new Date(leaveRequest.toDate);
+    to.setUTCHours(23, 59, 59, 999);
+    return { from, to };
+};
+
+// Turn absences inside an approved leave into excused marks.
+// Marks where the student actually turned up, or in locked sessions, are left alone.
+// Resolves to { updatedCount, lockedCount }.
+const applyApprovedLeave = async (leaveRequest, reviewer) => {
+    const { from, to } = getLeaveRange(leaveRequest);
+
+    return replaceAttendanceStatus(
+        {
+            studentId: { $in: leaveRequest.students },
+            date: { $gte: from, $lte: to }
+        },
+        'absent',
+        'excused',
+        { actor: reviewer, source: 'leave' }
+    );
+};
+
+// Ids (as strings) of the given students who have approved leave on a date
+const getStudentsOnLeave = async (studentIds, date) => {
+    const day = new Date(date);
+    const startOfDay = new Date(day);
+    startOfDay.setUTCHours(0, 0, 0, 0);
+    const endOfDay = new Date(day);
+    endOfDay.setUTCHours(23, 59, 59, 999);
+
+    const leaves = await LeaveRequest.find({
+        students: { $in: studentIds },
+        status: 'approved',
+        fromDate: { $lte: endOfDay },
+        toDate: { $gte: startOfDay }
+    }).select('students');
+
+    const wanted = new Set(studentIds.map(id => id.toString()));
+    const onLeave = new Set();
+    leaves.forEach(leave => {
+        leave.students.forEach(id => {
+            if (wanted.has(id.toString())) onLeave.add(id.toString());
+        });
+    });
+
+    return onLeave;
+};
+
+module.exports = {
+    getLeaveRange,
+    applyApprovedLeave,
+    getStudentsOnLeave
+};
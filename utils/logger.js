@@ -199,6 +199,24 @@ const logAdminAction = (action, details, req) => {
     securityLogger.info('Admin Action', adminEvent);
 };
 
+// Attendance change logger (every entry appended to the attendance audit trail)
+const logAttendanceChange = (change) => {
+    const attendanceEvent = {
+        sessionId: change.sessionId,
+        studentId: change.studentId,
+        classId: change.classId,
+        oldStatus: change.oldStatus,
+        newStatus: change.newStatus,
+        source: change.source,
+        actorId: change.actor,
+        actorName: change.actorName,
+        timestamp: new Date().toISOString()
+    };
+
+    logger.info(`📝 Attendance Change: ${change.oldStatus || 'unmarked'} -> ${change.newStatus}`, attendanceEvent);
+    securityLogger.info('Attendance Change', attendanceEvent);
+};
+
 // Database operation logger
 const logDatabaseOperation = (operation, collection, details = {}) => {
     const dbEvent = {
@@ -272,8 +290,8 @@ const cleanupLogs = () => {
     });
 };
 
-// Run cleanup once a day
-setInterval(cleanupLogs, 24 * 60 * 60 * 1000);
+// Run cleanup once a day (without keeping scripts and tests alive)
+setInterval(cleanupLogs, 24 * 60 * 60 * 1000).unref();
 
 module.exports = {
     logger,
@@ -282,6 +300,7 @@ module.exports = {
     logSecurityEvent,
     logAuthEvent,
     logAdminAction,
+    logAttendanceChange,
     logDatabaseOperation,
     logError,
     logPerformance,
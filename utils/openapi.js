@@ -0,0 +1,473 @@
+// OpenAPI 3 document built from the app itself: paths and methods come from the
+// Express router, parameters and request bodies from the express-validator chains
+// on each route, and response shapes from the describeRoute() marker next to them.
+const OBJECT_ID = { type: 'string', pattern: '^[0-9a-fA-F]{24}$' };
+
+// ====================== SCHEMA HELPERS ====================== //
+
+// Closed object: extra properties count as drift
+const objectSchema = (properties, required = Object.keys(properties)) => ({
+    type: 'object',
+    properties,
+    ...(required.length > 0 && { required }),
+    additionalProperties: false
+});
+
+const arraySchema = (items) => ({ type: 'array', items });
+
+const nullable = (schema) => ({ ...schema, nullable: true });
+
+// Property schemas for some paths of a Mongoose model
+const modelProperties = (Model, paths) => {
+    const properties = {};
+
+    paths.forEach(pathName => {
+        const schemaType = Model.schema.path(pathName);
+        const describe = (type) => {
+            switch (type.instance) {
+            case 'ObjectId': return { ...OBJECT_ID };
+            case 'Number': return { type: 'number' };
+            case 'Boolean': return { type: 'boolean' };
+            case 'Date': return { type: 'string', format: 'date-time' };
+            case 'Array':
+                // Arrays of subdocuments are described from their own schema
+                if (type.schema) {
+                    const subPaths = Object.keys(type.schema.paths).filter(subPath => subPath !== '__v');
+                    const required = subPaths.filter(subPath => subPath === '_id' || type.schema.path(subPath).isRequired);
+                    return arraySchema(objectSchema(modelProperties({ schema: type.schema }, subPaths), required));
+                }
+                return arraySchema(describe(type.caster || type.embeddedSchemaType));
+            default: {
+                const schema = { type: 'string' };
+                if (type.enumValues && type.enumValues.length > 0) schema.enum = type.enumValues;
+                return schema;
+            }
+            }
+        };
+
+        const property = describe(schemaType);
+        const defaultValue = schemaType.defaultValue;
+        properties[pathName] = !schemaType.isRequired || defaultValue === null ? nullable(property) : property;
+    });
+
+    return properties;
+};
+
+// { success: true, data } as returned by /api/v1
+const dataEnvelope = (dataSchema) => objectSchema({
+    success: { type: 'boolean', enum: [true] },
+    data: dataSchema
+});
+
+const paginatedEnvelope = (itemSchema) => objectSchema({
+    success: { type: 'boolean', enum: [true] },
+    data: arraySchema(itemSchema),
+    pagination: objectSchema({
+        page: { type: 'integer' },
+        limit: { type: 'integer' },
+        total: { type: 'integer' },
+        totalPages: { type: 'integer' }
+    })
+});
+
+// formatErrorResponse() in middleware/error-handler.js
+const ERROR_ENVELOPE = objectSchema({
+    success: { type: 'boolean', enum: [false] },
+    error: {
+        type: 'object',
+        properties: {
+            message: { type: 'string' },
+            statusCode: { type: 'integer' },
+            type: { type: 'string' },
+            details: arraySchema({ type: 'object' }),
+            timestamp: { type: 'string', format: 'date-time' },
+            path: { type: 'string' },
+            method: { type: 'string' },
+            requestId: { type: 'string' }
+        },
+        required: ['message', 'statusCode']
+    }
+});
+
+// handleValidationErrors() answer to JSON requests outside /api
+const VALIDATION_FAILED = objectSchema({
+    error: { type: 'string' },
+    details: arraySchema({ type: 'object' })
+}, ['error']);
+
+// { error } as answered by the older JSON routes
+const LEGACY_ERROR = objectSchema({ error: { type: 'string' } });
+
+// ====================== ROUTE MARKER ====================== //
+
+// No-op middleware carrying a route's documentation. Only routes with one are
+// published. doc: { summary, description, tags, responses: { <status>: { description, schema, contentTypes } } }
+const describeRoute = (doc) => {
+    const marker = (req, res, next) => next();
+    marker.openapi = doc;
+    return marker;
+};
+
+// ====================== GENERATION ====================== //
+
+// Middleware names that imply an authentication scheme
+const SECURITY_BY_MIDDLEWARE = {
+    requireAuth: [{ sessionCookie: [] }],
+    requireApiToken: [{ bearerToken: [] }, { apiKeyHeader: [] }]
+};
+
+const ROLE_BY_MIDDLEWARE = {
+    requireServerAdmin: 'server-wide admin',
+    requireTeacher: 'staff',
+    requireStudent: 'student',
+    requireStudentOrTeacher: 'student or teacher'
+};
+
+// express-validator rule -> JSON schema keywords
+const applyRule = (schema, item) => {
+    const [options] = item.options || [];
+
+    switch (item.validator && item.validator.name) {
+    case 'isInt':
+        schema.type = 'integer';
+        if (options && options.min !== undefined) schema.minimum = options.min;
+        if (options && options.max !== undefined) schema.maximum = options.max;
+        break;
+    case 'isFloat':
+        schema.type = 'number';
+        break;
+    case 'isBoolean':
+        schema.type = 'boolean';
+        break;
+    case 'isLength':
+        if (options && options.min !== undefined) schema.minLength = options.min;
+        if (options && options.max !== undefined) schema.maxLength = options.max;
+        break;
+    case 'notEmpty':
+        schema.minLength = Math.max(schema.minLength || 0, 1);
+        break;
+    case 'matches':
+        schema.pattern = item.options[0];
+        break;
+    case 'isEmail':
+        schema.format = 'email';
+        break;
+    case 'isISO8601':
+        schema.format = 'date';
+        break;
+    case 'isMongoId':
+        Object.assign(schema, OBJECT_ID);
+        break;
+    case 'isIn':
+        schema.enum = options;
+        break;
+    case 'isArray':
+        schema.type = 'array';
+        schema.items = schema.items || {};
+        if (options && options.min !== undefined) schema.minItems = options.min;
+        if (options && options.max !== undefined) schema.maxItems = options.max;
+        break;
+    default:
+        break;
+    }
+
+    if (item.message && typeof item.message === 'string' && !schema.description) {
+        schema.description = item.message;
+    }
+};
+
+// Field, location, optionality and schema of one validator chain
+const describeChain = (chain) => {
+    const context = chain.builder.build();
+    const schema = { type: 'string' };
+    context.stack.forEach(item => {
+        if (item.constructor.name === 'StandardValidation' && !item.negated) applyRule(schema, item);
+    });
+
+    return context.fields.map(field => ({
+        field,
+        locations: context.locations,
+        required: context.optional === false,
+        schema: { ...schema }
+    }));
+};
+
+// Place "students.*.NAME" style fields into a body object schema
+const addBodyField = (bodySchema, field, schema, required) => {
+    const parts = field.split('.');
+    let target = bodySchema;
+
+    parts.forEach((part, index) => {
+        const isLast = index === parts.length - 1;
+        if (part === '*') {
+            target.type = 'array';
+            target.items = target.items && target.items.type ? target.items : { type: 'object', properties: {}, required: [] };
+            target = target.items;
+            return;
+        }
+
+        target.properties = target.properties || {};
+        target.required = target.required || [];
+        if (isLast) {
+            const existing = target.properties[part] || {};
+            target.properties[part] = { ...existing, ...schema };
+            // Keep item schemas added by "field.*" chains
+            if (existing.items && existing.items.type) target.properties[part].items = existing.items;
+        } else {
+            target.properties[part] = target.properties[part] || { type: 'object', properties: {}, required: [] };
+        }
+        if (required && !target.required.includes(part)) target.required.push(part);
+        target = target.properties[part];
+    });
+};
+
+// OpenAPI 3.0 does not allow "required: []"
+const dropEmptyRequired = (schema) => {
+    if (schema.required && schema.required.length === 0) delete schema.required;
+    Object.values(schema.properties || {}).forEach(dropEmptyRequired);
+    if (schema.items) dropEmptyRequired(schema.items);
+};
+
+// "/classdetail/:id/qrcode" -> "/classdetail/{id}/qrcode"; also strips inline patterns like ":decision(approve|reject)"
+const toOpenApiPath = (expressPath) => expressPath.replace(/:(\w+)(\([^)]*\))?/g, '{$1}');
+
+// Mount path of a router layer, e.g. /^\/api\/v1\/?(?=\/|$)/i -> "/api/v1"
+const getMountPath = (layer) => {
+    if (layer.regexp.fast_slash) return '';
+    return layer.regexp.source
+        .replace('^\\/', '/')
+        .replace('\\/?(?=\\/|$)', '')
+        .replace(/\\\//g, '/');
+};
+
+const buildOperation = (route, method, prefix, inheritedSecurity) => {
+    const handles = route.stack.map(layer => layer.handle);
+    const doc = handles.find(handle => handle.openapi).openapi;
+    const fullPath = prefix + route.path;
+
+    const operation = {
+        summary: doc.summary,
+        tags: doc.tags || [],
+        parameters: [],
+        responses: {}
+    };
+
+    const notes = [];
+    if (doc.description) notes.push(doc.description);
+
+    let security = inheritedSecurity;
+    const bodySchema = { type: 'object', properties: {}, required: [] };
+    let hasValidators = false;
+
+    handles.forEach(handle => {
+        if (SECURITY_BY_MIDDLEWARE[handle.name]) security = SECURITY_BY_MIDDLEWARE[handle.name];
+        if (ROLE_BY_MIDDLEWARE[handle.name]) notes.push(`Requires the ${ROLE_BY_MIDDLEWARE[handle.name]} role.`);
+        if (handle.permissions) notes.push(`Requires the ${handle.permissions.map(permission => `\`${permission}\``).join(', ')} permission.`);
+        if (handle.scope) notes.push(`Token scope: \`${handle.scope}\`.`);
+        if (!handle.builder) return;
+
+        hasValidators = true;
+        describeChain(handle).forEach(({ field, locations, required, schema }) => {
+            const location = locations[0];
+            if (location === 'body') {
+                addBodyField(bodySchema, field, schema, required);
+            } else if (location === 'params' || location === 'query') {
+                const description = schema.description;
+                delete schema.description;
+                operation.parameters.push({
+                    name: field,
+                    in: location === 'params' ? 'path' : 'query',
+                    required: location === 'params' || required,
+                    description,
+                    schema
+                });
+            }
+        });
+    });
+
+    // Path parameters without a validator
+    (fullPath.match(/:(\w+)/g) || []).forEach(match => {
+        const name = match.slice(1);
+        if (!operation.parameters.some(param => param.in === 'path' && param.name === name)) {
+            const inline = fullPath.match(new RegExp(`:${name}\\(([^)]*)\\)`));
+            operation.parameters.push({
+                name,
+                in: 'path',
+                required: true,
+                schema: inline ? { type: 'string', enum: inline[1].split('|') } : { type: 'string' }
+            });
+        }
+    });
+
+    (doc.query || []).forEach(param => operation.parameters.push({ in: 'query', required: false, ...param }));
+
+    if (Object.keys(bodySchema.properties).length > 0) {
+        dropEmptyRequired(bodySchema);
+        operation.requestBody = {
+            required: true,
+            content: {
+                'application/json': { schema: bodySchema },
+                'application/x-www-form-urlencoded': { schema: bodySchema }
+            }
+        };
+    }
+
+    Object.entries(doc.responses).forEach(([status, response]) => {
+        const content = {};
+        if (response.schema) content['application/json'] = { schema: response.schema };
+        (response.contentTypes || []).forEach(type => {
+            content[type] = { schema: { type: 'string', format: 'binary' } };
+        });
+        operation.responses[status] = { description: response.description || 'OK' };
+        if (Object.keys(content).length > 0) operation.responses[status].content = content;
+    });
+
+    // Error answers shared by every route of a kind
+    const isApiRoute = fullPath.startsWith('/api/');
+    if (isApiRoute) {
+        operation.responses.default = {
+            description: 'Error',
+            content: { 'application/json': { schema: ERROR_ENVELOPE } }
+        };
+    } else if (hasValidators && !operation.responses['400']) {
+        operation.responses['400'] = {
+            description: 'Validation failed (JSON when the request accepts application/json)',
+            content: { 'application/json': { schema: VALIDATION_FAILED } }
+        };
+    }
+
+    if (security.length > 0) operation.security = security;
+    if (notes.length > 0) operation.description = notes.join(' ');
+    if (operation.parameters.length === 0) delete operation.parameters;
+
+    return { path: toOpenApiPath(fullPath), method, operation };
+};
+
+// Walk the router stack (and mounted routers) collecting documented routes
+const collectOperations = (stack, prefix = '', inheritedSecurity = []) => {
+    const operations = [];
+    let security = inheritedSecurity;
+
+    stack.forEach(layer => {
+        if (layer.route) {
+            const documented = layer.route.stack.some(routeLayer => routeLayer.handle.openapi);
+            if (!documented) return;
+
+            Object.keys(layer.route.methods).forEach(method => {
+                operations.push(buildOperation(layer.route, method, prefix, security));
+            });
+        } else if (layer.handle && layer.handle.stack) {
+            operations.push(...collectOperations(layer.handle.stack, prefix + getMountPath(layer), security));
+        } else if (layer.handle && SECURITY_BY_MIDDLEWARE[layer.handle.name]) {
+            // router.use(requireApiToken) protects everything after it
+            security = SECURITY_BY_MIDDLEWARE[layer.handle.name];
+        }
+    });
+
+    return operations;
+};
+
+const buildOpenApiSpec = (app, { title, version, description }) => {
+    const paths = {};
+    collectOperations(app._router.stack).forEach(({ path, method, operation }) => {
+        paths[path] = paths[path] || {};
+        paths[path][method] = operation;
+    });
+
+    return {
+        openapi: '3.0.3',
+        info: { title, version, description },
+        servers: [{ url: '/' }],
+        paths,
+        components: {
+            securitySchemes: {
+                sessionCookie: { type: 'apiKey', in: 'cookie', name: 'connect.sid', description: 'Browser session from /login' },
+                bearerToken: { type: 'http', scheme: 'bearer', description: 'Personal access token from /account/api-tokens' },
+                apiKeyHeader: { type: 'apiKey', in: 'header', name: 'X-API-Key', description: 'Personal access token from /account/api-tokens' }
+            }
+        }
+    };
+};
+
+// ====================== DRIFT DETECTION ====================== //
+
+const typeOf = (value) => {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'array';
+    if (Number.isInteger(value)) return 'integer';
+    return typeof value;
+};
+
+// Ways a value does not match a schema (the subset of OpenAPI used above)
+const findSchemaErrors = (schema, value, where = 'body') => {
+    if (!schema) return [];
+
+    const actual = typeOf(value);
+    if (actual === 'null') {
+        return schema.nullable || !schema.type ? [] : [`${where} is null`];
+    }
+
+    if (schema.type) {
+        const matches = schema.type === actual || (schema.type === 'number' && actual === 'integer');
+        if (!matches) return [`${where} should be ${schema.type} but is ${actual}`];
+    }
+
+    const errors = [];
+    if (schema.enum && !schema.enum.includes(value)) {
+        errors.push(`${where} should be one of ${schema.enum.join(', ')}`);
+    }
+
+    if (actual === 'object' && schema.properties) {
+        (schema.required || []).forEach(key => {
+            if (!(key in value)) errors.push(`${where}.${key} is missing`);
+        });
+        Object.entries(value).forEach(([key, propertyValue]) => {
+            if (schema.properties[key]) {
+                errors.push(...findSchemaErrors(schema.properties[key], propertyValue, `${where}.${key}`));
+            } else if (schema.additionalProperties === false) {
+                errors.push(`${where}.${key} is not in the spec`);
+            }
+        });
+    }
+
+    if (actual === 'array' && schema.items) {
+        value.forEach((item, index) => errors.push(...findSchemaErrors(schema.items, item, `${where}[${index}]`)));
+    }
+
+    return errors;
+};
+
+// Problems with one JSON response, or [] when it matches (or the route is undocumented)
+const checkResponse = (spec, method, expressPath, statusCode, body) => {
+    const pathItem = spec.paths[toOpenApiPath(expressPath)];
+    const operation = pathItem && pathItem[method.toLowerCase()];
+    if (!operation) return [];
+
+    const response = operation.responses[statusCode] || operation.responses.default;
+    if (!response) {
+        return [`status ${statusCode} is not documented`];
+    }
+
+    const jsonContent = response.content && response.content['application/json'];
+    if (!jsonContent) {
+        return [`status ${statusCode} is not documented as JSON`];
+    }
+
+    return findSchemaErrors(jsonContent.schema, JSON.parse(JSON.stringify(body)));
+};
+
+module.exports = {
+    OBJECT_ID,
+    ERROR_ENVELOPE,
+    LEGACY_ERROR,
+    objectSchema,
+    arraySchema,
+    nullable,
+    modelProperties,
+    dataEnvelope,
+    paginatedEnvelope,
+    describeRoute,
+    buildOpenApiSpec,
+    checkResponse,
+    toOpenApiPath
+};
@@ -0,0 +1,72 @@
+const crypto = require('crypto');
+const User = require('../models/user');
+const PasswordResetToken = require('../models/password-reset-token');
+const { EMAIL_SETTINGS } = require('../config/email');
+
+// How long a reset link works
+const PASSWORD_RESET_TTL_MINUTES = parseInt(process.env.PASSWORD_RESET_TTL_MINUTES) || 30;
+
+const hashResetToken = (token) => crypto.createHash('sha256').update(String(token)).digest('hex');
+
+// Links use BASE_URL rather than the request's Host header, which a caller controls
+const getPasswordResetUrl = (token) => `${EMAIL_SETTINGS.baseUrl}/reset-password/${encodeURIComponent(token)}`;
+
+// New reset token for a user; earlier unused links stop working.
+// The raw token is returned once and never stored.
+const createPasswordResetToken = async (user, requestedIp = null) => {
+    await PasswordResetToken.deleteMany({ userId: user._id, usedAt: null });
+
+    const token = crypto.randomBytes(32).toString('base64url');
+    await PasswordResetToken.create({
+        userId: user._id,
+        tokenHash: hashResetToken(token),
+        expiresAt: new Date(Date.now() + PASSWORD_RESET_TTL_MINUTES * 60 * 1000),
+        requestedIp
+    });
+
+    return token;
+};
+
+// Unused, unexpired token (with its active owner) for a raw token
+const findValidResetToken = async (token) => {
+    if (!token) return null;
+
+    const resetToken = await PasswordResetToken.findOne({
+        tokenHash: hashResetToken(token),
+        usedAt: null,
+        expiresAt: { $gt: new Date() }
+    }).populate('userId');
+
+    return resetToken && resetToken.userId && resetToken.userId.ISACTIVE ? resetToken : null;
+};
+
+// Set the new password and sign the user out everywhere. The token is claimed
+// atomically, so a link used twice at once still changes the password once.
+// Resolves to the user, or null when the token was no longer valid.
+const resetPassword = async (token, newPassword) => {
+    const resetToken = await PasswordResetToken.findOneAndUpdate(
+        { tokenHash: hashResetToken(token), usedAt: null, expiresAt: { $gt: new Date() } },
+        { $set: { usedAt: new Date() } },
+        { new: true }
+    );
+    if (!resetToken) return null;
+
+    const user = await User.findById(resetToken.userId);
+    if (!user || !user.ISACTIVE) return null;
+
+    user.PASSWORD = newPassword;
+    user.sessionVersion = (user.sessionVersion || 0) + 1;
+    await user.save();
+
+    await PasswordResetToken.deleteMany({ userId: user._id, usedAt: null });
+
+    return user;
+};
+
+module.exports = {
+    PASSWORD_RESET_TTL_MINUTES,
+    getPasswordResetUrl,
+    createPasswordResetToken,
+    findValidResetToken,
+    resetPassword
+};
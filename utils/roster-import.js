@@ -0,0 +1,162 @@
+const path = require('path');
+const mongoose = require('mongoose');
+const ExcelJS = require('exceljs');
+const Student = require('../models/student');
+const { parseCsv } = require('./csv');
+const { runAllOrNothing } = require('./transactions');
+const { PHONE_PATTERN, isValidEmail } = require('../middleware/validation');
+
+const MAX_IMPORT_ROWS = 1000;
+
+// Student fields a roster column can be mapped to
+const ROSTER_FIELDS = [
+    { key: 'NAME', label: 'Name', required: true, aliases: ['name', 'student name', 'full name', 'student'] },
+    { key: 'ROLLNO', label: 'Roll Number', required: true, aliases: ['rollno', 'roll no', 'roll number', 'roll', 'roll_no'] },
+    { key: 'EMAIL', label: 'Email', required: false, aliases: ['email', 'email address', 'e-mail', 'mail'] },
+    { key: 'PHONE', label: 'Phone', required: false, aliases: ['phone', 'mobile', 'phone number', 'contact', 'student phone'] },
+    { key: 'PARENTPHONE', label: 'Parent Phone', required: false, aliases: ['parentphone', 'parent phone', 'guardian phone', 'parent mobile', 'parent contact'] }
+];
+
+// Read an uploaded CSV or XLSX file into { headers, rows } (rows are arrays of strings)
+const readRosterFile = async (file) => {
+    const extension = path.extname(file.originalname).toLowerCase();
+    let table;
+
+    if (extension === '.csv') {
+        table = parseCsv(file.buffer.toString('utf8'));
+    } else if (extension === '.xlsx') {
+        const workbook = new ExcelJS.Workbook();
+        await workbook.xlsx.load(file.buffer);
+        const worksheet = workbook.worksheets[0];
+        if (!worksheet) {
+            throw new Error('The workbook has no worksheets.');
+        }
+
+        table = [];
+        worksheet.eachRow({ includeEmpty: false }, (row) => {
+            const values = [];
+            for (let col = 1; col <= worksheet.columnCount; col++) {
+                values.push(row.getCell(col).text || '');
+            }
+            table.push(values);
+        });
+    } else {
+        throw new Error('Roster must be a .csv or .xlsx file.');
+    }
+
+    if (table.length < 2) {
+        throw new Error('The roster needs a header row and at least one student.');
+    }
+
+    if (table.length - 1 > MAX_IMPORT_ROWS) {
+        throw new Error(`A roster can have at most ${MAX_IMPORT_ROWS} students.`);
+    }
+
+    const headers = table[0].map((header, index) => header.trim() || `Column ${index + 1}`);
+    const rows = table.slice(1).map(row => headers.map((_, index) => (row[index] || '').trim()));
+
+    return { headers, rows };
+};
+
+// Best guess column index per field, from the header names
+const guessMapping = (headers) => {
+    const normalized = headers.map(header => header.toLowerCase().replace(/[_.]/g, ' ').trim());
+    const mapping = {};
+
+    ROSTER_FIELDS.forEach(field => {
+        const index = normalized.findIndex(header => field.aliases.includes(header));
+        mapping[field.key] = index >= 0 ? index : null;
+    });
+
+    return mapping;
+};
+
+// Validate every row against the mapping and the students already in the class.
+// Returns one entry per row: { rowNumber, values, errors }
+const validateRoster = async (classId, rows, mapping) => {
+    const existingRollNos = new Set(
+        (await Student.find({ classId }).distinct('ROLLNO')).map(rollNo => String(rollNo))
+    );
+
+    const mappingErrors = ROSTER_FIELDS
+        .filter(field => field.required && (mapping[field.key] === null || mapping[field.key] === undefined))
+        .map(field => `Map a column to ${field.label}.`);
+
+    const seenRollNos = new Map();
+
+    const preview = rows.map((row, index) => {
+        const values = {};
+        ROSTER_FIELDS.forEach(field => {
+            const column = mapping[field.key];
+            values[field.key] = column === null || column === undefined ? '' : (row[column] || '');
+        });
+
+        const errors = [];
+        if (!values.NAME) errors.push('Name is missing');
+
+        if (!values.ROLLNO) {
+            errors.push('Roll number is missing');
+        } else if (!/^\d+$/.test(values.ROLLNO)) {
+            errors.push('Roll number must be a whole number');
+        } else {
+            const rollNo = String(Number(values.ROLLNO));
+            if (existingRollNos.has(rollNo)) {
+                errors.push(`Roll number ${rollNo} is already in this class`);
+            }
+            if (seenRollNos.has(rollNo)) {
+                errors.push(`Duplicate roll number (also on row ${seenRollNos.get(rollNo)})`);
+            } else {
+                seenRollNos.set(rollNo, index + 2);
+            }
+        }
+
+        if (values.EMAIL && !isValidEmail(values.EMAIL)) errors.push('Email is not valid');
+        if (values.PHONE && !PHONE_PATTERN.test(values.PHONE)) errors.push('Phone is not valid');
+        if (values.PARENTPHONE && !PHONE_PATTERN.test(values.PARENTPHONE)) errors.push('Parent phone is not valid');
+
+        // Row numbers match the spreadsheet (row 1 is the header)
+        return { rowNumber: index + 2, values, errors };
+    });
+
+    return {
+        mappingErrors,
+        preview,
+        errorCount: preview.filter(row => row.errors.length > 0).length,
+        isValid: mappingErrors.length === 0 && preview.every(row => row.errors.length === 0)
+    };
+};
+
+// Insert every validated row or none of them
+const commitRoster = async (classId, preview) => {
+    const documents = preview.map(row => {
+        const doc = {
+            _id: new mongoose.Types.ObjectId(),
+            NAME: row.values.NAME,
+            ROLLNO: Number(row.values.ROLLNO),
+            classId,
+            CLASSES: [classId]
+        };
+        if (row.values.EMAIL) doc.EMAIL = row.values.EMAIL;
+        if (row.values.PHONE) doc.PHONE = row.values.PHONE;
+        if (row.values.PARENTPHONE) {
+            doc.PARENTPHONE = row.values.PARENTPHONE;
+            doc.guardians = [{ relationship: 'Parent', phone: row.values.PARENTPHONE }];
+        }
+        return doc;
+    });
+
+    await runAllOrNothing(
+        session => Student.insertMany(documents, { session, ordered: true }),
+        () => Student.deleteMany({ _id: { $in: documents.map(doc => doc._id) } })
+    );
+    return documents.length;
+};
+
+module.exports = {
+    MAX_IMPORT_ROWS,
+    ROSTER_FIELDS,
+    readRosterFile,
+    guessMapping,
+    validateRoster,
+    commitRoster
+};
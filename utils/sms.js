@@ -0,0 +1,81 @@
+const fs = require('fs');
+const path = require('path');
+const { SMS_SETTINGS } = require('../config/sms');
+
+const readErrorBody = async (response) => {
+    const text = await response.text();
+    return `${response.status} ${text.slice(0, 200)}`.trim();
+};
+
+// Each driver takes { from, to, body } and resolves to { providerMessageId }
+// (null when the gateway gives none), or throws when the message was not accepted
+const SMS_DRIVERS = {
+    console: async ({ to, body }) => {
+        console.log(`📱 SMS to ${to}: ${body}`);
+        return { providerMessageId: null };
+    },
+
+    file: async ({ from, to, body }) => {
+        await fs.promises.mkdir(path.dirname(SMS_SETTINGS.filePath), { recursive: true });
+        await fs.promises.appendFile(SMS_SETTINGS.filePath, JSON.stringify({ at: new Date().toISOString(), from, to, body }) + '\n');
+        return { providerMessageId: null };
+    },
+
+    http: async ({ from, to, body }) => {
+        if (!SMS_SETTINGS.http.url) throw new Error('SMS_HTTP_URL is not set');
+
+        const response = await fetch(SMS_SETTINGS.http.url, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                ...(SMS_SETTINGS.http.token && { Authorization: `Bearer ${SMS_SETTINGS.http.token}` })
+            },
+            body: JSON.stringify({ from, to, body }),
+            signal: AbortSignal.timeout(SMS_SETTINGS.timeoutMs)
+        });
+        if (!response.ok) throw new Error(`SMS gateway answered ${await readErrorBody(response)}`);
+
+        const result = await response.json().catch(() => ({}));
+        return { providerMessageId: result.id ? String(result.id) : null };
+    },
+
+    twilio: async ({ from, to, body }) => {
+        const { accountSid, authToken } = SMS_SETTINGS.twilio;
+        if (!accountSid || !authToken) throw new Error('TWILIO_ACCOUNT_SID and TWILIO_AUTH_TOKEN are not set');
+
+        const response = await fetch(`https://api.twilio.com/2010-04-01/Accounts/${accountSid}/Messages.json`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/x-www-form-urlencoded',
+                Authorization: `Basic ${Buffer.from(`${accountSid}:${authToken}`).toString('base64')}`
+            },
+            body: new URLSearchParams({ From: from, To: to, Body: body }),
+            signal: AbortSignal.timeout(SMS_SETTINGS.timeoutMs)
+        });
+        if (!response.ok) throw new Error(`Twilio answered ${await readErrorBody(response)}`);
+
+        const result = await response.json();
+        return { providerMessageId: result.sid || null };
+    }
+};
+
+// Add (or replace) a driver, e.g. for a local gateway with its own API
+const registerSmsDriver = (name, driver) => {
+    SMS_DRIVERS[name] = driver;
+};
+
+const getSmsDriverName = () => SMS_SETTINGS.driver;
+
+// Send through the configured driver
+const sendSms = async ({ to, body }) => {
+    const driver = SMS_DRIVERS[SMS_SETTINGS.driver];
+    if (!driver) throw new Error(`Unknown SMS driver "${SMS_SETTINGS.driver}"`);
+
+    return driver({ from: SMS_SETTINGS.from, to, body });
+};
+
+module.exports = {
+    registerSmsDriver,
+    getSmsDriverName,
+    sendSms
+};
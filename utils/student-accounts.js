@@ -0,0 +1,87 @@
+const crypto = require('crypto');
+const Class = require('../models/class');
+const Student = require('../models/student');
+const StudentInvite = require('../models/student-invite');
+const { EMAIL_SETTINGS } = require('../config/email');
+
+const INVITE_TTL_DAYS = 7;
+
+const hashInviteToken = (token) => crypto.createHash('sha256').update(String(token)).digest('hex');
+
+// New single-use invite for an unclaimed student record; the raw token only lives in the link
+const createStudentInvite = async (student, createdBy) => {
+    const token = crypto.randomBytes(24).toString('base64url');
+
+    // A fresh invite replaces any earlier unused one
+    await StudentInvite.deleteMany({ studentId: student._id, usedAt: null });
+
+    const invite = await StudentInvite.create({
+        studentId: student._id,
+        tokenHash: hashInviteToken(token),
+        expiresAt: new Date(Date.now() + INVITE_TTL_DAYS * 24 * 60 * 60 * 1000),
+        createdBy
+    });
+
+    return { invite, token };
+};
+
+const getStudentInviteUrl = (token) => `${EMAIL_SETTINGS.baseUrl}/student/claim?invite=${encodeURIComponent(token)}`;
+
+// Unused, unexpired invite for a token (with its student and class)
+const findValidInvite = async (token) => {
+    if (!token) return null;
+
+    return StudentInvite.findOne({
+        tokenHash: hashInviteToken(token),
+        usedAt: null,
+        expiresAt: { $gt: new Date() }
+    }).populate({ path: 'studentId', populate: { path: 'classId', select: 'CLASSNAME SUBJECT' } });
+};
+
+// Verify a class code + roll number claim. The email on the record must match,
+// and the claim only completes through an invite link sent to that address, so
+// knowing a classmate's details is not enough to take over their record.
+// Records without an email can only be claimed through a teacher's invite link.
+const findClaimableStudent = async (classCode, rollNo, email) => {
+    if (!classCode || !rollNo) {
+        return { error: 'Class code and roll number are required.' };
+    }
+
+    const classDoc = await Class.findOne({ CLASSCODE: String(classCode).trim().toUpperCase() });
+    if (!classDoc) {
+        return { error: 'No class found with that class code.' };
+    }
+
+    const student = await Student.findOne({ classId: classDoc._id, ROLLNO: Number(rollNo) });
+    if (!student) {
+        return { error: 'No student with that roll number in this class. Ask your teacher to add you first.' };
+    }
+
+    if (student.userId) {
+        return { error: 'This student record has already been claimed. Contact your teacher if this is a mistake.' };
+    }
+
+    if (!student.EMAIL) {
+        return { error: 'Your teacher has no email on record for you. Ask them to add it, or to send you an invite link.' };
+    }
+
+    if (student.EMAIL.toLowerCase() !== String(email || '').trim().toLowerCase()) {
+        return { error: 'Use the email address your teacher has on record for you, or ask your teacher for an invite link.' };
+    }
+
+    return { student, classDoc };
+};
+
+// All class enrolments claimed by a student account
+const getLinkedStudents = (user) => {
+    return Student.find({ userId: user._id }).populate('classId').sort({ createdAt: 1 });
+};
+
+module.exports = {
+    INVITE_TTL_DAYS,
+    createStudentInvite,
+    getStudentInviteUrl,
+    findValidInvite,
+    findClaimableStudent,
+    getLinkedStudents
+};
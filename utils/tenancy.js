@@ -0,0 +1,73 @@
+const Class = require('../models/class');
+const { ROLES, hasPermission } = require('../config/permissions');
+
+// Users and classes carry an organizationId and departmentId. A user sees the
+// records of their organization (admins) or department (everyone else, see
+// `scope` in config/permissions.js); without an organization they see the
+// whole server. Students, attendance and messages belong to a tenant through
+// their class.
+
+const sameId = (a, b) => Boolean(a) && Boolean(b) && a.toString() === b.toString();
+
+// Mongo filter on Class or User documents for what the user may see
+const getTenantFilter = (user) => {
+    if (!user || !user.organizationId) return {};
+
+    const filter = { organizationId: user.organizationId };
+    const role = ROLES[user.ROLE];
+    if (role && role.scope === 'department' && user.departmentId) {
+        filter.departmentId = user.departmentId;
+    }
+    return filter;
+};
+
+// True for users who see every tenant (no organization of their own)
+const isServerWide = (user) => Object.keys(getTenantFilter(user)).length === 0;
+
+// Whether a Class or User document is inside the user's tenant
+const isWithinTenant = (user, doc) => {
+    return Object.entries(getTenantFilter(user)).every(([field, id]) => sameId(doc[field], id));
+};
+
+// A "*.any" permission only reaches as far as the user's tenant
+const hasTenantPermission = (user, permission, classDoc) => {
+    return hasPermission(user, permission) && isWithinTenant(user, classDoc);
+};
+
+// Whether the user teaches (or assists in) the class
+const isClassTeacher = (user, classDoc) => {
+    return classDoc.TEACHERS.some(teacherId => sameId(teacherId, user._id));
+};
+
+// Class filter for lists and summaries: the whole tenant with class.view.any,
+// otherwise the classes the user teaches
+const getAccessibleClassFilter = (user) => {
+    if (hasPermission(user, 'class.view.any')) {
+        return getTenantFilter(user);
+    }
+    return { $or: [{ CREATEDBY: user._id }, { TEACHERS: user._id }] };
+};
+
+const canViewClass = (user, classDoc) => {
+    return hasTenantPermission(user, 'class.view.any', classDoc) || isClassTeacher(user, classDoc) || sameId(classDoc.CREATEDBY, user._id);
+};
+
+// Filter on documents with a classId (Student, Attendance, AttendanceSession,
+// GuardianMessage...) limiting them to the user's tenant; {} when server-wide
+const getTenantClassFilter = async (user, field = 'classId') => {
+    if (isServerWide(user)) return {};
+
+    const classIds = await Class.find(getTenantFilter(user)).distinct('_id');
+    return { [field]: { $in: classIds } };
+};
+
+module.exports = {
+    getTenantFilter,
+    isServerWide,
+    isWithinTenant,
+    hasTenantPermission,
+    isClassTeacher,
+    getAccessibleClassFilter,
+    canViewClass,
+    getTenantClassFilter
+};
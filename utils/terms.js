@@ -0,0 +1,204 @@
+const mongoose = require('mongoose');
+const Term = require('../models/term');
+const Class = require('../models/class');
+const Student = require('../models/student');
+const Timetable = require('../models/timetable');
+const Attendance = require('../models/attendance');
+const AttendanceSession = require('../models/attendance-session');
+const { getTenantFilter, isServerWide } = require('./tenancy');
+const { parseDateRange } = require('./attendance-export');
+const { runAllOrNothing } = require('./transactions');
+
+// Terms a user manages: their organization's, or every term when server-wide
+const getTermFilter = (user) => (isServerWide(user) ? {} : { organizationId: user.organizationId });
+
+const findTermForUser = (user, termId) => {
+    if (!mongoose.Types.ObjectId.isValid(termId)) return null;
+    return Term.findOne({ _id: termId, ...getTermFilter(user) });
+};
+
+// Start and end dates from YYYY-MM-DD form values; resolves to { startDate, endDate } or { error }
+const parseTermDates = (startDate, endDate) => {
+    if (!startDate || !endDate) {
+        return { error: 'Give the term a first and a last day.' };
+    }
+
+    const { range, error } = parseDateRange(startDate, endDate);
+    if (error) {
+        return { error: error.replace('"from"', 'The first day').replace('"to"', 'the last day') };
+    }
+    return { startDate: range.from, endDate: range.to };
+};
+
+// Put classes that have no term yet (created before terms existed) and their
+// attendance into a term; resolves to the number of classes moved. Only the
+// term's own organization (or classes without one, for a server-wide term)
+// within what the user may see are touched.
+const assignUnassignedClasses = async (term, user) => {
+    const filter = {
+        termId: null,
+        archivedAt: null,
+        ...getTenantFilter(user),
+        organizationId: term.organizationId || null
+    };
+
+    const classIds = await Class.find(filter).distinct('_id');
+    if (classIds.length === 0) return 0;
+
+    await Class.updateMany({ _id: { $in: classIds } }, { $set: { termId: term._id } });
+    await Attendance.updateMany({ classId: { $in: classIds }, termId: null }, { $set: { termId: term._id } });
+    return classIds.length;
+};
+
+// Make a term read-only: its classes can still be opened but nothing in them
+// (attendance, roster, timetable) can change. Open QR check-ins are closed.
+const archiveTerm = async (term, actor) => {
+    const now = new Date();
+    const classIds = await Class.find({ termId: term._id }).distinct('_id');
+
+    await Class.updateMany({ _id: { $in: classIds } }, { $set: { archivedAt: now } });
+    await AttendanceSession.updateMany(
+        { classId: { $in: classIds }, 'checkIn.isOpen': true },
+        { $set: { 'checkIn.isOpen': false, 'checkIn.expiresAt': now } }
+    );
+
+    term.status = 'archived';
+    term.archivedAt = now;
+    term.archivedBy = actor ? actor._id : null;
+    await term.save();
+
+    return classIds.length;
+};
+
+// Copy one class into a term with its timetable slots and roster. The class
+// is written last, all or nothing, so a class that exists in the target was
+// copied completely. Resolves to the numbers of slots and students copied.
+const copyClassIntoTerm = async (classDoc, targetTerm, { copyTimetable, copyRoster, actor }) => {
+    const newClassId = new mongoose.Types.ObjectId();
+
+    return runAllOrNothing(async (session) => {
+        const slots = copyTimetable ? await Timetable.find({ classId: classDoc._id }) : [];
+        await Timetable.insertMany(slots.map(slot => ({
+            classId: newClassId,
+            day: slot.day,
+            startTime: slot.startTime,
+            endTime: slot.endTime,
+            subject: slot.subject,
+            teacher: slot.teacher,
+            room: slot.room,
+            teacherId: slot.teacherId,
+            roomId: slot.roomId,
+            createdBy: actor ? actor._id : slot.createdBy
+        })), { session });
+
+        // Claimed student accounts keep their link, so students see the new class straight away
+        const students = copyRoster ? await Student.find({ classId: classDoc._id }) : [];
+        await Student.insertMany(students.map(student => ({
+            NAME: student.NAME,
+            EMAIL: student.EMAIL,
+            ROLLNO: student.ROLLNO,
+            classId: newClassId,
+            CLASSES: [newClassId],
+            PHONE: student.PHONE,
+            PARENTPHONE: student.PARENTPHONE,
+            guardians: student.guardians.map(({ name, relationship, phone, email, notifySms, notifyEmail }) => ({
+                name, relationship, phone, email, notifySms, notifyEmail
+            })),
+            userId: student.userId
+        })), { session });
+
+        await new Class({
+            _id: newClassId,
+            CLASSNAME: classDoc.CLASSNAME,
+            ROOMNO: classDoc.ROOMNO,
+            SUBJECT: classDoc.SUBJECT,
+            DESCRIPTION: classDoc.DESCRIPTION,
+            CREATEDBY: classDoc.CREATEDBY,
+            TEACHERS: classDoc.TEACHERS,
+            organizationId: classDoc.organizationId,
+            departmentId: classDoc.departmentId,
+            attendanceLockHours: classDoc.attendanceLockHours,
+            termId: targetTerm._id,
+            rolledOverFrom: classDoc._id
+        }).save({ session });
+
+        return { slots: slots.length, students: students.length };
+    }, async () => {
+        await Timetable.deleteMany({ classId: newClassId });
+        await Student.deleteMany({ classId: newClassId });
+        await Class.deleteOne({ _id: newClassId });
+    });
+};
+
+// Clone classes of one term into another: the class itself (same teachers,
+// department and lock window, new class code), optionally its timetable
+// slots and roster. Classes already rolled into the target are skipped, so
+// the wizard can be run again after a failure. With archive the source term
+// is archived once everything is copied.
+const rollOverTerm = async (sourceTerm, targetTerm, { classIds, copyTimetable = true, copyRoster = false, archive = true, actor = null }) => {
+    const result = { classes: 0, skipped: 0, slots: 0, students: 0, archived: false };
+
+    const classes = await Class.find({ _id: { $in: classIds }, termId: sourceTerm._id });
+    for (const classDoc of classes) {
+        if (await Class.exists({ termId: targetTerm._id, rolledOverFrom: classDoc._id })) {
+            result.skipped++;
+            continue;
+        }
+
+        const copied = await copyClassIntoTerm(classDoc, targetTerm, { copyTimetable, copyRoster, actor });
+        result.classes++;
+        result.slots += copied.slots;
+        result.students += copied.students;
+    }
+
+    if (archive) {
+        await archiveTerm(sourceTerm, actor);
+        sourceTerm.rolledOverTo = targetTerm._id;
+        await sourceTerm.save();
+        result.archived = true;
+    }
+
+    return result;
+};
+
+// Limit a student's class enrolments (Student records with classId populated)
+// to one term so percentages do not mix semesters. Picks the requested term,
+// otherwise the one running today, otherwise the latest. Enrolments in
+// classes without a term are shown together under 'none'.
+const selectEnrolmentTerm = async (students, requestedTermId) => {
+    const termIds = [...new Set(students.filter(s => s.classId && s.classId.termId).map(s => s.classId.termId.toString()))];
+    const terms = await Term.find({ _id: { $in: termIds } }).sort({ startDate: -1 });
+    const hasUnassigned = students.some(s => s.classId && !s.classId.termId);
+
+    if (terms.length === 0) {
+        return { terms, hasUnassigned, selectedTermId: null, students };
+    }
+
+    const now = new Date();
+    let selectedTermId;
+    if (requestedTermId === 'none' && hasUnassigned) {
+        selectedTermId = 'none';
+    } else if (termIds.includes(requestedTermId)) {
+        selectedTermId = requestedTermId;
+    } else {
+        const current = terms.find(term => term.startDate <= now && term.endDate >= now);
+        selectedTermId = (current || terms[0])._id.toString();
+    }
+
+    return {
+        terms,
+        hasUnassigned,
+        selectedTermId,
+        students: students.filter(s => s.classId && (s.classId.termId ? s.classId.termId.toString() : 'none') === selectedTermId)
+    };
+};
+
+module.exports = {
+    getTermFilter,
+    findTermForUser,
+    parseTermDates,
+    assignUnassignedClasses,
+    archiveTerm,
+    rollOverTerm,
+    selectEnrolmentTerm
+};
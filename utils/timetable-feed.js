@@ -0,0 +1,216 @@
+const crypto = require('crypto');
+const Class = require('../models/class');
+const Timetable = require('../models/timetable');
+const Term = require('../models/term');
+const User = require('../models/user');
+const { INSTITUTION_TIMEZONE } = require('../config/timezone');
+const { getZoneOffset, getZoneTransitions } = require('./timezone');
+const { getLinkedStudents } = require('./student-accounts');
+const { getCalendarEntries, resolveDay } = require('./calendar');
+const { escapeIcsText, toIcs, formatIcsDateTime, formatIcsTimestamp } = require('./ics');
+
+const FEED_SECRET = process.env.SESSION_SECRET || 'your-secret-key-change-in-production';
+
+// Zone the timetable's HH:MM times are in
+const FEED_TIMEZONE = INSTITUTION_TIMEZONE;
+
+// Classes without a term are published this far back and ahead
+const FEED_WEEKS_BEFORE = 4;
+const FEED_WEEKS_AFTER = 26;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const WEEKDAYS = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+const signFeed = (userId, version) => {
+    return crypto.createHmac('sha256', FEED_SECRET)
+        .update(`calendar-feed:${userId}:${version}`)
+        .digest('base64url')
+        .slice(0, 32);
+};
+
+// "<userId>.<signature>" for the secret feed URL. Resetting the feed bumps
+// calendarFeedVersion, which invalidates every URL handed out before.
+const getFeedToken = (user) => {
+    const userId = user._id.toString();
+    return `${userId}.${signFeed(userId, user.calendarFeedVersion || 0)}`;
+};
+
+// Active account a feed token belongs to, or null
+const findFeedUser = async (token) => {
+    const [userId, signature] = String(token || '').split('.');
+    if (!userId || !signature || !/^[a-f0-9]{24}$/.test(userId)) return null;
+
+    const user = await User.findById(userId);
+    if (!user || !user.ISACTIVE) return null;
+
+    const expected = Buffer.from(signFeed(userId, user.calendarFeedVersion || 0));
+    const given = Buffer.from(signature);
+    if (expected.length !== given.length || !crypto.timingSafeEqual(expected, given)) return null;
+
+    return user;
+};
+
+// Classes on a user's feed (archived ones are left out): a student's
+// enrolments, or the classes a teacher created or teaches
+const getFeedClasses = async (user) => {
+    if (user.ROLE === 'student') {
+        const students = await getLinkedStudents(user);
+        return students.map(student => student.classId).filter(classDoc => classDoc && !classDoc.archivedAt);
+    }
+    return Class.find({ $or: [{ CREATEDBY: user._id }, { TEACHERS: user._id }], archivedAt: null }).sort({ CLASSNAME: 1 });
+};
+
+// Days a class's timetable is published for: its term, or some weeks around today
+const getFeedRange = async (classDoc, now) => {
+    const term = classDoc.termId ? await Term.findById(classDoc.termId).select('startDate endDate') : null;
+    if (term) {
+        return { from: term.startDate, to: term.endDate };
+    }
+
+    const today = new Date(now);
+    today.setUTCHours(0, 0, 0, 0);
+    return {
+        from: new Date(today.getTime() - FEED_WEEKS_BEFORE * 7 * DAY_MS),
+        to: new Date(today.getTime() + FEED_WEEKS_AFTER * 7 * DAY_MS)
+    };
+};
+
+const dateTimeProperty = (name, day, time) => `${name};TZID=${FEED_TIMEZONE}:${formatIcsDateTime(day, time)}`;
+
+// UTC offset in milliseconds as an iCalendar UTC-OFFSET, e.g. +0530
+const formatUtcOffset = (offset) => {
+    const minutes = Math.abs(offset) / 60000;
+    return `${offset < 0 ? '-' : '+'}${String(Math.floor(minutes / 60)).padStart(2, '0')}${String(minutes % 60).padStart(2, '0')}`;
+};
+
+// Local wall-clock DATE-TIME of an instant at an offset, e.g. 20261101T020000
+const formatLocalDateTime = (instant, offset) => formatIcsTimestamp(new Date(instant.getTime() + offset)).replace('Z', '');
+
+// VTIMEZONE lines defining FEED_TIMEZONE from a day before `from` to `to`:
+// the offset in force at the start, then one observance per change, so
+// clients read the TZID times right without knowing the zone's name
+const buildTimezone = (from, to) => {
+    const start = new Date(new Date(from).getTime() - DAY_MS);
+    start.setUTCHours(0, 0, 0, 0);
+    const transitions = getZoneTransitions(start, to, FEED_TIMEZONE);
+    const startOffset = getZoneOffset(start, FEED_TIMEZONE);
+
+    const observance = (type, at, offsetFrom, offsetTo) => [
+        `BEGIN:${type}`,
+        `DTSTART:${formatLocalDateTime(at, offsetFrom)}`,
+        `TZOFFSETFROM:${formatUtcOffset(offsetFrom)}`,
+        `TZOFFSETTO:${formatUtcOffset(offsetTo)}`,
+        `END:${type}`
+    ];
+
+    // Clocks going back afterwards mean the zone starts out on daylight time
+    const startsOnDaylight = transitions.length > 0 && transitions[0].offsetTo < startOffset;
+    return [
+        'BEGIN:VTIMEZONE',
+        `TZID:${FEED_TIMEZONE}`,
+        ...observance(startsOnDaylight ? 'DAYLIGHT' : 'STANDARD', start, startOffset, startOffset),
+        ...transitions.flatMap(({ at, offsetFrom, offsetTo }) => (
+            observance(offsetTo > offsetFrom ? 'DAYLIGHT' : 'STANDARD', at, offsetFrom, offsetTo)
+        )),
+        'END:VTIMEZONE'
+    ];
+};
+
+// VEVENT lines of one slot: a weekly event from its first lecture in range
+// to its last, with the calendar's non-teaching days (holidays, exams, days
+// without classes) as exceptions. Empty when no lecture falls in range.
+const buildSlotEvent = (slot, classDoc, entries, range, now) => {
+    let first = new Date(range.from);
+    first.setUTCHours(0, 0, 0, 0);
+    // Not before the slot was added, like the expected lectures (utils/expected-sessions.js)
+    if (slot.createdAt && slot.createdAt > first) {
+        first = new Date(slot.createdAt);
+        first.setUTCHours(0, 0, 0, 0);
+    }
+    while (WEEKDAYS[first.getUTCDay()] !== slot.day) {
+        first = new Date(first.getTime() + DAY_MS);
+    }
+    if (first > range.to) return [];
+
+    const dates = [];
+    for (let date = first; date <= range.to; date = new Date(date.getTime() + 7 * DAY_MS)) {
+        dates.push(date);
+    }
+    const skipped = dates.filter(date => {
+        const calendarDay = resolveDay(entries, date);
+        return calendarDay && !calendarDay.teaching;
+    });
+
+    const teacherLine = slot.teacher ? `\nTeacher: ${slot.teacher}` : '';
+    const lines = [
+        'BEGIN:VEVENT',
+        `UID:${slot._id}@attendpro`,
+        `DTSTAMP:${formatIcsTimestamp(now)}`,
+        dateTimeProperty('DTSTART', first, slot.startTime),
+        dateTimeProperty('DTEND', first, slot.endTime),
+        // COUNT rather than UNTIL, which would have to be in UTC next to a TZID
+        `RRULE:FREQ=WEEKLY;COUNT=${dates.length}`,
+        `SUMMARY:${escapeIcsText(`${slot.subject} (${classDoc.CLASSNAME})`)}`,
+        `LOCATION:${escapeIcsText(slot.room)}`,
+        `DESCRIPTION:${escapeIcsText(`Class: ${classDoc.CLASSNAME}${teacherLine}`)}`
+    ];
+    if (skipped.length > 0) {
+        lines.push(`EXDATE;TZID=${FEED_TIMEZONE}:${skipped.map(date => formatIcsDateTime(date, slot.startTime)).join(',')}`);
+    }
+    lines.push('END:VEVENT');
+    return lines;
+};
+
+// iCalendar text of the weekly lectures of some classes. `filterSlot` picks
+// the slots to publish (e.g. only the ones a teacher takes). The zone is
+// defined for the days any class is published for.
+const buildTimetableCalendar = async (classDocs, { name, filterSlot = () => true, now = new Date() }) => {
+    const header = [
+        'BEGIN:VCALENDAR',
+        'VERSION:2.0',
+        'PRODID:-//AttendPro//Timetable//EN',
+        'CALSCALE:GREGORIAN',
+        'METHOD:PUBLISH',
+        `X-WR-CALNAME:${escapeIcsText(name)}`,
+        // Ask subscribed calendars to check for changes twice a day
+        'REFRESH-INTERVAL;VALUE=DURATION:PT12H',
+        'X-PUBLISHED-TTL:PT12H',
+        `X-WR-TIMEZONE:${FEED_TIMEZONE}`
+    ];
+    const events = [];
+    let from = now;
+    let to = now;
+
+    for (const classDoc of classDocs) {
+        const slots = (await Timetable.find({ classId: classDoc._id }).sort({ day: 1, startTime: 1 })).filter(filterSlot);
+        if (slots.length === 0) continue;
+
+        const range = await getFeedRange(classDoc, now);
+        const entries = await getCalendarEntries(classDoc, range);
+        slots.forEach(slot => events.push(...buildSlotEvent(slot, classDoc, entries, range, now)));
+        if (range.from < from) from = range.from;
+        if (range.to > to) to = range.to;
+    }
+
+    return toIcs([...header, ...buildTimezone(from, to), ...events, 'END:VCALENDAR']);
+};
+
+// A user's feed: every lecture of a student's classes; for teachers, the
+// lectures they take in their classes (and ones no teacher is linked to)
+const buildUserFeed = async (user, now = new Date()) => {
+    const classDocs = await getFeedClasses(user);
+    const filterSlot = user.ROLE === 'student'
+        ? () => true
+        : slot => !slot.teacherId || slot.teacherId.equals(user._id);
+
+    return buildTimetableCalendar(classDocs, { name: `${user.FULLNAME} - Timetable`, filterSlot, now });
+};
+
+module.exports = {
+    FEED_TIMEZONE,
+    getFeedToken,
+    findFeedUser,
+    getFeedClasses,
+    buildTimetableCalendar,
+    buildUserFeed
+};
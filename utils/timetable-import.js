@@ -0,0 +1,279 @@
+const path = require('path');
+const mongoose = require('mongoose');
+const Timetable = require('../models/timetable');
+const { parseCsv, toCsv } = require('./csv');
+const { parseIcs, unescapeIcsText } = require('./ics');
+const { resolveSlotEntities, findSlotConflicts, describeConflict } = require('./timetable');
+const { FEED_TIMEZONE } = require('./timetable-feed');
+
+const MAX_TIMETABLE_ROWS = 500;
+
+const WEEKDAYS = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+// Slot fields a CSV column is recognised as, by header name
+const TIMETABLE_COLUMNS = [
+    { key: 'day', label: 'Day', required: true, aliases: ['day', 'weekday'] },
+    { key: 'startTime', label: 'Start', required: true, aliases: ['start', 'start time', 'starttime', 'from'] },
+    { key: 'endTime', label: 'End', required: true, aliases: ['end', 'end time', 'endtime', 'to'] },
+    { key: 'subject', label: 'Subject', required: true, aliases: ['subject', 'course', 'lecture'] },
+    { key: 'teacher', label: 'Teacher', required: true, aliases: ['teacher', 'faculty', 'lecturer', 'instructor'] },
+    { key: 'room', label: 'Room', required: true, aliases: ['room', 'room no', 'room number', 'location', 'venue'] },
+    { key: 'className', label: 'Class', required: false, aliases: ['class', 'class name', 'classname', 'section'] }
+];
+
+// "Monday", "mon" and iCalendar's "MO" all mean Monday
+const normalizeDay = (value) => {
+    const text = String(value || '').trim().toLowerCase();
+    if (text.length < 2) return null;
+    const matches = WEEKDAYS.filter(day => day.toLowerCase().startsWith(text));
+    return matches.length === 1 ? matches[0] : null;
+};
+
+// "9:00", "09.00", "9:00 am" and "14:00:00" as HH:MM
+const normalizeTime = (value) => {
+    const match = String(value || '').trim().match(/^(\d{1,2})[:.](\d{2})(?::\d{2})?\s*([ap])?\.?m?\.?$/i);
+    if (!match) return null;
+
+    let hours = parseInt(match[1], 10);
+    const minutes = parseInt(match[2], 10);
+    const meridiem = match[3] ? match[3].toLowerCase() : null;
+    if (meridiem && (hours < 1 || hours > 12)) return null;
+    if (meridiem === 'p' && hours < 12) hours += 12;
+    if (meridiem === 'a' && hours === 12) hours = 0;
+    if (hours > 23 || minutes > 59) return null;
+
+    return `${String(hours).padStart(2, '0')}:${String(minutes).padStart(2, '0')}`;
+};
+
+const readCsvRows = (text) => {
+    const table = parseCsv(text);
+    if (table.length < 2) {
+        throw new Error('The file needs a header row and at least one slot.');
+    }
+
+    const headers = table[0].map(header => header.toLowerCase().replace(/[_.]/g, ' ').trim());
+    const columns = {};
+    TIMETABLE_COLUMNS.forEach(column => {
+        const index = headers.findIndex(header => column.aliases.includes(header));
+        columns[column.key] = index >= 0 ? index : null;
+    });
+
+    const missing = TIMETABLE_COLUMNS.filter(column => column.required && columns[column.key] === null);
+    if (missing.length > 0) {
+        throw new Error(`The file has no ${missing.map(column => column.label).join(', ')} column. Expected columns: ${TIMETABLE_COLUMNS.map(column => column.label).join(', ')}.`);
+    }
+
+    // Row numbers match the spreadsheet (row 1 is the header)
+    return table.slice(1).map((row, index) => {
+        const values = { source: `Row ${index + 2}` };
+        TIMETABLE_COLUMNS.forEach(column => {
+            values[column.key] = columns[column.key] === null ? '' : (row[columns[column.key]] || '').trim();
+        });
+        return values;
+    });
+};
+
+// Day of the week and HH:MM of an iCalendar DATE-TIME. Wall-clock and TZID
+// times are taken as written; UTC ones are converted to the timetable's zone.
+const readIcsDateTime = (property) => {
+    const match = property && property.value.match(/^(\d{4})(\d{2})(\d{2})T(\d{2})(\d{2})\d{2}(Z)?$/);
+    if (!match) return null;
+
+    const [, year, month, day, hours, minutes, utc] = match;
+    if (!utc) {
+        return { day: WEEKDAYS[new Date(Date.UTC(year, month - 1, day)).getUTCDay()], time: `${hours}:${minutes}` };
+    }
+
+    const parts = new Intl.DateTimeFormat('en-GB', {
+        timeZone: FEED_TIMEZONE,
+        weekday: 'long',
+        hour: '2-digit',
+        minute: '2-digit',
+        hourCycle: 'h23'
+    }).formatToParts(new Date(Date.UTC(year, month - 1, day, hours, minutes)));
+    const part = (type) => parts.find(p => p.type === type).value;
+    return { day: part('weekday'), time: `${part('hour')}:${part('minute')}` };
+};
+
+// End time from DTEND, or DTSTART plus DURATION (e.g. PT1H30M)
+const readIcsEndTime = (event, start) => {
+    if (event.DTEND) {
+        const end = readIcsDateTime(event.DTEND[0]);
+        return end ? end.time : '';
+    }
+
+    const duration = event.DURATION && event.DURATION[0].value.match(/^PT(?:(\d+)H)?(?:(\d+)M)?$/);
+    if (!duration) return '';
+    const [hours, minutes] = start.time.split(':').map(Number);
+    const total = hours * 60 + minutes + parseInt(duration[1] || 0, 10) * 60 + parseInt(duration[2] || 0, 10);
+    return total < 24 * 60 ? `${String(Math.floor(total / 60)).padStart(2, '0')}:${String(total % 60).padStart(2, '0')}` : '';
+};
+
+// One row per weekday of each event (a weekly RRULE can name several days).
+// Teacher and class come from "Teacher:"/"Class:" lines of the description,
+// as in AttendPro's own feeds, or the organizer's name. Repeated copies of
+// the same lecture (e.g. one event per week) become one slot.
+const readIcsRows = (text) => {
+    // Exceptions to a recurring event, cancelled and all-day events (holidays) are not lectures
+    const events = (parseIcs(text).VEVENT || []).filter(event => (
+        !event['RECURRENCE-ID'] &&
+        !(event.STATUS && /^CANCELLED$/i.test(event.STATUS[0].value)) &&
+        !(event.DTSTART && /^\d{8}$/.test(event.DTSTART[0].value))
+    ));
+
+    const rows = [];
+    const seen = new Set();
+    events.forEach((event, index) => {
+        const start = readIcsDateTime(event.DTSTART && event.DTSTART[0]);
+        const textOf = (name) => (event[name] ? unescapeIcsText(event[name][0].value).trim() : '');
+        const description = textOf('DESCRIPTION');
+        const className = (description.match(/^Class:\s*(.+)$/mi) || [])[1] || '';
+        const organizer = event.ORGANIZER ? event.ORGANIZER[0].params.CN || '' : '';
+
+        let subject = textOf('SUMMARY');
+        if (className && subject.endsWith(` (${className.trim()})`)) {
+            subject = subject.slice(0, -(className.trim().length + 3));
+        }
+
+        const byDay = event.RRULE && (event.RRULE[0].value.match(/BYDAY=([^;]+)/i) || [])[1];
+        const days = start
+            ? (byDay ? byDay.split(',').map(code => normalizeDay(code.replace(/^[-+\d]+/, ''))) : [start.day])
+            : [''];
+
+        days.forEach(day => {
+            const row = {
+                source: `Event ${index + 1}`,
+                day: day || '',
+                startTime: start ? start.time : '',
+                endTime: start ? readIcsEndTime(event, start) : '',
+                subject,
+                teacher: ((description.match(/^Teacher:\s*(.+)$/mi) || [])[1] || organizer).trim(),
+                room: textOf('LOCATION'),
+                className: className.trim()
+            };
+            const key = [row.day, row.startTime, row.endTime, row.subject, row.teacher, row.room, row.className].join('|').toLowerCase();
+            if (!start || !seen.has(key)) {
+                seen.add(key);
+                rows.push(row);
+            }
+        });
+    });
+
+    if (rows.length === 0) {
+        throw new Error('The calendar has no lectures to import.');
+    }
+    return rows;
+};
+
+// Read an uploaded CSV or iCalendar file into slot rows:
+// [{ source, day, startTime, endTime, subject, teacher, room, className }]
+const readTimetableFile = (file) => {
+    const extension = path.extname(file.originalname).toLowerCase();
+    const text = file.buffer.toString('utf8');
+
+    let rows;
+    if (extension === '.csv') {
+        rows = readCsvRows(text);
+    } else if (extension === '.ics' || extension === '.ical') {
+        rows = readIcsRows(text);
+    } else {
+        throw new Error('Timetable must be a .csv or .ics file.');
+    }
+
+    if (rows.length > MAX_TIMETABLE_ROWS) {
+        throw new Error(`A timetable can have at most ${MAX_TIMETABLE_ROWS} slots.`);
+    }
+    return rows;
+};
+
+// Check every row against the class, its teachers and rooms and the rest of
+// the timetable (other classes' rooms and teachers included). Rows for
+// another class of a master schedule are skipped. With `replace` the
+// class's current slots do not count, since the import takes their place.
+// Returns one entry per row: { ...row, slot, errors, skipped }.
+const validateTimetableImport = async (classDoc, rows, { replace = false } = {}) => {
+    const accepted = [];
+
+    const preview = [];
+    for (const row of rows) {
+        if (row.className && row.className.toLowerCase() !== classDoc.CLASSNAME.toLowerCase()) {
+            preview.push({ ...row, slot: null, errors: [], skipped: true });
+            continue;
+        }
+
+        const errors = [];
+        const day = normalizeDay(row.day);
+        const startTime = normalizeTime(row.startTime);
+        const endTime = normalizeTime(row.endTime);
+        if (!day) errors.push(row.day ? `"${row.day}" is not a day of the week` : 'Day is missing');
+        if (!startTime) errors.push(row.startTime ? `Start time "${row.startTime}" is not HH:MM` : 'Start time is missing');
+        if (!endTime) errors.push(row.endTime ? `End time "${row.endTime}" is not HH:MM` : 'End time is missing');
+        if (startTime && endTime && endTime <= startTime) errors.push('End time must be after start time');
+        if (!row.subject) errors.push('Subject is missing');
+        if (row.subject.length > 100) errors.push('Subject is longer than 100 characters');
+
+        let slot = null;
+        const entities = await resolveSlotEntities(classDoc, { teacher: row.teacher, room: row.room });
+        if (entities.error) {
+            errors.push(entities.error);
+        } else if (errors.length === 0) {
+            slot = { day, startTime, endTime, subject: row.subject, ...entities };
+
+            const conflicts = (await findSlotConflicts(classDoc, slot)).filter(conflict => !(replace && conflict.type === 'class'));
+            conflicts.forEach(conflict => errors.push(describeConflict(conflict)));
+
+            const overlapping = accepted.find(other => other.slot.day === day && other.slot.startTime < endTime && startTime < other.slot.endTime);
+            if (overlapping) errors.push(`Overlaps ${overlapping.source} of this file`);
+        }
+
+        const entry = { ...row, slot: errors.length === 0 ? slot : null, errors, skipped: false };
+        if (entry.slot) accepted.push(entry);
+        preview.push(entry);
+    }
+
+    const importable = preview.filter(row => !row.skipped);
+    return {
+        preview,
+        importCount: importable.length,
+        skippedCount: preview.length - importable.length,
+        errorCount: importable.filter(row => row.errors.length > 0).length,
+        isValid: importable.length > 0 && importable.every(row => row.errors.length === 0)
+    };
+};
+
+// Add every validated slot or none of them. With `replace` the class's
+// current slots are removed once the new ones are in.
+const commitTimetableImport = async (classDoc, preview, { replace = false, actor = null } = {}) => {
+    const documents = preview.filter(row => row.slot).map(row => ({
+        _id: new mongoose.Types.ObjectId(),
+        classId: classDoc._id,
+        ...row.slot,
+        createdBy: actor ? actor._id : null
+    }));
+    const ids = documents.map(doc => doc._id);
+
+    try {
+        await Timetable.insertMany(documents, { ordered: true });
+    } catch (error) {
+        await Timetable.deleteMany({ _id: { $in: ids } });
+        throw error;
+    }
+
+    const removed = replace ? (await Timetable.deleteMany({ classId: classDoc._id, _id: { $nin: ids } })).deletedCount : 0;
+    return { added: documents.length, removed };
+};
+
+// A class's timetable in the CSV layout the import reads
+const buildTimetableCsv = (classDoc, slots) => toCsv([
+    TIMETABLE_COLUMNS.map(column => column.label),
+    ...slots.map(slot => [slot.day, slot.startTime, slot.endTime, slot.subject, slot.teacher, slot.room, classDoc.CLASSNAME])
+]);
+
+module.exports = {
+    MAX_TIMETABLE_ROWS,
+    TIMETABLE_COLUMNS,
+    readTimetableFile,
+    validateTimetableImport,
+    commitTimetableImport,
+    buildTimetableCsv
+};
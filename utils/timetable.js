@@ -0,0 +1,265 @@
+const mongoose = require('mongoose');
+const Timetable = require('../models/timetable');
+const Class = require('../models/class');
+const Room = require('../models/room');
+const User = require('../models/user');
+const { isServerWide } = require('./tenancy');
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Free-text names (slots from before rooms and teachers were linked) are compared case-insensitively
+const normalizeName = (name) => String(name || '').trim().toLowerCase();
+
+const sameEntity = (aId, aName, bId, bName) => {
+    if (aId && bId) return aId.toString() === bId.toString();
+    return normalizeName(aName) !== '' && normalizeName(aName) === normalizeName(bName);
+};
+
+const sameRoom = (a, b) => sameEntity(a.roomId, a.room, b.roomId, b.room);
+const sameTeacher = (a, b) => sameEntity(a.teacherId, a.teacher, b.teacherId, b.teacher);
+
+const overlaps = (a, b) => a.startTime < b.endTime && b.startTime < a.endTime;
+
+// Rooms an admin manages: their organization's, or all of them when server-wide
+const getRoomFilter = (user) => (isServerWide(user) ? {} : { organizationId: user.organizationId });
+
+// A room of an organization by name, ignoring case
+const findRoomByName = (organizationId, name, filter = {}) => Room.findOne({
+    organizationId: organizationId || null,
+    name: new RegExp(`^${escapeRegex(String(name).trim())}$`, 'i'),
+    ...filter
+});
+
+// Rooms a class can be timetabled into
+const getClassRooms = (classDoc) => Room.find({ organizationId: classDoc.organizationId || null, isActive: true }).sort({ name: 1 });
+
+// Teacher and room of a new or changed slot from teacherId/roomId or names.
+// A teacher must be one of the class's teachers; a name matching one (or a
+// room of the organization) is linked to it. Once the organization has
+// registered rooms, the room must be one of them. Resolves to
+// { teacher, teacherId, room, roomId } or { field, error }.
+const resolveSlotEntities = async (classDoc, { teacherId, teacher, roomId, room }) => {
+    const slot = {};
+
+    const teachers = await User.find({ _id: { $in: classDoc.TEACHERS } }).select('FULLNAME');
+    const linkedTeacher = teacherId
+        ? teachers.find(user => user._id.toString() === String(teacherId))
+        : teachers.find(user => normalizeName(user.FULLNAME) === normalizeName(teacher));
+    if (teacherId && !linkedTeacher) {
+        return { field: 'teacherId', error: 'The teacher must be one of the class\'s teachers.' };
+    }
+    slot.teacherId = linkedTeacher ? linkedTeacher._id : null;
+    slot.teacher = linkedTeacher ? linkedTeacher.FULLNAME : String(teacher || '').trim();
+    if (!slot.teacher) {
+        return { field: 'teacher', error: 'Choose the teacher of this slot.' };
+    }
+
+    const organizationId = classDoc.organizationId || null;
+    let linkedRoom = null;
+    if (roomId) {
+        linkedRoom = mongoose.Types.ObjectId.isValid(roomId) ? await Room.findOne({ _id: roomId, organizationId, isActive: true }) : null;
+        if (!linkedRoom) {
+            return { field: 'roomId', error: 'Room not found.' };
+        }
+    } else if (room && String(room).trim()) {
+        linkedRoom = await findRoomByName(organizationId, room, { isActive: true });
+        if (!linkedRoom && await Room.exists({ organizationId, isActive: true })) {
+            return { field: 'room', error: `There is no room called ${String(room).trim()}. Pick one of the registered rooms.` };
+        }
+    }
+    slot.roomId = linkedRoom ? linkedRoom._id : null;
+    slot.room = linkedRoom ? linkedRoom.name : String(room || '').trim();
+    if (!slot.room) {
+        return { field: 'room', error: 'Choose the room of this slot.' };
+    }
+
+    return slot;
+};
+
+// Classes that share rooms and teachers: same organization and term, not archived
+const getPeerClassFilter = (classDoc) => ({
+    organizationId: classDoc.organizationId || null,
+    termId: classDoc.termId || null,
+    archivedAt: null
+});
+
+// Slots a new or moved slot of a class would clash with: overlapping on the
+// same day in the same class, in the same room or with the same teacher.
+// Resolves to [{ type: 'class' | 'room' | 'teacher', slot }] with the other
+// slot's class populated.
+const findSlotConflicts = async (classDoc, slot, { excludeSlotId = null } = {}) => {
+    const classIds = await Class.find(getPeerClassFilter(classDoc)).distinct('_id');
+    classIds.push(classDoc._id);
+
+    const filter = {
+        classId: { $in: classIds },
+        day: slot.day,
+        startTime: { $lt: slot.endTime },
+        endTime: { $gt: slot.startTime }
+    };
+    if (excludeSlotId) filter._id = { $ne: excludeSlotId };
+
+    const conflicts = [];
+    const candidates = await Timetable.find(filter).populate('classId', 'CLASSNAME');
+    candidates.filter(other => other.classId).forEach(other => {
+        if (other.classId._id.equals(classDoc._id)) {
+            conflicts.push({ type: 'class', slot: other });
+            return;
+        }
+        if (sameRoom(slot, other)) conflicts.push({ type: 'room', slot: other });
+        if (sameTeacher(slot, other)) conflicts.push({ type: 'teacher', slot: other });
+    });
+    return conflicts;
+};
+
+// One sentence per clash, e.g. "Room 101 is booked for CS-A on Monday 09:00-10:00."
+const describeConflict = ({ type, slot }) => {
+    const when = `${slot.day} ${slot.startTime}-${slot.endTime}`;
+    if (type === 'room') return `${slot.room} is booked for ${slot.classId.CLASSNAME} on ${when}.`;
+    if (type === 'teacher') return `${slot.teacher} teaches ${slot.classId.CLASSNAME} on ${when}.`;
+    return `It overlaps this class's slot on ${when}.`;
+};
+
+// Every clash in the timetables of a set of classes (non-archived ones, each
+// compared with the classes of its organization and term), each pair once.
+// Resolves to [{ type, day, first, second }] where first and second are slots
+// with their class populated.
+const findTimetableConflicts = async (classFilter) => {
+    const classes = await Class.find({ ...classFilter, archivedAt: null }).select('CLASSNAME SUBJECT organizationId termId');
+    const slots = await Timetable.find({ classId: { $in: classes.map(classDoc => classDoc._id) } })
+        .populate('classId', 'CLASSNAME SUBJECT organizationId termId')
+        .sort({ startTime: 1 });
+
+    // Only slots of the same organization, term and day can clash
+    const groups = new Map();
+    slots.filter(slot => slot.classId).forEach(slot => {
+        const key = `${slot.classId.organizationId}|${slot.classId.termId}|${slot.day}`;
+        if (!groups.has(key)) groups.set(key, []);
+        groups.get(key).push(slot);
+    });
+
+    const conflicts = [];
+    groups.forEach(group => {
+        group.forEach((first, index) => {
+            for (const second of group.slice(index + 1)) {
+                if (second.startTime >= first.endTime) break;
+                if (!overlaps(first, second)) continue;
+
+                const types = first.classId._id.equals(second.classId._id)
+                    ? ['class']
+                    : ['room', 'teacher'].filter(type => (type === 'room' ? sameRoom(first, second) : sameTeacher(first, second)));
+                types.forEach(type => conflicts.push({ type, day: first.day, first, second }));
+            }
+        });
+    });
+    return conflicts;
+};
+
+const TIMETABLE_DAYS = Timetable.schema.path('day').enumValues;
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+// Error message for a day and times a slot cannot have, or null
+const checkSlotTimes = ({ day, startTime, endTime }) => {
+    if (!TIMETABLE_DAYS.includes(day)) return 'Pick a day of the week.';
+    if (!TIME_PATTERN.test(startTime || '') || !TIME_PATTERN.test(endTime || '')) return 'Times must be in HH:MM format.';
+    if (startTime >= endTime) return 'End time must be after start time.';
+    return null;
+};
+
+const toMinutes = (time) => {
+    const [hours, minutes] = time.split(':').map(Number);
+    return hours * 60 + minutes;
+};
+
+const fromMinutes = (total) => `${String(Math.floor(total / 60)).padStart(2, '0')}:${String(total % 60).padStart(2, '0')}`;
+
+// Day and times of a slot moved to another day and start time, keeping its
+// length; null when it would run past midnight
+const moveSlotTimes = (slot, day, startTime) => {
+    const endMinutes = toMinutes(startTime) + toMinutes(slot.endTime) - toMinutes(slot.startTime);
+    if (endMinutes > 24 * 60 - 1) return null;
+    return { day, startTime, endTime: fromMinutes(endMinutes) };
+};
+
+// Copy the slots of one day of a class to other days, all of them or none.
+// With `replace` the class's slots already on those days are removed once
+// the copies are in. Resolves to { added, removed } or { errors } listing
+// every clash.
+const copyTimetableDay = async (classDoc, fromDay, toDays, { replace = false, actor = null } = {}) => {
+    const source = await Timetable.find({ classId: classDoc._id, day: fromDay }).sort({ startTime: 1 });
+    if (source.length === 0) {
+        return { errors: [`Nothing is scheduled on ${fromDay}.`] };
+    }
+
+    const copies = [];
+    const errors = [];
+    for (const day of toDays.filter(toDay => toDay !== fromDay)) {
+        for (const slot of source) {
+            const copy = {
+                _id: new mongoose.Types.ObjectId(),
+                classId: classDoc._id,
+                day,
+                startTime: slot.startTime,
+                endTime: slot.endTime,
+                subject: slot.subject,
+                teacher: slot.teacher,
+                teacherId: slot.teacherId,
+                room: slot.room,
+                roomId: slot.roomId,
+                createdBy: actor ? actor._id : slot.createdBy
+            };
+
+            const conflicts = (await findSlotConflicts(classDoc, copy)).filter(conflict => !(replace && conflict.type === 'class'));
+            conflicts.forEach(conflict => errors.push(`${slot.subject} on ${day}: ${describeConflict(conflict)}`));
+            copies.push(copy);
+        }
+    }
+    if (copies.length === 0) {
+        return { errors: ['Pick at least one other day to copy to.'] };
+    }
+    if (errors.length > 0) {
+        return { errors };
+    }
+
+    try {
+        await Timetable.insertMany(copies, { ordered: true });
+    } catch (error) {
+        await Timetable.deleteMany({ _id: { $in: copies.map(copy => copy._id) } });
+        throw error;
+    }
+
+    const removed = replace
+        ? (await Timetable.deleteMany({
+            classId: classDoc._id,
+            day: { $in: [...new Set(copies.map(copy => copy.day))] },
+            _id: { $nin: copies.map(copy => copy._id) }
+        })).deletedCount
+        : 0;
+
+    return { added: copies.length, removed };
+};
+
+// Link existing slots that name a new room (case-insensitively) to it; resolves to the number linked
+const linkRoomSlots = async (room) => {
+    const classIds = await Class.find({ organizationId: room.organizationId || null }).distinct('_id');
+    const result = await Timetable.updateMany(
+        { classId: { $in: classIds }, roomId: null, room: new RegExp(`^\\s*${escapeRegex(room.name)}\\s*$`, 'i') },
+        { $set: { roomId: room._id, room: room.name } }
+    );
+    return result.modifiedCount;
+};
+
+module.exports = {
+    TIMETABLE_DAYS,
+    getRoomFilter,
+    findRoomByName,
+    getClassRooms,
+    resolveSlotEntities,
+    findSlotConflicts,
+    describeConflict,
+    findTimetableConflicts,
+    checkSlotTimes,
+    moveSlotTimes,
+    copyTimetableDay,
+    linkRoomSlots
+};
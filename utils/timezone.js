@@ -0,0 +1,80 @@
+const { INSTITUTION_TIMEZONE } = require('../config/timezone');
+
+// How far a zone's clocks are ahead of UTC at an instant, in milliseconds
+const getZoneOffset = (instant, timeZone = INSTITUTION_TIMEZONE) => {
+    const parts = new Intl.DateTimeFormat('en-US', {
+        timeZone,
+        hourCycle: 'h23',
+        year: 'numeric',
+        month: '2-digit',
+        day: '2-digit',
+        hour: '2-digit',
+        minute: '2-digit',
+        second: '2-digit'
+    }).formatToParts(instant);
+    const part = (type) => Number(parts.find(p => p.type === type).value);
+
+    const wallClock = Date.UTC(part('year'), part('month') - 1, part('day'), part('hour'), part('minute'), part('second'));
+    return wallClock - Math.floor(instant.getTime() / 1000) * 1000;
+};
+
+// The instant an HH:MM wall-clock time happens in the zone on a day (a
+// midnight-UTC date, as sessions and calendar entries store days)
+const zonedTimeToUtc = (day, time, timeZone = INSTITUTION_TIMEZONE) => {
+    const [hours, minutes] = time.split(':').map(Number);
+    const wallClock = new Date(day);
+    wallClock.setUTCHours(hours, minutes, 0, 0);
+
+    // The offset at the first guess can be off by a daylight saving change
+    const guess = new Date(wallClock.getTime() - getZoneOffset(wallClock, timeZone));
+    return new Date(wallClock.getTime() - getZoneOffset(guess, timeZone));
+};
+
+// Today in the zone, as a midnight-UTC date
+const getZonedToday = (now = new Date(), timeZone = INSTITUTION_TIMEZONE) => {
+    const today = new Date(now.getTime() + getZoneOffset(now, timeZone));
+    today.setUTCHours(0, 0, 0, 0);
+    return today;
+};
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// The zone's offset changes between two instants, as { at, offsetFrom,
+// offsetTo } with `at` the first instant on the new offset. Checks every
+// 12 hours (no zone changes twice in that time), then narrows to the minute.
+const getZoneTransitions = (from, to, timeZone = INSTITUTION_TIMEZONE) => {
+    const transitions = [];
+    let before = new Date(from);
+    let offsetBefore = getZoneOffset(before, timeZone);
+
+    while (before < to) {
+        const after = new Date(Math.min(before.getTime() + 12 * HOUR_MS, new Date(to).getTime()));
+        const offsetAfter = getZoneOffset(after, timeZone);
+
+        if (offsetAfter !== offsetBefore) {
+            let low = before.getTime();
+            let high = after.getTime();
+            while (high - low > 60 * 1000) {
+                const middle = low + Math.floor((high - low) / 2 / 60000) * 60000;
+                if (getZoneOffset(new Date(middle), timeZone) === offsetBefore) {
+                    low = middle;
+                } else {
+                    high = middle;
+                }
+            }
+            transitions.push({ at: new Date(high), offsetFrom: offsetBefore, offsetTo: offsetAfter });
+        }
+
+        before = after;
+        offsetBefore = offsetAfter;
+    }
+
+    return transitions;
+};
+
+module.exports = {
+    getZoneOffset,
+    getZoneTransitions,
+    zonedTimeToUtc,
+    getZonedToday
+};
@@ -0,0 +1,37 @@
+const mongoose = require('mongoose');
+
+// Transactions need a replica set; standalone servers reject them with this code
+const isTransactionUnsupported = (error) => {
+    return error && (error.code === 20 || /replica set|Transaction numbers/i.test(error.message));
+};
+
+// Run work(session) so that all of its writes happen or none do. On a
+// standalone server, which has no transactions, work runs without a session
+// and undo() removes whatever it wrote if it throws.
+const runAllOrNothing = async (work, undo) => {
+    const session = await mongoose.startSession();
+    try {
+        let result;
+        await session.withTransaction(async () => {
+            result = await work(session);
+        });
+        return result;
+    } catch (error) {
+        if (!isTransactionUnsupported(error)) {
+            throw error;
+        }
+    } finally {
+        await session.endSession();
+    }
+
+    try {
+        return await work(null);
+    } catch (error) {
+        await undo();
+        throw error;
+    }
+};
+
+module.exports = {
+    runAllOrNothing
+};
@@ -0,0 +1,235 @@
+const crypto = require('crypto');
+const User = require('../models/user');
+const SecurityPolicy = require('../models/security-policy');
+const { STAFF_ROLES } = require('../config/permissions');
+
+// RFC 6238 defaults, which every authenticator app understands
+const TOTP_STEP_SECONDS = 30;
+const TOTP_DIGITS = 6;
+// Codes from one step either side are accepted to allow for clock drift
+const TOTP_WINDOW = 1;
+
+const BACKUP_CODE_COUNT = 10;
+const TWO_FACTOR_ROLES = STAFF_ROLES;
+const TWO_FACTOR_ISSUER = process.env.INSTITUTION_NAME || 'AttendPro';
+
+// How long the second step of a sign-in may take
+const CHALLENGE_TTL_MS = 5 * 60 * 1000;
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+const base32Encode = (buffer) => {
+    let bits = '';
+    for (const byte of buffer) bits += byte.toString(2).padStart(8, '0');
+
+    let output = '';
+    for (let i = 0; i < bits.length; i += 5) {
+        output += BASE32_ALPHABET[parseInt(bits.slice(i, i + 5).padEnd(5, '0'), 2)];
+    }
+    return output;
+};
+
+const base32Decode = (text) => {
+    let bits = '';
+    for (const char of String(text).toUpperCase().replace(/[\s=]/g, '')) {
+        const value = BASE32_ALPHABET.indexOf(char);
+        if (value === -1) throw new Error('Invalid base32 secret');
+        bits += value.toString(2).padStart(5, '0');
+    }
+
+    const bytes = [];
+    for (let i = 0; i + 8 <= bits.length; i += 8) bytes.push(parseInt(bits.slice(i, i + 8), 2));
+    return Buffer.from(bytes);
+};
+
+// 160-bit secret, base32 as authenticator apps expect
+const generateTotpSecret = () => base32Encode(crypto.randomBytes(20));
+
+const getTotpStep = (now = Date.now()) => Math.floor(now / 1000 / TOTP_STEP_SECONDS);
+
+const getTotpCode = (secret, step) => {
+    const counter = Buffer.alloc(8);
+    counter.writeBigUInt64BE(BigInt(step));
+
+    const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counter).digest();
+    const offset = hmac[hmac.length - 1] & 0x0f;
+    const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+
+    return String(binary % Math.pow(10, TOTP_DIGITS)).padStart(TOTP_DIGITS, '0');
+};
+
+// Step the code belongs to, or null. Steps at or before lastUsedStep are refused.
+const verifyTotpCode = (secret, code, lastUsedStep = null, now = Date.now()) => {
+    const given = Buffer.from(String(code || '').replace(/\s/g, ''));
+    if (given.length !== TOTP_DIGITS) return null;
+
+    const currentStep = getTotpStep(now);
+    for (let step = currentStep - TOTP_WINDOW; step <= currentStep + TOTP_WINDOW; step++) {
+        if (lastUsedStep !== null && step <= lastUsedStep) continue;
+
+        const expected = Buffer.from(getTotpCode(secret, step));
+        if (crypto.timingSafeEqual(expected, given)) return step;
+    }
+    return null;
+};
+
+// otpauth:// URI for the enrolment QR code
+const getOtpAuthUrl = (user, secret) => {
+    const label = encodeURIComponent(`${TWO_FACTOR_ISSUER}:${user.USERNAME}`);
+    const params = new URLSearchParams({
+        secret,
+        issuer: TWO_FACTOR_ISSUER,
+        algorithm: 'SHA1',
+        digits: String(TOTP_DIGITS),
+        period: String(TOTP_STEP_SECONDS)
+    });
+    return `otpauth://totp/${label}?${params}`;
+};
+
+const normalizeBackupCode = (code) => String(code || '').toLowerCase().replace(/[^0-9a-f]/g, '');
+
+const hashBackupCode = (code) => crypto.createHash('sha256').update(normalizeBackupCode(code)).digest('hex');
+
+// Single-use recovery codes; the raw codes are shown once and only hashes are stored
+const generateBackupCodes = () => {
+    const codes = [];
+    for (let i = 0; i < BACKUP_CODE_COUNT; i++) {
+        const code = crypto.randomBytes(4).toString('hex');
+        codes.push(`${code.slice(0, 4)}-${code.slice(4)}`);
+    }
+    return { codes, hashes: codes.map(hashBackupCode) };
+};
+
+// Turn 2FA on once the user has proved their app has the secret; resolves to
+// the backup codes to show
+const enableTwoFactor = async (user, secret, step) => {
+    const { codes, hashes } = generateBackupCodes();
+
+    await User.updateOne({ _id: user._id }, {
+        $set: {
+            'twoFactor.enabled': true,
+            'twoFactor.secret': secret,
+            'twoFactor.backupCodes': hashes,
+            'twoFactor.lastUsedStep': step,
+            'twoFactor.enabledAt': new Date()
+        }
+    });
+
+    return codes;
+};
+
+const disableTwoFactor = (userId) => {
+    return User.updateOne({ _id: userId }, {
+        $set: {
+            'twoFactor.enabled': false,
+            'twoFactor.secret': null,
+            'twoFactor.backupCodes': [],
+            'twoFactor.lastUsedStep': null,
+            'twoFactor.enabledAt': null
+        }
+    });
+};
+
+const regenerateBackupCodes = async (userId) => {
+    const { codes, hashes } = generateBackupCodes();
+    await User.updateOne({ _id: userId }, { $set: { 'twoFactor.backupCodes': hashes } });
+    return codes;
+};
+
+// Check an authenticator or backup code for a user with 2FA on. Accepted codes
+// are used up atomically, so the same code cannot sign in twice. Resolves to
+// { method: 'totp' | 'backup', remainingBackupCodes } or null.
+const verifySecondFactor = async (userId, code) => {
+    const user = await User.findById(userId).select('+twoFactor.secret +twoFactor.backupCodes +twoFactor.lastUsedStep');
+    if (!user || !user.twoFactor.enabled || !user.twoFactor.secret) return null;
+
+    const step = verifyTotpCode(user.twoFactor.secret, code, user.twoFactor.lastUsedStep);
+    if (step !== null) {
+        const result = await User.updateOne(
+            { _id: user._id, $or: [{ 'twoFactor.lastUsedStep': null }, { 'twoFactor.lastUsedStep': { $lt: step } }] },
+            { $set: { 'twoFactor.lastUsedStep': step } }
+        );
+        return result.modifiedCount === 1
+            ? { method: 'totp', remainingBackupCodes: user.twoFactor.backupCodes.length }
+            : null;
+    }
+
+    if (normalizeBackupCode(code).length !== 8) return null;
+
+    const hash = hashBackupCode(code);
+    if (!user.twoFactor.backupCodes.includes(hash)) return null;
+
+    const result = await User.updateOne(
+        { _id: user._id, 'twoFactor.backupCodes': hash },
+        { $pull: { 'twoFactor.backupCodes': hash } }
+    );
+    return result.modifiedCount === 1
+        ? { method: 'backup', remainingBackupCodes: user.twoFactor.backupCodes.length - 1 }
+        : null;
+};
+
+// The stored policy, or the default (nothing required) before an admin saves one
+const getSecurityPolicy = async () => {
+    const policy = await SecurityPolicy.findOne({ key: 'global' });
+    return policy || new SecurityPolicy({ key: 'global', twoFactorRequiredRoles: [] });
+};
+
+const setTwoFactorRequiredRoles = (roles, updatedBy) => {
+    return SecurityPolicy.findOneAndUpdate(
+        { key: 'global' },
+        { $set: { twoFactorRequiredRoles: roles.filter(role => TWO_FACTOR_ROLES.includes(role)), updatedBy: updatedBy._id } },
+        { upsert: true, new: true }
+    );
+};
+
+const isTwoFactorRequired = async (user) => {
+    if (!TWO_FACTOR_ROLES.includes(user.ROLE)) return false;
+
+    const policy = await getSecurityPolicy();
+    return policy.twoFactorRequiredRoles.includes(user.ROLE);
+};
+
+// Called by POST /login once the password is right. With 2FA on, the session
+// only remembers who is half signed in and the caller should redirect to
+// /login/2fa. Resolves to true when that second step is needed.
+const startTwoFactorChallenge = (req, user, returnTo = null) => {
+    if (!user.twoFactor || !user.twoFactor.enabled) return false;
+
+    req.session.twoFactorChallenge = {
+        userId: user._id.toString(),
+        returnTo,
+        expiresAt: Date.now() + CHALLENGE_TTL_MS
+    };
+    return true;
+};
+
+// The user waiting for their second factor, if the challenge has not expired
+const getTwoFactorChallenge = (req) => {
+    const challenge = req.session.twoFactorChallenge;
+    if (!challenge) return null;
+
+    if (challenge.expiresAt <= Date.now()) {
+        delete req.session.twoFactorChallenge;
+        return null;
+    }
+    return challenge;
+};
+
+module.exports = {
+    TWO_FACTOR_ROLES,
+    BACKUP_CODE_COUNT,
+    generateTotpSecret,
+    getTotpStep,
+    getTotpCode,
+    verifyTotpCode,
+    getOtpAuthUrl,
+    enableTwoFactor,
+    disableTwoFactor,
+    regenerateBackupCodes,
+    verifySecondFactor,
+    getSecurityPolicy,
+    setTwoFactorRequiredRoles,
+    isTwoFactorRequired,
+    startTwoFactorChallenge,
+    getTwoFactorChallenge
+};
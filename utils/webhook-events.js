@@ -0,0 +1,126 @@
+const AttendanceSession = require('../models/attendance-session');
+const Class = require('../models/class');
+const Student = require('../models/student');
+const { ATTENDANCE_THRESHOLDS } = require('../config/attendance-statuses');
+const { findNewDefaulters } = require('./attendance-stats');
+const { emitWebhookEvent, hasWebhookSubscribers } = require('./webhooks');
+
+// Payload shapes shared by the events below
+const toClassPayload = (classDoc) => classDoc && {
+    id: classDoc._id.toString(),
+    name: classDoc.CLASSNAME,
+    subject: classDoc.SUBJECT,
+    roomNo: classDoc.ROOMNO
+};
+
+const toStudentPayload = (student) => student && {
+    id: student._id.toString(),
+    name: student.NAME,
+    rollNo: student.ROLLNO,
+    email: student.EMAIL || null
+};
+
+const groupBy = (items, getKey) => {
+    const groups = new Map();
+    items.forEach(item => {
+        const key = getKey(item).toString();
+        if (!groups.has(key)) groups.set(key, []);
+        groups.get(key).push(item);
+    });
+    return groups;
+};
+
+// Webhooks never fail (or slow down) the request that triggered them
+const runInBackground = (label, task) => {
+    task().catch(error => {
+        console.error(`Webhook ${label} error:`, error);
+    });
+};
+
+// One attendance.marked event per lecture touched by the changes
+const emitAttendanceMarked = async (changes) => {
+    for (const [sessionId, sessionChanges] of groupBy(changes, change => change.sessionId)) {
+        const { classId, source, actorName } = sessionChanges[0];
+
+        await emitWebhookEvent('attendance.marked', async () => {
+            const [session, classDoc, students] = await Promise.all([
+                AttendanceSession.findById(sessionId),
+                Class.findById(classId),
+                Student.find({ _id: { $in: sessionChanges.map(change => change.studentId) } })
+            ]);
+            const studentsById = new Map(students.map(student => [student._id.toString(), student]));
+
+            return {
+                session: {
+                    id: sessionId,
+                    date: session ? session.date.toISOString().slice(0, 10) : null,
+                    startTime: session ? session.startTime : null,
+                    endTime: session ? session.endTime : null
+                },
+                class: toClassPayload(classDoc),
+                source,
+                markedBy: actorName,
+                marks: sessionChanges.map(change => ({
+                    student: toStudentPayload(studentsById.get(change.studentId.toString())) || { id: change.studentId.toString() },
+                    previousStatus: change.oldStatus,
+                    status: change.newStatus
+                }))
+            };
+        });
+    }
+};
+
+// student.defaulter for each student these changes took below the threshold
+const emitDefaulterCrossings = async (changes) => {
+    if (!(await hasWebhookSubscribers('student.defaulter'))) return;
+
+    for (const { studentId, classId, current, previous } of await findNewDefaulters(changes)) {
+        const [student, classDoc] = await Promise.all([
+            Student.findById(studentId),
+            Class.findById(classId)
+        ]);
+
+        await emitWebhookEvent('student.defaulter', {
+            student: toStudentPayload(student) || { id: studentId },
+            class: toClassPayload(classDoc),
+            percentage: Number(current.percentage),
+            previousPercentage: previous.totalCount > 0 ? Number(previous.percentage) : null,
+            threshold: ATTENDANCE_THRESHOLDS.good,
+            presentCount: current.presentCount,
+            totalCount: current.totalCount,
+            statusCounts: current.statusCounts
+        });
+    }
+};
+
+// Called with the audit entries of every attendance write
+const notifyAttendanceChanges = (changes) => {
+    if (changes.length === 0) return;
+
+    runInBackground('attendance.marked', () => emitAttendanceMarked(changes));
+    runInBackground('student.defaulter', () => emitDefaulterCrossings(changes));
+};
+
+const notifyStudentRegistered = (student, classDoc) => {
+    runInBackground('student.registered', () => emitWebhookEvent('student.registered', {
+        student: toStudentPayload(student),
+        class: toClassPayload(classDoc)
+    }));
+};
+
+const notifyTeacherJoined = (classDoc, teacher) => {
+    runInBackground('teacher.joined', () => emitWebhookEvent('teacher.joined', {
+        teacher: {
+            id: teacher._id.toString(),
+            username: teacher.USERNAME,
+            fullName: teacher.FULLNAME
+        },
+        class: toClassPayload(classDoc)
+    }));
+};
+
+module.exports = {
+    notifyAttendanceChanges,
+    notifyStudentRegistered,
+    notifyTeacherJoined
+};
@@ -0,0 +1,224 @@
+const crypto = require('crypto');
+const Webhook = require('../models/webhook');
+const WebhookDelivery = require('../models/webhook-delivery');
+const { WEBHOOK_MAX_ATTEMPTS, WEBHOOK_RETRY_BASE_SECONDS, WEBHOOK_TIMEOUT_MS } = require('../config/webhooks');
+const { logger } = require('./logger');
+
+// Events a webhook can subscribe to
+const WEBHOOK_EVENTS = {
+    'attendance.marked': 'Attendance was marked or changed for a lecture',
+    'student.registered': 'A student registered through a class registration link',
+    'teacher.joined': 'A teacher joined a class with its class code',
+    'student.defaulter': 'A student dropped below the defaulter threshold'
+};
+
+// Sent only from the admin "Send test" button
+const WEBHOOK_TEST_EVENT = 'webhook.test';
+
+// How often the worker looks for deliveries that are due
+const WORKER_INTERVAL_MS = 15 * 1000;
+const WORKER_BATCH_SIZE = 20;
+
+// Stored from each response, enough to see why a receiver said no
+const RESPONSE_BODY_LIMIT = 1000;
+
+const generateWebhookSecret = () => 'whsec_' + crypto.randomBytes(24).toString('hex');
+
+// Receivers recompute HMAC-SHA256("<timestamp>.<raw body>") with their secret and
+// compare it with X-AttendPro-Signature; the timestamp lets them reject replays
+const signWebhookPayload = (secret, timestamp, body) => {
+    return crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+};
+
+// Wait before attempt n + 1 (after n failed attempts): base, 2x base, 4x base, ...
+const getRetryDelayMs = (failedAttempts) => {
+    return WEBHOOK_RETRY_BASE_SECONDS * 1000 * Math.pow(2, failedAttempts - 1);
+};
+
+const isWebhookUrl = (value) => {
+    try {
+        const url = new URL(value);
+        return url.protocol === 'https:' || url.protocol === 'http:';
+    } catch (error) {
+        return false;
+    }
+};
+
+// Make one delivery attempt. The delivery is claimed first so the worker and a
+// request that queued it never send it twice at the same time.
+const attemptDelivery = async (deliveryId) => {
+    const now = new Date();
+    const delivery = await WebhookDelivery.findOneAndUpdate(
+        { _id: deliveryId, status: 'pending', nextAttemptAt: { $lte: now } },
+        { $set: { nextAttemptAt: new Date(now.getTime() + WEBHOOK_TIMEOUT_MS + 60 * 1000) } },
+        { new: true }
+    ).populate('webhookId');
+
+    if (!delivery) return null;
+
+    const webhook = delivery.webhookId;
+    if (!webhook || !webhook.isActive) {
+        delivery.status = 'failed';
+        delivery.nextAttemptAt = null;
+        delivery.attempts.push({ attemptedAt: now, error: 'Webhook was removed or disabled' });
+        return delivery.save();
+    }
+
+    const body = JSON.stringify(delivery.payload);
+    const timestamp = Math.floor(now.getTime() / 1000);
+    const attempt = { attemptedAt: now, responseStatus: null, error: null };
+    let responseBody = null;
+
+    try {
+        const response = await fetch(webhook.url, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                'User-Agent': 'AttendPro-Webhooks/1.0',
+                'X-AttendPro-Event': delivery.event,
+                'X-AttendPro-Delivery': delivery._id.toString(),
+                'X-AttendPro-Timestamp': String(timestamp),
+                'X-AttendPro-Signature': `sha256=${signWebhookPayload(webhook.secret, timestamp, body)}`
+            },
+            body,
+            redirect: 'manual',
+            signal: AbortSignal.timeout(WEBHOOK_TIMEOUT_MS)
+        });
+
+        attempt.responseStatus = response.status;
+        responseBody = (await response.text()).slice(0, RESPONSE_BODY_LIMIT);
+        if (!response.ok) {
+            attempt.error = `Receiver answered ${response.status}`;
+        }
+    } catch (error) {
+        attempt.error = error.name === 'TimeoutError'
+            ? `No response within ${WEBHOOK_TIMEOUT_MS} ms`
+            : (error.cause && error.cause.message) || error.message;
+    }
+
+    attempt.durationMs = Date.now() - now.getTime();
+    delivery.attempts.push(attempt);
+    delivery.lastResponseBody = responseBody;
+
+    if (!attempt.error) {
+        delivery.status = 'succeeded';
+        delivery.deliveredAt = new Date();
+        delivery.nextAttemptAt = null;
+    } else if (delivery.attempts.length >= WEBHOOK_MAX_ATTEMPTS) {
+        delivery.status = 'failed';
+        delivery.nextAttemptAt = null;
+        logger.warn(`Webhook delivery failed after ${delivery.attempts.length} attempts`, {
+            deliveryId: delivery._id.toString(),
+            event: delivery.event,
+            url: webhook.url,
+            error: attempt.error
+        });
+    } else {
+        delivery.nextAttemptAt = new Date(Date.now() + getRetryDelayMs(delivery.attempts.length));
+    }
+
+    return delivery.save();
+};
+
+// Send a queued delivery now without holding up the caller
+const dispatchDelivery = (delivery) => {
+    attemptDelivery(delivery._id).catch(error => {
+        console.error('Webhook delivery error:', error);
+    });
+};
+
+// Queue one event for one webhook and start sending it
+const queueWebhookDelivery = async (webhook, event, data, { eventId = crypto.randomUUID(), occurredAt = new Date() } = {}) => {
+    const delivery = await WebhookDelivery.create({
+        webhookId: webhook._id,
+        eventId,
+        event,
+        payload: {
+            id: eventId,
+            event,
+            occurredAt: occurredAt.toISOString(),
+            data
+        }
+    });
+
+    dispatchDelivery(delivery);
+    return delivery;
+};
+
+const hasWebhookSubscribers = async (event) => {
+    return Boolean(await Webhook.exists({ isActive: true, events: event }));
+};
+
+// Notify every active webhook subscribed to an event. data may be a function
+// so payloads are only built (and their queries run) when someone listens.
+const emitWebhookEvent = async (event, data) => {
+    const webhooks = await Webhook.find({ isActive: true, events: event });
+    if (webhooks.length === 0) return [];
+
+    const payloadData = typeof data === 'function' ? await data() : data;
+    const options = { eventId: crypto.randomUUID(), occurredAt: new Date() };
+
+    return Promise.all(webhooks.map(webhook => queueWebhookDelivery(webhook, event, payloadData, options)));
+};
+
+// Send a delivery's event again as a new delivery with the same event id
+const redeliverWebhookDelivery = async (delivery, user) => {
+    const redelivery = await WebhookDelivery.create({
+        webhookId: delivery.webhookId,
+        eventId: delivery.eventId,
+        event: delivery.event,
+        payload: delivery.payload,
+        redeliveryOf: delivery._id,
+        redeliveredBy: user ? user._id : null
+    });
+
+    dispatchDelivery(redelivery);
+    return redelivery;
+};
+
+// Retry deliveries whose backoff has passed (and any left over from a restart)
+const processDueDeliveries = async () => {
+    const due = await WebhookDelivery.find({ status: 'pending', nextAttemptAt: { $lte: new Date() } })
+        .select('_id')
+        .sort({ nextAttemptAt: 1 })
+        .limit(WORKER_BATCH_SIZE);
+
+    for (const delivery of due) {
+        await attemptDelivery(delivery._id);
+    }
+};
+
+let workerTimer = null;
+
+const startWebhookWorker = () => {
+    if (workerTimer) return;
+
+    let running = false;
+    workerTimer = setInterval(async () => {
+        if (running) return;
+        running = true;
+        try {
+            await processDueDeliveries();
+        } catch (error) {
+            console.error('Webhook worker error:', error);
+        } finally {
+            running = false;
+        }
+    }, WORKER_INTERVAL_MS);
+
+    // The worker alone should not keep the process alive
+    workerTimer.unref();
+};
+
+module.exports = {
+    WEBHOOK_EVENTS,
+    WEBHOOK_TEST_EVENT,
+    generateWebhookSecret,
+    signWebhookPayload,
+    isWebhookUrl,
+    hasWebhookSubscribers,
+    queueWebhookDelivery,
+    emitWebhookEvent,
+    redeliverWebhookDelivery,
+    startWebhookWorker
+};